@@ -439,11 +439,11 @@ function trackEvent(eventName, eventCategory, eventLabel) {
 */
 
 // --- NOTA SOBRE SCORM/LTI ---
-// La integración con SCORM o LTI es **MUY COMPLEJA** y no se puede hacer con un simple archivo HTML/JS.
-// SCORM requiere empaquetar el contenido con un manifiesto XML y usar la API de tiempo de ejecución (API Runtime)
-// para comunicarse con el LMS (Moodle, Canvas, Blackboard, etc.).
+// SCORM ya está resuelto en la versión actual (script2.js): `node tools/build-scorm.js` genera
+// el paquete con su imsmanifest.xml y js/scorm.js se comunica con la API de tiempo de ejecución
+// del LMS (Moodle, Canvas, Blackboard, etc.). Este archivo es una versión anterior sin esa integración.
 // LTI (Learning Tools Interoperability) es un estándar para la comunicación segura entre el LMS y una aplicación externa,
 // lo que implica un servidor backend para manejar la autenticación (OAuth 1.0a o OAuth 2.0) y el intercambio de datos.
 // Esto va mucho más allá de GitHub Pages y JavaScript del lado del cliente.
-// Si necesitas esta funcionalidad, deberás considerar un desarrollo web más completo (backend + frontend)
-// o usar una herramienta especializada para crear contenido SCORM/LTI (como H5P, Articulate Storyline, Adobe Captivate, etc.).
\ No newline at end of file
+// Si necesitas LTI, deberás considerar un desarrollo web más completo (backend + frontend)
+// o usar una herramienta especializada para crear contenido LTI (como H5P, Articulate Storyline, Adobe Captivate, etc.).
\ No newline at end of file
@@ -0,0 +1,372 @@
+// --- Respuestas cifradas (hashed) ---
+// En questions.json las respuestas correctas están en claro ("correct": true,
+// "answer", "accepted"): basta abrir el archivo para leerlas. tools/hash-answers.js
+// convierte el archivo de autoría en uno de publicación en el que cada pregunta
+// guarda, en lugar de su respuesta, un objeto `hashed`:
+//
+//   "hashed": {
+//     "salt": "5c0e…",          Sal aleatoria de la pregunta (hex)
+//     "answers": ["9a1e…"],     SHA-256 de la sal y cada respuesta correcta
+//                               (single, truefalse, text y numeric)
+//     "options": ["…", …],      multiple: SHA-256 de la sal, cada opción y si es correcta
+//     "reveal": "…"             La respuesta correcta ofuscada, para la revisión
+//   }
+//
+// Al corregir se compara el hash de la respuesta del alumno (normalizada como al
+// corregir en claro) con los de `answers`. La respuesta correcta solo se descifra de
+// `reveal` cuando la pregunta está resuelta, para mostrarla en la revisión.
+//
+// No es un cifrado con secreto: una pregunta de opciones se puede resolver probando
+// todas y `reveal` se descifra con la sal. Evita que la respuesta se lea abriendo
+// el JSON o las herramientas del navegador, no a quien estudie este código. Las
+// preguntas numéricas con `tolerance` no se pueden cifrar (un hash no admite
+// márgenes) y se publican en claro.
+//
+// El módulo también calcula las firmas HMAC-SHA256 de los resultados exportados
+// (ver js/results-export.js). SHA-256 se implementa aquí porque crypto.subtle es
+// asíncrono y solo existe en contextos seguros (no al abrir index.html desde file://).
+
+(function (global) {
+    'use strict';
+
+    const QuestionTypes = typeof module !== 'undefined' && module.exports
+        ? require('./question-types.js') : global.QuestionTypes;
+
+    // --- SHA-256 y HMAC ---
+
+    const INITIAL_HASH = [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ];
+    const ROUND_CONSTANTS = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+    const BLOCK_SIZE = 64; // bytes
+
+    const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    /**
+     * @param {string|Uint8Array} value Texto (se codifica en UTF-8) o bytes.
+     * @returns {Uint8Array}
+     */
+    function toBytes(value) {
+        return value instanceof Uint8Array ? value : new TextEncoder().encode(String(value));
+    }
+
+    /**
+     * SHA-256 (FIPS 180-4).
+     * @param {string|Uint8Array} message
+     * @returns {Uint8Array} Los 32 bytes del resumen.
+     */
+    function sha256Bytes(message) {
+        const bytes = toBytes(message);
+        const paddedLength = Math.ceil((bytes.length + 9) / BLOCK_SIZE) * BLOCK_SIZE;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+        const hash = INITIAL_HASH.slice();
+        const words = new Uint32Array(64);
+        for (let offset = 0; offset < paddedLength; offset += BLOCK_SIZE) {
+            for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotateRight(words[i - 15], 7) ^ rotateRight(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+                const s1 = rotateRight(words[i - 2], 17) ^ rotateRight(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+                words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+            }
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const sum1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+                const choice = (e & f) ^ (~e & g);
+                const temp1 = (h + sum1 + choice + ROUND_CONSTANTS[i] + words[i]) | 0;
+                const sum0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+                const majority = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (sum0 + majority) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) | 0;
+            });
+        }
+
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((value, i) => digestView.setUint32(i * 4, value >>> 0));
+        return digest;
+    }
+
+    const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+    /**
+     * @param {string|Uint8Array} message
+     * @returns {string} SHA-256 en hexadecimal.
+     */
+    function sha256(message) {
+        return toHex(sha256Bytes(message));
+    }
+
+    /**
+     * HMAC-SHA256 (RFC 2104).
+     * @param {string|Uint8Array} key
+     * @param {string|Uint8Array} message
+     * @returns {string} La firma en hexadecimal.
+     */
+    function hmacSha256(key, message) {
+        let keyBytes = toBytes(key);
+        if (keyBytes.length > BLOCK_SIZE) keyBytes = sha256Bytes(keyBytes);
+        const inner = new Uint8Array(BLOCK_SIZE);
+        const outer = new Uint8Array(BLOCK_SIZE);
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            inner[i] = (keyBytes[i] || 0) ^ 0x36;
+            outer[i] = (keyBytes[i] || 0) ^ 0x5c;
+        }
+        const messageBytes = toBytes(message);
+        const innerInput = new Uint8Array(BLOCK_SIZE + messageBytes.length);
+        innerInput.set(inner);
+        innerInput.set(messageBytes, BLOCK_SIZE);
+        const outerInput = new Uint8Array(BLOCK_SIZE + 32);
+        outerInput.set(outer);
+        outerInput.set(sha256Bytes(innerInput), BLOCK_SIZE);
+        return sha256(outerInput);
+    }
+
+    // --- Respuestas de cada tipo ---
+
+    /**
+     * Hash de una respuesta normalizada.
+     * @param {string} salt Sal de la pregunta.
+     * @param {string} key Respuesta normalizada (ver ANSWER_KEYS).
+     * @returns {string}
+     */
+    function hashKey(salt, key) {
+        return sha256(`${salt}:${key}`);
+    }
+
+    // Cómo se normaliza cada respuesta antes del hash, qué campos de la pregunta son
+    // la respuesta correcta (se quitan del archivo publicado y van en `reveal`) y
+    // cómo se vuelven a poner. `multiple` usa `options` (una por opción) para poder
+    // dar crédito parcial.
+    const ANSWER_KEYS = {
+        single: {
+            getKey: (question, response) => String(response),
+            getCorrectKeys: question => question.answers
+                .map((answer, index) => (answer.correct ? String(index) : null))
+                .filter(key => key !== null)
+        },
+        truefalse: {
+            getKey: (question, response) => String(Boolean(response)),
+            getCorrectKeys: question => [String(Boolean(question.answer))]
+        },
+        text: {
+            getKey: (question, response) => QuestionTypes.normalizeText(response, Boolean(question.caseSensitive)),
+            getCorrectKeys: question => (question.accepted || [])
+                .map(variant => QuestionTypes.normalizeText(variant, Boolean(question.caseSensitive)))
+        },
+        numeric: {
+            getKey: (question, response) => String(QuestionTypes.parseNumber(response)),
+            getCorrectKeys: question => [String(question.answer)]
+        }
+    };
+
+    const optionKey = (index, correct) => `${index}:${correct === true}`;
+
+    /**
+     * Respuesta correcta de una pregunta en claro (lo que se ofusca en `reveal`).
+     * @param {object} question
+     * @returns {object}
+     */
+    function getSecret(question) {
+        switch (question.type || QuestionTypes.DEFAULT_TYPE) {
+            case 'single':
+            case 'multiple':
+                return {
+                    correct: question.answers
+                        .map((answer, index) => (answer.correct === true ? index : -1))
+                        .filter(index => index !== -1)
+                };
+            case 'text':
+                return { accepted: question.accepted };
+            default:
+                return { answer: question.answer };
+        }
+    }
+
+    /**
+     * Copia de la pregunta sin su respuesta correcta.
+     * @param {object} question
+     * @returns {object}
+     */
+    function stripSecret(question) {
+        const stripped = { ...question };
+        delete stripped.answer;
+        delete stripped.accepted;
+        delete stripped.tolerance;
+        if (Array.isArray(question.answers)) {
+            stripped.answers = question.answers.map(answer => {
+                const copy = { ...answer };
+                delete copy.correct;
+                return copy;
+            });
+        }
+        return stripped;
+    }
+
+    /**
+     * Vuelve a poner en una pregunta su respuesta correcta.
+     * @param {object} question
+     * @param {object} secret Ver getSecret.
+     * @returns {object} Una copia de la pregunta.
+     */
+    function applySecret(question, secret) {
+        const restored = { ...question };
+        if (Array.isArray(secret.correct) && Array.isArray(question.answers)) {
+            restored.answers = question.answers.map((answer, index) => ({ ...answer, correct: secret.correct.includes(index) }));
+        }
+        if (secret.accepted !== undefined) restored.accepted = secret.accepted;
+        if (secret.answer !== undefined) restored.answer = secret.answer;
+        return restored;
+    }
+
+    // --- Ofuscación de `reveal` ---
+
+    /**
+     * XOR con un flujo de bytes derivado de la sal (SHA-256 en modo contador).
+     * @param {Uint8Array} bytes
+     * @param {string} salt
+     * @returns {Uint8Array}
+     */
+    function applyKeystream(bytes, salt) {
+        const output = new Uint8Array(bytes.length);
+        let block = null;
+        for (let i = 0; i < bytes.length; i++) {
+            if (i % 32 === 0) block = sha256Bytes(`${salt}:reveal:${i / 32}`);
+            output[i] = bytes[i] ^ block[i % 32];
+        }
+        return output;
+    }
+
+    function encodeReveal(secret, salt) {
+        const bytes = applyKeystream(toBytes(JSON.stringify(secret)), salt);
+        return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+    }
+
+    function decodeReveal(reveal, salt) {
+        const bytes = Uint8Array.from(atob(reveal), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(applyKeystream(bytes, salt)));
+    }
+
+    // --- API ---
+
+    /**
+     * @param {object} question
+     * @returns {boolean} Si la pregunta guarda sus respuestas cifradas.
+     */
+    function isHashed(question) {
+        return Boolean(question && question.hashed && typeof question.hashed === 'object');
+    }
+
+    /**
+     * Indica si una pregunta se puede cifrar.
+     * @param {object} question Pregunta de autoría (con la respuesta en claro).
+     * @returns {boolean} false para las numéricas con `tolerance`.
+     */
+    function canHash(question) {
+        const type = question.type || QuestionTypes.DEFAULT_TYPE;
+        return type !== 'numeric' || !question.tolerance;
+    }
+
+    /**
+     * Convierte una pregunta de autoría en su versión publicada.
+     * @param {object} question Pregunta con la respuesta en claro.
+     * @param {string} salt Sal aleatoria (hex).
+     * @returns {object} Copia de la pregunta sin la respuesta y con `hashed`.
+     * @throws {Error} Si la pregunta no se puede cifrar (ver canHash).
+     */
+    function hashQuestion(question, salt) {
+        if (!canHash(question)) {
+            throw new Error("Las preguntas numéricas con 'tolerance' no se pueden cifrar.");
+        }
+        const type = question.type || QuestionTypes.DEFAULT_TYPE;
+        const hashed = { salt };
+        if (type === 'multiple') {
+            hashed.options = question.answers.map((answer, index) => hashKey(salt, optionKey(index, answer.correct)));
+        } else {
+            hashed.answers = ANSWER_KEYS[type].getCorrectKeys(question).map(key => hashKey(salt, key));
+        }
+        hashed.reveal = encodeReveal(getSecret(question), salt);
+        return { ...stripSecret(question), hashed };
+    }
+
+    /**
+     * Corrige una respuesta. Las preguntas con `hashed` comparan hashes; el resto se
+     * corrige con su tipo (ver js/question-types.js).
+     * @param {object} question La pregunta.
+     * @param {*} response La respuesta (ver getResponse de cada tipo).
+     * @returns {{isCorrect: boolean, score: number}}
+     */
+    function gradeResponse(question, response) {
+        const handler = QuestionTypes.getQuestionType(question);
+        if (!isHashed(question)) return handler.grade(question, response);
+
+        const { salt, answers = [], options = [] } = question.hashed;
+        const type = question.type || QuestionTypes.DEFAULT_TYPE;
+        if (type === 'multiple') {
+            // Se deduce qué opciones son correctas para dar el mismo crédito parcial
+            const correct = question.answers
+                .map((answer, index) => (options[index] === hashKey(salt, optionKey(index, true)) ? index : -1))
+                .filter(index => index !== -1);
+            return handler.grade(applySecret(question, { correct }), response);
+        }
+        const isCorrect = answers.includes(hashKey(salt, ANSWER_KEYS[type].getKey(question, response)));
+        return { isCorrect, score: isCorrect ? 1 : 0 };
+    }
+
+    /**
+     * Pregunta con su respuesta correcta descifrada de `reveal`, para mostrarla una
+     * vez resuelta.
+     * @param {object} question
+     * @returns {object} Una copia (o la misma pregunta si no está cifrada).
+     */
+    function revealQuestion(question) {
+        if (!isHashed(question) || typeof question.hashed.reveal !== 'string') return question;
+        try {
+            return applySecret(question, decodeReveal(question.hashed.reveal, question.hashed.salt));
+        } catch (error) {
+            console.warn('No se pudo descifrar la respuesta correcta de la pregunta:', error);
+            return question;
+        }
+    }
+
+    const api = {
+        sha256,
+        hmacSha256,
+        hashKey,
+        isHashed,
+        canHash,
+        hashQuestion,
+        gradeResponse,
+        revealQuestion
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.AnswerHash = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,548 @@
+// --- Modo de autoría (?edit=1) ---
+// Editor de questions.json sobre el propio reproductor, para no tener que adivinar
+// los segundos de `time` ni editar el JSON a mano. Con ?edit=1 en la URL, la página
+// no plantea las preguntas ni guarda progreso; en su lugar muestra este panel:
+//
+//   - "Añadir pregunta aquí" crea una pregunta en el instante actual del vídeo.
+//   - Las marcas de la línea de tiempo se arrastran para cambiar `time` (o se mueven
+//     con las flechas: 1 s, o 0,1 s con Mayús). Al pulsar una se edita su pregunta.
+//   - El formulario edita el id, el tipo (opción única o múltiple), el enunciado, las
+//     respuestas con su `correct` y `randomize`. Los textos se editan en el idioma
+//     elegido en la página; los demás campos (explicaciones, goTo...) se conservan.
+//   - "Vista previa" plantea la pregunta tal como la verá el alumno.
+//   - Los grupos de variantes (`pool`, ver js/question-pools.js) se mueven y se
+//     previsualizan (con una variante sorteada) como las demás preguntas, pero sus
+//     variantes se editan en el JSON.
+//   - Si el vídeo tiene transcripción (ver js/captions.js), el formulario muestra lo que
+//     se dice desde la pregunta anterior, los avisos señalan las preguntas que cortan
+//     una frase y "Ajustar al final de la frase" mueve la pregunta al final de la suya.
+//   - "Descargar questions.json" descarga el archivo si el validador no encuentra errores.
+//
+// El marcado está en index.html: cada elemento del panel se identifica con
+// `data-editor` (add, download, list, form, time, use-current, snap, excerpt,
+// excerpt-text, id, type, question, answers, add-answer, randomize, note, preview,
+// delete, messages).
+
+(function (global) {
+    'use strict';
+
+    const LocaleManager = typeof module !== 'undefined' && module.exports
+        ? require('./locale-manager.js') : global.LocaleManager;
+    const QuestionValidator = typeof module !== 'undefined' && module.exports
+        ? require('./question-validator.js') : global.QuestionValidator;
+    const Captions = typeof module !== 'undefined' && module.exports
+        ? require('./captions.js') : global.Captions;
+    const QuestionPools = typeof module !== 'undefined' && module.exports
+        ? require('./question-pools.js') : global.QuestionPools;
+
+    const EDIT_URL_PARAM = 'edit';
+    const EDITABLE_TYPES = ['single', 'multiple']; // Los demás tipos se editan en el JSON
+    const KEY_STEP = 1; // Segundos que mueve una marca cada flecha (0,1 con Mayús)
+    const FINE_KEY_STEP = 0.1;
+    const EXCERPT_LENGTH = 400; // Caracteres de la transcripción que se muestran en el formulario
+
+    /**
+     * Indica si la URL pide el modo de autoría (?edit=1).
+     * @param {string} search window.location.search
+     * @returns {boolean}
+     */
+    function isEditMode(search) {
+        const value = new URLSearchParams(search).get(EDIT_URL_PARAM);
+        return value !== null && value !== '0' && value !== 'false';
+    }
+
+    /**
+     * Redondea un tiempo a décimas de segundo (no negativo).
+     * @param {number} time
+     * @returns {number}
+     */
+    function roundTime(time) {
+        return Math.max(0, Math.round(time * 10) / 10);
+    }
+
+    /**
+     * Cambia un texto en un idioma. Un texto sin traducir se sustituye (sirve para
+     * todos los idiomas); uno traducido solo cambia en ese idioma.
+     * @param {string|object} value Texto actual.
+     * @param {string} lang
+     * @param {string} text Texto nuevo.
+     * @returns {string|object}
+     */
+    function setLocalizedText(value, lang, text) {
+        return value && typeof value === 'object' ? { ...value, [lang]: text } : text;
+    }
+
+    /**
+     * Crea una pregunta de opción única vacía con un id que no esté usado (tampoco por
+     * las variantes de los grupos).
+     * @param {Array} questions Las preguntas existentes.
+     * @param {number} time Segundo del vídeo.
+     * @returns {object}
+     */
+    function createQuestion(questions, time) {
+        const ids = new Set(questions.flatMap(question => (QuestionPools.isPool(question)
+            ? [question.id, ...question.pool.map(variant => variant && variant.id)]
+            : [question.id])));
+        let number = questions.length + 1;
+        while (ids.has(`pregunta-${number}`)) number++;
+        return {
+            id: `pregunta-${number}`,
+            time: roundTime(time),
+            question: '',
+            answers: [{ text: '', correct: true }, { text: '', correct: false }]
+        };
+    }
+
+    /**
+     * Ordena las preguntas por tiempo (las de igual tiempo conservan su orden).
+     * @param {Array} questions
+     * @returns {Array} Una copia ordenada.
+     */
+    function sortQuestions(questions) {
+        return questions.slice().sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * @param {Array} questions
+     * @returns {string} El contenido de questions.json.
+     */
+    function toJson(questions) {
+        return `${JSON.stringify(sortQuestions(questions), null, 2)}\n`;
+    }
+
+    /**
+     * Crea el panel de autoría.
+     * @param {HTMLElement} root Elemento del panel (contiene los `data-editor`).
+     * @param {object} options
+     * @param {HTMLElement} options.timeline Línea de tiempo donde se dibujan las marcas.
+     * @param {function(string, object=): string} options.t Traduce una clave de locales/*.json.
+     * @param {function(number): string} options.formatTime Formatea segundos (ej. 1:05).
+     * @param {function(): object} options.getPlayer Adaptador del reproductor (o null).
+     * @param {function(): Array} options.getCaptions Subtítulos de la transcripción (ver
+     *   Captions.parseCaptions); vacío si el vídeo no tiene.
+     * @param {function(): string} options.getLanguage Idioma en el que se editan los textos.
+     * @param {string} options.defaultLanguage Idioma de respaldo de los textos.
+     * @param {function(Array)} options.onChange Las preguntas han cambiado (ordenadas por tiempo).
+     * @param {function(object)} options.onPreview Plantear una pregunta como vista previa.
+     * @param {function(number)} options.onSeek Llevar el vídeo a un instante.
+     * @param {function(string, string)} options.download Descarga (nombre, contenido).
+     * @returns {object} El panel { setQuestions, getQuestions, renderMarkers, refresh, isDirty }.
+     */
+    function createAuthoringPanel(root, options) {
+        const doc = root.ownerDocument;
+        const element = name => root.querySelector(`[data-editor="${name}"]`);
+        const elements = {
+            add: element('add'),
+            download: element('download'),
+            list: element('list'),
+            form: element('form'),
+            time: element('time'),
+            useCurrent: element('use-current'),
+            snap: element('snap'),
+            excerpt: element('excerpt'),
+            excerptText: element('excerpt-text'),
+            id: element('id'),
+            type: element('type'),
+            question: element('question'),
+            answers: element('answers'),
+            addAnswer: element('add-answer'),
+            randomize: element('randomize'),
+            note: element('note'),
+            preview: element('preview'),
+            remove: element('delete'),
+            messages: element('messages')
+        };
+        const t = options.t;
+
+        let questions = [];
+        let selected = null; // Pregunta que se edita (referencia dentro de `questions`)
+        let dirty = false; // Cambios sin descargar
+
+        const getDuration = () => {
+            const player = options.getPlayer();
+            return player ? player.getDuration() : 0;
+        };
+        const localize = value => LocaleManager.localizeText(value, options.getLanguage(), options.defaultLanguage) || '';
+        const setText = (value, text) => setLocalizedText(value, options.getLanguage(), text);
+        const markerLabel = question => t('timeline_marker', {
+            number: questions.indexOf(question) + 1,
+            time: options.formatTime(question.time)
+        });
+
+        /**
+         * Muestra los errores y avisos del validador sobre las preguntas actuales.
+         * @returns {{valid: boolean, errors: Array, warnings: Array}}
+         */
+        function renderMessages() {
+            const result = QuestionValidator.validateQuestions(questions);
+            // Los avisos de la transcripción no impiden descargar el archivo
+            const captionWarnings = Captions.checkQuestionTimes(questions, options.getCaptions());
+            elements.messages.replaceChildren(...result.errors.concat(result.warnings, captionWarnings).map(entry => {
+                const item = doc.createElement('li');
+                item.className = entry.level === 'error' ? 'authoring-error' : 'authoring-warning';
+                item.textContent = QuestionValidator.formatMessage(entry);
+                return item;
+            }));
+            return result;
+        }
+
+        function renderList() {
+            elements.list.replaceChildren(...questions.map((question, index) => {
+                const item = doc.createElement('li');
+                const button = doc.createElement('button');
+                button.type = 'button';
+                button.className = 'authoring-list-item';
+                button.setAttribute('aria-pressed', String(question === selected));
+                const label = QuestionPools.isPool(question)
+                    ? t('authoring_pool_label', {id: question.id, count: question.pool.length})
+                    : localize(question.question) || t('authoring_untitled', {number: index + 1});
+                button.textContent = `${options.formatTime(question.time)} · ${label}`;
+                button.addEventListener('click', () => select(question));
+                item.appendChild(button);
+                return item;
+            }));
+        }
+
+        /**
+         * Dibuja una marca arrastrable por pregunta en la línea de tiempo.
+         * Hasta que el reproductor conoce la duración no hay marcas.
+         */
+        function renderMarkers() {
+            options.timeline.replaceChildren();
+            const duration = getDuration();
+            if (!duration) return;
+            questions.forEach(question => {
+                if (question.time > duration) return;
+                const marker = doc.createElement('button');
+                marker.type = 'button';
+                marker.className = 'timeline-marker timeline-marker--authoring';
+                marker.classList.toggle('is-selected', question === selected);
+                const place = () => {
+                    marker.style.left = `${(question.time / duration) * 100}%`;
+                    marker.title = t('authoring_marker', {label: markerLabel(question)});
+                    marker.setAttribute('aria-label', marker.title);
+                };
+                place();
+
+                marker.addEventListener('pointerdown', event => {
+                    event.preventDefault();
+                    if (marker.setPointerCapture) marker.setPointerCapture(event.pointerId);
+                    const rect = options.timeline.getBoundingClientRect();
+                    let dragged = false;
+                    const move = moveEvent => {
+                        if (!rect.width) return;
+                        const ratio = Math.min(Math.max((moveEvent.clientX - rect.left) / rect.width, 0), 1);
+                        question.time = roundTime(ratio * duration);
+                        dragged = true;
+                        place();
+                        if (question === selected) elements.time.value = String(question.time);
+                    };
+                    const end = () => {
+                        marker.removeEventListener('pointermove', move);
+                        marker.removeEventListener('pointerup', end);
+                        marker.removeEventListener('pointercancel', end);
+                        if (dragged) commit();
+                        select(question);
+                    };
+                    marker.addEventListener('pointermove', move);
+                    marker.addEventListener('pointerup', end);
+                    marker.addEventListener('pointercancel', end);
+                });
+                marker.addEventListener('keydown', event => {
+                    if (event.key === 'Enter' || event.key === ' ') {
+                        event.preventDefault();
+                        select(question);
+                        return;
+                    }
+                    if (event.key !== 'ArrowLeft' && event.key !== 'ArrowRight') return;
+                    event.preventDefault();
+                    const step = (event.shiftKey ? FINE_KEY_STEP : KEY_STEP) * (event.key === 'ArrowLeft' ? -1 : 1);
+                    question.time = roundTime(Math.min(question.time + step, duration));
+                    commit();
+                    select(question);
+                    // El orden de las marcas puede cambiar: recuperar el foco en la nueva
+                    const moved = options.timeline.querySelector('.timeline-marker.is-selected');
+                    if (moved) moved.focus();
+                });
+                options.timeline.appendChild(marker);
+            });
+        }
+
+        function renderAnswers() {
+            const question = selected;
+            const type = question.type || 'single';
+            const locked = Boolean(question.hashed); // Respuestas cifradas (ver js/answer-hash.js)
+            elements.answers.replaceChildren(...(question.answers || []).map((answer, index) => {
+                const item = doc.createElement('li');
+                item.className = 'authoring-answer';
+
+                const text = doc.createElement('input');
+                text.type = 'text';
+                text.value = localize(answer.text);
+                text.setAttribute('aria-label', t('authoring_answer_label', {number: index + 1}));
+                text.addEventListener('input', () => {
+                    answer.text = setText(answer.text, text.value);
+                    commit({ keepForm: true });
+                });
+
+                const correctLabel = doc.createElement('label');
+                const correct = doc.createElement('input');
+                correct.type = type === 'single' ? 'radio' : 'checkbox';
+                correct.name = 'authoring-correct';
+                correct.checked = answer.correct === true;
+                correct.disabled = locked;
+                correct.addEventListener('change', () => {
+                    if (type === 'single') {
+                        question.answers.forEach(other => {
+                            other.correct = other === answer;
+                        });
+                    } else {
+                        answer.correct = correct.checked;
+                    }
+                    commit({ keepForm: true });
+                });
+                correctLabel.append(correct, ` ${t('authoring_correct_label')}`);
+
+                const remove = doc.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-secondary';
+                remove.textContent = t('authoring_remove_answer');
+                remove.setAttribute('aria-label', t('authoring_remove_answer_label', {number: index + 1}));
+                remove.disabled = locked || question.answers.length <= 2;
+                remove.addEventListener('click', () => {
+                    question.answers.splice(index, 1);
+                    commit();
+                });
+
+                item.append(text, correctLabel, remove);
+                return item;
+            }));
+            elements.addAnswer.disabled = locked;
+        }
+
+        /**
+         * Muestra lo que se dice desde la pregunta anterior hasta la seleccionada y
+         * habilita el ajuste si la pregunta corta una frase.
+         */
+        function renderExcerpt() {
+            const cues = options.getCaptions();
+            const index = questions.indexOf(selected);
+            const from = index > 0 ? questions[index - 1].time : 0;
+            const text = Captions.getExcerpt(cues, from, selected.time, EXCERPT_LENGTH);
+            elements.excerptText.textContent = text;
+            elements.excerpt.hidden = text === '';
+            elements.snap.hidden = cues.length === 0;
+            elements.snap.disabled = !Captions.isMidSentence(cues, selected.time);
+        }
+
+        /**
+         * Rellena el formulario con la pregunta seleccionada.
+         */
+        function renderForm() {
+            elements.form.hidden = !selected;
+            if (!selected) return;
+            const question = selected;
+            const isPool = QuestionPools.isPool(question);
+            const type = isPool ? 'pool' : question.type || 'single';
+            const editable = EDITABLE_TYPES.includes(type);
+            elements.time.value = String(question.time);
+            renderExcerpt();
+            elements.id.value = question.id || '';
+            elements.type.value = type;
+            elements.type.disabled = !editable;
+            elements.question.value = isPool ? '' : localize(question.question);
+            elements.question.parentElement.hidden = isPool;
+            elements.randomize.checked = question.randomize === true;
+            elements.randomize.disabled = !editable;
+            elements.answers.parentElement.hidden = !editable;
+
+            let note = '';
+            if (!editable) note = t('authoring_type_note', {type});
+            else if (question.hashed) note = t('authoring_hashed_note');
+            elements.note.textContent = note;
+            elements.note.hidden = note === '';
+            if (editable) renderAnswers();
+        }
+
+        /**
+         * Aplica un cambio: reordena, avisa a la página y vuelve a dibujar.
+         * @param {object} [settings] { keepForm: true } para no redibujar el
+         *   formulario mientras se escribe en él (perdería el foco).
+         */
+        function commit(settings = {}) {
+            questions = sortQuestions(questions);
+            dirty = true;
+            options.onChange(questions);
+            renderList();
+            renderMarkers();
+            renderMessages();
+            if (!settings.keepForm) renderForm();
+        }
+
+        /**
+         * Selecciona una pregunta para editarla y lleva el vídeo a su instante.
+         * @param {object|null} question
+         */
+        function select(question) {
+            selected = question;
+            renderList();
+            renderMarkers();
+            renderForm();
+            if (question) options.onSeek(question.time);
+        }
+
+        // --- Eventos del formulario ---
+
+        elements.add.addEventListener('click', () => {
+            const player = options.getPlayer();
+            if (!player) return;
+            player.pause();
+            const question = createQuestion(questions, player.getCurrentTime());
+            questions.push(question);
+            commit();
+            select(question);
+            elements.question.focus();
+        });
+
+        elements.useCurrent.addEventListener('click', () => {
+            const player = options.getPlayer();
+            if (!selected || !player) return;
+            selected.time = roundTime(player.getCurrentTime());
+            commit();
+        });
+
+        elements.snap.addEventListener('click', () => {
+            const time = Captions.snapTime(options.getCaptions(), selected ? selected.time : 0);
+            if (!selected || time === null) return;
+            selected.time = time;
+            commit();
+            options.onSeek(selected.time);
+        });
+
+        elements.time.addEventListener('change', () => {
+            const time = Number(elements.time.value);
+            if (!selected || !isFinite(time)) return;
+            selected.time = roundTime(time);
+            commit();
+            options.onSeek(selected.time);
+        });
+
+        elements.id.addEventListener('input', () => {
+            if (!selected) return;
+            const id = elements.id.value.trim();
+            if (id) selected.id = id;
+            else delete selected.id;
+            commit({ keepForm: true });
+        });
+
+        elements.type.addEventListener('change', () => {
+            if (!selected) return;
+            const type = elements.type.value;
+            if (type === 'single') {
+                delete selected.type;
+                delete selected.partialCredit;
+                // Opción única: solo la primera de las marcadas sigue siendo correcta
+                let found = false;
+                (selected.answers || []).forEach(answer => {
+                    answer.correct = answer.correct === true && !found;
+                    if (answer.correct) found = true;
+                });
+            } else {
+                selected.type = type;
+            }
+            commit();
+        });
+
+        elements.question.addEventListener('input', () => {
+            if (!selected) return;
+            selected.question = setText(selected.question, elements.question.value);
+            commit({ keepForm: true });
+        });
+
+        elements.randomize.addEventListener('change', () => {
+            if (!selected) return;
+            if (elements.randomize.checked) selected.randomize = true;
+            else delete selected.randomize;
+            commit({ keepForm: true });
+        });
+
+        elements.addAnswer.addEventListener('click', () => {
+            if (!selected) return;
+            selected.answers = selected.answers || [];
+            selected.answers.push({ text: '', correct: false });
+            commit();
+            const inputs = elements.answers.querySelectorAll('input[type="text"]');
+            if (inputs.length > 0) inputs[inputs.length - 1].focus();
+        });
+
+        elements.preview.addEventListener('click', () => {
+            if (selected) options.onPreview(selected);
+        });
+
+        elements.remove.addEventListener('click', () => {
+            if (!selected || !global.confirm(t('authoring_delete_confirm'))) return;
+            questions = questions.filter(question => question !== selected);
+            selected = null;
+            commit();
+        });
+
+        elements.form.addEventListener('submit', event => event.preventDefault());
+
+        elements.download.addEventListener('click', () => {
+            if (!renderMessages().valid) {
+                elements.messages.focus();
+                return;
+            }
+            options.download('questions.json', toJson(questions));
+            dirty = false;
+        });
+
+        return {
+            /**
+             * Carga las preguntas que se van a editar (se copian).
+             * @param {Array} list Preguntas tal como están en el archivo.
+             */
+            setQuestions(list) {
+                questions = sortQuestions(JSON.parse(JSON.stringify(list)));
+                selected = null;
+                dirty = false;
+                root.hidden = false;
+                options.onChange(questions);
+                renderList();
+                renderMarkers();
+                renderMessages();
+                renderForm();
+            },
+            getQuestions: () => questions,
+            renderMarkers,
+            /**
+             * Vuelve a dibujar el panel (al cambiar de idioma o cargar la transcripción).
+             */
+            refresh() {
+                renderList();
+                renderMarkers();
+                renderMessages();
+                renderForm();
+            },
+            isDirty: () => dirty
+        };
+    }
+
+    const api = {
+        EDIT_URL_PARAM,
+        EDITABLE_TYPES,
+        isEditMode,
+        roundTime,
+        setLocalizedText,
+        createQuestion,
+        sortQuestions,
+        toJson,
+        createAuthoringPanel
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Authoring = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,258 @@
+// --- Ramificaciones (goTo) ---
+// Cada opción de una pregunta de opción única o múltiple puede indicar con `goTo`
+// adónde lleva cuando la pregunta queda resuelta (acertada o sin intentos):
+//
+//   "goTo": 95             Un segundo del vídeo: se salta ahí y la siguiente pregunta
+//                          es la primera pendiente desde ese instante.
+//   "goTo": "conclusion"   El id de una pregunta: se salta a su instante y se plantea
+//                          (aunque ya se hubiera respondido). Con el id de un grupo de
+//                          variantes (ver js/question-pools.js) se plantea la primera
+//                          variante sorteada.
+//
+// Sin `goTo` se sigue en orden. Las preguntas pendientes que quedan atrás al saltar
+// hacia delante no forman parte del recorrido del alumno: se registran como
+// `bypassed` (no puntúan ni aparecen en la revisión). Si un salto hacia atrás
+// vuelve a pasar por ellas, vuelven a estar pendientes; las ya respondidas no se
+// repiten, salvo con `navigation.retriggerAnswered`.
+//
+// analyzeBranches revisa el grafo de saltos al validar questions.json: destinos
+// que no existen, preguntas a las que no lleva ningún camino y ciclos.
+
+(function (global) {
+    'use strict';
+
+    const BRANCHING_TYPES = ['single', 'multiple'];
+
+    /**
+     * Convierte un `goTo` en el punto del vídeo al que lleva.
+     * @param {Array} questions Las preguntas, ordenadas por tiempo.
+     * @param {number|string} goTo Segundo del vídeo o id de una pregunta (o de un grupo).
+     * @returns {{index: number, time: number, isQuestion: boolean}|null} `index` es la
+     *   primera pregunta desde el destino (questions.length si no hay más); null si el
+     *   destino no es válido.
+     */
+    function resolveTarget(questions, goTo) {
+        if (typeof goTo === 'string') {
+            const index = questions.findIndex(question => question.id === goTo || question.poolId === goTo);
+            return index === -1 ? null : { index, time: questions[index].time, isQuestion: true };
+        }
+        if (typeof goTo === 'number' && Number.isFinite(goTo) && goTo >= 0) {
+            const index = questions.findIndex(question => question.time >= goTo);
+            return { index: index === -1 ? questions.length : index, time: goTo, isQuestion: false };
+        }
+        return null;
+    }
+
+    /**
+     * Indica si una pregunta está pendiente según su entrada en userAnswers.
+     * @param {object|undefined} entry
+     * @param {boolean} retriggerAnswered Si las ya respondidas se vuelven a plantear.
+     * @returns {boolean}
+     */
+    function isPending(entry, retriggerAnswered) {
+        return !entry || !entry.completed || (retriggerAnswered === true && !entry.bypassed);
+    }
+
+    /**
+     * Siguiente pregunta del recorrido cuando la actual no salta a ningún sitio.
+     * @param {Array} questions Las preguntas, ordenadas por tiempo.
+     * @param {Array} answers Entradas de userAnswers.
+     * @param {number} fromIndex Pregunta que se acaba de resolver.
+     * @param {object} [options] Sección `navigation` de la configuración.
+     * @returns {number} questions.length si no quedan preguntas.
+     */
+    function findNextIndex(questions, answers, fromIndex, options = {}) {
+        let index = fromIndex + 1;
+        while (index < questions.length &&
+            !isPending(answers.find(answer => answer.questionIndex === index), options.retriggerAnswered)) {
+            index++;
+        }
+        return index;
+    }
+
+    /**
+     * Calcula el efecto de saltar desde una pregunta resuelta.
+     * @param {Array} questions Las preguntas, ordenadas por tiempo.
+     * @param {Array} answers Entradas de userAnswers.
+     * @param {number} fromIndex Pregunta que se acaba de resolver.
+     * @param {object} target Destino (ver resolveTarget).
+     * @param {object} [options] Sección `navigation` de la configuración.
+     * @returns {{nextIndex: number, bypass: number[], restore: number[]}} La siguiente
+     *   pregunta, las pendientes que quedan fuera del recorrido y las que estaban fuera
+     *   y vuelven a estar pendientes.
+     */
+    function planJump(questions, answers, fromIndex, target, options = {}) {
+        const entryOf = index => answers.find(answer => answer.questionIndex === index);
+        const restore = [];
+        questions.forEach((question, index) => {
+            const entry = entryOf(index);
+            if (index !== fromIndex && question.time >= target.time && entry && entry.bypassed) restore.push(index);
+        });
+
+        let nextIndex = target.index;
+        if (!target.isQuestion) {
+            // La pregunta que salta no se vuelve a plantear aunque quede por delante
+            while (nextIndex < questions.length && (nextIndex === fromIndex ||
+                !(restore.includes(nextIndex) || isPending(entryOf(nextIndex), options.retriggerAnswered)))) {
+                nextIndex++;
+            }
+        }
+
+        const bypass = [];
+        for (let index = fromIndex + 1; index < nextIndex; index++) {
+            const entry = entryOf(index);
+            if (!entry || !entry.completed) bypass.push(index);
+        }
+        return { nextIndex, bypass, restore };
+    }
+
+    /**
+     * Posición en el recorrido del alumno: preguntas ya superadas y total de
+     * preguntas del recorrido (sin las que quedaron fuera).
+     * @param {Array} questions Las preguntas, ordenadas por tiempo.
+     * @param {Array} answers Entradas de userAnswers.
+     * @param {number} nextIndex Siguiente pregunta pendiente.
+     * @returns {{done: number, total: number}}
+     */
+    function getPathProgress(questions, answers, nextIndex) {
+        const bypassed = answers.filter(answer => answer.bypassed);
+        const done = Math.min(nextIndex, questions.length) - bypassed.filter(answer => answer.questionIndex < nextIndex).length;
+        return { done, total: questions.length - bypassed.length };
+    }
+
+    // --- Análisis para el validador ---
+
+    /**
+     * Revisa los saltos de un conjunto de preguntas.
+     * @param {Array} questions Las preguntas (en cualquier orden; se recorren por tiempo).
+     * @returns {{unknownTargets: Array<{index: number, answerIndex: number, goTo: string}>,
+     *   unreachable: number[], cycles: Array<{indices: number[], closed: boolean}>}}
+     *   Índices de `questions`. Un ciclo `closed` no tiene salida: el alumno nunca
+     *   llegaría al final.
+     */
+    function analyzeBranches(questions) {
+        const order = questions.map((question, index) => index).sort((a, b) => questions[a].time - questions[b].time);
+        const end = order.length; // Nodo final: no quedan preguntas
+        const positionOf = index => order.indexOf(index);
+        const firstFrom = time => {
+            const position = order.findIndex(index => questions[index].time >= time);
+            return position === -1 ? end : position;
+        };
+        const unknownTargets = [];
+        // reach: todo lo que un salto puede volver a plantear. loop: solo los caminos que
+        // repiten preguntas respondidas (un salto atrás en el tiempo no las repite)
+        const reach = order.map(() => new Set());
+        const loop = order.map(() => new Set());
+        let hasBranches = false;
+
+        order.forEach((index, position) => {
+            const question = questions[index];
+            const answers = BRANCHING_TYPES.includes(question.type || 'single') && Array.isArray(question.answers)
+                ? question.answers : [];
+            let linear = answers.length === 0;
+            answers.forEach((answer, answerIndex) => {
+                const goTo = answer && typeof answer === 'object' ? answer.goTo : undefined;
+                if (goTo === undefined) {
+                    linear = true;
+                    return;
+                }
+                hasBranches = true;
+                if (typeof goTo === 'string') {
+                    const targetIndex = questions.findIndex(other => other && other.id === goTo);
+                    if (targetIndex === -1) {
+                        unknownTargets.push({ index, answerIndex, goTo });
+                        return;
+                    }
+                    reach[position].add(positionOf(targetIndex));
+                    loop[position].add(positionOf(targetIndex));
+                } else if (typeof goTo === 'number' && Number.isFinite(goTo) && goTo >= 0) {
+                    if (goTo > question.time) {
+                        reach[position].add(firstFrom(goTo));
+                        loop[position].add(firstFrom(goTo));
+                    } else {
+                        // Hacia atrás: vuelven a estar pendientes las que quedaron fuera desde ese instante
+                        for (let other = firstFrom(goTo); other < end; other++) {
+                            if (other !== position) reach[position].add(other);
+                        }
+                        loop[position].add(position + 1);
+                    }
+                }
+            });
+            if (linear) {
+                reach[position].add(position + 1);
+                loop[position].add(position + 1);
+            }
+        });
+
+        if (!hasBranches || order.length === 0) return { unknownTargets, unreachable: [], cycles: [] };
+
+        // Preguntas alcanzables desde la primera
+        const visited = new Set([0]);
+        const pending = [0];
+        while (pending.length > 0) {
+            const position = pending.pop();
+            if (position === end) continue;
+            reach[position].forEach(next => {
+                if (!visited.has(next)) {
+                    visited.add(next);
+                    pending.push(next);
+                }
+            });
+        }
+        const unreachable = order.filter((index, position) => !visited.has(position));
+
+        // Ciclos: componentes fuertemente conexas (Tarjan) con más de una pregunta o un bucle propio
+        const cycles = [];
+        const indexOf = new Map();
+        const lowLink = new Map();
+        const stack = [];
+        let counter = 0;
+        const connect = position => {
+            indexOf.set(position, counter);
+            lowLink.set(position, counter);
+            counter++;
+            stack.push(position);
+            loop[position].forEach(next => {
+                if (next === end) return;
+                if (!indexOf.has(next)) {
+                    connect(next);
+                    lowLink.set(position, Math.min(lowLink.get(position), lowLink.get(next)));
+                } else if (stack.includes(next)) {
+                    lowLink.set(position, Math.min(lowLink.get(position), indexOf.get(next)));
+                }
+            });
+            if (lowLink.get(position) !== indexOf.get(position)) return;
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                component.push(member);
+            } while (member !== position);
+            if (component.length > 1 || loop[position].has(position)) {
+                const closed = component.every(inside => [...loop[inside]].every(next => component.includes(next)));
+                cycles.push({ indices: component.sort((a, b) => a - b).map(inside => order[inside]), closed });
+            }
+        };
+        order.forEach((index, position) => {
+            if (!indexOf.has(position)) connect(position);
+        });
+
+        return { unknownTargets, unreachable, cycles };
+    }
+
+    const api = {
+        BRANCHING_TYPES,
+        resolveTarget,
+        isPending,
+        findNextIndex,
+        planJump,
+        getPathProgress,
+        analyzeBranches
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Branching = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,227 @@
+// --- Subtítulos y transcripción ---
+// Lee subtítulos WebVTT o SRT (los vídeos de NotebookLM siempre tienen transcripción)
+// para relacionar cada pregunta con lo que se dice antes de ella:
+//
+//   - Avisa de las preguntas cuyo `time` cae a mitad de una frase: el vídeo se
+//     pararía cortando al narrador.
+//   - Propone el final de frase más cercano (el final de un subtítulo que termina en
+//     . ? ! o …) para ajustar el tiempo.
+//   - Extrae el fragmento de la transcripción entre la pregunta anterior y la actual,
+//     que se muestra en el modo de edición y en la revisión.
+//   - El panel de transcripción (js/transcript-panel.js) la muestra completa.
+//
+// El archivo se indica con `transcript` en config.json o en cada vídeo de course.json:
+// una ruta, o un objeto con una ruta por idioma ({ "es": "…es.vtt", "en": "…en.vtt" }).
+// Sin él se usa la pista de subtítulos del reproductor html5 (`player.tracks`).
+// tools/caption-checkpoints.js hace las mismas comprobaciones desde la línea de comandos.
+
+(function (global) {
+    'use strict';
+
+    // Margen (s) para considerar que un tiempo coincide con el final de un subtítulo
+    const TIME_TOLERANCE = 0.3;
+    // Final de frase, con comillas o paréntesis de cierre opcionales
+    const SENTENCE_END = /[.!?…][»"'”’)\]]*$/;
+
+    const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+
+    /**
+     * Convierte un tiempo de subtítulo a segundos.
+     * @param {string} text Ej. "00:01:02.500" (WebVTT), "01:02.500" o "00:01:02,500" (SRT).
+     * @returns {number} NaN si no es válido.
+     */
+    function parseCueTime(text) {
+        const match = String(text).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+        if (!match) return NaN;
+        const [, hours, minutes, seconds, fraction] = match;
+        return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+    }
+
+    /**
+     * Texto de una línea de subtítulo sin etiquetas (<v Ana>, <i>, <00:00:01.000>,
+     * {\an8}) ni entidades.
+     * @param {string} line
+     * @returns {string}
+     */
+    function cleanCueLine(line) {
+        return line
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&([a-z]+);/gi, (match, name) => (Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match))
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Analiza un archivo de subtítulos WebVTT o SRT.
+     * Las líneas que repiten la última del subtítulo anterior (subtítulos automáticos
+     * de YouTube, que "ruedan") se descartan para no duplicar el texto.
+     * @param {string} text El contenido del archivo.
+     * @returns {Array<{start: number, end: number, text: string}>} Los subtítulos por orden.
+     */
+    function parseCaptions(text) {
+        const cues = [];
+        let previousLine = null;
+        String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).forEach(block => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+            const [startText, endText] = lines[timingIndex].split('-->');
+            const start = parseCueTime(startText);
+            const end = parseCueTime(endText.trim().split(/\s+/)[0]);
+            if (!isFinite(start) || !isFinite(end)) return;
+
+            const cueLines = lines.slice(timingIndex + 1).map(cleanCueLine).filter(Boolean);
+            if (cueLines.length > 0 && cueLines[0] === previousLine) cueLines.shift();
+            if (cueLines.length === 0) return;
+            previousLine = cueLines[cueLines.length - 1];
+            cues.push({ start, end, text: cueLines.join(' ') });
+        });
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * @param {string} text
+     * @returns {boolean} Si el texto termina una frase.
+     */
+    function isSentenceEnd(text) {
+        return SENTENCE_END.test(text.trim());
+    }
+
+    /**
+     * Último subtítulo que ya ha empezado en un instante.
+     * @param {Array} cues
+     * @param {number} time
+     * @returns {object|null}
+     */
+    function findCueBefore(cues, time) {
+        let found = null;
+        cues.forEach(cue => {
+            if (cue.start + TIME_TOLERANCE < time) found = cue;
+        });
+        return found;
+    }
+
+    /**
+     * Indica si en un instante se está a mitad de una frase: dentro de un subtítulo, o
+     * tras uno que no termina la frase cuando aún quedan subtítulos.
+     * @param {Array} cues Subtítulos de parseCaptions.
+     * @param {number} time
+     * @returns {boolean}
+     */
+    function isMidSentence(cues, time) {
+        const cue = findCueBefore(cues, time);
+        if (!cue) return false;
+        if (time < cue.end - TIME_TOLERANCE) return true;
+        return !isSentenceEnd(cue.text) && cue !== cues[cues.length - 1];
+    }
+
+    /**
+     * Final de la frase que se está diciendo en un instante, redondeado a décimas. Se
+     * prefiere el siguiente final de frase para que la pregunta no se adelante a lo que
+     * pregunta; si no queda ninguno, el anterior. Si ningún subtítulo termina una frase,
+     * se usan los finales de subtítulo.
+     * @param {Array} cues Subtítulos de parseCaptions.
+     * @param {number} time
+     * @returns {number|null} null si no hay subtítulos.
+     */
+    function snapTime(cues, time) {
+        const sentenceEnds = cues.filter(cue => isSentenceEnd(cue.text));
+        const candidates = (sentenceEnds.length > 0 ? sentenceEnds : cues).map(cue => cue.end);
+        if (candidates.length === 0) return null;
+        const next = candidates.find(end => end >= time - TIME_TOLERANCE);
+        const snapped = next !== undefined ? next : candidates[candidates.length - 1];
+        return Math.round(snapped * 10) / 10;
+    }
+
+    /**
+     * Texto que se dice entre dos instantes (los subtítulos que se solapan con el tramo).
+     * @param {Array} cues Subtítulos de parseCaptions.
+     * @param {number} from Inicio del tramo (la pregunta anterior, o 0).
+     * @param {number} to Fin del tramo (la pregunta).
+     * @param {number} [maxLength] Si el texto es más largo, se conserva el final (lo más
+     *   cercano a la pregunta) precedido de "…".
+     * @returns {string} '' si no se dice nada.
+     */
+    function getExcerpt(cues, from, to, maxLength = Infinity) {
+        const text = cues
+            .filter(cue => cue.end > from + TIME_TOLERANCE && cue.start + TIME_TOLERANCE < to)
+            .map(cue => cue.text)
+            .join(' ');
+        if (text.length <= maxLength) return text;
+        const tail = text.slice(text.length - maxLength);
+        return `… ${tail.slice(tail.indexOf(' ') + 1)}`;
+    }
+
+    /**
+     * Formatea segundos como m:ss (con décimas si las hay).
+     * @param {number} seconds
+     * @returns {string}
+     */
+    function formatCueTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.round((seconds - minutes * 60) * 10) / 10;
+        return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+    }
+
+    /**
+     * Avisos de las preguntas que caen a mitad de una frase, con la forma de los
+     * mensajes del validador (ver QuestionValidator.formatMessage).
+     * @param {Array} questions Preguntas de questions.json, en el orden del archivo.
+     * @param {Array} cues Subtítulos de parseCaptions.
+     * @returns {Array<{level: string, path: string, line: null, message: string, snapTo: number}>}
+     */
+    function checkQuestionTimes(questions, cues) {
+        const warnings = [];
+        questions.forEach((question, index) => {
+            if (typeof question.time !== 'number' || !isMidSentence(cues, question.time)) return;
+            const snapTo = snapTime(cues, question.time);
+            warnings.push({
+                level: 'warning',
+                path: `[${index}].time`,
+                line: null,
+                message: `La pregunta aparece a mitad de una frase (${formatCueTime(question.time)}); ` +
+                    `muévela al final de la frase, en ${formatCueTime(snapTo)} (${snapTo} s).`,
+                snapTo
+            });
+        });
+        return warnings;
+    }
+
+    /**
+     * Archivo de transcripción para un idioma.
+     * @param {string|object|undefined} transcript `transcript` de la configuración.
+     * @param {Array|undefined} tracks `player.tracks` (pistas { src, srclang }).
+     * @param {string} lang
+     * @param {string} defaultLanguage
+     * @returns {string|null}
+     */
+    function resolveTranscriptSource(transcript, tracks, lang, defaultLanguage) {
+        if (typeof transcript === 'string') return transcript;
+        if (transcript && typeof transcript === 'object') {
+            return transcript[lang] || transcript[defaultLanguage] || transcript[Object.keys(transcript)[0]] || null;
+        }
+        if (!Array.isArray(tracks) || tracks.length === 0) return null;
+        const track = tracks.find(item => item.srclang === lang) || tracks.find(item => item.srclang === defaultLanguage) || tracks[0];
+        return track.src || null;
+    }
+
+    const api = {
+        TIME_TOLERANCE,
+        parseCueTime,
+        parseCaptions,
+        isSentenceEnd,
+        isMidSentence,
+        snapTime,
+        getExcerpt,
+        formatCueTime,
+        checkQuestionTimes,
+        resolveTranscriptSource
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Captions = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
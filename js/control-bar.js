@@ -0,0 +1,291 @@
+// --- Barra de controles del reproductor ---
+// El vídeo se inserta sin controles nativos (controls=0 en YouTube), así que esta
+// barra, bajo el vídeo, ofrece reproducir/pausar, el tiempo, una barra de
+// desplazamiento con las marcas de los checkpoints, volumen, velocidad,
+// subtítulos y pantalla completa.
+//
+// El marcado está en index.html: cada control se identifica con `data-control`
+// (play, time, seek, markers, mute, volume, speed, captions, fullscreen). Los
+// controles que el adaptador no admita (ver js/player-adapters.js) se ocultan.
+//
+// La pantalla completa se pide sobre el contenedor del vídeo y la barra (no sobre
+// el iframe), de modo que el overlay de las preguntas sigue visible.
+//
+// Mientras hay una pregunta en pantalla (setDisabled(true)) no se puede reproducir,
+// saltar ni cambiar la velocidad.
+
+(function (global) {
+    'use strict';
+
+    const PlayerAdapters = typeof module !== 'undefined' && module.exports
+        ? require('./player-adapters.js') : global.PlayerAdapters;
+
+    const DEFAULT_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+    const REFRESH_INTERVAL = 250; // ms entre actualizaciones del tiempo mientras se reproduce
+
+    /**
+     * Crea la barra de controles.
+     * @param {HTMLElement} root Elemento de la barra (contiene los `data-control`).
+     * @param {object} options
+     * @param {HTMLElement} options.fullscreenTarget Elemento que pasa a pantalla completa.
+     * @param {function(string, object=): string} options.t Traduce una clave de locales/*.json.
+     * @param {function(number): string} options.formatTime Formatea segundos (ej. 1:05).
+     * @param {function()} [options.onTogglePlayback] Reproducir o pausar (por defecto,
+     *   llama a play/pause del adaptador).
+     * @param {function(number)} [options.onSeek] Salto pedido por el usuario (por
+     *   defecto, seekTo del adaptador).
+     * @param {function(): string} [options.getLanguage] Idioma preferido de los subtítulos.
+     * @param {number[]} [options.speeds] Velocidades disponibles.
+     * @returns {object} La barra { attach, update, setCheckpoints, setDisabled, refreshLabels }.
+     */
+    function createControlBar(root, options) {
+        const doc = root.ownerDocument;
+        const control = name => root.querySelector(`[data-control="${name}"]`);
+        const elements = {
+            play: control('play'),
+            time: control('time'),
+            seek: control('seek'),
+            markers: control('markers'),
+            mute: control('mute'),
+            volume: control('volume'),
+            speed: control('speed'),
+            captions: control('captions'),
+            fullscreen: control('fullscreen')
+        };
+        const t = options.t;
+        const speeds = options.speeds || DEFAULT_SPEEDS;
+        const getLanguage = options.getLanguage || (() => undefined);
+
+        let player = null;
+        let disabled = false;
+        let dragging = false; // El usuario está arrastrando la barra de desplazamiento
+        let checkpoints = [];
+        let renderedDuration = 0; // Duración con la que se colocaron las marcas
+        let refreshTimer = null;
+
+        const isPlaying = () => player && player.getState() === PlayerAdapters.PlayerState.PLAYING;
+        const supports = method => player && typeof player[method] === 'function';
+        const setIcon = (button, icon) => {
+            const iconElement = button.querySelector('i');
+            if (iconElement) iconElement.className = `fas ${icon}`;
+        };
+        const setLabel = (element, label) => {
+            element.setAttribute('aria-label', label);
+            element.title = label;
+        };
+
+        function renderSpeedOptions() {
+            const selected = player ? player.getPlaybackRate() : 1;
+            elements.speed.replaceChildren(...speeds.map(rate => {
+                const option = doc.createElement('option');
+                option.value = String(rate);
+                option.textContent = t('control_speed_option', { rate });
+                option.selected = rate === selected;
+                return option;
+            }));
+        }
+
+        function renderMarkers() {
+            const duration = player ? player.getDuration() : 0;
+            renderedDuration = duration;
+            elements.markers.replaceChildren();
+            if (!duration) return;
+            checkpoints.filter(checkpoint => checkpoint.time <= duration).forEach(checkpoint => {
+                const marker = doc.createElement('span');
+                marker.className = 'seek-marker';
+                marker.style.left = `${(checkpoint.time / duration) * 100}%`;
+                marker.title = checkpoint.label;
+                elements.markers.appendChild(marker);
+            });
+        }
+
+        /**
+         * Mantiene el tiempo actualizado mientras se reproduce. Es solo para la
+         * interfaz: las preguntas las lanza el planificador de checkpoints.
+         */
+        function updateRefreshTimer() {
+            if (isPlaying() && !refreshTimer) {
+                refreshTimer = setInterval(update, REFRESH_INTERVAL);
+            } else if (!isPlaying() && refreshTimer) {
+                clearInterval(refreshTimer);
+                refreshTimer = null;
+            }
+        }
+
+        function showTime(currentTime, duration) {
+            elements.time.textContent = t('control_time', {
+                current: options.formatTime(currentTime),
+                duration: options.formatTime(duration)
+            });
+        }
+
+        /**
+         * Refleja el estado del reproductor en los controles.
+         */
+        function update() {
+            if (!player) return;
+            const duration = player.getDuration();
+            const currentTime = player.getCurrentTime();
+            if (duration !== renderedDuration) renderMarkers();
+
+            const playing = isPlaying();
+            setIcon(elements.play, playing ? 'fa-pause' : 'fa-play');
+            setLabel(elements.play, t(playing ? 'control_pause' : 'control_play'));
+
+            elements.seek.max = String(duration || 0);
+            if (!dragging) {
+                elements.seek.value = String(currentTime);
+                elements.seek.setAttribute('aria-valuetext', options.formatTime(currentTime));
+                showTime(currentTime, duration);
+            }
+
+            if (supports('isMuted')) {
+                const muted = player.isMuted();
+                setIcon(elements.mute, muted ? 'fa-volume-xmark' : 'fa-volume-high');
+                setLabel(elements.mute, t(muted ? 'control_unmute' : 'control_mute'));
+                elements.volume.value = String(muted ? 0 : player.getVolume());
+            }
+            elements.speed.value = String(player.getPlaybackRate());
+
+            const hasCaptions = supports('hasCaptions') && player.hasCaptions();
+            elements.captions.hidden = !hasCaptions;
+            if (hasCaptions) {
+                elements.captions.setAttribute('aria-pressed', String(player.areCaptionsEnabled()));
+            }
+
+            updateRefreshTimer();
+        }
+
+        /**
+         * Conecta la barra con el reproductor (cuando está listo).
+         * @param {object} adapter Adaptador del reproductor.
+         */
+        function attach(adapter) {
+            player = adapter;
+            elements.mute.hidden = !supports('setMuted');
+            elements.volume.hidden = !supports('setVolume');
+            elements.fullscreen.hidden = !doc.fullscreenEnabled;
+            renderSpeedOptions();
+            root.hidden = false;
+            update();
+        }
+
+        /**
+         * Marcas de los checkpoints en la barra de desplazamiento.
+         * @param {Array<{time: number, label: string}>} list
+         */
+        function setCheckpoints(list) {
+            checkpoints = list;
+            renderMarkers();
+        }
+
+        /**
+         * Bloquea los controles que cambian el tiempo del vídeo (mientras hay una pregunta).
+         * @param {boolean} value
+         */
+        function setDisabled(value) {
+            disabled = value;
+            [elements.play, elements.seek, elements.speed].forEach(element => {
+                element.disabled = value;
+            });
+            root.classList.toggle('is-disabled', value);
+        }
+
+        /**
+         * Vuelve a traducir los textos generados por la barra (al cambiar de idioma).
+         */
+        function refreshLabels() {
+            setLabel(elements.fullscreen, t(doc.fullscreenElement ? 'control_exit_fullscreen' : 'control_fullscreen'));
+            if (!player) return;
+            renderSpeedOptions();
+            update();
+        }
+
+        // --- Eventos ---
+
+        elements.play.addEventListener('click', () => {
+            if (disabled || !player) return;
+            if (options.onTogglePlayback) options.onTogglePlayback();
+            else if (isPlaying()) player.pause();
+            else player.play();
+            update();
+        });
+
+        // Mientras se arrastra solo se actualiza el tiempo mostrado; el salto se hace al soltar
+        elements.seek.addEventListener('input', () => {
+            dragging = true;
+            const time = Number(elements.seek.value);
+            elements.seek.setAttribute('aria-valuetext', options.formatTime(time));
+            showTime(time, player ? player.getDuration() : 0);
+        });
+        elements.seek.addEventListener('change', () => {
+            dragging = false;
+            if (disabled || !player) return;
+            const time = Number(elements.seek.value);
+            if (options.onSeek) options.onSeek(time);
+            else player.seekTo(time);
+            update();
+        });
+
+        elements.mute.addEventListener('click', () => {
+            if (!supports('setMuted')) return;
+            player.setMuted(!player.isMuted());
+            update();
+        });
+        elements.volume.addEventListener('input', () => {
+            if (!supports('setVolume')) return;
+            const volume = Number(elements.volume.value);
+            player.setVolume(volume);
+            if (supports('setMuted')) player.setMuted(volume === 0);
+            update();
+        });
+
+        elements.speed.addEventListener('change', () => {
+            if (disabled || !player) return;
+            player.setPlaybackRate(Number(elements.speed.value));
+        });
+
+        elements.captions.addEventListener('click', () => {
+            if (!supports('setCaptionsEnabled')) return;
+            player.setCaptionsEnabled(!player.areCaptionsEnabled(), getLanguage());
+            update();
+        });
+
+        elements.fullscreen.addEventListener('click', () => {
+            if (doc.fullscreenElement) {
+                doc.exitFullscreen();
+            } else {
+                const request = options.fullscreenTarget.requestFullscreen();
+                if (request && request.catch) {
+                    request.catch(error => console.warn('No se pudo activar la pantalla completa:', error));
+                }
+            }
+        });
+        doc.addEventListener('fullscreenchange', () => {
+            const active = doc.fullscreenElement === options.fullscreenTarget;
+            setIcon(elements.fullscreen, active ? 'fa-compress' : 'fa-expand');
+            setLabel(elements.fullscreen, t(active ? 'control_exit_fullscreen' : 'control_fullscreen'));
+        });
+
+        refreshLabels();
+
+        return {
+            attach,
+            update,
+            setCheckpoints,
+            setDisabled,
+            refreshLabels
+        };
+    }
+
+    const api = {
+        DEFAULT_SPEEDS,
+        createControlBar
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.ControlBar = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
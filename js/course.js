@@ -0,0 +1,139 @@
+// --- Curso: varios vídeos con su propio conjunto de preguntas ---
+// El manifiesto (course.json) lista los vídeos del curso:
+//
+//   {
+//     "title": "Desarrollo de software",
+//     "videos": [
+//       {
+//         "id": "ciclo-de-vida",                 Identificador estable (URL y progreso)
+//         "title": "El ciclo de vida",
+//         "player": { "provider": "youtube", "videoId": "UFX20f2VqjI" },
+//         "questions": "questions.json",         Archivo de preguntas del vídeo
+//         "transcript": "ciclo-de-vida.es.vtt"   Subtítulos (opcional, ver js/captions.js)
+//       }
+//     ]
+//   }
+//
+// El vídeo se elige con el parámetro de URL `?video=<id>`; sin él se usa el primero.
+
+(function (global) {
+    'use strict';
+
+    const Scoring = typeof module !== 'undefined' && module.exports ? require('./scoring.js') : global.Scoring;
+
+    const VIDEO_URL_PARAM = 'video';
+
+    /**
+     * Comprueba la estructura del manifiesto.
+     * @param {*} manifest El contenido de course.json.
+     * @returns {string[]} Lista de errores (vacía si es válido).
+     */
+    function validateManifest(manifest) {
+        const errors = [];
+        if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.videos)) {
+            return ["El manifiesto debe tener una lista 'videos'."];
+        }
+        if (manifest.videos.length === 0) {
+            errors.push('El curso no contiene vídeos.');
+        }
+        const seenIds = new Set();
+        manifest.videos.forEach((video, index) => {
+            const label = `videos[${index}]`;
+            if (!video || typeof video.id !== 'string' || video.id.trim() === '') {
+                errors.push(`${label}: falta el 'id' del vídeo.`);
+                return;
+            }
+            if (seenIds.has(video.id)) {
+                errors.push(`${label}: el id '${video.id}' está repetido.`);
+            }
+            seenIds.add(video.id);
+            if (typeof video.questions !== 'string' || video.questions.trim() === '') {
+                errors.push(`${label}: falta la ruta del archivo de preguntas ('questions').`);
+            }
+            if (!video.player || typeof video.player !== 'object') {
+                errors.push(`${label}: falta la configuración del reproductor ('player').`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Elige el vídeo indicado en la URL (o el primero del curso).
+     * @param {object} manifest El manifiesto del curso.
+     * @param {string} search La query string de la página (location.search).
+     * @returns {object} El vídeo seleccionado.
+     */
+    function resolveCurrentVideo(manifest, search) {
+        const requestedId = new URLSearchParams(search).get(VIDEO_URL_PARAM);
+        const video = manifest.videos.find(item => item.id === requestedId);
+        if (requestedId && !video) {
+            console.warn(`El vídeo '${requestedId}' no existe en el curso. Mostrando el primero.`);
+        }
+        return video || manifest.videos[0];
+    }
+
+    /**
+     * URL para abrir un vídeo del curso conservando el resto de parámetros.
+     * @param {string} videoId El id del vídeo.
+     * @param {string} search La query string actual.
+     * @returns {string} La nueva query string (ej. "?video=intro").
+     */
+    function buildVideoUrl(videoId, search) {
+        const params = new URLSearchParams(search);
+        params.set(VIDEO_URL_PARAM, videoId);
+        return `?${params.toString()}`;
+    }
+
+    /**
+     * Suma los resultados de todos los vídeos del curso.
+     * @param {Array<{video: object, questions: Array, answers: Array}>} entries Por cada
+     *   vídeo, sus preguntas y las respuestas guardadas del alumno.
+     * @param {object} scoringOptions Opciones de puntuación (ver js/scoring.js).
+     * @returns {{videos: Array, course: object}} Resultado de cada vídeo y del curso completo.
+     */
+    function aggregateCourseResults(entries, scoringOptions) {
+        const videos = entries.map(entry => {
+            const result = Scoring.computeFinalResult(entry.questions, entry.answers, scoringOptions);
+            // Las preguntas que quedaron fuera del recorrido (ver js/branching.js) no se cuentan
+            const pathAnswers = entry.answers.filter(answer => !answer.bypassed);
+            const questionCount = entry.questions.length - (entry.answers.length - pathAnswers.length);
+            const answeredCount = pathAnswers.filter(answer => answer.completed || answer.isCorrect).length;
+            return {
+                id: entry.video.id,
+                title: entry.video.title || entry.video.id,
+                questionCount,
+                answeredCount,
+                started: entry.answers.length > 0,
+                completed: entry.questions.length > 0 && answeredCount >= questionCount,
+                ...result
+            };
+        });
+        // `questionIndex` es la posición dentro de cada vídeo: al juntar las listas se
+        // desplaza para que siga apuntando a su pregunta (y las fuera del recorrido se
+        // descuenten del vídeo correcto)
+        const allQuestions = [];
+        const allAnswers = [];
+        entries.forEach(entry => {
+            const offset = allQuestions.length;
+            allQuestions.push(...entry.questions);
+            allAnswers.push(...entry.answers.map(answer => ({ ...answer, questionIndex: answer.questionIndex + offset })));
+        });
+        const course = Scoring.computeFinalResult(allQuestions, allAnswers, scoringOptions);
+        course.completed = videos.every(video => video.completed);
+        return { videos, course };
+    }
+
+    const api = {
+        VIDEO_URL_PARAM,
+        validateManifest,
+        resolveCurrentVideo,
+        buildVideoUrl,
+        aggregateCourseResults
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Course = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
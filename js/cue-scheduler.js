@@ -0,0 +1,213 @@
+// --- Planificador de checkpoints (cue scheduler) ---
+// Sustituye la comprobación periódica cada 500 ms: calcula cuánto falta para el
+// siguiente checkpoint según el tiempo del vídeo y la velocidad de reproducción y
+// programa un único temporizador para ese instante.
+//
+// Estados:
+//   idle      Vídeo parado (pausa, buffering inicial, final...). Sin temporizador.
+//   playing   Vídeo en reproducción. Hay un temporizador hasta el siguiente checkpoint
+//             (o hasta `maxInterval`, para detectar saltos y retrocesos del usuario).
+//   question  Hay una pregunta en pantalla. Sin temporizador.
+//   review    Se muestra la revisión final. Sin temporizador.
+//
+// El reloj es inyectable ({ now, setTimeout, clearTimeout }) para poder probarlo
+// con un reloj y un reproductor simulados.
+
+(function (global) {
+    'use strict';
+
+    const STATES = Object.freeze({
+        IDLE: 'idle',
+        PLAYING: 'playing',
+        QUESTION: 'question',
+        REVIEW: 'review'
+    });
+
+    // Transiciones permitidas: estado actual -> estados de destino
+    const TRANSITIONS = {
+        idle: ['playing', 'question', 'review'],
+        playing: ['idle', 'question', 'review'],
+        question: ['idle', 'review'],
+        review: ['idle']
+    };
+
+    const DEFAULT_MAX_INTERVAL = 1000; // ms entre comprobaciones si no hay checkpoint cercano
+    const CUE_MARGIN = 20; // ms de margen para no despertar justo antes del checkpoint
+
+    const systemClock = {
+        now: () => Date.now(),
+        setTimeout: (callback, delay) => setTimeout(callback, delay),
+        clearTimeout: id => clearTimeout(id)
+    };
+
+    /**
+     * Crea un planificador de checkpoints.
+     * @param {object} options
+     * @param {function(): number} options.getCurrentTime Tiempo actual del vídeo (s).
+     * @param {function(): number} [options.getPlaybackRate] Velocidad de reproducción.
+     * @param {function(): (number|null)} options.getNextCueTime Tiempo del siguiente
+     *   checkpoint pendiente, o null si no queda ninguno.
+     * @param {function(object)} options.onTick Se llama en cada comprobación con
+     *   { previousTime, currentTime, elapsedSeconds, playbackRate }.
+     * @param {function(string, string)} [options.onStateChange] Notifica (nuevo, anterior).
+     * @param {object} [options.clock] Reloj { now, setTimeout, clearTimeout }.
+     * @param {number} [options.maxInterval] Máximo de ms entre comprobaciones.
+     * @returns {object} El planificador.
+     */
+    function createCueScheduler(options) {
+        const clock = options.clock || systemClock;
+        const getPlaybackRate = options.getPlaybackRate || (() => 1);
+        const maxInterval = options.maxInterval || DEFAULT_MAX_INTERVAL;
+        const onStateChange = options.onStateChange || function () {};
+
+        let state = STATES.IDLE;
+        let buffering = false;
+        let timerId = null;
+        let lastTime = 0; // Tiempo del vídeo en la última comprobación
+        let lastCheckAt = clock.now(); // Momento real de la última comprobación
+
+        function clearTimer() {
+            if (timerId !== null) {
+                clock.clearTimeout(timerId);
+                timerId = null;
+            }
+        }
+
+        function transition(newState) {
+            if (newState === state) return true;
+            if (!TRANSITIONS[state].includes(newState)) {
+                console.warn(`Transición no válida del planificador: ${state} -> ${newState}`);
+                return false;
+            }
+            const previousState = state;
+            state = newState;
+            if (state !== STATES.PLAYING) clearTimer();
+            onStateChange(state, previousState);
+            return true;
+        }
+
+        /**
+         * Milisegundos hasta la próxima comprobación. Un checkpoint que ya ha pasado se
+         * comprueba enseguida, salvo que la última comprobación ya lo viera pasado: si
+         * onTick no lo ha atendido, volver a comprobarlo a 0 ms sería un bucle.
+         * @returns {number}
+         */
+        function computeDelay() {
+            const cueTime = options.getNextCueTime();
+            if (cueTime === null || cueTime === undefined) return maxInterval;
+            const rate = getPlaybackRate() || 1;
+            const remaining = ((cueTime - options.getCurrentTime()) / rate) * 1000;
+            if (remaining < 0 && lastTime > cueTime) return maxInterval;
+            return Math.max(0, Math.min(maxInterval, remaining + CUE_MARGIN));
+        }
+
+        function schedule() {
+            clearTimer();
+            if (state !== STATES.PLAYING || buffering) return;
+            timerId = clock.setTimeout(tick, computeDelay());
+        }
+
+        function tick() {
+            timerId = null;
+            if (state !== STATES.PLAYING || buffering) return;
+            const now = clock.now();
+            const currentTime = options.getCurrentTime();
+            const tickInfo = {
+                previousTime: lastTime,
+                currentTime,
+                elapsedSeconds: (now - lastCheckAt) / 1000,
+                playbackRate: getPlaybackRate() || 1
+            };
+            lastTime = currentTime;
+            lastCheckAt = now;
+            options.onTick(tickInfo);
+            // onTick puede haber cambiado el estado (p. ej. a 'question')
+            schedule();
+        }
+
+        return {
+            /** Estado actual ('idle' | 'playing' | 'question' | 'review'). */
+            get state() {
+                return state;
+            },
+            /** Tiempo del vídeo en la última comprobación. */
+            get lastTime() {
+                return lastTime;
+            },
+            /** El vídeo empieza o reanuda la reproducción. */
+            start() {
+                if (state === STATES.QUESTION || state === STATES.REVIEW) return;
+                buffering = false;
+                // El tiempo en pausa no cuenta: un salto hecho en pausa debe detectarse
+                lastCheckAt = clock.now();
+                transition(STATES.PLAYING);
+                schedule();
+            },
+            /** El vídeo se ha pausado o detenido. */
+            stop() {
+                if (state === STATES.PLAYING) transition(STATES.IDLE);
+            },
+            /**
+             * El vídeo está cargando: se suspende el temporizador hasta que continúe.
+             * @param {boolean} isBuffering
+             */
+            setBuffering(isBuffering) {
+                buffering = isBuffering;
+                if (buffering) {
+                    clearTimer();
+                } else {
+                    lastCheckAt = clock.now();
+                    schedule();
+                }
+            },
+            /** Se ha mostrado una pregunta. */
+            enterQuestion() {
+                transition(STATES.QUESTION);
+            },
+            /** Se ha cerrado la pregunta; start() reanuda al volver a reproducir. */
+            leaveQuestion() {
+                if (state === STATES.QUESTION) transition(STATES.IDLE);
+            },
+            /** Se muestra la revisión final. */
+            enterReview() {
+                transition(STATES.REVIEW);
+            },
+            /** Vuelve al estado inicial (reinicio del progreso). */
+            reset() {
+                buffering = false;
+                clearTimer();
+                if (state !== STATES.IDLE) {
+                    const previousState = state;
+                    state = STATES.IDLE;
+                    onStateChange(state, previousState);
+                }
+            },
+            /**
+             * Actualiza la referencia de tiempo tras un salto hecho por el propio script,
+             * para que no se interprete como un salto del usuario.
+             * @param {number} time Nuevo tiempo del vídeo.
+             */
+            sync(time) {
+                lastTime = time;
+                lastCheckAt = clock.now();
+                schedule();
+            },
+            /** Recalcula el temporizador (cambio de velocidad, salto externo...). */
+            reschedule() {
+                schedule();
+            }
+        };
+    }
+
+    const api = {
+        STATES,
+        DEFAULT_MAX_INTERVAL,
+        createCueScheduler
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.CueScheduler = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,204 @@
+// --- Gestor de idiomas ---
+// Carga los textos de la interfaz (locales/<idioma>.json) completando las claves que
+// falten con las del idioma por defecto, y traduce el contenido de las preguntas.
+//
+// En questions.json, `question`, `explanation`, `answers[].text` y `answers[].feedback`
+// pueden ser un texto o un objeto con un texto por idioma:
+//
+//   { "question": { "es": "¿Qué se decide en el Diseño?", "en": "What is decided during Design?" } }
+//
+// Si falta el idioma elegido se usa el idioma por defecto y, si tampoco está, el
+// primero disponible.
+
+(function (global) {
+    'use strict';
+
+    const LANGUAGE_STORAGE_KEY = 'videoInteractive:lang';
+    const LANGUAGE_URL_PARAM = 'lang';
+
+    /**
+     * Crea el gestor de idiomas.
+     * @param {object} options
+     * @param {string} options.path Carpeta de los archivos de idioma (ej. './locales/').
+     * @param {string} options.defaultLanguage Idioma de respaldo (ej. 'es').
+     * @param {function} [options.fetch] Implementación de fetch (para pruebas).
+     * @returns {object} El gestor { language, load }.
+     */
+    function createLocaleManager(options) {
+        const doFetch = options.fetch || ((...args) => global.fetch(...args));
+        const cache = {};
+        let language = options.defaultLanguage;
+
+        /**
+         * Descarga un archivo de idioma (una sola vez).
+         * @param {string} lang
+         * @returns {Promise<object>} Sus textos ({} si no se puede cargar).
+         */
+        async function fetchMessages(lang) {
+            if (!cache[lang]) {
+                cache[lang] = (async () => {
+                    try {
+                        const response = await doFetch(`${options.path}${lang}.json`);
+                        if (!response.ok) {
+                            throw new Error(`HTTP error! status: ${response.status}`);
+                        }
+                        return await response.json();
+                    } catch (error) {
+                        console.error(`Error al cargar el archivo de idioma '${lang}.json':`, error);
+                        delete cache[lang]; // Reintentar la próxima vez
+                        return {};
+                    }
+                })();
+            }
+            return cache[lang];
+        }
+
+        return {
+            /** Idioma cargado actualmente. */
+            get language() {
+                return language;
+            },
+            /**
+             * Carga un idioma. Las claves que no tenga se toman del idioma por defecto.
+             * @param {string} lang
+             * @returns {Promise<object>} Los textos combinados.
+             */
+            async load(lang) {
+                const [fallback, messages] = await Promise.all([
+                    fetchMessages(options.defaultLanguage),
+                    lang === options.defaultLanguage ? Promise.resolve({}) : fetchMessages(lang)
+                ]);
+                const missing = Object.keys(fallback).filter(key => !(key in messages));
+                if (lang !== options.defaultLanguage && missing.length > 0) {
+                    console.warn(`Idioma '${lang}': ${missing.length} textos sin traducir (se usa '${options.defaultLanguage}'): ${missing.join(', ')}`);
+                }
+                language = lang;
+                console.log(`Locale '${lang}' loaded successfully.`);
+                return { ...fallback, ...messages };
+            }
+        };
+    }
+
+    /**
+     * localStorage, o null si el navegador no permite usarlo (modo privado...).
+     * @returns {object|null}
+     */
+    function getDefaultStorage() {
+        try {
+            return global.localStorage || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Idioma con el que arrancar: el de la URL (?lang=en), el elegido la última vez,
+     * el del navegador o el idioma por defecto, en ese orden.
+     * @param {object} options
+     * @param {string[]} options.available Idiomas disponibles.
+     * @param {string} options.defaultLanguage
+     * @param {string} [options.search] location.search.
+     * @param {string[]} [options.preferred] Idiomas del navegador (navigator.languages).
+     * @param {object} [options.storage] Almacén del idioma elegido (por defecto localStorage).
+     * @returns {string}
+     */
+    function resolveInitialLanguage({ available, defaultLanguage, search = '', preferred = [], storage = getDefaultStorage() }) {
+        const candidates = [new URLSearchParams(search).get(LANGUAGE_URL_PARAM)];
+        try {
+            if (storage) candidates.push(storage.getItem(LANGUAGE_STORAGE_KEY));
+        } catch (e) {
+            // Sin localStorage no se recuerda la elección
+        }
+        preferred.forEach(lang => candidates.push(lang, String(lang).split('-')[0]));
+        return candidates.find(lang => lang && available.includes(lang)) || defaultLanguage;
+    }
+
+    /**
+     * Recuerda el idioma elegido para la próxima visita.
+     * @param {string} lang
+     * @param {object} [storage] Almacén del idioma elegido (por defecto localStorage).
+     */
+    function rememberLanguage(lang, storage = getDefaultStorage()) {
+        try {
+            if (storage) storage.setItem(LANGUAGE_STORAGE_KEY, lang);
+        } catch (e) {
+            console.warn('No se pudo guardar el idioma elegido:', e);
+        }
+    }
+
+    /**
+     * Texto en un idioma de un valor que puede ser un texto o un objeto por idioma.
+     * @param {string|object} value
+     * @param {string} lang Idioma deseado.
+     * @param {string} defaultLanguage Idioma de respaldo.
+     * @returns {string}
+     */
+    function localizeText(value, lang, defaultLanguage) {
+        if (!value || typeof value !== 'object') return value;
+        if (typeof value[lang] === 'string') return value[lang];
+        if (typeof value[defaultLanguage] === 'string') return value[defaultLanguage];
+        const first = Object.keys(value)[0];
+        return first === undefined ? '' : value[first];
+    }
+
+    /**
+     * Copia de una pregunta con sus textos en un idioma.
+     * @param {object} question La pregunta tal como está en questions.json.
+     * @param {string} lang
+     * @param {string} defaultLanguage
+     * @returns {object}
+     */
+    function localizeQuestion(question, lang, defaultLanguage) {
+        const localized = { ...question, question: localizeText(question.question, lang, defaultLanguage) };
+        if (question.explanation !== undefined) {
+            localized.explanation = localizeText(question.explanation, lang, defaultLanguage);
+        }
+        if (Array.isArray(question.answers)) {
+            localized.answers = question.answers.map(answer => {
+                const localizedAnswer = { ...answer, text: localizeText(answer.text, lang, defaultLanguage) };
+                if (answer.feedback !== undefined) {
+                    localizedAnswer.feedback = localizeText(answer.feedback, lang, defaultLanguage);
+                }
+                return localizedAnswer;
+            });
+        }
+        return localized;
+    }
+
+    /**
+     * Idiomas usados en el contenido de un conjunto de preguntas.
+     * @param {Array} questions
+     * @returns {string[]}
+     */
+    function getContentLanguages(questions) {
+        const languages = new Set();
+        const collect = value => {
+            if (value && typeof value === 'object') Object.keys(value).forEach(lang => languages.add(lang));
+        };
+        questions.forEach(question => {
+            collect(question.question);
+            collect(question.explanation);
+            (question.answers || []).forEach(answer => {
+                collect(answer.text);
+                collect(answer.feedback);
+            });
+        });
+        return [...languages];
+    }
+
+    const api = {
+        LANGUAGE_URL_PARAM,
+        createLocaleManager,
+        resolveInitialLanguage,
+        rememberLanguage,
+        localizeText,
+        localizeQuestion,
+        getContentLanguages
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.LocaleManager = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
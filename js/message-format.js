@@ -0,0 +1,262 @@
+// --- Formato de mensajes (estilo ICU MessageFormat) ---
+// Da formato a los textos de locales/<idioma>.json. Admite un subconjunto de la
+// sintaxis ICU:
+//
+//   {name}                          valor; los números se formatean según el idioma
+//   {count, number}                 número (también {n, number, integer} y {n, number, percent})
+//   {count, plural, =0 {Ninguna} one {# pregunta} other {# preguntas}}
+//   {type, select, text {Texto} other {Opción}}
+//
+// En `plural`, `#` es el número formateado. Para escribir llaves literales se
+// encierran entre apóstrofos ('{'); '' es un apóstrofo. Un apóstrofo suelto se
+// muestra tal cual (ej. "user's").
+//
+// Los mensajes se analizan una vez y se guardan en caché. Lo usa getLocalizedText
+// (script.js) y tools/check-locales.js, que detecta los mensajes mal escritos.
+
+(function (global) {
+    'use strict';
+
+    const ARGUMENT_TYPES = ['number', 'plural', 'select'];
+
+    /**
+     * Error de sintaxis en un mensaje, con la posición donde se produjo.
+     */
+    class MessageSyntaxError extends SyntaxError {
+        constructor(message, position) {
+            super(`${message} (posición ${position + 1})`);
+            this.name = 'MessageSyntaxError';
+            this.position = position;
+        }
+    }
+
+    // --- Análisis ---
+
+    /**
+     * Analiza un mensaje.
+     * @param {string} message El mensaje.
+     * @returns {Array} Partes del mensaje: textos y argumentos
+     *   { name, type, style, options: { clave: partes } }.
+     * @throws {MessageSyntaxError} Si el mensaje no es válido.
+     */
+    function parseMessage(message) {
+        let pos = 0;
+
+        const fail = text => {
+            throw new MessageSyntaxError(text, pos);
+        };
+        const skipWhitespace = () => {
+            while (pos < message.length && /\s/.test(message[pos])) pos++;
+        };
+        const readWord = () => {
+            skipWhitespace();
+            const start = pos;
+            while (pos < message.length && !/[\s,{}]/.test(message[pos])) pos++;
+            return message.slice(start, pos);
+        };
+        const expect = char => {
+            skipWhitespace();
+            if (message[pos] !== char) fail(`Se esperaba '${char}'`);
+            pos++;
+        };
+
+        // Partes hasta el final o hasta la llave que cierra una opción
+        const parseParts = inPlural => {
+            const parts = [];
+            let text = '';
+            while (pos < message.length) {
+                const char = message[pos];
+                if (char === "'") {
+                    const next = message[pos + 1];
+                    if (next === "'") {
+                        text += "'";
+                        pos += 2;
+                    } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+                        const end = message.indexOf("'", pos + 1);
+                        if (end === -1) fail('Apóstrofo sin cerrar');
+                        text += message.slice(pos + 1, end);
+                        pos = end + 1;
+                    } else {
+                        text += char;
+                        pos++;
+                    }
+                } else if (char === '{') {
+                    if (text) parts.push(text);
+                    text = '';
+                    pos++;
+                    parts.push(parseArgument());
+                } else if (char === '}') {
+                    break;
+                } else if (char === '#' && inPlural) {
+                    if (text) parts.push(text);
+                    text = '';
+                    parts.push({ type: 'pound' });
+                    pos++;
+                } else {
+                    text += char;
+                    pos++;
+                }
+            }
+            if (text) parts.push(text);
+            return parts;
+        };
+
+        const parseArgument = () => {
+            const name = readWord();
+            if (!name) fail('Falta el nombre del argumento');
+            skipWhitespace();
+            if (message[pos] === '}') {
+                pos++;
+                return { name, type: 'simple' };
+            }
+            expect(',');
+            const type = readWord();
+            if (!ARGUMENT_TYPES.includes(type)) {
+                fail(`Tipo de argumento desconocido '${type}' (válidos: ${ARGUMENT_TYPES.join(', ')})`);
+            }
+            skipWhitespace();
+            if (type === 'number') {
+                let style = null;
+                if (message[pos] === ',') {
+                    pos++;
+                    style = readWord();
+                    if (!['integer', 'percent'].includes(style)) fail(`Estilo de número desconocido '${style}'`);
+                }
+                expect('}');
+                return { name, type, style };
+            }
+            expect(',');
+            const options = {};
+            for (;;) {
+                skipWhitespace();
+                if (message[pos] === '}') {
+                    pos++;
+                    break;
+                }
+                const key = readWord();
+                if (!key) fail('Falta la clave de la opción');
+                expect('{');
+                options[key] = parseParts(type === 'plural');
+                expect('}');
+            }
+            if (!options.other) fail(`El argumento '${name}' necesita la opción 'other'`);
+            return { name, type, options };
+        };
+
+        const parts = parseParts(false);
+        if (pos < message.length) fail("Llave '}' sin abrir");
+        return parts;
+    }
+
+    // --- Formato ---
+
+    const parsedCache = new Map();
+    const formatterCache = new Map();
+
+    /**
+     * Objeto Intl en caché por idioma y opciones.
+     * @param {function} Constructor Intl.NumberFormat o Intl.PluralRules.
+     * @param {string} lang
+     * @param {object} [options]
+     */
+    function getFormatter(Constructor, lang, options = {}) {
+        const key = `${Constructor.name}|${lang}|${JSON.stringify(options)}`;
+        if (!formatterCache.has(key)) {
+            formatterCache.set(key, new Constructor(lang, options));
+        }
+        return formatterCache.get(key);
+    }
+
+    /**
+     * Formatea un número según el idioma.
+     * @param {number} value
+     * @param {string} lang
+     * @param {string|null} [style] 'integer', 'percent' o null.
+     * @returns {string}
+     */
+    function formatNumber(value, lang, style = null) {
+        const options = style === 'integer' ? { maximumFractionDigits: 0 }
+            : style === 'percent' ? { style: 'percent' }
+                : { maximumFractionDigits: 2 };
+        return getFormatter(Intl.NumberFormat, lang, options).format(value);
+    }
+
+    /**
+     * Sustituye los argumentos de un mensaje ya analizado.
+     * @param {Array} parts Partes (ver parseMessage).
+     * @param {object} values Valores de los argumentos.
+     * @param {string} lang Idioma (para números y plurales).
+     * @param {number|null} pluralValue Valor de `#` dentro de un plural.
+     * @returns {string}
+     */
+    function formatParts(parts, values, lang, pluralValue) {
+        return parts.map(part => {
+            if (typeof part === 'string') return part;
+            if (part.type === 'pound') return formatNumber(pluralValue, lang);
+            const value = values[part.name];
+            if (value === undefined) return `{${part.name}}`; // Igual que un texto sin traducir: visible
+            switch (part.type) {
+                case 'simple':
+                    return typeof value === 'number' ? formatNumber(value, lang) : String(value);
+                case 'number':
+                    return formatNumber(Number(value), lang, part.style);
+                case 'plural': {
+                    const number = Number(value);
+                    const exact = part.options[`=${number}`];
+                    const category = getFormatter(Intl.PluralRules, lang).select(number);
+                    return formatParts(exact || part.options[category] || part.options.other, values, lang, number);
+                }
+                case 'select':
+                    return formatParts(part.options[String(value)] || part.options.other, values, lang, pluralValue);
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Da formato a un mensaje.
+     * @param {string} message El mensaje (ej. "{count, plural, one {# intento} other {# intentos}}").
+     * @param {object} [values] Valores de los argumentos.
+     * @param {string} [lang] Idioma (por defecto 'es').
+     * @returns {string}
+     * @throws {MessageSyntaxError} Si el mensaje no es válido.
+     */
+    function formatMessage(message, values = {}, lang = 'es') {
+        if (!parsedCache.has(message)) {
+            parsedCache.set(message, parseMessage(message));
+        }
+        return formatParts(parsedCache.get(message), values, lang, null);
+    }
+
+    /**
+     * Nombres de los argumentos que usa un mensaje.
+     * @param {string} message
+     * @returns {string[]}
+     * @throws {MessageSyntaxError} Si el mensaje no es válido.
+     */
+    function getArgumentNames(message) {
+        const names = new Set();
+        const collect = parts => parts.forEach(part => {
+            if (typeof part === 'string' || part.type === 'pound') return;
+            names.add(part.name);
+            Object.values(part.options || {}).forEach(collect);
+        });
+        collect(parseMessage(message));
+        return [...names];
+    }
+
+    const api = {
+        MessageSyntaxError,
+        parseMessage,
+        formatMessage,
+        formatNumber,
+        getArgumentNames
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.MessageFormat = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,124 @@
+// --- Política de navegación (seek-guard) ---
+// Decide qué hacer cuando el tiempo de reproducción avanza, salta hacia delante
+// o retrocede respecto a los checkpoints pendientes. Se configura en la sección
+// `navigation` de config.json:
+//
+//   policy             'strict'   Saltar más allá del siguiente checkpoint sin responder
+//                                 vuelve a él y muestra la pregunta.
+//                      'catch-up' Las preguntas saltadas se presentan seguidas.
+//                      'free'     Las preguntas son opcionales: las que se saltan
+//                                 quedan como omitidas.
+//   retriggerAnswered  Si es true, al retroceder antes de preguntas ya respondidas
+//                      se vuelven a plantear.
+//
+// Las preguntas se resuelven siempre en orden, así que basta con el índice de la
+// siguiente pregunta pendiente (`nextIndex`) para conocer el estado.
+
+(function (global) {
+    'use strict';
+
+    const POLICIES = ['strict', 'catch-up', 'free'];
+
+    const DEFAULT_NAVIGATION = Object.freeze({
+        policy: 'catch-up',
+        retriggerAnswered: false
+    });
+
+    // Margen (en segundos) antes de considerar que un cambio de tiempo es un salto
+    const SEEK_TOLERANCE = 1;
+
+    /**
+     * Determina si el cambio de tiempo entre dos comprobaciones se debe a un salto
+     * del usuario y no a la reproducción normal.
+     * @param {number} previousTime Tiempo del vídeo en la comprobación anterior.
+     * @param {number} currentTime Tiempo actual del vídeo.
+     * @param {number} elapsedSeconds Segundos reales transcurridos entre ambas comprobaciones.
+     * @param {number} [playbackRate=1] Velocidad de reproducción.
+     * @returns {boolean} true si ha habido un salto (hacia delante o hacia atrás).
+     */
+    function detectSeek(previousTime, currentTime, elapsedSeconds, playbackRate = 1) {
+        const delta = currentTime - previousTime;
+        if (delta < -SEEK_TOLERANCE / 4) return true;
+        return delta > Math.max(0, elapsedSeconds) * playbackRate + SEEK_TOLERANCE;
+    }
+
+    /**
+     * Crea una política de navegación.
+     * @param {object} [options] Sección `navigation` de config.json.
+     * @returns {{options: object, evaluate: function(object): object}}
+     */
+    function createNavigationPolicy(options = {}) {
+        const resolved = { ...DEFAULT_NAVIGATION, ...options };
+        if (!POLICIES.includes(resolved.policy)) {
+            console.warn(`Política de navegación desconocida '${resolved.policy}', usando '${DEFAULT_NAVIGATION.policy}'.`);
+            resolved.policy = DEFAULT_NAVIGATION.policy;
+        }
+
+        /**
+         * Evalúa un cambio de tiempo y devuelve la acción a realizar:
+         *   { type: 'none' }
+         *   { type: 'present', index }        Mostrar la pregunta `index`
+         *   { type: 'snap', index, time }     Volver a `time` y mostrar la pregunta `index`
+         *   { type: 'skip', indices }         Marcar esas preguntas como omitidas
+         *   { type: 'reopen', index }         Volver a plantear desde la pregunta `index`
+         * @param {object} state
+         * @param {Array} state.questions Preguntas ordenadas por tiempo.
+         * @param {number} state.nextIndex Índice de la siguiente pregunta pendiente.
+         * @param {number} state.previousTime Tiempo en la comprobación anterior.
+         * @param {number} state.currentTime Tiempo actual (Infinity si el vídeo ha terminado).
+         * @param {boolean} state.seeked Si el cambio se debe a un salto del usuario.
+         * @returns {object} La acción.
+         */
+        function evaluate({ questions, nextIndex, previousTime, currentTime, seeked }) {
+            // Retroceso: solo importa si hay que volver a plantear preguntas respondidas
+            if (seeked && currentTime < previousTime) {
+                if (resolved.retriggerAnswered) {
+                    const firstAhead = questions.findIndex(question => question.time > currentTime);
+                    const reopenIndex = firstAhead === -1 ? questions.length : firstAhead;
+                    if (reopenIndex < nextIndex) {
+                        return { type: 'reopen', index: reopenIndex };
+                    }
+                }
+                return { type: 'none' };
+            }
+
+            if (nextIndex >= questions.length) return { type: 'none' };
+            const nextQuestion = questions[nextIndex];
+            if (currentTime < nextQuestion.time) return { type: 'none' };
+
+            // Se ha alcanzado el checkpoint reproduciendo con normalidad
+            if (!seeked) return { type: 'present', index: nextIndex };
+
+            // Salto hacia delante más allá del checkpoint pendiente
+            switch (resolved.policy) {
+                case 'strict':
+                    return { type: 'snap', index: nextIndex, time: nextQuestion.time };
+                case 'free': {
+                    const indices = [];
+                    for (let i = nextIndex; i < questions.length && questions[i].time <= currentTime; i++) {
+                        indices.push(i);
+                    }
+                    return { type: 'skip', indices };
+                }
+                default: // 'catch-up': se presentan una tras otra a partir de la primera pendiente
+                    return { type: 'present', index: nextIndex };
+            }
+        }
+
+        return { options: resolved, evaluate };
+    }
+
+    const api = {
+        POLICIES,
+        DEFAULT_NAVIGATION,
+        SEEK_TOLERANCE,
+        detectSeek,
+        createNavigationPolicy
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.NavigationPolicy = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,292 @@
+// --- Capa de adaptadores de reproductor ---
+// Define una interfaz común para los distintos proveedores de vídeo (YouTube,
+// <video> HTML5, ...) de forma que script2.js no dependa de una API concreta.
+//
+// Todo adaptador expone:
+//   provider               Nombre del proveedor ('youtube', 'html5', ...)
+//   getCurrentTime()       Segundos reproducidos
+//   getDuration()          Duración total en segundos (0 si aún no se conoce)
+//   getState()             Uno de los valores de PlayerState
+//   getPlaybackRate()      Velocidad de reproducción actual
+//   setPlaybackRate(rate)  Cambia la velocidad de reproducción
+//   getVideoId()           Identificador del vídeo cargado
+//   seekTo(seconds)        Salta a un instante del vídeo
+//   play() / pause()       Controles básicos
+//
+// Opcionalmente (la barra de controles oculta lo que el adaptador no admita):
+//   getVolume() / setVolume(volume)    Volumen de 0 a 100
+//   isMuted() / setMuted(muted)        Silencio
+//   hasCaptions()                      Si el vídeo tiene subtítulos (puede cambiar al empezar)
+//   areCaptionsEnabled()               Si se están mostrando
+//   setCaptionsEnabled(enabled, lang)  Muestra u oculta los subtítulos (en `lang` si existe)
+//
+// Y notifica mediante los manejadores recibidos al crearlo:
+//   onReady(adapter)       Cuando el reproductor puede recibir órdenes
+//   onStateChange(state)   Cada vez que cambia el estado (valor de PlayerState)
+//   onSeek(seconds)        Tras un salto (si el proveedor lo notifica)
+//   onRateChange(rate)     Tras un cambio de velocidad
+//
+// Para añadir otro proveedor (p. ej. Vimeo) basta con registrar una factoría:
+//   PlayerAdapters.registerPlayerAdapter('vimeo', (element, config, handlers) => ({ ... }));
+
+(function (global) {
+    'use strict';
+
+    /**
+     * Estados normalizados del reproductor. Coinciden con YT.PlayerState para
+     * que el adaptador de YouTube pueda reenviarlos sin traducción.
+     */
+    const PlayerState = Object.freeze({
+        UNSTARTED: -1,
+        ENDED: 0,
+        PLAYING: 1,
+        PAUSED: 2,
+        BUFFERING: 3,
+        CUED: 5
+    });
+
+    const adapterFactories = {};
+
+    /**
+     * Registra una factoría de adaptador para un proveedor.
+     * @param {string} provider Nombre del proveedor (valor de `player.provider` en config.json).
+     * @param {function(HTMLElement, object, object): object} factory Recibe el elemento contenedor,
+     *   la configuración del reproductor y los manejadores { onReady, onStateChange }.
+     */
+    function registerPlayerAdapter(provider, factory) {
+        if (typeof factory !== 'function') {
+            throw new TypeError(`La factoría del proveedor '${provider}' debe ser una función.`);
+        }
+        adapterFactories[provider] = factory;
+    }
+
+    /**
+     * Crea el adaptador correspondiente a la configuración indicada.
+     * @param {object} config Configuración del reproductor ({ provider, elementId, ... }).
+     * @param {object} handlers Manejadores { onReady, onStateChange, onSeek, onRateChange }.
+     * @returns {object} El adaptador creado.
+     */
+    function createPlayerAdapter(config, handlers = {}) {
+        const provider = config.provider || 'youtube';
+        const factory = adapterFactories[provider];
+        if (!factory) {
+            throw new Error(`Proveedor de vídeo no soportado: '${provider}'.`);
+        }
+        const element = document.getElementById(config.elementId || 'video-player');
+        if (!element) {
+            throw new Error(`No se encontró el contenedor del reproductor '#${config.elementId || 'video-player'}'.`);
+        }
+        return factory(element, config, {
+            onReady: handlers.onReady || function () {},
+            onStateChange: handlers.onStateChange || function () {},
+            onSeek: handlers.onSeek || function () {},
+            onRateChange: handlers.onRateChange || function () {}
+        });
+    }
+
+    // --- Adaptador de YouTube ---
+
+    let youTubeApiPromise = null;
+
+    /**
+     * Carga la API IFrame de YouTube una sola vez.
+     * @returns {Promise<object>} Promesa que se resuelve con el objeto global YT.
+     */
+    function loadYouTubeApi() {
+        if (youTubeApiPromise) return youTubeApiPromise;
+
+        youTubeApiPromise = new Promise(resolve => {
+            if (global.YT && global.YT.Player) {
+                resolve(global.YT);
+                return;
+            }
+            // La API de YouTube llama a esta función global al terminar de cargar.
+            // Respetamos un posible manejador previo.
+            const previousCallback = global.onYouTubeIframeAPIReady;
+            global.onYouTubeIframeAPIReady = function () {
+                if (typeof previousCallback === 'function') previousCallback();
+                resolve(global.YT);
+            };
+            if (!document.querySelector('script[src*="youtube.com/iframe_api"]')) {
+                const script = document.createElement('script');
+                script.src = 'https://www.youtube.com/iframe_api';
+                document.head.appendChild(script);
+            }
+        });
+        return youTubeApiPromise;
+    }
+
+    registerPlayerAdapter('youtube', function (element, config, handlers) {
+        let ytPlayer = null;
+        let ready = false;
+        let captionsEnabled = false;
+
+        const adapter = {
+            provider: 'youtube',
+            getCurrentTime: () => (ready ? ytPlayer.getCurrentTime() : 0),
+            getDuration: () => (ready ? ytPlayer.getDuration() : 0),
+            getState: () => (ready ? ytPlayer.getPlayerState() : PlayerState.UNSTARTED),
+            getPlaybackRate: () => (ready ? ytPlayer.getPlaybackRate() : 1),
+            setPlaybackRate: rate => { if (ready) ytPlayer.setPlaybackRate(rate); },
+            getVideoId: () => config.videoId,
+            seekTo: seconds => {
+                if (!ready) return;
+                ytPlayer.seekTo(seconds, true);
+                // La API de YouTube no emite un evento de salto
+                handlers.onSeek(seconds);
+            },
+            play: () => { if (ready) ytPlayer.playVideo(); },
+            pause: () => { if (ready) ytPlayer.pauseVideo(); },
+            getVolume: () => (ready ? ytPlayer.getVolume() : 100),
+            setVolume: volume => { if (ready) ytPlayer.setVolume(volume); },
+            isMuted: () => (ready ? ytPlayer.isMuted() : false),
+            setMuted: muted => {
+                if (!ready) return;
+                if (muted) ytPlayer.mute();
+                else ytPlayer.unMute();
+            },
+            // YouTube solo informa del módulo de subtítulos una vez empezada la reproducción
+            hasCaptions: () => {
+                if (!ready || !ytPlayer.getOptions) return false;
+                const options = ytPlayer.getOptions() || [];
+                return options.includes('captions') || options.includes('cc');
+            },
+            areCaptionsEnabled: () => captionsEnabled,
+            setCaptionsEnabled: (enabled, lang) => {
+                if (!ready) return;
+                captionsEnabled = enabled;
+                if (!enabled) {
+                    ytPlayer.unloadModule('captions');
+                    return;
+                }
+                ytPlayer.loadModule('captions');
+                if (lang) ytPlayer.setOption('captions', 'track', { languageCode: lang });
+            }
+        };
+
+        loadYouTubeApi().then(YT => {
+            console.log('API de YouTube IFrame lista. Creando reproductor.');
+            ytPlayer = new YT.Player(element, {
+                videoId: config.videoId,
+                playerVars: {
+                    enablejsapi: 1,
+                    controls: 0, // Los controles los pone js/control-bar.js
+                    rel: 0,
+                    // origin es VITAL para que la API funcione correctamente en GitHub Pages.
+                    origin: global.location.origin
+                },
+                events: {
+                    onReady: () => {
+                        ready = true;
+                        handlers.onReady(adapter);
+                    },
+                    onStateChange: event => handlers.onStateChange(event.data),
+                    onPlaybackRateChange: event => handlers.onRateChange(event.data)
+                }
+            });
+        });
+
+        return adapter;
+    });
+
+    // --- Adaptador HTML5 <video> ---
+
+    registerPlayerAdapter('html5', function (element, config, handlers) {
+        const video = document.createElement('video');
+        video.id = element.id;
+        video.className = element.className;
+        video.preload = 'metadata';
+        video.playsInline = true;
+        if (config.poster) video.poster = config.poster;
+
+        // Admite tanto `src` como una lista de `sources` ({ src, type }) para MP4/WebM.
+        const sources = config.sources || (config.src ? [{ src: config.src }] : []);
+        sources.forEach(source => {
+            const sourceElement = document.createElement('source');
+            sourceElement.src = source.src;
+            if (source.type) sourceElement.type = source.type;
+            video.appendChild(sourceElement);
+        });
+        // Subtítulos: `tracks: [{ src, srclang, label }]` (archivos WebVTT)
+        (config.tracks || []).forEach(track => {
+            const trackElement = document.createElement('track');
+            trackElement.kind = track.kind || 'captions';
+            trackElement.src = track.src;
+            if (track.srclang) trackElement.srclang = track.srclang;
+            if (track.label) trackElement.label = track.label;
+            video.appendChild(trackElement);
+        });
+        const getCaptionTracks = () => Array.from(video.textTracks || [])
+            .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+        let state = PlayerState.UNSTARTED;
+        const setState = newState => {
+            if (newState === state) return;
+            state = newState;
+            handlers.onStateChange(state);
+        };
+
+        video.addEventListener('playing', () => setState(PlayerState.PLAYING));
+        video.addEventListener('pause', () => {
+            // El evento 'pause' también se emite justo antes de 'ended'.
+            if (!video.ended) setState(PlayerState.PAUSED);
+        });
+        video.addEventListener('waiting', () => setState(PlayerState.BUFFERING));
+        video.addEventListener('ended', () => setState(PlayerState.ENDED));
+        video.addEventListener('seeked', () => handlers.onSeek(video.currentTime));
+        video.addEventListener('ratechange', () => handlers.onRateChange(video.playbackRate));
+        video.addEventListener('loadedmetadata', () => {
+            setState(PlayerState.CUED);
+            handlers.onReady(adapter);
+        }, { once: true });
+
+        const adapter = {
+            provider: 'html5',
+            getCurrentTime: () => video.currentTime,
+            getDuration: () => (isFinite(video.duration) ? video.duration : 0),
+            getState: () => state,
+            getPlaybackRate: () => video.playbackRate,
+            setPlaybackRate: rate => { video.playbackRate = rate; },
+            getVideoId: () => config.videoId || (sources[0] && sources[0].src) || '',
+            seekTo: seconds => { video.currentTime = seconds; },
+            play: () => {
+                const playPromise = video.play();
+                // Los navegadores rechazan play() sin interacción previa del usuario.
+                if (playPromise && playPromise.catch) {
+                    playPromise.catch(error => console.warn('No se pudo iniciar la reproducción:', error));
+                }
+            },
+            pause: () => video.pause(),
+            getVolume: () => Math.round(video.volume * 100),
+            setVolume: volume => { video.volume = Math.min(Math.max(volume, 0), 100) / 100; },
+            isMuted: () => video.muted,
+            setMuted: muted => { video.muted = muted; },
+            hasCaptions: () => getCaptionTracks().length > 0,
+            areCaptionsEnabled: () => getCaptionTracks().some(track => track.mode === 'showing'),
+            setCaptionsEnabled: (enabled, lang) => {
+                const tracks = getCaptionTracks();
+                const chosen = tracks.find(track => track.language === lang) || tracks[0];
+                tracks.forEach(track => {
+                    track.mode = enabled && track === chosen ? 'showing' : 'disabled';
+                });
+            },
+            element: video
+        };
+
+        element.replaceWith(video);
+        return adapter;
+    });
+
+    const api = {
+        PlayerState,
+        registerPlayerAdapter,
+        createPlayerAdapter,
+        loadYouTubeApi
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.PlayerAdapters = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
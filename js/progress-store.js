@@ -0,0 +1,401 @@
+// --- Almacén de progreso versionado ---
+// Guarda el progreso de cada vídeo en una sola clave (`videoInteractive:<id del vídeo>`):
+//
+//   {
+//     "version": 2,
+//     "contentHash": "9f3a61c2",            Huella del conjunto de preguntas
+//     "savedAt": "2024-05-01T10:00:00.000Z",
+//     "seed": "1x8k2m0q3vz7",               Semilla del sorteo de variantes (opcional)
+//     "answers": {
+//       "analisis-requisitos": { ...entrada de userAnswers, "contentHash": "07be41d9" }
+//     }
+//   }
+//
+// Las respuestas se guardan por id de pregunta (campo `id` de questions.json o, si
+// falta, uno derivado del texto), así que reordenar o insertar preguntas no descoloca
+// el progreso. Si el contenido de una pregunta cambia, su respuesta se descarta.
+// La semilla con la que se sortean las variantes de los grupos de preguntas (ver
+// js/question-pools.js) se guarda en cuanto se crea y se conserva al borrar el
+// progreso, para que el alumno vea siempre las mismas variantes.
+// Los formatos anteriores se convierten con MIGRATIONS al cargar:
+//   versión 1  Dos claves sueltas: índice de la pregunta actual y lista de respuestas.
+//
+// Si localStorage no está disponible (modo privado, cuota llena...) el progreso se
+// guarda en memoria durante la sesión.
+
+(function (global) {
+    'use strict';
+
+    const Scoring = typeof module !== 'undefined' && module.exports ? require('./scoring.js') : global.Scoring;
+
+    const STORAGE_VERSION = 2;
+    const KEY_PREFIX = 'videoInteractive';
+
+    // Campos que definen el contenido evaluable de una pregunta. Cambiar el tiempo,
+    // los puntos o el orden de las preguntas no invalida las respuestas guardadas.
+    const CONTENT_FIELDS = ['type', 'question', 'answers', 'answer', 'accepted', 'caseSensitive',
+        'tolerance', 'partialCredit'];
+
+    // --- Huellas e identificadores ---
+
+    /**
+     * JSON con las claves ordenadas, para que la huella no dependa del orden de los campos.
+     * @param {*} value
+     * @returns {string}
+     */
+    function stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(stableStringify).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Huella FNV-1a de 32 bits (en hexadecimal) de un texto.
+     * @param {string} text
+     * @returns {string}
+     */
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Huella del contenido evaluable de una pregunta.
+     * @param {object} question
+     * @returns {string}
+     */
+    function hashQuestion(question) {
+        const content = {};
+        CONTENT_FIELDS.forEach(field => { content[field] = question[field]; });
+        return hashString(stableStringify(content));
+    }
+
+    /**
+     * Huella del conjunto de preguntas (ids y contenido, en orden).
+     * @param {Array} questions
+     * @returns {string}
+     */
+    function hashQuestions(questions) {
+        const ids = getQuestionIds(questions);
+        return hashString(questions.map((question, index) => `${ids[index]}=${hashQuestion(question)}`).join('|'));
+    }
+
+    /**
+     * Ids estables de las preguntas: el campo `id` o, si falta, uno derivado del texto.
+     * Los textos repetidos reciben un sufijo (-2, -3...).
+     * @param {Array} questions
+     * @returns {string[]} Un id por pregunta, en el mismo orden.
+     */
+    function getQuestionIds(questions) {
+        const counts = new Map();
+        return questions.map(question => {
+            if (typeof question.id === 'string' && question.id !== '') return question.id;
+            const baseId = `q-${hashString(String(question.question))}`;
+            const count = (counts.get(baseId) || 0) + 1;
+            counts.set(baseId, count);
+            return count > 1 ? `${baseId}-${count}` : baseId;
+        });
+    }
+
+    // --- Almacenamiento ---
+
+    /**
+     * Almacén en memoria con la misma interfaz que localStorage.
+     * @returns {{getItem: function, setItem: function, removeItem: function}}
+     */
+    function createMemoryStorage() {
+        const items = new Map();
+        return {
+            getItem: key => (items.has(key) ? items.get(key) : null),
+            setItem: (key, value) => { items.set(key, String(value)); },
+            removeItem: key => { items.delete(key); }
+        };
+    }
+
+    // Compartido por todos los almacenes, para que el resumen del curso vea el
+    // progreso de otros vídeos guardado en memoria durante la sesión
+    let memoryStorage = null;
+
+    function getMemoryStorage() {
+        if (!memoryStorage) memoryStorage = createMemoryStorage();
+        return memoryStorage;
+    }
+
+    /**
+     * Devuelve localStorage si se puede escribir en él, o el almacén en memoria.
+     * @returns {object}
+     */
+    function resolveStorage() {
+        try {
+            const storage = global.localStorage;
+            const testKey = `${KEY_PREFIX}:__test__`;
+            storage.setItem(testKey, '1');
+            storage.removeItem(testKey);
+            return storage;
+        } catch (e) {
+            console.warn('localStorage no está disponible. El progreso solo se conservará durante esta sesión.', e);
+            return getMemoryStorage();
+        }
+    }
+
+    // --- Migraciones ---
+
+    /**
+     * Conversores de cada versión a la siguiente: MIGRATIONS[n](registro, contexto)
+     * recibe un registro con `version: n` y devuelve uno con `version: n + 1`.
+     */
+    const MIGRATIONS = {
+        /**
+         * Versión 1: lista de respuestas sin id. Las primeras versiones guardaban una
+         * entrada por intento y sin `questionIndex`, así que se asocian por el texto.
+         */
+        1(record, { questions, ids, scoring }) {
+            const answers = {};
+            (Array.isArray(record.answers) ? record.answers : []).forEach(entry => {
+                if (!entry || typeof entry !== 'object') return;
+                let index = entry.questionIndex;
+                if (!questions[index] || questions[index].question !== entry.question) {
+                    index = questions.findIndex(question => question.question === entry.question);
+                }
+                if (index === -1 || index === undefined) return;
+
+                const question = questions[index];
+                const previous = answers[ids[index]];
+                const migrated = { ...entry };
+                delete migrated.questionIndex;
+                if (entry.attempts === undefined) {
+                    // Una entrada por intento: se acumulan en una sola
+                    migrated.attempts = (previous ? previous.attempts : 0) + 1;
+                }
+                if (entry.completed === undefined) {
+                    // Sin límite de intentos, la pregunta se resolvía al acertar
+                    migrated.completed = Boolean(entry.isCorrect || (previous && previous.completed));
+                    migrated.isCorrect = Boolean(entry.isCorrect || (previous && previous.isCorrect));
+                }
+                if (entry.earned === undefined) {
+                    migrated.points = Scoring.getQuestionPoints(question);
+                    migrated.earned = migrated.isCorrect
+                        ? Scoring.scoreAttempt(question, 1, migrated.attempts, scoring)
+                        : 0;
+                }
+                migrated.contentHash = hashQuestion(question);
+                answers[ids[index]] = migrated;
+            });
+            return { version: 2, contentHash: null, answers };
+        }
+    };
+
+    // --- Almacén ---
+
+    /**
+     * Crea el almacén de progreso de un vídeo.
+     * @param {object} options
+     * @param {string} options.namespace Id del vídeo (forma parte de la clave).
+     * @param {Array<{progress: string, answers: string}>} [options.legacyKeys] Claves de la
+     *   versión 1 a migrar si aún no hay progreso guardado, por orden de preferencia.
+     * @param {object} [options.scoring] Opciones de puntuación, para migrar respuestas antiguas.
+     * @param {object} [options.storage] Almacén a usar (por defecto localStorage o memoria).
+     * @returns {object} El almacén { key, persistent, resolveSeed, load, save, clear }.
+     */
+    function createProgressStore(options) {
+        const key = `${KEY_PREFIX}:${options.namespace}`;
+        const legacyKeys = options.legacyKeys || [];
+        let storage = options.storage || resolveStorage();
+        let seed = null; // Semilla del sorteo de variantes, una vez leída o creada
+
+        function readRecord() {
+            const saved = storage.getItem(key);
+            if (saved !== null) return JSON.parse(saved);
+            for (const legacy of legacyKeys) {
+                const answers = storage.getItem(legacy.answers);
+                if (answers !== null) {
+                    return { version: 1, answers: JSON.parse(answers), legacy };
+                }
+            }
+            return null;
+        }
+
+        function writeRecord(record) {
+            const serialized = JSON.stringify(record);
+            try {
+                storage.setItem(key, serialized);
+            } catch (e) {
+                if (storage === getMemoryStorage()) throw e;
+                console.warn('No se pudo guardar en localStorage. El progreso se conservará solo durante esta sesión.', e);
+                storage = getMemoryStorage();
+                storage.setItem(key, serialized);
+            }
+        }
+
+        // Registro sin respuestas que solo conserva la semilla
+        function writeSeedRecord() {
+            writeRecord({ version: STORAGE_VERSION, contentHash: null, savedAt: new Date().toISOString(), seed, answers: {} });
+        }
+
+        return {
+            key,
+            /** false si el progreso se está guardando en memoria. */
+            get persistent() {
+                return storage !== getMemoryStorage();
+            },
+
+            /**
+             * Semilla del alumno para sortear las variantes de los grupos de preguntas.
+             * @param {function(): string} [createSeed] Crea una semilla si aún no hay ninguna
+             *   guardada; se guarda enseguida para que al recargar salgan las mismas variantes.
+             * @returns {string|null} null si no hay ninguna y no se pide crearla.
+             */
+            resolveSeed(createSeed) {
+                if (seed) return seed;
+                let record = null;
+                try {
+                    record = readRecord();
+                } catch (e) {
+                    // Registro ilegible: load() lo descartará
+                }
+                if (record && typeof record.seed === 'string' && record.seed !== '') {
+                    seed = record.seed;
+                } else if (createSeed) {
+                    seed = createSeed();
+                    // Los registros antiguos reciben la semilla al migrarse (save)
+                    if (!record) writeSeedRecord();
+                    else if (record.version === STORAGE_VERSION) writeRecord({ ...record, seed });
+                }
+                return seed;
+            },
+
+            /**
+             * Carga las respuestas guardadas para el conjunto de preguntas actual.
+             * @param {Array} questions Las preguntas, ordenadas por tiempo.
+             * @returns {{answers: Array, nextIndex: number, status: string, discarded: number}}
+             *   `answers` en el formato de userAnswers (con `questionIndex`), `nextIndex` es la
+             *   primera pregunta sin resolver y `status` uno de 'empty', 'restored', 'migrated',
+             *   'updated' (cambiaron las preguntas) o 'invalid' (datos ilegibles).
+             */
+            load(questions) {
+                const empty = status => ({ answers: [], nextIndex: 0, status, discarded: 0 });
+                let record;
+                try {
+                    record = readRecord();
+                } catch (e) {
+                    console.error(`Progreso guardado ilegible en '${key}'. Se descarta.`, e);
+                    return empty('invalid');
+                }
+                // Un registro sin respuestas (solo con la semilla) es como no tener progreso
+                if (!record || (record.version === STORAGE_VERSION && Object.keys(record.answers || {}).length === 0)) {
+                    return empty('empty');
+                }
+
+                const ids = getQuestionIds(questions);
+                const contentHash = hashQuestions(questions);
+                const legacy = record.legacy;
+                let status = record.contentHash === contentHash ? 'restored' : 'updated';
+
+                if (typeof record.version !== 'number' || record.version > STORAGE_VERSION) {
+                    console.warn(`Versión de progreso desconocida en '${key}'. Se descarta.`);
+                    return empty('invalid');
+                }
+                while (record.version < STORAGE_VERSION) {
+                    record = MIGRATIONS[record.version](record, { questions, ids, scoring: options.scoring });
+                    status = 'migrated';
+                }
+
+                // Conservar solo las respuestas de preguntas que siguen existiendo sin cambios
+                const answers = [];
+                let discarded = 0;
+                Object.keys(record.answers || {}).forEach(questionId => {
+                    const index = ids.indexOf(questionId);
+                    const entry = record.answers[questionId];
+                    if (index === -1 || entry.contentHash !== hashQuestion(questions[index])) {
+                        discarded++;
+                        return;
+                    }
+                    const answer = { ...entry, questionIndex: index };
+                    delete answer.contentHash;
+                    answers.push(answer);
+                });
+                answers.sort((a, b) => a.questionIndex - b.questionIndex);
+
+                let nextIndex = 0;
+                while (nextIndex < questions.length &&
+                    answers.some(answer => answer.questionIndex === nextIndex && answer.completed)) {
+                    nextIndex++;
+                }
+
+                // Sin preguntas (archivo no disponible) no se reescribe nada: se perdería el progreso
+                if (status !== 'restored' && questions.length > 0) {
+                    // Guardar ya en el formato actual y retirar las claves antiguas
+                    this.save(questions, answers);
+                    if (legacy) {
+                        storage.removeItem(legacy.progress);
+                        storage.removeItem(legacy.answers);
+                    }
+                    if (discarded > 0) {
+                        console.warn(`Se descartaron ${discarded} respuestas de preguntas eliminadas o modificadas.`);
+                    }
+                }
+                return { answers, nextIndex, status, discarded };
+            },
+
+            /**
+             * Guarda las respuestas (formato de userAnswers) asociadas al id de su pregunta.
+             * @param {Array} questions Las preguntas, ordenadas por tiempo.
+             * @param {Array} answers Las respuestas, con `questionIndex`.
+             */
+            save(questions, answers) {
+                const ids = getQuestionIds(questions);
+                const record = {
+                    version: STORAGE_VERSION,
+                    contentHash: hashQuestions(questions),
+                    savedAt: new Date().toISOString(),
+                    answers: {}
+                };
+                if (seed) record.seed = seed;
+                answers.forEach(answer => {
+                    const question = questions[answer.questionIndex];
+                    if (!question) return;
+                    const entry = { ...answer, contentHash: hashQuestion(question) };
+                    delete entry.questionIndex;
+                    record.answers[ids[answer.questionIndex]] = entry;
+                });
+                writeRecord(record);
+            },
+
+            /** Borra el progreso guardado (salvo la semilla). */
+            clear() {
+                storage.removeItem(key);
+                legacyKeys.forEach(legacy => {
+                    storage.removeItem(legacy.progress);
+                    storage.removeItem(legacy.answers);
+                });
+                if (seed) writeSeedRecord();
+            }
+        };
+    }
+
+    const api = {
+        STORAGE_VERSION,
+        MIGRATIONS,
+        getQuestionIds,
+        hashQuestion,
+        hashQuestions,
+        createMemoryStorage,
+        createProgressStore
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.ProgressStore = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1168 @@
+// --- Formatos de preguntas de otros sistemas ---
+// Convierte los bancos de preguntas de Moodle (GIFT y Moodle XML) y las hojas de
+// cálculo (CSV) al formato de questions.json, y questions.json a GIFT y Moodle XML.
+// Lo usa tools/convert-questions.js.
+//
+// Lo que no tiene equivalente en el otro formato (tipos de pregunta, pesos parciales,
+// comentarios por respuesta, intentos...) no se descarta sin avisar: cada función
+// devuelve también una lista `issues` de mensajes { level, path, line, message }, con la
+// misma forma que los del validador (ver QuestionValidator.formatMessage). Las
+// preguntas que no se pueden convertir se omiten con un mensaje de nivel 'error'; lo que
+// se pierde o se aproxima dentro de una pregunta, con un 'warning'.
+//
+// El tiempo de cada pregunta se guarda así:
+//   GIFT        Un comentario `// time: 1:30` justo antes de la pregunta.
+//   Moodle XML  Una etiqueta (tag) `time:1:30`, que Moodle conserva al importar y exportar.
+//   CSV         La columna `time` (o `timestamp`), en segundos o mm:ss (h:mm:ss).
+// Las preguntas importadas sin tiempo se colocan `spacing` segundos después de la
+// anterior, con un aviso para ajustarlas después. Los grupos de variantes (ver
+// js/question-pools.js) se exportan como preguntas sueltas, una por variante.
+//
+// CSV: una fila por pregunta con las columnas `time`, `id`, `type`, `question`,
+// `answer_1`…`answer_N`, `feedback_1`…`feedback_N`, `correct`, `tolerance`,
+// `case_sensitive`, `randomize`, `partial_credit`, `points`, `max_attempts` y
+// `explanation`. `correct` indica los números (o letras) de las respuestas correctas
+// ("1" o "1;3"), `true`/`false` en verdadero/falso, las variantes aceptadas separadas por
+// "|" en respuesta corta o el número en las numéricas. Sin `type`, se deduce de las
+// columnas. Los textos admiten un sufijo de idioma (`question.en`, `answer_1.en`); las
+// columnas sin sufijo están en el idioma `language`.
+
+(function (global) {
+    'use strict';
+
+    const LocaleManager = typeof module !== 'undefined' && module.exports
+        ? require('./locale-manager.js') : global.LocaleManager;
+    const QuestionPools = typeof module !== 'undefined' && module.exports
+        ? require('./question-pools.js') : global.QuestionPools;
+
+    const DEFAULT_LANGUAGE = 'es';
+    const DEFAULT_SPACING = 30;
+
+    // Comentario GIFT o etiqueta de Moodle con el tiempo de la pregunta
+    const TIME_PATTERN = /^time:\s*(\S+)\s*$/i;
+
+    // Campos de questions.json sin equivalente en cada formato de exportación
+    const UNSUPPORTED_FIELDS = {
+        gift: ['points', 'maxAttempts', 'rewatchFrom', 'randomize', 'caseSensitive'],
+        moodle: ['maxAttempts', 'rewatchFrom']
+    };
+
+    // --- Utilidades comunes ---
+
+    /**
+     * Añade un mensaje a la lista de una conversión.
+     * @param {Array} issues
+     * @param {string} level 'error' o 'warning'.
+     * @param {string} message
+     * @param {{line?: number, path?: string}} [where] Línea del archivo de origen o ruta
+     *   de la pregunta en questions.json.
+     */
+    function addIssue(issues, level, message, where = {}) {
+        issues.push({ level, path: where.path || '', line: where.line || null, message });
+    }
+
+    /**
+     * Convierte una marca de tiempo a segundos.
+     * @param {string|number} value Ej. "90", "1:30", "1:02:03" o "1:30,5".
+     * @returns {number} Los segundos, o NaN si no es una marca válida.
+     */
+    function parseTimestamp(value) {
+        const parts = String(value).trim().replace(',', '.').split(':');
+        if (parts.length > 3) return NaN;
+        const valid = parts.every((part, index) => (index === parts.length - 1 ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part));
+        if (!valid) return NaN;
+        if (parts.length > 1 && parts.slice(1).some(part => Number(part) >= 60)) return NaN;
+        return parts.reduce((total, part) => total * 60 + Number(part), 0);
+    }
+
+    /**
+     * @param {number} seconds
+     * @returns {string} Ej. "1:30" o "0:13.5".
+     */
+    function formatTimestamp(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.round((seconds - minutes * 60) * 1000) / 1000;
+        return `${minutes}:${rest < 10 ? '0' : ''}${rest}`;
+    }
+
+    /**
+     * Da los ids y tiempos que faltan a las preguntas importadas y ordena sus campos
+     * como en questions.json.
+     * @param {Array<{question: object, line: number}>} entries Preguntas y su línea de origen.
+     * @param {Array} issues
+     * @param {object} options
+     * @param {number} [options.spacing] Separación de las preguntas sin tiempo.
+     * @returns {Array} Las preguntas.
+     */
+    function finishImport(entries, issues, options) {
+        const spacing = options.spacing !== undefined ? options.spacing : DEFAULT_SPACING;
+        const usedIds = new Set();
+        let previousTime = null;
+        return entries.map(({ question, line }) => {
+            const { id, time, type, ...fields } = question;
+            const result = {};
+            if (id) {
+                let uniqueId = id;
+                for (let suffix = 2; usedIds.has(uniqueId); suffix++) uniqueId = `${id}-${suffix}`;
+                if (uniqueId !== id) {
+                    addIssue(issues, 'warning', `El id '${id}' está repetido; se usa '${uniqueId}'.`, { line });
+                }
+                usedIds.add(uniqueId);
+                result.id = uniqueId;
+            }
+            result.time = time;
+            if (time === undefined) {
+                result.time = (previousTime === null ? 0 : previousTime) + spacing;
+                addIssue(issues, 'warning', `Pregunta sin tiempo: se coloca en ${formatTimestamp(result.time)}; ajústalo en ` +
+                    'questions.json o en el modo de edición (?edit=1).', { line });
+            }
+            previousTime = result.time;
+            if (type) result.type = type;
+            return Object.assign(result, fields);
+        });
+    }
+
+    // --- HTML ---
+
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', iexcl: '¡', iquest: '¿',
+        laquo: '«', raquo: '»', hellip: '…', ndash: '–', mdash: '—', ordm: 'º', ordf: 'ª',
+        aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', uuml: 'ü', ntilde: 'ñ',
+        Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Uuml: 'Ü', Ntilde: 'Ñ'
+    };
+
+    /**
+     * @param {string} text
+     * @returns {string} El texto con las entidades HTML/XML sustituidas.
+     */
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+            if (name[0] === '#') {
+                const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : match;
+        });
+    }
+
+    /**
+     * Valor de un atributo en el texto de una etiqueta HTML.
+     * @param {string} tag Ej. '<img src="a.png" alt="A">'.
+     * @param {string} name
+     * @returns {string}
+     */
+    function getHtmlAttribute(tag, name) {
+        const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+        return match ? decodeEntities(match[1] !== undefined ? match[1] : match[2]) : '';
+    }
+
+    /**
+     * Convierte HTML al Markdown que admite js/rich-text.js. Las etiquetas sin
+     * equivalente se quitan conservando su texto.
+     * @param {string} html
+     * @param {function(string)} note Recibe los avisos (etiquetas quitadas, imágenes incrustadas).
+     * @returns {string}
+     */
+    function htmlToMarkdown(html, note) {
+        const dropped = new Set();
+        const text = String(html)
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/?(?:p|div|h[1-6]|ul|ol|blockquote)(?:\s[^>]*)?>/gi, '\n\n')
+            .replace(/<li(?:\s[^>]*)?>/gi, '\n- ')
+            .replace(/<\/li>/gi, '')
+            .replace(/<(strong|b)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => `**${inner.trim()}**`)
+            .replace(/<(em|i)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => `*${inner.trim()}*`)
+            .replace(/<code(?:\s[^>]*)?>([\s\S]*?)<\/code>/gi, '`$1`')
+            .replace(/(<a\s[^>]*>)([\s\S]*?)<\/a>/gi, (match, tag, inner) => `[${inner.trim()}](${getHtmlAttribute(tag, 'href')})`)
+            .replace(/<img\s[^>]*>/gi, tag => {
+                let src = getHtmlAttribute(tag, 'src');
+                if (src.startsWith('@@PLUGINFILE@@/')) {
+                    src = src.slice('@@PLUGINFILE@@/'.length).replace(/%20/g, ' ');
+                    note(`La imagen '${src}' está incrustada en el banco de preguntas: cópiala junto a questions.json o corrige la ruta.`);
+                }
+                return `![${getHtmlAttribute(tag, 'alt')}](${src})`;
+            })
+            .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (match, tag) => {
+                dropped.add(tag.toLowerCase());
+                return '';
+            });
+        if (dropped.size > 0) {
+            note(`Se quitan las etiquetas HTML sin equivalente en Markdown: ${[...dropped].map(tag => `<${tag}>`).join(', ')}.`);
+        }
+        return decodeEntities(text)
+            .replace(/[ \t]*\n[ \t]*/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Texto de Moodle en Markdown según su formato.
+     * @param {string} text
+     * @param {string} format 'html', 'moodle_auto_format' (o 'moodle' en GIFT), 'plain_text' (o 'plain') o 'markdown'.
+     * @param {function(string)} note
+     * @returns {string}
+     */
+    function convertFormattedText(text, format, note) {
+        const isHtml = format === 'html' || (/^moodle/.test(format) && /<[a-z][^>]*>/i.test(text));
+        return isHtml ? htmlToMarkdown(text, note) : String(text).trim();
+    }
+
+    // --- Opciones de respuesta ---
+
+    /**
+     * Pregunta de opciones a partir de las respuestas con el porcentaje de Moodle.
+     * Las de opción única solo cuentan como correcta la del 100 %; las de selección
+     * múltiple se importan con crédito parcial (como las puntúa Moodle) y se avisa si sus
+     * porcentajes no son los de partialCredit (cada correcta suma 100/n y cada incorrecta
+     * marcada resta lo mismo).
+     * @param {Array<{fraction: number, text: string, feedback: string}>} options
+     * @param {boolean} single Si es de opción única.
+     * @param {function(string)} note
+     * @returns {object} Campos `type`, `answers` y `partialCredit`.
+     */
+    function buildChoiceFields(options, single, note) {
+        const answers = options.map(option => {
+            const answer = { text: option.text, correct: single ? option.fraction >= 100 : option.fraction > 0 };
+            if (option.feedback) answer.feedback = option.feedback;
+            return answer;
+        });
+        if (single) {
+            if (options.some(option => option.fraction > 0 && option.fraction < 100)) {
+                note('Las respuestas con un porcentaje entre 0 y 100 no tienen equivalente en opción única y cuentan como incorrectas.');
+            }
+            return { answers };
+        }
+        const positives = options.filter(option => option.fraction > 0).length;
+        const weight = positives > 0 ? 100 / positives : 0;
+        const approximated = options.some(option => {
+            const expected = option.fraction > 0 ? weight : -weight;
+            return Math.abs(option.fraction - expected) > 0.01;
+        });
+        if (approximated) {
+            note('Los porcentajes de las respuestas se aproximan con partialCredit: cada correcta suma lo mismo y cada incorrecta marcada resta lo mismo.');
+        }
+        return { type: 'multiple', answers, partialCredit: true };
+    }
+
+    // --- GIFT ---
+
+    /**
+     * Posición de la primera aparición sin escapar (\) de un texto.
+     * @param {string} text
+     * @param {string} search
+     * @param {number} [from]
+     * @returns {number} -1 si no aparece.
+     */
+    function indexOfUnescaped(text, search, from = 0) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text.startsWith(search, i)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parte un texto por un carácter sin escapar.
+     * @param {string} text
+     * @param {string} separator
+     * @returns {string[]}
+     */
+    function splitUnescaped(text, separator) {
+        const parts = [];
+        let start = 0;
+        let index;
+        while ((index = indexOfUnescaped(text, separator, start)) !== -1) {
+            parts.push(text.slice(start, index));
+            start = index + separator.length;
+        }
+        parts.push(text.slice(start));
+        return parts;
+    }
+
+    function unescapeGift(text) {
+        return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char)).trim();
+    }
+
+    function escapeGift(text) {
+        return String(text).replace(/[\\~=#{}:]/g, '\\$&').replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Respuestas de un bloque GIFT de opciones ("=a ~b ~%50%c#comentario").
+     * @param {string} body
+     * @returns {Array<{mark: string, weight: number|null, text: string, feedback: string, raw: string}>}
+     */
+    function tokenizeGiftAnswers(body) {
+        const tokens = [];
+        for (let i = 0; i < body.length; i++) {
+            const char = body[i];
+            if (char === '\\') {
+                if (tokens.length > 0) tokens[tokens.length - 1].raw += body.slice(i, i + 2);
+                i++;
+            } else if (char === '=' || char === '~') {
+                tokens.push({ mark: char, raw: '' });
+            } else if (tokens.length > 0) {
+                tokens[tokens.length - 1].raw += char;
+            }
+        }
+        return tokens.map(token => {
+            const weightMatch = token.raw.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+            const content = weightMatch ? token.raw.slice(weightMatch[0].length) : token.raw;
+            const [text, ...feedback] = splitUnescaped(content, '#');
+            return {
+                mark: token.mark,
+                weight: weightMatch ? Number(weightMatch[1]) : null,
+                text: unescapeGift(text),
+                feedback: unescapeGift(feedback.join('#')),
+                raw: content
+            };
+        });
+    }
+
+    /**
+     * Valor numérico de GIFT: "3.5:0.1", "1..5" o "3".
+     * @param {string} spec
+     * @returns {{answer: number, tolerance: number}}
+     */
+    function parseGiftNumber(spec) {
+        const text = unescapeGift(spec);
+        const range = text.split('..');
+        if (range.length === 2) {
+            const min = Number(range[0]);
+            const max = Number(range[1]);
+            return { answer: (min + max) / 2, tolerance: (max - min) / 2 };
+        }
+        const [value, tolerance] = text.split(':');
+        return { answer: Number(value), tolerance: tolerance === undefined ? 0 : Number(tolerance) };
+    }
+
+    // Campos de cada tipo a partir del bloque de respuestas GIFT (sin el comentario general)
+    const GIFT_IMPORTERS = {
+        truefalse(body, note) {
+            const [value, ...feedback] = splitUnescaped(body, '#');
+            if (feedback.some(text => unescapeGift(text))) {
+                note('Los comentarios de las respuestas de verdadero/falso no se admiten y se omiten.');
+            }
+            return { type: 'truefalse', answer: /^t/i.test(value.trim()) };
+        },
+        numeric(body, note, fail) {
+            const content = body.trim().slice(1);
+            let spec = content;
+            if (indexOfUnescaped(content, '=') !== -1 || indexOfUnescaped(content, '~') !== -1) {
+                const tokens = tokenizeGiftAnswers(content);
+                const full = tokens.find(token => token.mark === '=' && (token.weight === null || token.weight === 100));
+                if (!full) return fail('No tiene ninguna respuesta numérica al 100 %.');
+                if (tokens.length > 1) note('Solo se importa la respuesta numérica al 100 %; las demás se omiten.');
+                spec = splitUnescaped(full.raw, '#')[0];
+            }
+            const [value, ...feedback] = splitUnescaped(spec, '#');
+            if (feedback.some(text => unescapeGift(text))) note('Los comentarios de las respuestas numéricas no se admiten y se omiten.');
+            const { answer, tolerance } = parseGiftNumber(value);
+            if (!isFinite(answer) || !isFinite(tolerance)) return fail(`Respuesta numérica no válida: '${unescapeGift(value)}'.`);
+            return tolerance > 0 ? { type: 'numeric', answer, tolerance } : { type: 'numeric', answer };
+        },
+        choice(body, note, fail) {
+            const tokens = tokenizeGiftAnswers(body);
+            if (tokens.some(token => token.mark === '=' && indexOfUnescaped(token.raw, '->') !== -1)) {
+                return fail('Las preguntas de emparejamiento no tienen equivalente y se omiten.');
+            }
+            if (tokens.every(token => token.mark === '=')) {
+                const accepted = tokens.filter(token => token.weight === null || token.weight === 100).map(token => token.text);
+                if (accepted.length < tokens.length) note('Las respuestas cortas con crédito parcial se omiten.');
+                if (tokens.some(token => token.feedback)) note('Los comentarios de las respuestas cortas no se admiten y se omiten.');
+                return { type: 'text', accepted };
+            }
+            const options = tokens.map(token => ({
+                fraction: token.weight !== null ? token.weight : (token.mark === '=' ? 100 : 0),
+                text: token.text,
+                feedback: token.feedback
+            }));
+            return buildChoiceFields(options, tokens.filter(token => token.mark === '=').length === 1, note);
+        }
+    };
+
+    /**
+     * Convierte una pregunta GIFT.
+     * @param {string} text El bloque de la pregunta, sin comentarios.
+     * @param {number} line Línea donde empieza.
+     * @param {Array} issues
+     * @returns {object|null} La pregunta, o null si no se puede convertir.
+     */
+    function parseGiftQuestion(text, line, issues) {
+        const note = message => addIssue(issues, 'warning', message, { line });
+        let skipped = false;
+        const fail = message => {
+            addIssue(issues, 'error', message, { line });
+            skipped = true;
+            return null;
+        };
+
+        let rest = text.trim();
+        const question = {};
+        const title = rest.match(/^::((?:\\.|[^\\])*?)::/);
+        if (title) {
+            question.id = unescapeGift(title[1]) || undefined;
+            rest = rest.slice(title[0].length).trim();
+        }
+        let format = 'moodle';
+        const formatMatch = rest.match(/^\[(html|moodle|plain|markdown)\]/i);
+        if (formatMatch) {
+            format = formatMatch[1].toLowerCase();
+            rest = rest.slice(formatMatch[0].length);
+        }
+
+        const open = indexOfUnescaped(rest, '{');
+        const close = open === -1 ? -1 : indexOfUnescaped(rest, '}', open + 1);
+        if (open === -1 || close === -1) {
+            fail('Las preguntas sin respuestas (descripciones) no tienen equivalente y se omiten.');
+            return null;
+        }
+        const before = rest.slice(0, open).trim();
+        const after = rest.slice(close + 1).trim();
+        // Formato "palabra que falta": el hueco queda marcado en el enunciado
+        const stem = after ? `${before} _____ ${after}` : before;
+        question.question = convertFormattedText(unescapeGift(stem), format, note);
+
+        let body = rest.slice(open + 1, close);
+        const generalIndex = indexOfUnescaped(body, '####');
+        if (generalIndex !== -1) {
+            const explanation = convertFormattedText(unescapeGift(body.slice(generalIndex + 4)), format, note);
+            if (explanation) question.explanation = explanation;
+            body = body.slice(0, generalIndex);
+        }
+
+        let fields;
+        if (body.trim() === '') {
+            fields = fail('Las preguntas de ensayo (respuesta abierta) no tienen equivalente y se omiten.');
+        } else if (/^\s*(T|TRUE|F|FALSE)\s*(#|$)/i.test(body)) {
+            fields = GIFT_IMPORTERS.truefalse(body, note);
+        } else if (body.trim().startsWith('#')) {
+            fields = GIFT_IMPORTERS.numeric(body, note, fail);
+        } else {
+            fields = GIFT_IMPORTERS.choice(body, note, fail);
+        }
+        if (skipped) return null;
+
+        const { explanation, ...content } = question;
+        const result = { ...content, ...fields };
+        if (explanation) result.explanation = explanation;
+        return result;
+    }
+
+    /**
+     * Importa un archivo GIFT.
+     * @param {string} text El contenido del archivo.
+     * @param {object} [options]
+     * @param {number} [options.spacing] Separación de las preguntas sin tiempo.
+     * @returns {{questions: Array, issues: Array}}
+     */
+    function parseGift(text, options = {}) {
+        const issues = [];
+        const entries = [];
+        let block = [];
+        let blockLine = null;
+        let blockTime;
+        let pendingTime;
+
+        const flush = () => {
+            if (block.length > 0) {
+                const question = parseGiftQuestion(block.join('\n'), blockLine, issues);
+                if (question) {
+                    if (blockTime !== undefined) question.time = blockTime;
+                    entries.push({ question, line: blockLine });
+                }
+            }
+            block = [];
+            blockLine = null;
+        };
+
+        String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+            if (line === '') {
+                flush();
+            } else if (line.startsWith('//')) {
+                const match = line.slice(2).trim().match(TIME_PATTERN);
+                if (!match) return;
+                const time = parseTimestamp(match[1]);
+                if (isFinite(time)) {
+                    pendingTime = time;
+                } else {
+                    addIssue(issues, 'warning', `Tiempo no válido en el comentario: '${match[1]}'.`, { line: lineNumber });
+                }
+            } else if (block.length === 0 && /^\$CATEGORY:/i.test(line)) {
+                addIssue(issues, 'warning', `Se ignora la categoría '${line.replace(/^\$CATEGORY:\s*/i, '')}'.`, { line: lineNumber });
+            } else {
+                if (block.length === 0) {
+                    blockLine = lineNumber;
+                    blockTime = pendingTime;
+                    pendingTime = undefined;
+                }
+                block.push(rawLine);
+            }
+        });
+        flush();
+
+        return { questions: finishImport(entries, issues, options), issues };
+    }
+
+    /**
+     * Exporta preguntas a GIFT.
+     * @param {Array} questions Preguntas de questions.json.
+     * @param {object} [options]
+     * @param {string} [options.language] Idioma de los textos (por defecto 'es').
+     * @returns {{text: string, issues: Array}}
+     */
+    function toGift(questions, options = {}) {
+        const issues = [];
+        const blocks = [];
+        prepareExport(questions, 'gift', options, issues).forEach(({ question, path }) => {
+            const note = message => addIssue(issues, 'warning', message, { path });
+            const feedback = text => (text ? `#${escapeGift(text)}` : '');
+            const type = question.type || 'single';
+            let answers;
+            if (type === 'single') {
+                answers = question.answers.map(answer => `${answer.correct ? '=' : '~'}${escapeGift(answer.text)}${feedback(answer.feedback)}`);
+            } else if (type === 'multiple') {
+                const weight = getMultipleWeight(question, note);
+                answers = question.answers.map(answer =>
+                    `~%${answer.correct ? '' : '-'}${weight}%${escapeGift(answer.text)}${feedback(answer.feedback)}`);
+            } else if (type === 'truefalse') {
+                answers = [question.answer ? 'TRUE' : 'FALSE'];
+            } else if (type === 'text') {
+                answers = question.accepted.map(text => `=${escapeGift(text)}`);
+            } else {
+                answers = [`#${question.answer}${question.tolerance ? `:${question.tolerance}` : ''}`];
+            }
+            if (question.explanation) answers.push(`####${escapeGift(question.explanation)}`);
+
+            const title = question.id ? `::${escapeGift(question.id)}::` : '';
+            blocks.push([
+                `// time: ${formatTimestamp(question.time)}`,
+                `${title}[markdown]${escapeGift(question.question)} {`,
+                ...answers.map(answer => `\t${answer}`),
+                '}'
+            ].join('\n'));
+        });
+        return { text: `${blocks.join('\n\n')}\n`, issues };
+    }
+
+    // --- Moodle XML ---
+
+    /**
+     * Error de sintaxis XML con la línea donde se produjo.
+     */
+    class XmlSyntaxError extends SyntaxError {
+        constructor(message, line) {
+            super(`${message} (línea ${line})`);
+            this.name = 'XmlSyntaxError';
+            this.line = line;
+        }
+    }
+
+    /**
+     * Analiza un documento XML sencillo (sin DTD ni espacios de nombres).
+     * @param {string} text
+     * @returns {{name: string, attributes: object, children: Array, line: number}} El
+     *   nodo raíz; `children` tiene elementos y textos.
+     * @throws {XmlSyntaxError}
+     */
+    function parseXml(text) {
+        const root = { name: '#document', attributes: {}, children: [], line: 1 };
+        const stack = [root];
+        let pos = 0;
+        let line = 1;
+        let counted = 0;
+        const lineAt = index => {
+            for (; counted < index; counted++) {
+                if (text[counted] === '\n') line++;
+            }
+            return line;
+        };
+        const fail = (message, index) => {
+            throw new XmlSyntaxError(message, lineAt(index));
+        };
+        const current = () => stack[stack.length - 1];
+        const skipTo = (search, from) => {
+            const end = text.indexOf(search, from);
+            if (end === -1) fail(`Falta '${search}'`, from);
+            return end;
+        };
+
+        while (pos < text.length) {
+            const start = text.indexOf('<', pos);
+            if (start === -1) {
+                current().children.push(decodeEntities(text.slice(pos)));
+                break;
+            }
+            if (start > pos) current().children.push(decodeEntities(text.slice(pos, start)));
+            if (text.startsWith('<!--', start)) {
+                pos = skipTo('-->', start) + 3;
+            } else if (text.startsWith('<![CDATA[', start)) {
+                const end = skipTo(']]>', start);
+                current().children.push(text.slice(start + 9, end));
+                pos = end + 3;
+            } else if (text.startsWith('<?', start) || text.startsWith('<!', start)) {
+                pos = skipTo('>', start) + 1;
+            } else if (text[start + 1] === '/') {
+                const end = skipTo('>', start);
+                const name = text.slice(start + 2, end).trim();
+                if (stack.length < 2 || current().name !== name) fail(`Cierre inesperado </${name}>`, start);
+                stack.pop();
+                pos = end + 1;
+            } else {
+                const match = text.slice(start).match(/^<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/);
+                if (!match) fail('Etiqueta no válida', start);
+                const attributes = {};
+                for (const attribute of match[2].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                    attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+                }
+                const element = { name: match[1], attributes, children: [], line: lineAt(start) };
+                current().children.push(element);
+                if (!match[3]) stack.push(element);
+                pos = start + match[0].length;
+            }
+        }
+        if (stack.length > 1) fail(`Falta cerrar <${current().name}>`, text.length);
+        return root;
+    }
+
+    function getChildren(element, name) {
+        return element ? element.children.filter(child => typeof child === 'object' && child.name === name) : [];
+    }
+
+    function getChild(element, name) {
+        return getChildren(element, name)[0] || null;
+    }
+
+    function getTextContent(element) {
+        if (!element) return '';
+        return element.children.map(child => (typeof child === 'string' ? child : getTextContent(child))).join('');
+    }
+
+    /**
+     * Texto de un elemento de Moodle con formato (<questiontext format="html"><text>…).
+     * @param {object|null} element
+     * @param {function(string)} note
+     * @returns {string} El texto en Markdown.
+     */
+    function readMoodleText(element, note) {
+        if (!element) return '';
+        const files = getChildren(element, 'file');
+        if (files.length > 0) {
+            note(`Los archivos incrustados (${files.map(file => file.attributes.name).join(', ')}) no se extraen.`);
+        }
+        return convertFormattedText(getTextContent(getChild(element, 'text')), element.attributes.format || 'html', note);
+    }
+
+    /**
+     * Respuestas de una pregunta de Moodle con su porcentaje.
+     * @param {object} element El elemento <question>.
+     * @param {function(string)} note
+     * @returns {Array<{fraction: number, text: string, feedback: string, element: object}>}
+     */
+    function readMoodleAnswers(element, note) {
+        return getChildren(element, 'answer').map(answer => ({
+            fraction: Number(answer.attributes.fraction) || 0,
+            text: readMoodleText(answer, note),
+            feedback: readMoodleText(getChild(answer, 'feedback'), note),
+            element: answer
+        }));
+    }
+
+    const isMoodleTrue = element => /^(1|true)$/i.test(getTextContent(element).trim());
+
+    // Campos de cada tipo de pregunta de Moodle (atributo type de <question>)
+    const MOODLE_IMPORTERS = {
+        multichoice(element, note) {
+            const single = !/^(0|false)$/i.test(getTextContent(getChild(element, 'single')).trim());
+            const fields = buildChoiceFields(readMoodleAnswers(element, note), single, note);
+            if (isMoodleTrue(getChild(element, 'shuffleanswers'))) fields.randomize = true;
+            return fields;
+        },
+        truefalse(element, note) {
+            const answers = readMoodleAnswers(element, note);
+            const correct = answers.find(answer => answer.fraction >= 100);
+            if (answers.some(answer => answer.feedback)) {
+                note('Los comentarios de las respuestas de verdadero/falso no se admiten y se omiten.');
+            }
+            return { type: 'truefalse', answer: correct ? /^(true|verdadero)$/i.test(correct.text) : true };
+        },
+        shortanswer(element, note) {
+            const answers = readMoodleAnswers(element, note);
+            const accepted = answers.filter(answer => answer.fraction >= 100).map(answer => answer.text);
+            if (accepted.length < answers.length) note('Las respuestas cortas con crédito parcial se omiten.');
+            if (accepted.some(text => text.includes('*'))) {
+                note("El comodín '*' de las respuestas cortas no se admite: se compara como texto literal.");
+            }
+            if (answers.some(answer => answer.feedback)) note('Los comentarios de las respuestas cortas no se admiten y se omiten.');
+            const fields = { type: 'text', accepted };
+            if (isMoodleTrue(getChild(element, 'usecase'))) fields.caseSensitive = true;
+            return fields;
+        },
+        numerical(element, note, fail) {
+            const answers = readMoodleAnswers(element, note);
+            const correct = answers.find(answer => answer.fraction >= 100 && answer.text !== '*');
+            if (!correct) return fail('No tiene ninguna respuesta numérica al 100 %.');
+            if (answers.length > 1) note('Solo se importa la respuesta numérica al 100 %; las demás se omiten.');
+            if (answers.some(answer => answer.feedback)) note('Los comentarios de las respuestas numéricas no se admiten y se omiten.');
+            if (getChildren(getChild(element, 'units'), 'unit').length > 0) note('Las unidades no se admiten y se omiten.');
+            const answer = Number(correct.text.replace(',', '.'));
+            const tolerance = Number(getTextContent(getChild(correct.element, 'tolerance')).trim()) || 0;
+            if (!isFinite(answer)) return fail(`Respuesta numérica no válida: '${correct.text}'.`);
+            return tolerance > 0 ? { type: 'numeric', answer, tolerance } : { type: 'numeric', answer };
+        }
+    };
+
+    /**
+     * Importa un archivo Moodle XML.
+     * @param {string} text El contenido del archivo.
+     * @param {object} [options]
+     * @param {number} [options.spacing] Separación de las preguntas sin tiempo.
+     * @returns {{questions: Array, issues: Array}}
+     */
+    function parseMoodleXml(text, options = {}) {
+        const issues = [];
+        let root;
+        try {
+            root = parseXml(String(text).replace(/^\uFEFF/, ''));
+        } catch (error) {
+            if (!(error instanceof XmlSyntaxError)) throw error;
+            addIssue(issues, 'error', error.message, { line: error.line });
+            return { questions: [], issues };
+        }
+        const quiz = getChild(root, 'quiz');
+        if (!quiz) {
+            addIssue(issues, 'error', 'No es un archivo Moodle XML: falta el elemento <quiz>.');
+            return { questions: [], issues };
+        }
+
+        const entries = [];
+        getChildren(quiz, 'question').forEach(element => {
+            const type = element.attributes.type;
+            if (type === 'category') return;
+            const line = element.line;
+            const note = message => addIssue(issues, 'warning', message, { line });
+            let skipped = false;
+            const fail = message => {
+                addIssue(issues, 'error', message, { line });
+                skipped = true;
+                return null;
+            };
+            if (!MOODLE_IMPORTERS[type]) {
+                fail(`Las preguntas de Moodle de tipo '${type}' no tienen equivalente y se omiten.`);
+                return;
+            }
+
+            const question = {};
+            const id = getTextContent(getChild(element, 'idnumber')).trim() || getTextContent(getChild(getChild(element, 'name'), 'text')).trim();
+            if (id) question.id = id;
+            getChildren(getChild(element, 'tags'), 'tag').forEach(tag => {
+                const value = getTextContent(getChild(tag, 'text')).trim();
+                const match = value.match(TIME_PATTERN);
+                const time = match ? parseTimestamp(match[1]) : NaN;
+                if (isFinite(time)) {
+                    question.time = time;
+                } else {
+                    note(`Se ignora la etiqueta '${value}'.`);
+                }
+            });
+            question.question = readMoodleText(getChild(element, 'questiontext'), note);
+            const fields = MOODLE_IMPORTERS[type](element, note, fail);
+            if (skipped) return;
+            Object.assign(question, fields);
+
+            const points = Number(getTextContent(getChild(element, 'defaultgrade')).trim());
+            if (isFinite(points) && points !== 1 && getChild(element, 'defaultgrade')) question.points = points;
+            const explanation = readMoodleText(getChild(element, 'generalfeedback'), note);
+            if (explanation) question.explanation = explanation;
+            if (getChildren(element, 'hint').some(hint => getTextContent(getChild(hint, 'text')).trim())) {
+                note('Las pistas (<hint>) no se admiten y se omiten.');
+            }
+            const combined = ['correctfeedback', 'partiallycorrectfeedback', 'incorrectfeedback']
+                .some(name => getTextContent(getChild(getChild(element, name), 'text')).trim());
+            if (combined) note('Los comentarios combinados (correcta/parcial/incorrecta) no se admiten y se omiten.');
+
+            entries.push({ question, line });
+        });
+
+        return { questions: finishImport(entries, issues, options), issues };
+    }
+
+    function escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Serializa un elemento XML con sangría.
+     * @param {Array} node [nombre, atributos, hijos], donde hijos es un texto o una lista de nodos.
+     * @param {string} [indent]
+     * @returns {string}
+     */
+    function serializeXml(node, indent = '') {
+        const [name, attributes, content] = node;
+        const attributeText = Object.keys(attributes).map(key => ` ${key}="${escapeXml(attributes[key])}"`).join('');
+        if (!Array.isArray(content)) return `${indent}<${name}${attributeText}>${escapeXml(content)}</${name}>`;
+        return [
+            `${indent}<${name}${attributeText}>`,
+            ...content.map(child => serializeXml(child, `${indent}  `)),
+            `${indent}</${name}>`
+        ].join('\n');
+    }
+
+    const moodleText = (name, text, format) => [name, format ? { format } : {}, [['text', {}, text]]];
+
+    /**
+     * Exporta preguntas a Moodle XML. Los textos van con format="markdown".
+     * @param {Array} questions Preguntas de questions.json.
+     * @param {object} [options]
+     * @param {string} [options.language] Idioma de los textos (por defecto 'es').
+     * @returns {{text: string, issues: Array}}
+     */
+    function toMoodleXml(questions, options = {}) {
+        const issues = [];
+        const nodes = prepareExport(questions, 'moodle', options, issues).map(({ question, index, path }) => {
+            const note = message => addIssue(issues, 'warning', message, { path });
+            const type = question.type || 'single';
+            const answer = (fraction, text, feedback, extra = []) => ['answer', { fraction, format: 'markdown' },
+                [['text', {}, text], ...(feedback ? [moodleText('feedback', feedback, 'markdown')] : []), ...extra]];
+            let moodleType;
+            let fields;
+            if (type === 'single' || type === 'multiple') {
+                const weight = type === 'multiple' ? getMultipleWeight(question, note) : null;
+                moodleType = 'multichoice';
+                fields = [
+                    ['single', {}, String(type === 'single')],
+                    ['shuffleanswers', {}, question.randomize ? 'true' : 'false'],
+                    ['answernumbering', {}, 'abc'],
+                    ...question.answers.map(option => answer(
+                        weight === null ? (option.correct ? 100 : 0) : `${option.correct ? '' : '-'}${weight}`,
+                        option.text, option.feedback))
+                ];
+            } else if (type === 'truefalse') {
+                moodleType = 'truefalse';
+                fields = [answer(question.answer ? 100 : 0, 'true'), answer(question.answer ? 0 : 100, 'false')];
+            } else if (type === 'text') {
+                moodleType = 'shortanswer';
+                fields = [['usecase', {}, question.caseSensitive ? '1' : '0'], ...question.accepted.map(text => answer(100, text))];
+            } else {
+                moodleType = 'numerical';
+                fields = [answer(100, String(question.answer), '', [['tolerance', {}, String(question.tolerance || 0)]])];
+            }
+
+            const children = [
+                ['name', {}, [['text', {}, question.id || `Pregunta ${index + 1}`]]],
+                moodleText('questiontext', question.question, 'markdown'),
+                moodleText('generalfeedback', question.explanation || '', 'markdown'),
+                ['defaultgrade', {}, String(question.points !== undefined ? question.points : 1)]
+            ];
+            if (question.id) children.push(['idnumber', {}, question.id]);
+            children.push(...fields, ['tags', {}, [['tag', {}, [['text', {}, `time:${formatTimestamp(question.time)}`]]]]]);
+            return ['question', { type: moodleType }, children];
+        });
+        return { text: `<?xml version="1.0" encoding="UTF-8"?>\n${serializeXml(['quiz', {}, nodes])}\n`, issues };
+    }
+
+    // --- Exportación ---
+
+    /**
+     * Porcentaje de cada respuesta de una pregunta de selección múltiple en Moodle,
+     * equivalente a partialCredit (ver js/question-types.js).
+     * @param {object} question
+     * @param {function(string)} note
+     * @returns {string} Ej. "33.33333".
+     */
+    function getMultipleWeight(question, note) {
+        if (!question.partialCredit) {
+            note('Moodle puntúa la selección múltiple con crédito parcial; aquí se exigían todas las respuestas (sin partialCredit).');
+        }
+        const correct = question.answers.filter(answer => answer.correct).length;
+        if (correct > 10) note('Moodle no admite el porcentaje de más de 10 respuestas correctas; revisa los pesos al importar.');
+        return String(Number((100 / Math.max(correct, 1)).toFixed(5)));
+    }
+
+    /**
+     * Preguntas a exportar, con sus textos en un idioma. Avisa de los campos sin
+     * equivalente, omite las preguntas con las respuestas cifradas y cambia cada grupo
+     * de variantes por todas sus variantes.
+     * @param {Array} questions
+     * @param {string} format 'gift' o 'moodle'.
+     * @param {object} options
+     * @param {Array} issues
+     * @returns {Array<{question: object, index: number, path: string}>}
+     */
+    function prepareExport(questions, format, options, issues) {
+        const language = options.language || DEFAULT_LANGUAGE;
+        const others = LocaleManager.getContentLanguages(questions).filter(lang => lang !== language);
+        if (others.length > 0) {
+            addIssue(issues, 'warning', `Solo se exportan los textos en '${language}'; se omiten las traducciones (${others.join(', ')}).`);
+        }
+        // Un solo aviso por campo, con las preguntas que lo usan
+        const unsupported = {};
+        const prepared = [];
+        const prepare = (source, index, path) => {
+            if (source.hashed) {
+                addIssue(issues, 'error', 'Tiene las respuestas cifradas y se omite: exporta el archivo de autoría.', { path });
+                return;
+            }
+            const fields = UNSUPPORTED_FIELDS[format].filter(field => source[field] !== undefined);
+            if ((source.answers || []).some(answer => answer.goTo !== undefined)) fields.push('goTo');
+            fields.forEach(field => {
+                unsupported[field] = unsupported[field] || [];
+                if (!unsupported[field].includes(index + 1)) unsupported[field].push(index + 1);
+            });
+            prepared.push({ question: LocaleManager.localizeQuestion(source, language, language), index, path });
+        };
+        questions.forEach((source, index) => {
+            const path = `[${index}]`;
+            if (!QuestionPools.isPool(source)) {
+                prepare(source, index, path);
+                return;
+            }
+            addIssue(issues, 'warning', `Es un grupo de ${source.pool.length} variantes: se exportan todas como preguntas sueltas, sin sorteo.`, { path });
+            QuestionPools.completeVariants(source).forEach((variant, variantIndex) => {
+                prepare(variant, index, `${path}.pool[${variantIndex}]`);
+            });
+        });
+        Object.keys(unsupported).forEach(field => {
+            addIssue(issues, 'warning', `'${field}' no tiene equivalente y se omite (pregunta${unsupported[field].length > 1 ? 's' : ''} ${unsupported[field].join(', ')}).`);
+        });
+        return prepared;
+    }
+
+    // --- CSV ---
+
+    /**
+     * Filas de un CSV (RFC 4180). El separador (coma, punto y coma o tabulador) se
+     * deduce de la primera línea.
+     * @param {string} text
+     * @returns {Array<{cells: string[], line: number}>}
+     */
+    function parseCsvRows(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const firstLine = source.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+            (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (char === '\n') line++;
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') continue;
+                cells.push(cell);
+                rows.push({ cells, line: rowLine });
+                cells = [];
+                cell = '';
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || cells.length > 0) {
+            cells.push(cell);
+            rows.push({ cells, line: rowLine });
+        }
+        return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+    }
+
+    // Columnas del CSV; las localizables admiten sufijo de idioma y las numeradas, número
+    const CSV_FIELDS = {
+        time: {}, timestamp: { alias: 'time' }, id: {}, type: {}, correct: {}, tolerance: {},
+        case_sensitive: {}, randomize: {}, partial_credit: {}, points: {}, max_attempts: {},
+        question: { localized: true }, explanation: { localized: true },
+        answer: { localized: true, numbered: true }, feedback: { localized: true, numbered: true }
+    };
+
+    /**
+     * Interpreta la cabecera de una columna, ej. "answer_2.en".
+     * @param {string} header
+     * @returns {{field: string, number: number|null, lang: string|null}|null} null si no se conoce.
+     */
+    function parseCsvHeader(header) {
+        const match = header.trim().toLowerCase().replace(/\s+/g, '_')
+            .match(/^([a-z_]+?)(?:_?(\d+))?(?:\.([a-z]{2,3}(?:-[a-z0-9]+)?))?$/);
+        if (!match || !CSV_FIELDS[match[1]]) return null;
+        const definition = CSV_FIELDS[match[1]];
+        if (Boolean(match[2]) !== Boolean(definition.numbered) || (match[3] && !definition.localized)) return null;
+        return { field: definition.alias || match[1], number: match[2] ? Number(match[2]) : null, lang: match[3] || null };
+    }
+
+    const parseCsvBoolean = value => /^(1|true|s[ií]|yes|x|verdadero|v|t)$/i.test(value.trim());
+    const isCsvBoolean = value => /^(1|0|true|false|s[ií]|no|yes|verdadero|falso|v|f|t)$/i.test(value.trim());
+    const parseCsvNumber = value => (value.trim() === '' ? NaN : Number(value.trim().replace(',', '.')));
+
+    /**
+     * Números de respuesta de la columna `correct` ("1;3", "a, c").
+     * @param {string} value
+     * @returns {number[]|null} Índices (desde 0), o null si hay algún valor no válido.
+     */
+    function parseCsvAnswerIndexes(value) {
+        const indexes = value.split(/[\s,;|]+/).filter(Boolean).map(item => {
+            if (/^\d+$/.test(item)) return Number(item) - 1;
+            return /^[a-z]$/i.test(item) ? item.toLowerCase().charCodeAt(0) - 97 : NaN;
+        });
+        return indexes.every(index => index >= 0) ? indexes : null;
+    }
+
+    /**
+     * Importa un CSV con una pregunta por fila (ver arriba las columnas).
+     * @param {string} text El contenido del archivo.
+     * @param {object} [options]
+     * @param {string} [options.language] Idioma de las columnas sin sufijo (por defecto 'es').
+     * @param {number} [options.spacing] Separación de las preguntas sin tiempo.
+     * @returns {{questions: Array, issues: Array}}
+     */
+    function parseCsv(text, options = {}) {
+        const issues = [];
+        const language = options.language || DEFAULT_LANGUAGE;
+        const [header, ...rows] = parseCsvRows(text);
+        if (!header) {
+            addIssue(issues, 'error', 'El CSV está vacío.');
+            return { questions: [], issues };
+        }
+        const columns = header.cells.map(name => {
+            const column = parseCsvHeader(name);
+            if (!column && name.trim()) {
+                addIssue(issues, 'warning', `Columna desconocida '${name.trim()}': se ignora.`, { line: header.line });
+            }
+            return column;
+        });
+        if (!columns.some(column => column && column.field === 'question')) {
+            addIssue(issues, 'error', "Falta la columna 'question'.", { line: header.line });
+            return { questions: [], issues };
+        }
+
+        const entries = [];
+        rows.forEach(({ cells, line }) => {
+            const fail = message => addIssue(issues, 'error', `${message} Se omite la fila.`, { line });
+            const values = {};
+            const texts = {};
+            columns.forEach((column, index) => {
+                const value = (cells[index] || '').trim().replace(/\r\n?/g, '\n');
+                if (!column || value === '') return;
+                if (!CSV_FIELDS[column.field].localized) {
+                    values[column.field] = value;
+                    return;
+                }
+                const key = column.number !== null ? `${column.field}_${column.number}` : column.field;
+                texts[key] = texts[key] || {};
+                texts[key][column.lang || language] = value;
+            });
+            // Un texto con un solo idioma, el de las columnas sin sufijo, queda como texto simple
+            const localized = key => {
+                const value = texts[key];
+                if (!value) return undefined;
+                const langs = Object.keys(value);
+                return langs.length === 1 && langs[0] === language ? value[language] : value;
+            };
+
+            const question = {};
+            if (values.id) question.id = values.id;
+            if (values.time !== undefined) {
+                const time = parseTimestamp(values.time);
+                if (isFinite(time)) {
+                    question.time = time;
+                } else {
+                    addIssue(issues, 'warning', `Tiempo no válido: '${values.time}' (usa segundos o mm:ss).`, { line });
+                }
+            }
+            question.question = localized('question');
+            if (question.question === undefined) return fail('Falta el texto de la pregunta.');
+
+            const numbers = Object.keys(texts).filter(key => /^answer_\d+$/.test(key))
+                .map(key => Number(key.slice('answer_'.length))).sort((a, b) => a - b);
+            const correct = values.correct || '';
+            let type = values.type ? values.type.toLowerCase() : null;
+            if (!type) {
+                if (numbers.length > 0) {
+                    type = (parseCsvAnswerIndexes(correct) || []).length > 1 ? 'multiple' : 'single';
+                } else if (isCsvBoolean(correct)) {
+                    type = 'truefalse';
+                } else {
+                    type = isFinite(parseCsvNumber(correct)) ? 'numeric' : 'text';
+                }
+            }
+            if (type !== 'single') question.type = type;
+
+            if (type === 'single' || type === 'multiple') {
+                const indexes = parseCsvAnswerIndexes(correct);
+                if (!indexes || indexes.some(index => index >= numbers.length)) {
+                    return fail(`'correct' debe indicar los números o letras de las respuestas correctas (ej. "1" o "1;3"), no '${correct}'.`);
+                }
+                question.answers = numbers.map((number, index) => {
+                    const answer = { text: localized(`answer_${number}`), correct: indexes.includes(index) };
+                    const feedback = localized(`feedback_${number}`);
+                    if (feedback !== undefined) answer.feedback = feedback;
+                    return answer;
+                });
+                if (values.randomize !== undefined) question.randomize = parseCsvBoolean(values.randomize);
+                if (type === 'multiple' && values.partial_credit !== undefined) question.partialCredit = parseCsvBoolean(values.partial_credit);
+            } else if (type === 'truefalse') {
+                if (!isCsvBoolean(correct)) return fail(`'correct' debe ser true o false, no '${correct}'.`);
+                question.answer = parseCsvBoolean(correct);
+            } else if (type === 'text') {
+                question.accepted = correct.split('|').map(item => item.trim()).filter(Boolean);
+                if (values.case_sensitive !== undefined) question.caseSensitive = parseCsvBoolean(values.case_sensitive);
+            } else if (type === 'numeric') {
+                question.answer = parseCsvNumber(correct);
+                if (!isFinite(question.answer)) return fail(`'correct' debe ser un número, no '${correct}'.`);
+                if (values.tolerance !== undefined) question.tolerance = parseCsvNumber(values.tolerance);
+            }
+            if (type !== 'single' && type !== 'multiple' && numbers.length > 0) {
+                addIssue(issues, 'warning', `Las columnas 'answer_N' no se usan en las preguntas de tipo '${type}'.`, { line });
+            }
+            if (values.points !== undefined) question.points = parseCsvNumber(values.points);
+            if (values.max_attempts !== undefined) question.maxAttempts = parseCsvNumber(values.max_attempts);
+            const explanation = localized('explanation');
+            if (explanation !== undefined) question.explanation = explanation;
+            entries.push({ question, line });
+        });
+
+        return { questions: finishImport(entries, issues, options), issues };
+    }
+
+    const api = {
+        DEFAULT_SPACING,
+        XmlSyntaxError,
+        parseTimestamp,
+        formatTimestamp,
+        htmlToMarkdown,
+        parseGift,
+        toGift,
+        parseXml,
+        parseMoodleXml,
+        toMoodleXml,
+        parseCsv
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.QuestionFormats = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
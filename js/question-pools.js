@@ -0,0 +1,150 @@
+// --- Grupos de preguntas (pool) ---
+// Un checkpoint puede plantear variantes sorteadas de un grupo en lugar de una
+// pregunta fija, para que no todos los alumnos vean la misma:
+//
+//   {
+//     "id": "requisitos",              Id del grupo (obligatorio; destino de goTo)
+//     "time": 10,
+//     "draw": 1,                       Cuántas variantes se plantean (1 por defecto)
+//     "points": 2,                     Campos comunes: los heredan las variantes
+//     "pool": [
+//       { "id": "requisitos-a", "question": "...", "answers": [...] },
+//       { "id": "requisitos-b", "type": "truefalse", "question": "...", "answer": true }
+//     ]
+//   }
+//
+// Cada variante es una pregunta completa sin `time` y con su propio `id`. El sorteo
+// usa un generador pseudoaleatorio con semilla: la semilla del alumno se guarda con
+// su progreso (ver js/progress-store.js), así que al recargar se plantean las mismas
+// variantes, y cada alumno recibe una semilla distinta. Cada grupo sortea con la
+// semilla y su id, de modo que añadir o quitar un grupo no cambia el sorteo de los
+// demás.
+//
+// Al cargar, expandPools sustituye cada grupo por las variantes sorteadas: el resto
+// de la aplicación ve preguntas normales (con el `id` de la variante) que llevan en
+// `poolId` el id de su grupo, para la revisión y las exportaciones.
+
+(function (global) {
+    'use strict';
+
+    // Campos propios del grupo, que no heredan las variantes
+    const POOL_FIELDS = ['id', 'time', 'draw', 'pool'];
+
+    /**
+     * @param {*} question Una entrada de questions.json.
+     * @returns {boolean} Si es un grupo de variantes.
+     */
+    function isPool(question) {
+        return Boolean(question) && Array.isArray(question.pool);
+    }
+
+    /**
+     * Semilla nueva para un alumno.
+     * @returns {string}
+     */
+    function createSeed() {
+        const values = new Uint32Array(2);
+        if (global.crypto && typeof global.crypto.getRandomValues === 'function') {
+            global.crypto.getRandomValues(values);
+        } else {
+            values[0] = Math.random() * 0x100000000;
+            values[1] = Math.random() * 0x100000000;
+        }
+        return Array.from(values, value => value.toString(36)).join('');
+    }
+
+    /**
+     * Generador pseudoaleatorio (mulberry32) a partir de un texto.
+     * @param {string} seed
+     * @returns {function(): number} Devuelve números en [0, 1), siempre los mismos para la misma semilla.
+     */
+    function createRandom(seed) {
+        // Huella FNV-1a del texto como estado inicial
+        let state = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            state ^= seed.charCodeAt(i);
+            state = Math.imul(state, 0x01000193) >>> 0;
+        }
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let value = state;
+            value = Math.imul(value ^ (value >>> 15), value | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+        };
+    }
+
+    /**
+     * @param {object} group Un grupo de questions.json.
+     * @returns {number} Cuántas variantes se plantean (entre 1 y las que hay).
+     */
+    function getDrawCount(group) {
+        const draw = Number.isInteger(group.draw) && group.draw > 0 ? group.draw : 1;
+        return Math.min(draw, group.pool.length);
+    }
+
+    /**
+     * Sortea las variantes de un grupo.
+     * @param {object} group Un grupo de questions.json.
+     * @param {string} seed Semilla del alumno.
+     * @returns {Array} Las variantes sorteadas, en el orden en que se plantean.
+     */
+    function drawVariants(group, seed) {
+        const random = createRandom(`${seed}:${group.id}`);
+        const variants = group.pool.slice();
+        const count = getDrawCount(group);
+        // Fisher-Yates parcial: solo hace falta desordenar las primeras `count`
+        for (let i = 0; i < count; i++) {
+            const j = i + Math.floor(random() * (variants.length - i));
+            [variants[i], variants[j]] = [variants[j], variants[i]];
+        }
+        return variants.slice(0, count);
+    }
+
+    /**
+     * Completa variantes de un grupo como preguntas: con los campos comunes del grupo,
+     * su `time` y el id del grupo en `poolId`.
+     * @param {object} group Un grupo de questions.json.
+     * @param {Array} [variants] Las variantes (por defecto, todas).
+     * @returns {Array}
+     */
+    function completeVariants(group, variants = group.pool) {
+        const shared = {};
+        Object.keys(group).forEach(key => {
+            if (!POOL_FIELDS.includes(key)) shared[key] = group[key];
+        });
+        return variants.map(variant => ({ id: variant.id, ...shared, ...variant, time: group.time, poolId: group.id }));
+    }
+
+    /**
+     * Sustituye cada grupo por sus variantes sorteadas.
+     * @param {Array} questions Preguntas de questions.json, ordenadas por tiempo.
+     * @param {string} seed Semilla del alumno.
+     * @returns {Array} Las preguntas que se plantean (las que no son grupos, sin copiar).
+     */
+    function expandPools(questions, seed) {
+        const expanded = [];
+        questions.forEach(question => {
+            if (isPool(question)) expanded.push(...completeVariants(question, drawVariants(question, seed)));
+            else expanded.push(question);
+        });
+        return expanded;
+    }
+
+    const api = {
+        POOL_FIELDS,
+        isPool,
+        createSeed,
+        createRandom,
+        getDrawCount,
+        drawVariants,
+        completeVariants,
+        expandPools
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.QuestionPools = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
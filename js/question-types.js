@@ -0,0 +1,437 @@
+// --- Tipos de pregunta ---
+// Cada tipo (`type` en questions.json) sabe cómo dibujarse en #answers-container,
+// leer la respuesta del usuario, corregirla y describirla en la revisión.
+//
+// Tipos disponibles:
+//   single     Opción única (por defecto). `answers[]` con un único `correct: true`.
+//   multiple   Selección múltiple. Todas las `answers[].correct` son obligatorias;
+//              con `partialCredit: true` se puntúan los aciertos parciales.
+//   truefalse  Verdadero/Falso. `answer: true | false`.
+//   text       Respuesta corta. `accepted: [...]` con las variantes válidas;
+//              sin distinguir mayúsculas salvo `caseSensitive: true`.
+//   numeric    Respuesta numérica. `answer` y `tolerance` (margen absoluto, 0 por defecto).
+//
+// Interfaz de cada tipo:
+//   render(question, container, helpers)   helpers: { t, shuffle, onChange, onSubmit }
+//   getResponse(container)                 null si el usuario no ha respondido
+//   grade(question, response)              { isCorrect, score } con score entre 0 y 1
+//   markResult(container, result)          Resalta la respuesta tras corregir
+//   setDisabled(container, disabled)
+//   formatResponse(question, response, t)  Texto de la respuesta del usuario
+//   formatCorrectAnswer(question, t)       Texto de la respuesta correcta
+//   getFeedback(question, response)        (Opcional) `answers[].feedback` de las opciones marcadas
+//   getGoTo(question, response)            (Opcional) `answers[].goTo` de la opción elegida (ver js/branching.js)
+
+(function (global) {
+    'use strict';
+
+    const DEFAULT_TYPE = 'single';
+    const questionTypes = {};
+
+    /**
+     * Registra (o reemplaza) un tipo de pregunta.
+     * @param {string} name Valor del campo `type` en questions.json.
+     * @param {object} handler Implementación de la interfaz descrita arriba.
+     */
+    function registerQuestionType(name, handler) {
+        questionTypes[name] = handler;
+    }
+
+    /**
+     * Devuelve el manejador del tipo de una pregunta.
+     * @param {object} question La pregunta.
+     * @returns {object} El manejador del tipo.
+     */
+    function getQuestionType(question) {
+        const name = question.type || DEFAULT_TYPE;
+        const handler = questionTypes[name];
+        if (!handler) {
+            throw new Error(`Tipo de pregunta desconocido: '${name}'.`);
+        }
+        return handler;
+    }
+
+    /**
+     * Textos de `answers[].feedback` de las opciones que ha marcado el usuario.
+     * @param {object} question La pregunta.
+     * @param {*} response La respuesta (ver getResponse).
+     * @returns {string[]} Los textos ([] si el tipo no tiene opciones o no hay ninguno).
+     */
+    function getAnswerFeedback(question, response) {
+        const handler = getQuestionType(question);
+        if (!handler.getFeedback || response === null || response === undefined) return [];
+        return handler.getFeedback(question, response).filter(text => typeof text === 'string' && text.trim() !== '');
+    }
+
+    /**
+     * Destino (`answers[].goTo`) de la respuesta del usuario: un segundo del vídeo o
+     * el id de una pregunta.
+     * @param {object} question La pregunta.
+     * @param {*} response La respuesta (ver getResponse).
+     * @returns {number|string|undefined} undefined si la respuesta no lleva a otro punto.
+     */
+    function getAnswerGoTo(question, response) {
+        const handler = getQuestionType(question);
+        if (!handler.getGoTo || response === null || response === undefined) return undefined;
+        return handler.getGoTo(question, response);
+    }
+
+    /**
+     * Normaliza un texto libre para compararlo: recorta y colapsa espacios. Las
+     * minúsculas no dependen del idioma del sistema (en turco "I" daría "ı"), porque
+     * el resultado se compara con los hashes que genera tools/hash-answers.js en Node.
+     * @param {string} value El texto.
+     * @param {boolean} caseSensitive Si se deben respetar mayúsculas/minúsculas.
+     * @returns {string} El texto normalizado.
+     */
+    function normalizeText(value, caseSensitive) {
+        const collapsed = String(value).trim().replace(/\s+/g, ' ');
+        return caseSensitive ? collapsed : collapsed.toLowerCase();
+    }
+
+    /**
+     * Convierte a número aceptando coma decimal (ej. "3,5").
+     * @param {string|number} value El valor introducido.
+     * @returns {number} El número, o NaN si no es válido.
+     */
+    function parseNumber(value) {
+        if (typeof value === 'number') return value;
+        const normalized = String(value).trim().replace(',', '.');
+        return normalized === '' ? NaN : Number(normalized);
+    }
+
+    // --- Tipos basados en botones (single, multiple, truefalse) ---
+
+    /**
+     * Dibuja una lista de opciones como botones.
+     * @param {HTMLElement} container El contenedor de respuestas.
+     * @param {Array<{text: string, index: number}>} options Opciones con su índice original.
+     * @param {object} settings { role: 'radio' | 'checkbox', onChange, onSubmit }
+     *
+     * Teclado (patrón radiogroup de WAI-ARIA): las flechas, Inicio y Fin mueven el foco
+     * (y en opción única también la selección), Espacio marca la opción y Enter la
+     * marca y envía la respuesta. En opción única solo la opción marcada (o la primera)
+     * está en el orden de tabulación.
+     */
+    function renderOptionButtons(container, options, settings) {
+        container.setAttribute('role', settings.role === 'checkbox' ? 'group' : 'radiogroup');
+        const buttons = [];
+        const moveFocus = to => {
+            const target = buttons[(to + buttons.length) % buttons.length];
+            if (settings.role === 'radio') {
+                target.click();
+            }
+            target.focus();
+        };
+        options.forEach((option, position) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = option.text;
+            // Guardamos el índice ORIGINAL de la respuesta, ya que el orden puede estar aleatorizado
+            button.dataset.originalIndex = option.index;
+            button.classList.add('btn', 'btn-answer');
+            button.setAttribute('role', settings.role);
+            button.setAttribute('aria-checked', 'false');
+            // Opción única: solo la primera opción es tabulable hasta que se marque otra
+            button.setAttribute('tabindex', settings.role === 'radio' && position > 0 ? '-1' : '0');
+            button.addEventListener('click', () => {
+                if (button.disabled) return;
+                if (settings.role === 'radio') {
+                    // Opción única: quitar la selección del resto de botones
+                    container.querySelectorAll('.btn-answer').forEach(btn => {
+                        btn.classList.remove('selected');
+                        btn.setAttribute('aria-checked', 'false');
+                        btn.setAttribute('tabindex', '-1');
+                    });
+                    button.classList.add('selected');
+                    button.setAttribute('aria-checked', 'true');
+                    button.setAttribute('tabindex', '0');
+                } else {
+                    const selected = !button.classList.contains('selected');
+                    button.classList.toggle('selected', selected);
+                    button.setAttribute('aria-checked', String(selected));
+                }
+                // Limpiar estilos de feedback si se reintenta
+                container.querySelectorAll('.btn-answer').forEach(btn => btn.classList.remove('correct', 'incorrect'));
+                settings.onChange();
+            });
+            button.addEventListener('keydown', event => {
+                switch (event.key) {
+                    case 'ArrowDown':
+                    case 'ArrowRight':
+                        moveFocus(position + 1);
+                        break;
+                    case 'ArrowUp':
+                    case 'ArrowLeft':
+                        moveFocus(position - 1);
+                        break;
+                    case 'Home':
+                        moveFocus(0);
+                        break;
+                    case 'End':
+                        moveFocus(buttons.length - 1);
+                        break;
+                    case 'Enter':
+                        // Enter envía; en opción única marca antes la opción con el foco
+                        if (settings.role === 'radio' && !button.classList.contains('selected')) button.click();
+                        settings.onSubmit();
+                        break;
+                    default:
+                        return; // Espacio: el clic nativo del botón marca la opción
+                }
+                event.preventDefault();
+            });
+            buttons.push(button);
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Índices originales de los botones seleccionados.
+     * @param {HTMLElement} container El contenedor de respuestas.
+     * @returns {number[]} Los índices seleccionados.
+     */
+    function getSelectedIndexes(container) {
+        return Array.from(container.querySelectorAll('.btn-answer.selected'))
+            .map(button => parseInt(button.dataset.originalIndex, 10));
+    }
+
+    function setButtonsDisabled(container, disabled) {
+        container.querySelectorAll('.btn-answer').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    function feedbackForIndexes(question, indexes) {
+        return indexes.map(index => (question.answers[index] ? question.answers[index].feedback : undefined));
+    }
+
+    // En selección múltiple manda la primera opción marcada (en el orden del archivo) con `goTo`
+    function goToForIndexes(question, indexes) {
+        const answer = [...indexes].sort((a, b) => a - b)
+            .map(index => question.answers[index])
+            .find(option => option && option.goTo !== undefined);
+        return answer ? answer.goTo : undefined;
+    }
+
+    function markSelectedButtons(container, result) {
+        container.querySelectorAll('.btn-answer.selected').forEach(button => {
+            button.classList.add(result.isCorrect ? 'correct' : 'incorrect');
+        });
+    }
+
+    /**
+     * Prepara las opciones de `answers[]` conservando su índice original.
+     * @param {object} question La pregunta.
+     * @param {object} helpers Utilidades ({ shuffle }).
+     * @returns {Array<{text: string, index: number}>} Las opciones en orden de presentación.
+     */
+    function answerOptions(question, helpers) {
+        const options = question.answers.map((answer, index) => ({ text: answer.text, index }));
+        return question.randomize ? helpers.shuffle(options) : options;
+    }
+
+    registerQuestionType('single', {
+        render(question, container, helpers) {
+            renderOptionButtons(container, answerOptions(question, helpers), { role: 'radio', onChange: helpers.onChange, onSubmit: helpers.onSubmit });
+        },
+        getResponse(container) {
+            const selected = getSelectedIndexes(container);
+            return selected.length > 0 ? selected[0] : null;
+        },
+        grade(question, response) {
+            const isCorrect = Boolean(question.answers[response] && question.answers[response].correct);
+            return { isCorrect, score: isCorrect ? 1 : 0 };
+        },
+        markResult: markSelectedButtons,
+        setDisabled: setButtonsDisabled,
+        formatResponse(question, response) {
+            return question.answers[response].text;
+        },
+        formatCorrectAnswer(question) {
+            const correctAnswer = question.answers.find(a => a.correct);
+            return correctAnswer ? correctAnswer.text : '';
+        },
+        getFeedback: (question, response) => feedbackForIndexes(question, [response]),
+        getGoTo: (question, response) => goToForIndexes(question, [response])
+    });
+
+    registerQuestionType('multiple', {
+        render(question, container, helpers) {
+            renderOptionButtons(container, answerOptions(question, helpers), { role: 'checkbox', onChange: helpers.onChange, onSubmit: helpers.onSubmit });
+        },
+        getResponse(container) {
+            const selected = getSelectedIndexes(container);
+            return selected.length > 0 ? selected.sort((a, b) => a - b) : null;
+        },
+        grade(question, response) {
+            const correctIndexes = question.answers
+                .map((answer, index) => (answer.correct ? index : -1))
+                .filter(index => index !== -1);
+            const hits = response.filter(index => correctIndexes.includes(index)).length;
+            const misses = response.length - hits;
+            const isCorrect = misses === 0 && hits === correctIndexes.length;
+            let score = isCorrect ? 1 : 0;
+            if (!isCorrect && question.partialCredit && correctIndexes.length > 0) {
+                // Cada opción incorrecta marcada anula un acierto
+                score = Math.max(0, (hits - misses) / correctIndexes.length);
+            }
+            return { isCorrect, score };
+        },
+        markResult: markSelectedButtons,
+        setDisabled: setButtonsDisabled,
+        formatResponse(question, response) {
+            return response.map(index => question.answers[index].text).join(', ');
+        },
+        formatCorrectAnswer(question) {
+            return question.answers.filter(a => a.correct).map(a => a.text).join(', ');
+        },
+        getFeedback: (question, response) => feedbackForIndexes(question, response),
+        getGoTo: (question, response) => goToForIndexes(question, response)
+    });
+
+    registerQuestionType('truefalse', {
+        render(question, container, helpers) {
+            const options = [
+                { text: helpers.t('true_label'), index: 1 },
+                { text: helpers.t('false_label'), index: 0 }
+            ];
+            renderOptionButtons(container, options, { role: 'radio', onChange: helpers.onChange, onSubmit: helpers.onSubmit });
+        },
+        getResponse(container) {
+            const selected = getSelectedIndexes(container);
+            return selected.length > 0 ? selected[0] === 1 : null;
+        },
+        grade(question, response) {
+            const isCorrect = response === Boolean(question.answer);
+            return { isCorrect, score: isCorrect ? 1 : 0 };
+        },
+        markResult: markSelectedButtons,
+        setDisabled: setButtonsDisabled,
+        formatResponse(question, response, t) {
+            return t(response ? 'true_label' : 'false_label');
+        },
+        formatCorrectAnswer(question, t) {
+            return t(question.answer ? 'true_label' : 'false_label');
+        }
+    });
+
+    // --- Tipos basados en un campo de entrada (text, numeric) ---
+
+    /**
+     * Dibuja un campo de entrada para respuestas abiertas.
+     * @param {HTMLElement} container El contenedor de respuestas.
+     * @param {object} settings { inputType, inputMode, placeholder, label, onChange, onSubmit }
+     */
+    function renderInput(container, settings) {
+        container.removeAttribute('role');
+        const input = document.createElement('input');
+        input.type = settings.inputType;
+        if (settings.inputMode) input.setAttribute('inputmode', settings.inputMode);
+        input.className = 'answer-input';
+        input.placeholder = settings.placeholder;
+        input.setAttribute('aria-label', settings.label);
+        input.autocomplete = 'off';
+        input.addEventListener('input', () => {
+            input.classList.remove('correct', 'incorrect');
+            settings.onChange();
+        });
+        input.addEventListener('keydown', event => {
+            if (event.key !== 'Enter') return;
+            event.preventDefault();
+            settings.onSubmit();
+        });
+        container.appendChild(input);
+    }
+
+    function getInputValue(container) {
+        const input = container.querySelector('.answer-input');
+        return input && input.value.trim() !== '' ? input.value : null;
+    }
+
+    function setInputDisabled(container, disabled) {
+        const input = container.querySelector('.answer-input');
+        if (input) input.disabled = disabled;
+    }
+
+    function markInput(container, result) {
+        const input = container.querySelector('.answer-input');
+        if (input) input.classList.add(result.isCorrect ? 'correct' : 'incorrect');
+    }
+
+    registerQuestionType('text', {
+        render(question, container, helpers) {
+            renderInput(container, {
+                inputType: 'text',
+                placeholder: helpers.t('text_answer_placeholder'),
+                label: helpers.t('text_answer_placeholder'),
+                onChange: helpers.onChange,
+                onSubmit: helpers.onSubmit
+            });
+        },
+        getResponse: getInputValue,
+        grade(question, response) {
+            const caseSensitive = Boolean(question.caseSensitive);
+            const normalized = normalizeText(response, caseSensitive);
+            const isCorrect = (question.accepted || []).some(variant => normalizeText(variant, caseSensitive) === normalized);
+            return { isCorrect, score: isCorrect ? 1 : 0 };
+        },
+        markResult: markInput,
+        setDisabled: setInputDisabled,
+        formatResponse(question, response) {
+            return String(response).trim();
+        },
+        formatCorrectAnswer(question) {
+            return (question.accepted || []).join(' / ');
+        }
+    });
+
+    registerQuestionType('numeric', {
+        render(question, container, helpers) {
+            // type="text" + inputmode="decimal" para admitir coma decimal en cualquier navegador
+            renderInput(container, {
+                inputType: 'text',
+                inputMode: 'decimal',
+                placeholder: helpers.t('numeric_answer_placeholder'),
+                label: helpers.t('numeric_answer_placeholder'),
+                onChange: helpers.onChange,
+                onSubmit: helpers.onSubmit
+            });
+        },
+        getResponse(container) {
+            const value = getInputValue(container);
+            if (value === null) return null;
+            const number = parseNumber(value);
+            return isNaN(number) ? null : number;
+        },
+        grade(question, response) {
+            const tolerance = Math.abs(question.tolerance || 0);
+            const isCorrect = Math.abs(response - question.answer) <= tolerance;
+            return { isCorrect, score: isCorrect ? 1 : 0 };
+        },
+        markResult: markInput,
+        setDisabled: setInputDisabled,
+        formatResponse(question, response) {
+            return String(response);
+        },
+        formatCorrectAnswer(question) {
+            return question.tolerance ? `${question.answer} (± ${Math.abs(question.tolerance)})` : String(question.answer);
+        }
+    });
+
+    const api = {
+        DEFAULT_TYPE,
+        registerQuestionType,
+        getQuestionType,
+        getAnswerFeedback,
+        getAnswerGoTo,
+        normalizeText,
+        parseNumber
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.QuestionTypes = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
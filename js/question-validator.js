@@ -0,0 +1,709 @@
+// --- Validador de questions.json ---
+// Comprueba el archivo de preguntas según schema/questions.schema.json y devuelve
+// errores (impiden usar el archivo) y avisos (probables fallos de autoría) con su
+// línea en el archivo original. Se usa tanto en el navegador al cargar las preguntas
+// como desde la línea de comandos (tools/validate-questions.js). Los grupos de
+// variantes (`pool`, ver js/question-pools.js) se comprueban sin sortear: cada variante
+// como una pregunta con el `time` del grupo.
+
+(function (global) {
+    'use strict';
+
+    const Branching = typeof module !== 'undefined' && module.exports ? require('./branching.js') : global.Branching;
+
+    const QUESTION_TYPES = ['single', 'multiple', 'truefalse', 'text', 'numeric'];
+
+    // Campos admitidos en cada pregunta y en cada respuesta. Un campo desconocido
+    // suele ser una errata (ej. "anwsers"), por lo que se avisa.
+    const QUESTION_FIELDS = ['id', 'time', 'type', 'question', 'answers', 'randomize', 'partialCredit',
+        'answer', 'tolerance', 'accepted', 'caseSensitive', 'points', 'maxAttempts', 'rewatchFrom', 'explanation', 'hashed'];
+    const ANSWER_FIELDS = ['text', 'correct', 'feedback', 'goTo'];
+    // Campos de un grupo de variantes (ver js/question-pools.js); las variantes heredan
+    // los que no son propios del grupo (id, time, draw, pool)
+    const POOL_FIELDS = ['id', 'time', 'draw', 'pool', 'points', 'maxAttempts', 'rewatchFrom', 'randomize'];
+
+    // Un hash SHA-256 en hexadecimal (ver js/answer-hash.js)
+    const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+    // --- Parser JSON con posiciones ---
+
+    /**
+     * Error de sintaxis JSON con la línea y columna donde se produjo.
+     */
+    class JsonSyntaxError extends SyntaxError {
+        constructor(message, line, column) {
+            super(`${message} (línea ${line}, columna ${column})`);
+            this.name = 'JsonSyntaxError';
+            this.line = line;
+            this.column = column;
+        }
+    }
+
+    /**
+     * Analiza un texto JSON registrando la línea de cada valor.
+     * @param {string} text El contenido del archivo.
+     * @returns {{data: *, locations: Object<string, {line: number, column: number}>}}
+     *   Los datos y un mapa de ruta (ej. "[2].answers[0].text") a posición.
+     * @throws {JsonSyntaxError} Si el texto no es JSON válido.
+     */
+    function parseJsonWithLocations(text) {
+        const locations = {};
+        let pos = 0;
+        let line = 1;
+        let lineStart = 0;
+
+        const fail = message => {
+            throw new JsonSyntaxError(message, line, pos - lineStart + 1);
+        };
+        const skipWhitespace = () => {
+            while (pos < text.length) {
+                const char = text[pos];
+                if (char === '\n') {
+                    line++;
+                    lineStart = pos + 1;
+                } else if (char !== ' ' && char !== '\t' && char !== '\r' && char !== '\uFEFF') {
+                    break;
+                }
+                pos++;
+            }
+        };
+        const parseString = () => {
+            const start = pos;
+            pos++; // comilla inicial
+            while (pos < text.length && text[pos] !== '"') {
+                if (text[pos] === '\\') pos++;
+                if (text[pos] === '\n') fail('Salto de línea dentro de una cadena');
+                pos++;
+            }
+            if (pos >= text.length) fail('Cadena sin cerrar');
+            pos++; // comilla final
+            try {
+                return JSON.parse(text.slice(start, pos));
+            } catch (e) {
+                return fail('Cadena inválida');
+            }
+        };
+        const parseValue = path => {
+            skipWhitespace();
+            locations[path] = { line, column: pos - lineStart + 1 };
+            const char = text[pos];
+            if (char === '{') return parseObject(path);
+            if (char === '[') return parseArray(path);
+            if (char === '"') return parseString();
+            const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+            if (!literal) fail(char === undefined ? 'Fin de archivo inesperado' : `Carácter inesperado '${char}'`);
+            pos += literal[0].length;
+            return JSON.parse(literal[0]);
+        };
+        const parseObject = path => {
+            const result = {};
+            pos++;
+            skipWhitespace();
+            if (text[pos] === '}') {
+                pos++;
+                return result;
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[pos] !== '"') fail('Se esperaba el nombre de una propiedad');
+                const key = parseString();
+                skipWhitespace();
+                if (text[pos] !== ':') fail("Se esperaba ':'");
+                pos++;
+                result[key] = parseValue(path ? `${path}.${key}` : key);
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === '}') {
+                    pos++;
+                    return result;
+                } else {
+                    fail("Se esperaba ',' o '}'");
+                }
+            }
+        };
+        const parseArray = path => {
+            const result = [];
+            pos++;
+            skipWhitespace();
+            if (text[pos] === ']') {
+                pos++;
+                return result;
+            }
+            for (;;) {
+                result.push(parseValue(`${path}[${result.length}]`));
+                skipWhitespace();
+                if (text[pos] === ',') {
+                    pos++;
+                } else if (text[pos] === ']') {
+                    pos++;
+                    return result;
+                } else {
+                    fail("Se esperaba ',' o ']'");
+                }
+            }
+        };
+
+        const data = parseValue('');
+        skipWhitespace();
+        if (pos < text.length) fail('Contenido extra tras el final del JSON');
+        return { data, locations };
+    }
+
+    // --- Reglas de validación ---
+
+    const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+    const isFiniteNumber = value => typeof value === 'number' && isFinite(value);
+
+    // Código de idioma de los textos traducidos (ej. "es", "en", "pt-BR")
+    const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+    /**
+     * Comprueba un texto que puede estar traducido: un texto o un objeto con un
+     * texto por idioma ({ "es": "...", "en": "..." }).
+     * @param {*} value El valor.
+     * @param {string} path Ruta del valor.
+     * @param {function} report Función report(level, path, message).
+     * @param {string} missingMessage Mensaje si falta el texto.
+     * @returns {boolean} true si es válido.
+     */
+    function checkLocalizedText(value, path, report, missingMessage) {
+        if (isNonEmptyString(value)) return true;
+        if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).length === 0) {
+            report('error', path, missingMessage);
+            return false;
+        }
+        let valid = true;
+        Object.keys(value).forEach(lang => {
+            if (!LANGUAGE_CODE_PATTERN.test(lang)) {
+                report('error', `${path}.${lang}`, `'${lang}' no es un código de idioma (ej. "es", "en").`);
+                valid = false;
+            } else if (!isNonEmptyString(value[lang])) {
+                report('error', `${path}.${lang}`, `Falta el texto en '${lang}'.`);
+                valid = false;
+            }
+        });
+        return valid;
+    }
+
+    /**
+     * Avisa si un texto traducido no tiene todos los idiomas del enunciado.
+     * Un texto sin traducir sirve para todos los idiomas.
+     * @param {*} value El texto (ya comprobado con checkLocalizedText).
+     * @param {string[]} languages Idiomas del enunciado de la pregunta.
+     * @param {string} path Ruta del valor.
+     * @param {function} report Función report(level, path, message).
+     */
+    function checkTranslations(value, languages, path, report) {
+        if (typeof value !== 'object') return;
+        const missing = languages.filter(lang => !(lang in value));
+        if (missing.length > 0) {
+            report('warning', path, `Falta la traducción a: ${missing.join(', ')}.`);
+        }
+    }
+
+    /**
+     * Idiomas de un texto traducido ([] si es un texto sin traducir).
+     * @param {*} value
+     * @returns {string[]}
+     */
+    const getTextLanguages = value => (value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : []);
+
+    /**
+     * Comprueba la lista `answers` de las preguntas de opción única o múltiple.
+     * @param {object} question La pregunta.
+     * @param {string} path Ruta de la pregunta.
+     * @param {function} report Función report(level, path, message).
+     * @returns {number} Número de respuestas marcadas como correctas.
+     */
+    function checkAnswerList(question, path, report) {
+        if (!Array.isArray(question.answers)) {
+            report('error', path, "Falta la lista 'answers'.");
+            return 0;
+        }
+        if (question.answers.length < 2) {
+            report('error', `${path}.answers`, 'Debe haber al menos dos respuestas.');
+        }
+        const seenTexts = new Set();
+        let correctCount = 0;
+        question.answers.forEach((answer, index) => {
+            const answerPath = `${path}.answers[${index}]`;
+            if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+                report('error', answerPath, 'Cada respuesta debe ser un objeto { "text", "correct" }.');
+                return;
+            }
+            if (checkLocalizedText(answer.text, `${answerPath}.text`, report, 'La respuesta no tiene texto.')) {
+                const textKey = typeof answer.text === 'string' ? answer.text.trim() : JSON.stringify(answer.text);
+                if (seenTexts.has(textKey)) {
+                    report('warning', `${answerPath}.text`, `Respuesta duplicada: ${typeof answer.text === 'string' ? `"${answer.text}"` : textKey}.`);
+                } else {
+                    seenTexts.add(textKey);
+                }
+                checkTranslations(answer.text, getTextLanguages(question.question), `${answerPath}.text`, report);
+            }
+            if (answer.correct !== undefined && typeof answer.correct !== 'boolean') {
+                report('error', `${answerPath}.correct`, "'correct' debe ser true o false.");
+            }
+            if (answer.correct === true) correctCount++;
+            if (answer.feedback !== undefined &&
+                checkLocalizedText(answer.feedback, `${answerPath}.feedback`, report, "'feedback' no puede estar vacío.")) {
+                checkTranslations(answer.feedback, getTextLanguages(question.question), `${answerPath}.feedback`, report);
+            }
+            if (answer.goTo !== undefined && !isNonEmptyString(answer.goTo) &&
+                !(isFiniteNumber(answer.goTo) && answer.goTo >= 0)) {
+                report('error', `${answerPath}.goTo`, "'goTo' debe ser un número de segundos o el id de una pregunta.");
+            }
+            Object.keys(answer).forEach(key => {
+                if (!ANSWER_FIELDS.includes(key)) {
+                    report('warning', `${answerPath}.${key}`, `Campo desconocido '${key}' en la respuesta.`);
+                }
+            });
+        });
+        return correctCount;
+    }
+
+    // Reglas específicas de cada tipo de pregunta. Con `hashed` la respuesta correcta
+    // no está en el archivo (ver checkHashed)
+    const typeRules = {
+        single(question, path, report) {
+            const correctCount = checkAnswerList(question, path, report);
+            if (question.hashed !== undefined) return;
+            if (Array.isArray(question.answers) && correctCount === 0) {
+                report('error', `${path}.answers`, 'Ninguna respuesta está marcada como correcta.');
+            } else if (correctCount > 1) {
+                report('error', `${path}.answers`, `Hay ${correctCount} respuestas correctas; usa "type": "multiple".`);
+            }
+        },
+        multiple(question, path, report) {
+            const correctCount = checkAnswerList(question, path, report);
+            if (question.hashed === undefined && Array.isArray(question.answers) && correctCount === 0) {
+                report('error', `${path}.answers`, 'Ninguna respuesta está marcada como correcta.');
+            }
+            if (question.partialCredit !== undefined && typeof question.partialCredit !== 'boolean') {
+                report('error', `${path}.partialCredit`, "'partialCredit' debe ser true o false.");
+            }
+        },
+        truefalse(question, path, report) {
+            if (question.hashed !== undefined) return;
+            if (typeof question.answer !== 'boolean') {
+                report('error', path, "Las preguntas verdadero/falso necesitan 'answer': true o false.");
+            }
+        },
+        text(question, path, report) {
+            if (question.hashed !== undefined) return;
+            if (!Array.isArray(question.accepted) || question.accepted.length === 0) {
+                report('error', path, "Las preguntas de texto necesitan una lista 'accepted' con al menos una variante.");
+                return;
+            }
+            question.accepted.forEach((variant, index) => {
+                if (!isNonEmptyString(variant)) {
+                    report('error', `${path}.accepted[${index}]`, 'Las variantes aceptadas deben ser textos no vacíos.');
+                }
+            });
+        },
+        numeric(question, path, report) {
+            if (question.hashed !== undefined) return;
+            if (!isFiniteNumber(question.answer)) {
+                report('error', path, "Las preguntas numéricas necesitan un número en 'answer'.");
+            }
+            if (question.tolerance !== undefined && (!isFiniteNumber(question.tolerance) || question.tolerance < 0)) {
+                report('error', `${path}.tolerance`, "'tolerance' debe ser un número mayor o igual que 0.");
+            }
+        }
+    };
+
+    /**
+     * Comprueba el objeto `hashed` de una pregunta con las respuestas cifradas
+     * (ver js/answer-hash.js y tools/hash-answers.js).
+     * @param {object} question La pregunta.
+     * @param {string} type Su tipo.
+     * @param {string} path Ruta de la pregunta.
+     * @param {function} report Función report(level, path, message).
+     */
+    function checkHashed(question, type, path, report) {
+        const hashed = question.hashed;
+        const hashedPath = `${path}.hashed`;
+        if (!hashed || typeof hashed !== 'object' || Array.isArray(hashed)) {
+            report('error', hashedPath, "'hashed' debe ser un objeto { salt, answers | options, reveal }.");
+            return;
+        }
+        if (!isNonEmptyString(hashed.salt)) {
+            report('error', `${hashedPath}.salt`, "Falta la sal ('salt').");
+        }
+        const checkHashList = (field, expectedLength) => {
+            const list = hashed[field];
+            if (!Array.isArray(list) || list.length === 0 || !list.every(hash => HASH_PATTERN.test(hash))) {
+                report('error', `${hashedPath}.${field}`, `'${field}' debe ser una lista de hashes SHA-256 en hexadecimal.`);
+            } else if (expectedLength !== undefined && list.length !== expectedLength) {
+                report('error', `${hashedPath}.${field}`, `Hay ${list.length} hashes para ${expectedLength} respuestas.`);
+            }
+        };
+        if (type === 'multiple') {
+            checkHashList('options', Array.isArray(question.answers) ? question.answers.length : undefined);
+        } else {
+            checkHashList('answers');
+        }
+        if (hashed.reveal !== undefined && !isNonEmptyString(hashed.reveal)) {
+            report('error', `${hashedPath}.reveal`, "'reveal' debe ser un texto.");
+        }
+        const plainFields = ['answer', 'accepted', 'tolerance'].filter(field => question[field] !== undefined);
+        if ((question.answers || []).some(answer => answer && answer.correct !== undefined)) plainFields.push('correct');
+        if (plainFields.length > 0) {
+            report('warning', hashedPath, `La pregunta tiene las respuestas cifradas y también en claro (${plainFields.join(', ')}).`);
+        }
+    }
+
+    /**
+     * Comprueba los campos de puntuación e intentos, que admiten tanto las preguntas
+     * como los grupos de variantes.
+     * @param {object} question La pregunta o el grupo.
+     * @param {string} path Ruta de la pregunta.
+     * @param {function} report Función report(level, path, message).
+     * @param {number} time Tiempo del checkpoint (el del grupo, en las variantes).
+     */
+    function checkScoringFields(question, path, report, time) {
+        if (question.randomize !== undefined && typeof question.randomize !== 'boolean') {
+            report('error', `${path}.randomize`, "'randomize' debe ser true o false.");
+        }
+        if (question.points !== undefined && (!isFiniteNumber(question.points) || question.points < 0)) {
+            report('error', `${path}.points`, "'points' debe ser un número mayor o igual que 0.");
+        }
+        if (question.maxAttempts !== undefined && (!Number.isInteger(question.maxAttempts) || question.maxAttempts < 0)) {
+            report('error', `${path}.maxAttempts`, "'maxAttempts' debe ser un número entero mayor o igual que 0 (0 = ilimitados).");
+        }
+        if (question.rewatchFrom !== undefined) {
+            if (!isFiniteNumber(question.rewatchFrom) || question.rewatchFrom < 0) {
+                report('error', `${path}.rewatchFrom`, "'rewatchFrom' debe ser un número de segundos mayor o igual que 0.");
+            } else if (isFiniteNumber(time) && question.rewatchFrom >= time) {
+                report('error', `${path}.rewatchFrom`,
+                    `'rewatchFrom' (${question.rewatchFrom}s) debe ser anterior al tiempo de la pregunta (${time}s).`);
+            }
+        }
+    }
+
+    /**
+     * Comprueba el contenido de una pregunta: textos, puntuación y respuestas según su tipo.
+     * @param {object} question La pregunta (o una variante de un grupo).
+     * @param {string} path Ruta de la pregunta.
+     * @param {function} report Función report(level, path, message).
+     * @param {number} time Tiempo del checkpoint.
+     */
+    function checkQuestionContent(question, path, report, time) {
+        checkLocalizedText(question.question, `${path}.question`, report, 'Falta el texto de la pregunta.');
+        if (question.explanation !== undefined &&
+            checkLocalizedText(question.explanation, `${path}.explanation`, report, "'explanation' no puede estar vacío.")) {
+            checkTranslations(question.explanation, getTextLanguages(question.question), `${path}.explanation`, report);
+        }
+        checkScoringFields(question, path, report, time);
+
+        const type = question.type === undefined ? 'single' : question.type;
+        if (!QUESTION_TYPES.includes(type)) {
+            report('error', `${path}.type`, `Tipo de pregunta desconocido '${type}'. Valores válidos: ${QUESTION_TYPES.join(', ')}.`);
+        } else {
+            typeRules[type](question, path, report);
+            if (question.hashed !== undefined) checkHashed(question, type, path, report);
+        }
+    }
+
+    /**
+     * Avisa de los campos que no están entre los admitidos.
+     * @param {object} object
+     * @param {string[]} fields Campos admitidos.
+     * @param {string} path
+     * @param {function} report Función report(level, path, message).
+     */
+    function checkUnknownFields(object, fields, path, report) {
+        Object.keys(object).forEach(key => {
+            if (!fields.includes(key)) {
+                report('warning', `${path}.${key}`, `Campo desconocido '${key}'.`);
+            }
+        });
+    }
+
+    /**
+     * Comprueba un grupo de variantes (`pool`, ver js/question-pools.js). Su `time` e
+     * `id` ya se han comprobado como los de cualquier pregunta.
+     * @param {object} group El grupo.
+     * @param {number} index Su posición en el archivo.
+     * @param {function} report Función report(level, path, message).
+     * @param {function} checkId Comprueba un id y lo registra: checkId(id, path, owner).
+     */
+    function checkPool(group, index, report, checkId) {
+        const path = `[${index}]`;
+        if (group.id === undefined) {
+            report('error', path, "El grupo necesita un 'id': es el destino de los saltos y agrupa sus variantes en los resultados.");
+        }
+        checkScoringFields(group, path, report, group.time);
+        checkUnknownFields(group, POOL_FIELDS, path, report);
+        if (!Array.isArray(group.pool) || group.pool.length === 0) {
+            report('error', `${path}.pool`, "'pool' debe ser una lista con al menos una variante.");
+            return;
+        }
+        if (group.draw !== undefined) {
+            if (!Number.isInteger(group.draw) || group.draw < 1) {
+                report('error', `${path}.draw`, "'draw' debe ser un número entero mayor o igual que 1.");
+            } else if (group.draw > group.pool.length) {
+                report('error', `${path}.draw`, `'draw' (${group.draw}) es mayor que el número de variantes (${group.pool.length}).`);
+            }
+        }
+        if (group.pool.length === 1) {
+            report('warning', `${path}.pool`, 'El grupo solo tiene una variante: todos los alumnos verán la misma pregunta.');
+        }
+
+        group.pool.forEach((variant, variantIndex) => {
+            const variantPath = `${path}.pool[${variantIndex}]`;
+            if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+                report('error', variantPath, 'Cada variante debe ser un objeto.');
+                return;
+            }
+            if (variant.id === undefined) {
+                report('error', variantPath, "Falta el 'id' de la variante, con el que se registra cuál vio el alumno.");
+            } else {
+                checkId(variant.id, variantPath, `la variante ${variantIndex + 1} de la pregunta ${index + 1}`);
+            }
+            if (variant.time !== undefined) {
+                report('error', `${variantPath}.time`, "Las variantes se plantean en el 'time' del grupo; quita este 'time'.");
+            }
+            if (variant.pool !== undefined) {
+                report('error', `${variantPath}.pool`, 'Un grupo no puede contener otros grupos.');
+            }
+            checkQuestionContent(variant, variantPath, report, group.time);
+            checkUnknownFields(variant, QUESTION_FIELDS.concat('pool'), variantPath, report);
+        });
+    }
+
+    /**
+     * Comprueba los saltos entre preguntas (`answers[].goTo`, ver js/branching.js):
+     * destinos inexistentes, preguntas a las que no se llega y ciclos.
+     * @param {Array} data Las preguntas.
+     * @param {function} report Función report(level, path, message).
+     */
+    function checkBranches(data, report) {
+        // Solo las preguntas con tiempo se pueden colocar en el recorrido. Un grupo es un
+        // solo punto del recorrido con las respuestas de todas sus variantes, porque
+        // puede salir cualquiera
+        const positions = [];
+        const nodes = [];
+        const goToPaths = []; // Ruta del goTo de cada respuesta de cada punto
+        const variantGroups = new Map(); // Id de cada variante -> id de su grupo
+        data.forEach((question, index) => {
+            if (!question || typeof question !== 'object' || Array.isArray(question) || !isFiniteNumber(question.time)) return;
+            positions.push(index);
+            if (!Array.isArray(question.pool)) {
+                nodes.push(question);
+                goToPaths.push((Array.isArray(question.answers) ? question.answers : [])
+                    .map((answer, answerIndex) => `[${index}].answers[${answerIndex}].goTo`));
+                return;
+            }
+            const answers = [];
+            const paths = [];
+            question.pool.forEach((variant, variantIndex) => {
+                if (!variant || typeof variant !== 'object') return;
+                if (isNonEmptyString(variant.id)) variantGroups.set(variant.id, question.id);
+                if (Branching.BRANCHING_TYPES.includes(variant.type || 'single') && Array.isArray(variant.answers)) {
+                    variant.answers.forEach((answer, answerIndex) => {
+                        answers.push(answer);
+                        paths.push(`[${index}].pool[${variantIndex}].answers[${answerIndex}].goTo`);
+                    });
+                } else {
+                    // Sin opciones se sigue en orden
+                    answers.push({});
+                    paths.push(null);
+                }
+            });
+            nodes.push({ id: question.id, time: question.time, answers });
+            goToPaths.push(paths);
+        });
+        const analysis = Branching.analyzeBranches(nodes);
+        const describe = list => list.map(position => positions[position] + 1).sort((a, b) => a - b).join(', ');
+
+        analysis.unknownTargets.forEach(target => {
+            const group = variantGroups.get(target.goTo);
+            report('error', goToPaths[target.index][target.answerIndex], group !== undefined
+                ? `'${target.goTo}' es una variante del grupo '${group}' y puede no salir en el sorteo; usa el id del grupo.`
+                : `No hay ninguna pregunta con id '${target.goTo}'.`);
+        });
+        analysis.unreachable.forEach(position => {
+            report('warning', `[${positions[position]}]`, 'Ningún camino (goTo) lleva a esta pregunta.');
+        });
+        analysis.cycles.forEach(cycle => {
+            const path = `[${positions[Math.min(...cycle.indices)]}]`;
+            if (cycle.closed) {
+                report('error', path, `Ciclo sin salida (preguntas ${describe(cycle.indices)}): el vídeo nunca terminaría.`);
+            } else {
+                report('warning', path, `Ciclo (preguntas ${describe(cycle.indices)}): se vuelven a plantear hasta elegir otra respuesta.`);
+            }
+        });
+    }
+
+    /**
+     * Crea la función report(level, path, message) que acumula mensajes con su línea.
+     * @param {Object<string, {line: number}>} [locations] Posiciones de parseJsonWithLocations.
+     * @param {Array} errors Lista donde se añaden los errores.
+     * @param {Array} warnings Lista donde se añaden los avisos.
+     * @returns {function(string, string, string)} La función report.
+     */
+    function createReporter(locations = {}, errors, warnings) {
+        return (level, path, message) => {
+            // Si la ruta exacta no tiene posición (campo ausente), usar la del elemento padre
+            let lookup = path;
+            while (lookup && !locations[lookup]) {
+                const parent = lookup.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+                if (parent === lookup) break;
+                lookup = parent;
+            }
+            const location = locations[lookup] || locations[''];
+            const entry = { level, path, line: location ? location.line : null, message };
+            (level === 'error' ? errors : warnings).push(entry);
+        };
+    }
+
+    /**
+     * Valida el contenido de questions.json.
+     * @param {*} data Los datos ya analizados.
+     * @param {object} [options]
+     * @param {number} [options.duration] Duración del vídeo en segundos, para avisar
+     *   de preguntas programadas después del final.
+     * @param {Object<string, {line: number}>} [options.locations] Posiciones devueltas
+     *   por parseJsonWithLocations, para añadir la línea a cada mensaje.
+     * @returns {{valid: boolean, errors: Array, warnings: Array}} Cada mensaje es
+     *   { level, path, line, message }.
+     */
+    function validateQuestions(data, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const report = createReporter(options.locations, errors, warnings);
+
+        if (!Array.isArray(data)) {
+            report('error', '', 'El archivo debe contener una lista (array) de preguntas.');
+            return { valid: false, errors, warnings };
+        }
+        if (data.length === 0) {
+            report('warning', '', 'El archivo no contiene preguntas.');
+        }
+
+        const seenTimes = new Map();
+        const seenIds = new Map(); // Id -> quién lo usa ("la pregunta 2")
+        const checkId = (id, path, owner) => {
+            if (!isNonEmptyString(id)) {
+                report('error', `${path}.id`, "'id' debe ser un texto no vacío.");
+            } else if (seenIds.has(id)) {
+                report('error', `${path}.id`, `El id '${id}' ya lo usa ${seenIds.get(id)}.`);
+            } else {
+                seenIds.set(id, owner);
+            }
+        };
+        data.forEach((question, index) => {
+            const path = `[${index}]`;
+            if (!question || typeof question !== 'object' || Array.isArray(question)) {
+                report('error', path, 'Cada pregunta debe ser un objeto.');
+                return;
+            }
+
+            if (!isFiniteNumber(question.time) || question.time < 0) {
+                report('error', `${path}.time`, "'time' debe ser un número de segundos mayor o igual que 0.");
+            } else {
+                if (seenTimes.has(question.time)) {
+                    report('warning', `${path}.time`,
+                        `Tiempo duplicado (${question.time}s), igual que la pregunta ${seenTimes.get(question.time) + 1}.`);
+                } else {
+                    seenTimes.set(question.time, index);
+                }
+            }
+
+            if (question.id !== undefined) checkId(question.id, path, `la pregunta ${index + 1}`);
+
+            if (question.pool !== undefined) {
+                checkPool(question, index, report, checkId);
+                return;
+            }
+            checkQuestionContent(question, path, report, question.time);
+            checkUnknownFields(question, QUESTION_FIELDS, path, report);
+        });
+
+        checkBranches(data, report);
+
+        if (options.duration !== undefined) {
+            warnings.push(...checkSchedule(data, options.duration, { locations: options.locations }));
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Avisa de las preguntas programadas después del final del vídeo.
+     * Se separa de validateQuestions porque la duración solo se conoce cuando el
+     * reproductor está listo.
+     * @param {Array} data Las preguntas.
+     * @param {number} duration Duración del vídeo en segundos.
+     * @param {object} [options] { locations } para añadir la línea a cada aviso.
+     * @returns {Array} Los avisos { level, path, line, message }.
+     */
+    function checkSchedule(data, duration, options = {}) {
+        const warnings = [];
+        if (!Array.isArray(data) || !isFiniteNumber(duration) || duration <= 0) return warnings;
+        const report = createReporter(options.locations, [], warnings);
+        data.forEach((question, index) => {
+            if (question && isFiniteNumber(question.time) && question.time > duration) {
+                report('warning', `[${index}].time`,
+                    `La pregunta está programada en ${question.time}s, después del final del vídeo (${Math.floor(duration)}s).`);
+            }
+        });
+        return warnings;
+    }
+
+    /**
+     * Analiza y valida el texto de un archivo de preguntas.
+     * Los errores de sintaxis se devuelven como un error de validación más.
+     * @param {string} text El contenido de questions.json.
+     * @param {object} [options] Opciones de validateQuestions (p. ej. duration).
+     * @returns {{valid: boolean, data: *, errors: Array, warnings: Array}}
+     */
+    function validateQuestionsText(text, options = {}) {
+        let parsed;
+        try {
+            parsed = parseJsonWithLocations(text);
+        } catch (error) {
+            if (!(error instanceof JsonSyntaxError)) throw error;
+            return {
+                valid: false,
+                data: null,
+                errors: [{ level: 'error', path: '', line: error.line, message: error.message }],
+                warnings: []
+            };
+        }
+        const result = validateQuestions(parsed.data, { ...options, locations: parsed.locations });
+        return { ...result, data: parsed.data };
+    }
+
+    /**
+     * Da formato legible a un mensaje de validación.
+     * @param {object} entry Mensaje { level, path, line, message }.
+     * @param {string} [fileName] Nombre del archivo a anteponer.
+     * @returns {string} Ej. "questions.json:12: error: [1].answers: Ninguna respuesta..."
+     */
+    function formatMessage(entry, fileName) {
+        const location = [fileName, entry.line].filter(part => part !== undefined && part !== null).join(':');
+        const prefix = location ? `${location}: ` : '';
+        const path = entry.path ? `${entry.path}: ` : '';
+        return `${prefix}${entry.level === 'error' ? 'error' : 'aviso'}: ${path}${entry.message}`;
+    }
+
+    const api = {
+        QUESTION_TYPES,
+        QUESTION_FIELDS,
+        ANSWER_FIELDS,
+        JsonSyntaxError,
+        parseJsonWithLocations,
+        validateQuestions,
+        validateQuestionsText,
+        checkSchedule,
+        formatMessage
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.QuestionValidator = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
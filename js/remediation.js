@@ -0,0 +1,84 @@
+// --- Remediación: volver a ver el tramo ---
+// Tras una respuesta incorrecta (si quedan intentos), el alumno puede volver a ver
+// el tramo del vídeo que explica la pregunta: se oculta la pregunta, el vídeo salta
+// al inicio del tramo y la pregunta se vuelve a plantear al llegar de nuevo a su
+// `time`. Se configura en la sección `remediation` de config.json:
+//
+//   rewatch            Ofrecer el botón "Volver a ver el tramo" en todas las preguntas.
+//   forceRewatchAfter  Cada vez que se acumula este número de intentos fallidos, el
+//                      tramo se vuelve a ver obligatoriamente antes de reintentar
+//                      (0 = nunca).
+//
+// Cada pregunta puede indicar en questions.json dónde empieza su tramo con
+// `rewatchFrom` (segundos); si no, empieza en el checkpoint anterior (o al inicio).
+// Una pregunta con `rewatchFrom` ofrece el botón aunque `rewatch` sea false.
+
+(function (global) {
+    'use strict';
+
+    const DEFAULT_REMEDIATION = Object.freeze({
+        rewatch: false,
+        forceRewatchAfter: 0
+    });
+
+    /**
+     * Combina las opciones de config.json con los valores por defecto.
+     * @param {object} [options] Sección `remediation` de la configuración.
+     * @returns {object} Opciones completas.
+     */
+    function resolveOptions(options = {}) {
+        return { ...DEFAULT_REMEDIATION, ...options };
+    }
+
+    /**
+     * Indica si una pregunta ofrece volver a ver su tramo.
+     * @param {object} question La pregunta.
+     * @param {object} options Opciones de remediación.
+     * @returns {boolean}
+     */
+    function isRewatchEnabled(question, options) {
+        const resolved = resolveOptions(options);
+        return question.rewatchFrom !== undefined || resolved.rewatch === true || resolved.forceRewatchAfter > 0;
+    }
+
+    /**
+     * Segundo en el que empieza el tramo de una pregunta: su `rewatchFrom` o, si no
+     * lo tiene, el checkpoint anterior (0 si es la primera).
+     * @param {Array} questions Las preguntas, ordenadas por tiempo.
+     * @param {number} index Índice de la pregunta.
+     * @returns {number}
+     */
+    function getRewatchStart(questions, index) {
+        const question = questions[index];
+        if (typeof question.rewatchFrom === 'number' && question.rewatchFrom < question.time) {
+            return Math.max(question.rewatchFrom, 0);
+        }
+        const previous = questions.slice(0, index).filter(other => other.time < question.time).pop();
+        return previous ? previous.time : 0;
+    }
+
+    /**
+     * Indica si, tras un intento fallido, hay que volver a ver el tramo antes de reintentar.
+     * @param {number} failedAttempts Intentos fallidos en la pregunta.
+     * @param {object} options Opciones de remediación.
+     * @returns {boolean}
+     */
+    function shouldForceRewatch(failedAttempts, options) {
+        const threshold = resolveOptions(options).forceRewatchAfter;
+        return threshold > 0 && failedAttempts > 0 && failedAttempts % threshold === 0;
+    }
+
+    const api = {
+        DEFAULT_REMEDIATION,
+        resolveOptions,
+        isRewatchEnabled,
+        getRewatchStart,
+        shouldForceRewatch
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Remediation = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,224 @@
+// --- Exportación de resultados ---
+// Genera, a partir de las respuestas del alumno (userAnswers), un informe que se
+// puede descargar en JSON o CSV desde la revisión y que sirve de base a la vista de
+// impresión ("Guardar como PDF"). Los profesores lo recogen como entrega.
+//
+// El informe JSON tiene esta forma:
+//
+//   {
+//     "format": "video-interactivo-results", "version": 1,
+//     "generatedAt": "2024-05-01T10:00:00.000Z",
+//     "video": { "id": "UFX20f2VqjI", "title": "..." },
+//     "learner": { "name": "Ana" },
+//     "result": { "earned", "total", "percentage", "grade", "gradeScale", "passed" },
+//     "answers": [ { "number", "questionId", "pool", "variant", "time", "type", "question",
+//                    "userAnswer", "correctAnswer", "result", "score", "attempts", "points",
+//                    "earned", "answeredAt" } ],
+//     "signature": { "algorithm": "HMAC-SHA256", "value": "…" }
+//   }
+//
+// `result` de cada respuesta es 'correct', 'incorrect' o 'skipped'. `pool` y `variant`
+// indican, si la pregunta salió de un grupo (ver js/question-pools.js), el id del grupo
+// y el de la variante que se le planteó al alumno; si no, son null. Las preguntas que
+// quedaron fuera del recorrido del alumno (ver js/branching.js) no se incluyen.
+// El CSV tiene una fila por respuesta, con el vídeo y el alumno repetidos para poder
+// juntar los archivos de toda la clase en una hoja de cálculo.
+//
+// Con `results.signingKey` en config.json el JSON va firmado (`signature`): el HMAC
+// del resto del informe con esa clave. tools/verify-results.js comprueba la firma y
+// detecta así los informes editados a mano. La clave se publica con la página, de
+// modo que no protege frente a quien la busque; el CSV no se firma.
+
+(function (global) {
+    'use strict';
+
+    const AnswerHash = typeof module !== 'undefined' && module.exports ? require('./answer-hash.js') : global.AnswerHash;
+
+    const REPORT_FORMAT = 'video-interactivo-results';
+    const REPORT_VERSION = 1;
+    const SIGNATURE_ALGORITHM = 'HMAC-SHA256';
+
+    // Columnas del CSV y el campo del informe del que sale cada una
+    const CSV_COLUMNS = [
+        ['video_id', report => report.video.id],
+        ['learner', report => report.learner.name],
+        ['question_number', (report, answer) => answer.number],
+        ['question_id', (report, answer) => answer.questionId],
+        ['pool', (report, answer) => answer.pool],
+        ['variant', (report, answer) => answer.variant],
+        ['time', (report, answer) => answer.time],
+        ['type', (report, answer) => answer.type],
+        ['question', (report, answer) => answer.question],
+        ['user_answer', (report, answer) => answer.userAnswer],
+        ['correct_answer', (report, answer) => answer.correctAnswer],
+        ['result', (report, answer) => answer.result],
+        ['score', (report, answer) => answer.score],
+        ['attempts', (report, answer) => answer.attempts],
+        ['points', (report, answer) => answer.points],
+        ['earned', (report, answer) => answer.earned],
+        ['answered_at', (report, answer) => answer.answeredAt]
+    ];
+
+    /**
+     * Resultado de una respuesta para el informe.
+     * @param {object} entry Entrada de userAnswers.
+     * @returns {string} 'correct', 'incorrect' o 'skipped'.
+     */
+    function getResult(entry) {
+        if (entry.skipped) return 'skipped';
+        return entry.isCorrect ? 'correct' : 'incorrect';
+    }
+
+    /**
+     * Crea el informe de resultados.
+     * @param {object} options
+     * @param {{id: string, title: string}} options.video El vídeo.
+     * @param {Array} options.questions Las preguntas, ordenadas por tiempo.
+     * @param {string[]} options.questionIds Id de cada pregunta (ver ProgressStore.getQuestionIds).
+     * @param {Array} options.answers Entradas de userAnswers.
+     * @param {object} options.result Resultado de Scoring.computeFinalResult.
+     * @param {string} [options.learnerName] Nombre del alumno.
+     * @param {Date} [options.generatedAt] Fecha del informe (por defecto, ahora).
+     * @returns {object} El informe (ver arriba).
+     */
+    function buildReport(options) {
+        const generatedAt = options.generatedAt || new Date();
+        const answers = options.answers
+            .filter(entry => !entry.bypassed && options.questions[entry.questionIndex])
+            .sort((a, b) => a.questionIndex - b.questionIndex)
+            .map(entry => {
+                const question = options.questions[entry.questionIndex];
+                const isVariant = question.poolId !== undefined;
+                return {
+                    number: entry.questionIndex + 1,
+                    questionId: options.questionIds[entry.questionIndex],
+                    pool: isVariant ? question.poolId : null,
+                    variant: isVariant ? options.questionIds[entry.questionIndex] : null,
+                    time: question.time,
+                    type: entry.type,
+                    question: entry.question,
+                    userAnswer: entry.userAnswer || '',
+                    correctAnswer: entry.correctAnswer,
+                    result: getResult(entry),
+                    score: entry.score || 0,
+                    attempts: entry.attempts || 0,
+                    points: entry.points,
+                    earned: entry.earned || 0,
+                    answeredAt: entry.answeredAt || null
+                };
+            });
+        const { earned, total, percentage, grade, gradeScale, passed } = options.result;
+        return {
+            format: REPORT_FORMAT,
+            version: REPORT_VERSION,
+            generatedAt: generatedAt.toISOString(),
+            video: { id: options.video.id, title: options.video.title || options.video.id },
+            learner: { name: (options.learnerName || '').trim() },
+            result: { earned, total, percentage, grade, gradeScale, passed },
+            answers
+        };
+    }
+
+    /**
+     * @param {object} report Informe de buildReport.
+     * @returns {string} El informe en JSON.
+     */
+    function toJson(report) {
+        return `${JSON.stringify(report, null, 2)}\n`;
+    }
+
+    /**
+     * Texto que se firma: el informe sin `signature`, en JSON compacto. Un informe
+     * leído con JSON.parse conserva el orden de los campos, así que da el mismo texto.
+     * @param {object} report
+     * @returns {string}
+     */
+    function getSignedText(report) {
+        const { signature, ...content } = report;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Firma un informe.
+     * @param {object} report Informe de buildReport.
+     * @param {string} key Clave (`results.signingKey` de config.json).
+     * @returns {object} Copia del informe con `signature`.
+     */
+    function signReport(report, key) {
+        return {
+            ...report,
+            signature: { algorithm: SIGNATURE_ALGORITHM, value: AnswerHash.hmacSha256(key, getSignedText(report)) }
+        };
+    }
+
+    /**
+     * Comprueba la firma de un informe.
+     * @param {object} report Informe leído del JSON exportado.
+     * @param {string} key Clave con la que se firmó.
+     * @returns {'valid'|'invalid'|'unsigned'}
+     */
+    function verifyReport(report, key) {
+        const signature = report && report.signature;
+        if (!signature || typeof signature.value !== 'string') return 'unsigned';
+        if (signature.algorithm !== SIGNATURE_ALGORITHM) return 'invalid';
+        return AnswerHash.hmacSha256(key, getSignedText(report)) === signature.value ? 'valid' : 'invalid';
+    }
+
+    /**
+     * Escapa una celda CSV (RFC 4180). Los textos que empiezan por =, +, - o @ se
+     * prefijan con un apóstrofo para que la hoja de cálculo no los ejecute como fórmulas.
+     * @param {*} value
+     * @returns {string}
+     */
+    function escapeCsvCell(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * @param {object} report Informe de buildReport.
+     * @returns {string} Una fila por respuesta, con cabecera. Lleva BOM para que Excel
+     *   reconozca el UTF-8.
+     */
+    function toCsv(report) {
+        const rows = [CSV_COLUMNS.map(column => column[0])];
+        report.answers.forEach(answer => {
+            rows.push(CSV_COLUMNS.map(column => column[1](report, answer)));
+        });
+        return `\uFEFF${rows.map(row => row.map(escapeCsvCell).join(',')).join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Nombre del archivo descargado, ej. "resultados-UFX20f2VqjI-2024-05-01.csv".
+     * @param {object} report Informe de buildReport.
+     * @param {string} extension 'json' o 'csv'.
+     * @returns {string}
+     */
+    function getFileName(report, extension) {
+        const safe = text => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9_-]+/gi, '-').replace(/^-+|-+$/g, '');
+        const parts = ['resultados', safe(report.video.id), safe(report.learner.name), report.generatedAt.slice(0, 10)];
+        return `${parts.filter(Boolean).join('-')}.${extension}`;
+    }
+
+    const api = {
+        REPORT_FORMAT,
+        REPORT_VERSION,
+        SIGNATURE_ALGORITHM,
+        buildReport,
+        signReport,
+        verifyReport,
+        toJson,
+        toCsv,
+        escapeCsvCell,
+        getFileName
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.ResultsExport = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
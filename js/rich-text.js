@@ -0,0 +1,145 @@
+// --- Texto enriquecido (subconjunto seguro de Markdown) ---
+// Convierte las explicaciones de questions.json (`explanation` y `answers[].feedback`)
+// en HTML. Todo el texto se escapa antes de aplicar el formato, así que el
+// contenido no puede inyectar etiquetas ni atributos. Se admite:
+//
+//   **negrita**   *cursiva*   `código`
+//   [enlace](https://ejemplo.org)        solo http(s), mailto y rutas relativas
+//   ![texto alternativo](img/diagrama.png) solo http(s) y rutas relativas
+//   - elemento / * elemento               listas
+//   1. elemento                           listas numeradas
+//
+// Una línea en blanco separa párrafos; un salto de línea simple se conserva.
+
+(function (global) {
+    'use strict';
+
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    const LINK_SCHEMES = ['http', 'https', 'mailto'];
+    const IMAGE_SCHEMES = ['http', 'https'];
+
+    /**
+     * Escapa un texto para insertarlo en HTML (contenido o atributo).
+     * @param {*} text
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    /**
+     * Indica si una URL se puede usar en un enlace o una imagen: una ruta relativa o
+     * un esquema permitido. Los navegadores ignoran espacios y caracteres de control
+     * dentro del esquema ("java\tscript:"), así que se quitan antes de comprobarlo.
+     * @param {string} url
+     * @param {string[]} [schemes] Esquemas permitidos.
+     * @returns {boolean}
+     */
+    function isSafeUrl(url, schemes = LINK_SCHEMES) {
+        const compact = String(url).replace(/[\u0000-\u0020\u007f]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+        return scheme ? schemes.includes(scheme[1].toLowerCase()) : compact !== '';
+    }
+
+    // Código, imagen o enlace, buscados de una vez sobre el texto original
+    const INLINE_TOKEN = /`([^`]+)`|(!?)\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+    /**
+     * Negrita y cursiva sobre texto ya escapado.
+     * @param {string} html
+     * @returns {string}
+     */
+    function renderEmphasis(html) {
+        return html
+            .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*\w])\*(\S(?:[^*]*?\S)?)\*(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Formato de una línea de texto (sin párrafos ni listas): código, imágenes,
+     * enlaces, negrita y cursiva.
+     * El código, las imágenes y los enlaces se buscan en el texto sin escapar y se
+     * apartan como marcadores: sus etiquetas se insertan al final, con cada atributo
+     * escapado, para que ningún otro formato pueda caer dentro de ellas.
+     * @param {string} text
+     * @returns {string} HTML seguro.
+     */
+    function renderInline(text) {
+        const tokens = [];
+        const source = String(text === undefined || text === null ? '' : text).replace(/\u0000/g, '');
+        const marked = source.replace(INLINE_TOKEN, (match, code, bang, label, url) => {
+            let html;
+            if (code !== undefined) {
+                html = `<code>${escapeHtml(code)}</code>`;
+            } else if (bang) {
+                html = isSafeUrl(url, IMAGE_SCHEMES)
+                    ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(label)}" loading="lazy">`
+                    : escapeHtml(label);
+            } else if (label === '') {
+                return match;
+            } else {
+                const content = renderEmphasis(escapeHtml(label));
+                html = isSafeUrl(url)
+                    ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${content}</a>`
+                    : content;
+            }
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        });
+        return renderEmphasis(escapeHtml(marked)).replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+    }
+
+    /**
+     * Convierte un texto con el subconjunto de Markdown descrito arriba en HTML.
+     * @param {string} text
+     * @returns {string} HTML seguro.
+     */
+    function renderMarkdown(text) {
+        const blocks = [];
+        let paragraph = [];
+        let list = null; // { tag: 'ul' | 'ol', items: [] }
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        };
+        const flushList = () => {
+            if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+            list = null;
+        };
+
+        String(text === undefined || text === null ? '' : text).split(/\r?\n/).forEach(line => {
+            const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+            const numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+            if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else if (line.trim() === '') {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+        flushParagraph();
+        flushList();
+        return blocks.join('');
+    }
+
+    const api = {
+        escapeHtml,
+        isSafeUrl,
+        renderInline,
+        renderMarkdown
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.RichText = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
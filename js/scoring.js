@@ -0,0 +1,118 @@
+// --- Motor de puntuación ---
+// Calcula los puntos de cada pregunta según los intentos usados y la nota final.
+// Las opciones se leen de la sección `scoring` de config.json:
+//
+//   maxAttempts     Intentos por pregunta (0 = ilimitados). Cada pregunta puede
+//                   sobrescribirlo con su propio `maxAttempts`.
+//   attemptPenalty  Fracción de los puntos que se pierde por cada intento fallido
+//                   (0.25 = un acierto en el segundo intento vale el 75 %).
+//   passThreshold   Porcentaje mínimo para aprobar.
+//   gradeScale      Escala de la nota final (10 = nota sobre 10).
+//
+// Los puntos de cada pregunta se indican con `points` en questions.json (1 por defecto).
+
+(function (global) {
+    'use strict';
+
+    const DEFAULT_SCORING = Object.freeze({
+        maxAttempts: 0,
+        attemptPenalty: 0,
+        passThreshold: 50,
+        gradeScale: 10
+    });
+
+    /**
+     * Combina las opciones de config.json con los valores por defecto.
+     * @param {object} [options] Sección `scoring` de la configuración.
+     * @returns {object} Opciones completas.
+     */
+    function resolveOptions(options = {}) {
+        return { ...DEFAULT_SCORING, ...options };
+    }
+
+    /**
+     * Puntos que vale una pregunta.
+     * @param {object} question La pregunta.
+     * @returns {number} Sus puntos (1 por defecto).
+     */
+    function getQuestionPoints(question) {
+        return typeof question.points === 'number' && question.points >= 0 ? question.points : 1;
+    }
+
+    /**
+     * Intentos permitidos para una pregunta.
+     * @param {object} question La pregunta.
+     * @param {object} options Opciones de puntuación.
+     * @returns {number} Intentos permitidos (Infinity si son ilimitados).
+     */
+    function getMaxAttempts(question, options) {
+        const maxAttempts = question.maxAttempts !== undefined ? question.maxAttempts : resolveOptions(options).maxAttempts;
+        return maxAttempts > 0 ? maxAttempts : Infinity;
+    }
+
+    /**
+     * Indica si quedan intentos tras haber usado `attemptsUsed`.
+     * @param {object} question La pregunta.
+     * @param {number} attemptsUsed Intentos ya usados.
+     * @param {object} options Opciones de puntuación.
+     * @returns {boolean}
+     */
+    function hasAttemptsLeft(question, attemptsUsed, options) {
+        return attemptsUsed < getMaxAttempts(question, options);
+    }
+
+    /**
+     * Puntos obtenidos en un intento.
+     * @param {object} question La pregunta.
+     * @param {number} score Fracción de acierto del intento (0 a 1, ver QuestionTypes.grade).
+     * @param {number} attemptNumber Número del intento (empieza en 1).
+     * @param {object} options Opciones de puntuación.
+     * @returns {number} Puntos obtenidos.
+     */
+    function scoreAttempt(question, score, attemptNumber, options) {
+        const { attemptPenalty } = resolveOptions(options);
+        const penaltyFactor = Math.max(0, 1 - attemptPenalty * (attemptNumber - 1));
+        return roundPoints(getQuestionPoints(question) * score * penaltyFactor);
+    }
+
+    /**
+     * Calcula el resultado final del cuestionario.
+     * Las preguntas sin responder cuentan como 0 puntos; las que quedaron fuera del
+     * recorrido del alumno (`bypassed`, ver js/branching.js) no cuentan.
+     * @param {Array} questions Todas las preguntas.
+     * @param {Array} answers Entradas de userAnswers (con `earned`).
+     * @param {object} options Opciones de puntuación.
+     * @returns {{earned: number, total: number, percentage: number, grade: number, passed: boolean}}
+     */
+    function computeFinalResult(questions, answers, options) {
+        const { passThreshold, gradeScale } = resolveOptions(options);
+        const bypassed = new Set(answers.filter(answer => answer.bypassed).map(answer => answer.questionIndex));
+        const total = roundPoints(questions.reduce((sum, question, index) => (
+            bypassed.has(index) ? sum : sum + getQuestionPoints(question)), 0));
+        const earned = roundPoints(answers.reduce((sum, answer) => sum + (answer.earned || 0), 0));
+        const percentage = total > 0 ? Math.round((earned / total) * 1000) / 10 : 0;
+        const grade = Math.round((percentage / 100) * gradeScale * 10) / 10;
+        return { earned, total, percentage, grade, gradeScale, passed: percentage >= passThreshold };
+    }
+
+    // Evita arrastrar errores de coma flotante (0.1 + 0.2) en los totales mostrados
+    function roundPoints(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    const api = {
+        DEFAULT_SCORING,
+        resolveOptions,
+        getQuestionPoints,
+        getMaxAttempts,
+        hasAttemptsLeft,
+        scoreAttempt,
+        computeFinalResult
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.Scoring = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,270 @@
+// --- Puente SCORM 1.2 / 2004 ---
+// Cuando la página se abre dentro de un LMS (Moodle, Canvas...) como paquete SCORM
+// (ver tools/build-scorm.js), busca la API del LMS en las ventanas superiores y:
+//   - guarda el progreso en `suspend_data` en vez de localStorage (ver createStorage),
+//   - informa de la puntuación y del estado (incompleto, aprobado, suspenso),
+//   - cierra la sesión al salir de la página.
+//
+// Elementos usados según la versión:
+//
+//                    SCORM 1.2                    SCORM 2004
+//   puntuación       cmi.core.score.raw/min/max   cmi.score.raw/min/max/scaled
+//   estado           cmi.core.lesson_status       cmi.completion_status + cmi.success_status
+//   progreso         cmi.suspend_data             cmi.suspend_data
+//   salida           cmi.core.exit                cmi.exit
+//   aprobado con     cmi.student_data.mastery_score  cmi.scaled_passing_score
+//
+// Para probarlo sin LMS: tools/scorm-stub-lms.html.
+
+(function (global) {
+    'use strict';
+
+    const MAX_API_SEARCH_DEPTH = 7; // Profundidad de búsqueda recomendada por ADL
+
+    // Límite de suspend_data de cada versión (caracteres)
+    const SUSPEND_DATA_LIMITS = { '1.2': 4096, '2004': 64000 };
+
+    const ELEMENTS = {
+        '1.2': {
+            scoreRaw: 'cmi.core.score.raw',
+            scoreMin: 'cmi.core.score.min',
+            scoreMax: 'cmi.core.score.max',
+            suspendData: 'cmi.suspend_data',
+            exit: 'cmi.core.exit',
+            learnerName: 'cmi.core.student_name',
+            masteryScore: 'cmi.student_data.mastery_score'
+        },
+        '2004': {
+            scoreRaw: 'cmi.score.raw',
+            scoreMin: 'cmi.score.min',
+            scoreMax: 'cmi.score.max',
+            scoreScaled: 'cmi.score.scaled',
+            suspendData: 'cmi.suspend_data',
+            exit: 'cmi.exit',
+            learnerName: 'cmi.learner_name',
+            masteryScore: 'cmi.scaled_passing_score'
+        }
+    };
+
+    // Campos de cada respuesta que se guardan en suspend_data, en este orden (los nuevos
+    // van al final para poder leer lo guardado antes). El resto (texto de la pregunta,
+    // respuesta formateada, puntos...) se reconstruye a partir de las preguntas al cargar.
+    const SUSPEND_ANSWER_FIELDS = ['response', 'attempts', 'isCorrect', 'score', 'earned', 'completed',
+        'skipped', 'contentHash', 'bypassed', 'answeredAt'];
+    // Indicadores que se guardan como 0/1. `response` se guarda tal cual: en las preguntas
+    // de verdadero/falso es un booleano y debe seguir siéndolo al reanudar.
+    const SUSPEND_FLAG_FIELDS = ['isCorrect', 'completed', 'skipped', 'bypassed'];
+
+    /**
+     * Busca la API del LMS en la ventana, sus padres y la ventana que la abrió.
+     * @param {Window} win Ventana de partida.
+     * @returns {{api: object, version: string}|null} La API y su versión ('1.2' o '2004').
+     */
+    function findApi(win) {
+        const search = start => {
+            let current = start;
+            for (let depth = 0; current && depth <= MAX_API_SEARCH_DEPTH; depth++) {
+                try {
+                    if (current.API_1484_11) return { api: current.API_1484_11, version: '2004' };
+                    if (current.API) return { api: current.API, version: '1.2' };
+                } catch (e) {
+                    // Ventana de otro origen: no se puede inspeccionar
+                    return null;
+                }
+                if (current.parent === current) break;
+                current = current.parent;
+            }
+            return null;
+        };
+        let found = search(win);
+        if (!found) {
+            try {
+                if (win.opener) found = search(win.opener);
+            } catch (e) {
+                found = null;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Crea el puente con el LMS.
+     * @param {object} [options]
+     * @param {Window} [options.win] Ventana donde empezar a buscar la API.
+     * @param {{api: object, version: string}} [options.found] API ya localizada (para pruebas).
+     * @returns {object|null} El puente, o null si la página no se ejecuta dentro de un LMS.
+     */
+    function createScormBridge(options = {}) {
+        const found = options.found || findApi(options.win || global);
+        if (!found) return null;
+
+        const { api, version } = found;
+        const is2004 = version === '2004';
+        const elements = ELEMENTS[version];
+        let initialized = false;
+        let terminated = false;
+
+        // Las dos versiones tienen los mismos métodos con distinto nombre
+        const call = (name12, name2004, ...args) => {
+            const method = is2004 ? name2004 : name12;
+            const result = api[method](...args);
+            // Todos los métodos salvo GetValue devuelven "true" o "false"
+            if (!method.endsWith('GetValue') && String(result) !== 'true') {
+                const code = is2004 ? api.GetLastError() : api.LMSGetLastError();
+                const message = is2004 ? api.GetErrorString(code) : api.LMSGetErrorString(code);
+                console.warn(`SCORM ${method}(${args.join(', ')}) falló: ${code} ${message}`);
+            }
+            return result;
+        };
+        const getValue = element => String(call('LMSGetValue', 'GetValue', element) || '');
+        const setValue = (element, value) => String(call('LMSSetValue', 'SetValue', element, String(value))) === 'true';
+
+        const bridge = {
+            version,
+            /** Abre la sesión con el LMS. @returns {boolean} */
+            initialize() {
+                if (initialized) return true;
+                initialized = String(call('LMSInitialize', 'Initialize', '')) === 'true';
+                if (initialized) console.log(`SCORM ${version}: sesión iniciada.`);
+                return initialized;
+            },
+            /** Nombre del alumno según el LMS. */
+            getLearnerName() {
+                return getValue(elements.learnerName);
+            },
+            /**
+             * Umbral de aprobado definido en el LMS (0-100), o null si no hay.
+             * @returns {number|null}
+             */
+            getMasteryScore() {
+                const value = getValue(elements.masteryScore);
+                if (value === '') return null;
+                const number = Number(value);
+                if (!isFinite(number)) return null;
+                return is2004 ? number * 100 : number;
+            },
+            /**
+             * Informa de la puntuación y del estado.
+             * @param {{percentage: number, passed: boolean}} result Resultado de Scoring.computeFinalResult.
+             * @param {boolean} finished true si se han resuelto todas las preguntas.
+             */
+            reportResult(result, finished) {
+                setValue(elements.scoreMin, 0);
+                setValue(elements.scoreMax, 100);
+                setValue(elements.scoreRaw, result.percentage);
+                if (is2004) {
+                    setValue(elements.scoreScaled, Math.round(result.percentage * 10) / 1000);
+                    setValue('cmi.completion_status', finished ? 'completed' : 'incomplete');
+                    setValue('cmi.success_status', finished ? (result.passed ? 'passed' : 'failed') : 'unknown');
+                } else {
+                    setValue('cmi.core.lesson_status', finished ? (result.passed ? 'passed' : 'failed') : 'incomplete');
+                }
+                // Al salir sin terminar, el LMS debe conservar el intento para reanudarlo
+                setValue(elements.exit, finished ? (is2004 ? 'normal' : '') : 'suspend');
+                bridge.commit();
+            },
+            /** Pide al LMS que guarde los datos enviados. */
+            commit() {
+                if (!initialized || terminated) return;
+                call('LMSCommit', 'Commit', '');
+            },
+            /** Cierra la sesión con el LMS (al salir de la página). */
+            terminate() {
+                if (!initialized || terminated) return;
+                bridge.commit();
+                call('LMSFinish', 'Terminate', '');
+                terminated = true;
+            },
+            /**
+             * Almacén con la interfaz de localStorage que guarda en suspend_data.
+             * Sirve como `storage` de ProgressStore.createProgressStore.
+             * @returns {{getItem: function, setItem: function, removeItem: function}}
+             */
+            createStorage() {
+                let items = {};
+                try {
+                    const saved = getValue(elements.suspendData);
+                    items = saved ? JSON.parse(saved) : {};
+                } catch (e) {
+                    console.warn('suspend_data ilegible. Se empieza desde cero.', e);
+                }
+                const write = () => {
+                    const serialized = JSON.stringify(items);
+                    if (serialized.length > SUSPEND_DATA_LIMITS[version]) {
+                        console.warn(`suspend_data ocupa ${serialized.length} caracteres; ` +
+                            `SCORM ${version} solo garantiza ${SUSPEND_DATA_LIMITS[version]}.`);
+                    }
+                    setValue(elements.suspendData, serialized);
+                    bridge.commit();
+                };
+                return {
+                    getItem: key => (key in items ? expandRecord(items[key]) : null),
+                    setItem: (key, value) => {
+                        items[key] = compactRecord(value);
+                        write();
+                    },
+                    removeItem: key => {
+                        if (!(key in items)) return;
+                        delete items[key];
+                        write();
+                    }
+                };
+            }
+        };
+        return bridge;
+    }
+
+    // --- Formato compacto de suspend_data ---
+    // SCORM 1.2 solo garantiza 4096 caracteres, así que de cada registro de
+    // ProgressStore se guardan la versión, la huella y los campos esenciales de
+    // cada respuesta como lista: { v, h, s, a: { "<id>": [response, attempts, ...] } }
+    // (`s` es la semilla del sorteo de variantes, si la hay).
+
+    /**
+     * @param {string} value Registro de ProgressStore serializado.
+     * @returns {object} El registro compacto.
+     */
+    function compactRecord(value) {
+        const record = JSON.parse(value);
+        const answers = {};
+        Object.keys(record.answers || {}).forEach(questionId => {
+            const entry = record.answers[questionId];
+            answers[questionId] = SUSPEND_ANSWER_FIELDS.map(field => {
+                const fieldValue = entry[field];
+                if (fieldValue === undefined) return null;
+                return SUSPEND_FLAG_FIELDS.includes(field) ? Number(fieldValue) : fieldValue;
+            });
+        });
+        return { v: record.version, h: record.contentHash, s: record.seed, a: answers };
+    }
+
+    /**
+     * @param {object} compact Registro compacto.
+     * @returns {string} El registro de ProgressStore serializado.
+     */
+    function expandRecord(compact) {
+        const answers = {};
+        Object.keys(compact.a || {}).forEach(questionId => {
+            const entry = {};
+            SUSPEND_ANSWER_FIELDS.forEach((field, index) => {
+                const fieldValue = compact.a[questionId][index];
+                if (fieldValue === null || fieldValue === undefined) return;
+                entry[field] = SUSPEND_FLAG_FIELDS.includes(field) ? Boolean(fieldValue) : fieldValue;
+            });
+            answers[questionId] = entry;
+        });
+        return JSON.stringify({ version: compact.v, contentHash: compact.h, seed: compact.s, answers });
+    }
+
+    const api = {
+        SUSPEND_DATA_LIMITS,
+        findApi,
+        createScormBridge
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.ScormBridge = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
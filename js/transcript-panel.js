@@ -0,0 +1,265 @@
+// --- Panel de transcripción ---
+// Muestra la transcripción del vídeo (los subtítulos de `transcript`, ver js/captions.js)
+// junto al reproductor, para leer a la vez que se escucha o buscar lo que se dice:
+//
+//   - La línea que se está diciendo se resalta (aria-current) y se mantiene a la vista
+//     mientras el alumno no esté usando el panel.
+//   - Al pulsar una línea el vídeo salta a su inicio. El salto pasa por la política de
+//     navegación, como los de la barra de controles: no sirve para saltarse preguntas.
+//   - El buscador deja solo las líneas que contienen el texto (sin distinguir
+//     mayúsculas ni acentos) y marca las coincidencias. El número de resultados se
+//     anuncia a los lectores de pantalla.
+//
+// El marcado está en index.html: cada elemento se identifica con `data-transcript`
+// (search, status, list). El panel solo aparece si el vídeo tiene transcripción.
+
+(function (global) {
+    'use strict';
+
+    const PlayerAdapters = typeof module !== 'undefined' && module.exports
+        ? require('./player-adapters.js') : global.PlayerAdapters;
+
+    const REFRESH_INTERVAL = 250; // ms entre actualizaciones de la línea actual mientras se reproduce
+
+    /**
+     * Texto en minúsculas y sin acentos, con la posición en el original de cada carácter.
+     * @param {string} text
+     * @returns {{text: string, positions: number[]}}
+     */
+    function foldText(text) {
+        let folded = '';
+        const positions = [];
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            folded += char;
+            for (let j = 0; j < char.length; j++) positions.push(i);
+        }
+        return { text: folded, positions };
+    }
+
+    /**
+     * Busca un texto sin distinguir mayúsculas ni acentos.
+     * @param {string} text Texto en el que buscar.
+     * @param {string} query Texto buscado.
+     * @returns {Array<{start: number, end: number}>} Las coincidencias, con posiciones del
+     *   texto original (vacío si no hay o la búsqueda está vacía).
+     */
+    function findMatches(text, query) {
+        const needle = foldText(query.trim()).text;
+        if (!needle) return [];
+        const haystack = foldText(text);
+        const matches = [];
+        let index = haystack.text.indexOf(needle);
+        while (index !== -1) {
+            matches.push({
+                start: haystack.positions[index],
+                end: haystack.positions[index + needle.length - 1] + 1
+            });
+            index = haystack.text.indexOf(needle, index + needle.length);
+        }
+        return matches;
+    }
+
+    /**
+     * Índice del subtítulo que se está diciendo en un instante.
+     * @param {Array<{start: number, end: number}>} cues Subtítulos ordenados.
+     * @param {number} time
+     * @returns {number} -1 si no se dice nada.
+     */
+    function findActiveCue(cues, time) {
+        for (let i = cues.length - 1; i >= 0; i--) {
+            if (cues[i].start <= time) return time < cues[i].end ? i : -1;
+        }
+        return -1;
+    }
+
+    /**
+     * Crea el panel de transcripción.
+     * @param {HTMLElement} root Elemento del panel (contiene los `data-transcript`).
+     * @param {object} options
+     * @param {function(string, object=): string} options.t Traduce una clave de locales/*.json.
+     * @param {function(number): string} options.formatTime Formatea segundos (ej. 1:05).
+     * @param {function(number)} options.onSeek Salto pedido al pulsar una línea.
+     * @returns {object} El panel { attach, update, setCues, setDisabled, refreshLabels }.
+     */
+    function createTranscriptPanel(root, options) {
+        const doc = root.ownerDocument;
+        const element = name => root.querySelector(`[data-transcript="${name}"]`);
+        const elements = {
+            search: element('search'),
+            status: element('status'),
+            list: element('list')
+        };
+        const t = options.t;
+
+        let player = null;
+        let cues = [];
+        let lines = []; // Botón de cada subtítulo (null si el buscador lo oculta)
+        let activeIndex = -1;
+        let disabled = false;
+        let refreshTimer = null;
+
+        const isPlaying = () => player && player.getState() === PlayerAdapters.PlayerState.PLAYING;
+        // Mientras el alumno busca o recorre las líneas no se le mueve la lista
+        const isBrowsing = () => elements.search.value.trim() !== '' || elements.list.contains(doc.activeElement);
+
+        /**
+         * Texto de una línea con las coincidencias de la búsqueda en <mark>.
+         * @param {string} text
+         * @param {Array<{start: number, end: number}>} matches
+         * @returns {HTMLElement}
+         */
+        function renderText(text, matches) {
+            const span = doc.createElement('span');
+            span.className = 'transcript-text';
+            let position = 0;
+            matches.forEach(match => {
+                span.append(text.slice(position, match.start));
+                const mark = doc.createElement('mark');
+                mark.textContent = text.slice(match.start, match.end);
+                span.appendChild(mark);
+                position = match.end;
+            });
+            span.append(text.slice(position));
+            return span;
+        }
+
+        function renderLines() {
+            const query = elements.search.value;
+            let results = 0;
+            lines = cues.map(() => null);
+            elements.list.replaceChildren(...cues.map((cue, index) => {
+                const matches = findMatches(cue.text, query);
+                if (query.trim() && matches.length === 0) return null;
+                results++;
+                const item = doc.createElement('li');
+                const button = doc.createElement('button');
+                button.type = 'button';
+                button.className = 'transcript-line';
+                const time = doc.createElement('span');
+                time.className = 'transcript-time';
+                time.textContent = options.formatTime(cue.start);
+                button.append(time, ' ', renderText(cue.text, matches));
+                button.addEventListener('click', () => {
+                    if (disabled || !player) return;
+                    options.onSeek(cue.start);
+                });
+                item.appendChild(button);
+                lines[index] = button;
+                return item;
+            }).filter(Boolean));
+            elements.status.textContent = query.trim() ? t('transcript_results', {count: results}) : '';
+            markActive(true);
+        }
+
+        /**
+         * Resalta la línea actual y la desplaza a la vista.
+         * @param {boolean} [redraw] Al redibujar la lista solo se resalta, sin desplazarla.
+         */
+        function markActive(redraw) {
+            lines.forEach((line, index) => {
+                if (!line) return;
+                line.classList.toggle('is-active', index === activeIndex);
+                if (index === activeIndex) line.setAttribute('aria-current', 'true');
+                else line.removeAttribute('aria-current');
+            });
+            const line = lines[activeIndex];
+            if (!line || redraw || isBrowsing()) return;
+            // Solo se desplaza la lista, no la página (la lista es el offsetParent de las líneas)
+            const list = elements.list;
+            const top = line.offsetTop;
+            if (top < list.scrollTop || top + line.offsetHeight > list.scrollTop + list.clientHeight) {
+                list.scrollTop = Math.max(top - list.clientHeight / 3, 0);
+            }
+        }
+
+        function updateRefreshTimer() {
+            if (isPlaying() && cues.length > 0 && !refreshTimer) {
+                refreshTimer = setInterval(update, REFRESH_INTERVAL);
+            } else if ((!isPlaying() || cues.length === 0) && refreshTimer) {
+                clearInterval(refreshTimer);
+                refreshTimer = null;
+            }
+        }
+
+        /**
+         * Resalta la línea que se dice en el instante actual del vídeo.
+         */
+        function update() {
+            if (!player) return;
+            const index = findActiveCue(cues, player.getCurrentTime());
+            if (index !== activeIndex) {
+                activeIndex = index;
+                markActive();
+            }
+            updateRefreshTimer();
+        }
+
+        /**
+         * Conecta el panel con el reproductor (cuando está listo).
+         * @param {object} adapter Adaptador del reproductor.
+         */
+        function attach(adapter) {
+            player = adapter;
+            update();
+        }
+
+        /**
+         * Muestra la transcripción (o la oculta si no hay subtítulos).
+         * @param {Array<{start: number, end: number, text: string}>} list Ver Captions.parseCaptions.
+         */
+        function setCues(list) {
+            cues = list;
+            activeIndex = player ? findActiveCue(cues, player.getCurrentTime()) : -1;
+            root.hidden = cues.length === 0;
+            renderLines();
+            updateRefreshTimer();
+        }
+
+        /**
+         * Impide saltar desde el panel (mientras hay una pregunta en pantalla).
+         * @param {boolean} value
+         */
+        function setDisabled(value) {
+            disabled = value;
+            root.classList.toggle('is-disabled', value);
+        }
+
+        /**
+         * Vuelve a traducir los textos generados por el panel (al cambiar de idioma).
+         */
+        function refreshLabels() {
+            renderLines();
+        }
+
+        // --- Eventos ---
+
+        elements.search.addEventListener('input', renderLines);
+        elements.search.addEventListener('keydown', event => {
+            if (event.key !== 'Escape' || !elements.search.value) return;
+            event.preventDefault();
+            elements.search.value = '';
+            renderLines();
+        });
+
+        return {
+            attach,
+            update,
+            setCues,
+            setDisabled,
+            refreshLabels
+        };
+    }
+
+    const api = {
+        findMatches,
+        findActiveCue,
+        createTranscriptPanel
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.TranscriptPanel = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,549 @@
+// --- Emisor de sentencias xAPI (Tin Can) ---
+// Envía a un Learning Record Store (LRS) lo que hace el alumno con el vídeo y sus
+// preguntas. Se configura en la sección `xapi` de config.json:
+//
+//   enabled      true para enviar sentencias
+//   endpoint     URL del LRS (ej. "https://lrs.ejemplo.edu/xapi/")
+//   auth         Cabecera Authorization (ej. "Basic dXN1YXJpbzpjbGF2ZQ==")
+//   actor        Agente xAPI del alumno (ej. { "name": "Ana", "mbox": "mailto:ana@ejemplo.edu" })
+//   activityId   IRI base de las actividades (por defecto la URL de la página)
+//
+// Los parámetros de lanzamiento estándar en la URL (`endpoint`, `auth`, `actor`,
+// `registration`, `activity_id`) tienen prioridad sobre config.json.
+//
+// Vocabulario: perfil xAPI Video (https://w3id.org/xapi/video) para played, paused,
+// seeked y completed; verbos ADL para launched, answered, passed y failed. Las
+// respuestas a una variante de un grupo de preguntas (ver js/question-pools.js) tienen
+// como objeto la variante y el grupo en `contextActivities.grouping`.
+//
+// Las sentencias se guardan en una cola (en localStorage si está disponible) y se
+// envían en lotes. Si no hay conexión o el LRS falla (5xx o 429), se reintenta al
+// recuperar la conexión o con la siguiente sentencia. Un lote que el LRS rechaza con
+// otro 4xx se descarta para que no bloquee los siguientes. Para probarlo en local:
+// tools/mock-lrs.js.
+
+(function (global) {
+    'use strict';
+
+    const XAPI_VERSION = '1.0.3';
+    const VIDEO_PROFILE = 'https://w3id.org/xapi/video';
+    const QUEUE_KEY = 'videoInteractive:xapiQueue';
+    const ANONYMOUS_ID_KEY = 'videoInteractive:xapiAnonymousId';
+    const MAX_BATCH = 50; // Sentencias por petición al LRS
+
+    /**
+     * Indica si un lote que el LRS no ha aceptado se debe reintentar: los errores del
+     * servidor (5xx) y el exceso de peticiones (429) son pasajeros; el resto de 4xx
+     * rechazan el propio lote y se repetirían siempre.
+     * @param {number} status Código HTTP de la respuesta.
+     * @returns {boolean}
+     */
+    function isRetryableStatus(status) {
+        return status >= 500 || status === 429;
+    }
+
+    const DEFAULT_XAPI = Object.freeze({
+        enabled: false,
+        endpoint: '',
+        auth: '',
+        actor: null,
+        activityId: ''
+    });
+
+    const VERBS = Object.freeze({
+        launched: { id: 'http://adlnet.gov/expapi/verbs/launched', display: { 'en-US': 'launched' } },
+        played: { id: `${VIDEO_PROFILE}/verbs/played`, display: { 'en-US': 'played' } },
+        paused: { id: `${VIDEO_PROFILE}/verbs/paused`, display: { 'en-US': 'paused' } },
+        seeked: { id: `${VIDEO_PROFILE}/verbs/seeked`, display: { 'en-US': 'seeked' } },
+        answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+        completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+        passed: { id: 'http://adlnet.gov/expapi/verbs/passed', display: { 'en-US': 'passed' } },
+        failed: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } }
+    });
+
+    const ACTIVITY_TYPES = Object.freeze({
+        video: `${VIDEO_PROFILE}/activity-type/video`,
+        question: 'http://adlnet.gov/expapi/activities/cmi.interaction'
+    });
+
+    const EXTENSIONS = Object.freeze({
+        time: `${VIDEO_PROFILE}/extensions/time`,
+        timeFrom: `${VIDEO_PROFILE}/extensions/time-from`,
+        timeTo: `${VIDEO_PROFILE}/extensions/time-to`,
+        progress: `${VIDEO_PROFILE}/extensions/progress`,
+        playedSegments: `${VIDEO_PROFILE}/extensions/played-segments`,
+        length: `${VIDEO_PROFILE}/extensions/length`,
+        sessionId: `${VIDEO_PROFILE}/extensions/session-id`,
+        completionThreshold: `${VIDEO_PROFILE}/extensions/completion-threshold`
+    });
+
+    /**
+     * UUID v4 para los ids de sentencia y de sesión.
+     * @returns {string}
+     */
+    function createUuid() {
+        if (global.crypto && typeof global.crypto.randomUUID === 'function') {
+            return global.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    // Las extensiones del perfil de vídeo usan segundos con 3 decimales como máximo
+    const roundTime = seconds => Math.round((Number(seconds) || 0) * 1000) / 1000;
+
+    /**
+     * Lee los parámetros de lanzamiento xAPI de la URL.
+     * @param {string} search La query string (location.search).
+     * @returns {object} Solo los parámetros presentes ({ endpoint, auth, actor, registration, activityId }).
+     */
+    function resolveLaunchParams(search) {
+        const params = new URLSearchParams(search);
+        const launch = {};
+        if (params.get('endpoint')) launch.endpoint = params.get('endpoint');
+        if (params.get('auth')) launch.auth = params.get('auth');
+        if (params.get('registration')) launch.registration = params.get('registration');
+        if (params.get('activity_id')) launch.activityId = params.get('activity_id');
+        if (params.get('actor')) {
+            try {
+                const actor = JSON.parse(params.get('actor'));
+                // Algunos LMS envían el formato de la versión 0.95 (listas de valores)
+                launch.actor = {
+                    objectType: 'Agent',
+                    name: Array.isArray(actor.name) ? actor.name[0] : actor.name,
+                    ...(actor.mbox ? { mbox: Array.isArray(actor.mbox) ? actor.mbox[0] : actor.mbox } : {}),
+                    ...(actor.account ? { account: Array.isArray(actor.account) ? actor.account[0] : actor.account } : {})
+                };
+            } catch (e) {
+                console.warn('Parámetro xAPI "actor" no válido:', e);
+            }
+        }
+        return launch;
+    }
+
+    // --- Interacciones (preguntas) ---
+
+    /**
+     * Mapa de idiomas xAPI de un texto de questions.json: los textos traducidos
+     * ({ "es": ..., "en": ... }) se envían con todos sus idiomas.
+     * @param {string|object} text
+     * @returns {object}
+     */
+    function toLanguageMap(text) {
+        return text && typeof text === 'object' ? { ...text } : { und: text };
+    }
+
+    /**
+     * Definición de actividad cmi.interaction de una pregunta.
+     * @param {object} question La pregunta de questions.json (sin traducir).
+     * @returns {object} La definición xAPI.
+     */
+    function buildInteractionDefinition(question) {
+        const definition = {
+            name: toLanguageMap(question.question),
+            type: ACTIVITY_TYPES.question
+        };
+        switch (question.type || 'single') {
+            case 'single':
+            case 'multiple':
+                definition.interactionType = 'choice';
+                definition.choices = question.answers.map((answer, index) => ({
+                    id: `choice-${index}`,
+                    description: toLanguageMap(answer.text)
+                }));
+                definition.correctResponsesPattern = [question.answers
+                    .map((answer, index) => (answer.correct ? `choice-${index}` : null))
+                    .filter(Boolean)
+                    .join('[,]')];
+                break;
+            case 'truefalse':
+                definition.interactionType = 'true-false';
+                definition.correctResponsesPattern = [String(Boolean(question.answer))];
+                break;
+            case 'text':
+                definition.interactionType = 'fill-in';
+                definition.correctResponsesPattern = (question.accepted || []).slice();
+                break;
+            case 'numeric': {
+                const tolerance = question.tolerance || 0;
+                definition.interactionType = 'numeric';
+                definition.correctResponsesPattern = tolerance > 0
+                    ? [`${question.answer - tolerance}[:]${question.answer + tolerance}`]
+                    : [String(question.answer)];
+                break;
+            }
+            default:
+                definition.interactionType = 'other';
+        }
+        // Con las respuestas cifradas (ver js/answer-hash.js) la respuesta correcta no se envía
+        if (question.hashed) delete definition.correctResponsesPattern;
+        return definition;
+    }
+
+    /**
+     * Respuesta del alumno en el formato de cmi.interaction.
+     * @param {object} question La pregunta.
+     * @param {*} response La respuesta en bruto (índices, booleano, texto o número).
+     * @returns {string}
+     */
+    function formatInteractionResponse(question, response) {
+        if (response === null || response === undefined) return '';
+        switch (question.type || 'single') {
+            case 'single':
+            case 'multiple':
+                return [].concat(response).map(index => `choice-${index}`).join('[,]');
+            default:
+                return String(response);
+        }
+    }
+
+    // --- Cola de envío ---
+
+    /**
+     * Crea la cola persistente de sentencias pendientes de enviar.
+     * @param {object|null} storage localStorage o similar (null = solo en memoria).
+     * @returns {{items: Array, push: function, remove: function}}
+     */
+    function createQueue(storage) {
+        let items = [];
+        try {
+            items = storage ? JSON.parse(storage.getItem(QUEUE_KEY)) || [] : [];
+        } catch (e) {
+            console.warn('Cola xAPI ilegible. Se descarta.', e);
+        }
+        const persist = () => {
+            if (!storage) return;
+            try {
+                storage.setItem(QUEUE_KEY, JSON.stringify(items));
+            } catch (e) {
+                console.warn('No se pudo guardar la cola xAPI:', e);
+            }
+        };
+        return {
+            get items() {
+                return items;
+            },
+            push(statement) {
+                items.push(statement);
+                persist();
+            },
+            remove(count) {
+                items = items.slice(count);
+                persist();
+            }
+        };
+    }
+
+    /**
+     * Devuelve localStorage si está disponible.
+     * @returns {object|null}
+     */
+    function defaultStorage() {
+        try {
+            return global.localStorage || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // --- Emisor ---
+
+    /**
+     * Crea el emisor de sentencias de un vídeo.
+     * @param {object} options Sección `xapi` de config.json más:
+     * @param {string} options.activityId IRI de la actividad del vídeo.
+     * @param {string} [options.activityName] Título del vídeo.
+     * @param {string} [options.registration] UUID de la matrícula (lo envía el LMS al lanzar).
+     * @param {object} [options.storage] Almacén de la cola (por defecto localStorage).
+     * @param {function} [options.fetch] Implementación de fetch (para pruebas).
+     * @param {function(): boolean} [options.isOnline] Indica si hay conexión.
+     * @param {function(): number} [options.getDuration] Duración del vídeo en segundos.
+     * @returns {object} El emisor.
+     */
+    function createXapiEmitter(options) {
+        const endpoint = options.endpoint.replace(/\/?$/, '/');
+        const storage = options.storage !== undefined ? options.storage : defaultStorage();
+        const doFetch = options.fetch || ((...args) => global.fetch(...args));
+        const isOnline = options.isOnline || (() => !global.navigator || global.navigator.onLine !== false);
+        const getDuration = options.getDuration || (() => 0);
+        const queue = createQueue(storage);
+        const sessionId = createUuid();
+        const actor = options.actor || getAnonymousActor(storage);
+
+        let flushing = null;
+        let segmentStart = null; // Inicio del tramo que se está reproduciendo
+        const playedSegments = []; // Tramos vistos: [[inicio, fin], ...]
+
+        const videoActivity = {
+            objectType: 'Activity',
+            id: options.activityId,
+            definition: {
+                type: ACTIVITY_TYPES.video,
+                name: { und: options.activityName || options.activityId }
+            }
+        };
+
+        /**
+         * Fracción del vídeo vista (0-1), uniendo los tramos que se solapan.
+         * @returns {number}
+         */
+        function computeProgress() {
+            const duration = getDuration();
+            if (!duration) return 0;
+            const merged = playedSegments
+                .map(segment => segment.slice())
+                .sort((a, b) => a[0] - b[0])
+                .reduce((list, segment) => {
+                    const last = list[list.length - 1];
+                    if (last && segment[0] <= last[1]) {
+                        last[1] = Math.max(last[1], segment[1]);
+                    } else {
+                        list.push(segment);
+                    }
+                    return list;
+                }, []);
+            const watched = merged.reduce((sum, segment) => sum + (segment[1] - segment[0]), 0);
+            return Math.min(1, Math.round((watched / duration) * 1000) / 1000);
+        }
+
+        function closeSegment(time) {
+            if (segmentStart === null) return;
+            if (time > segmentStart) playedSegments.push([roundTime(segmentStart), roundTime(time)]);
+            segmentStart = null;
+        }
+
+        const formatSegments = () => playedSegments.map(segment => segment.join('[.]')).join('[,]');
+
+        /**
+         * Construye una sentencia y la pone en la cola.
+         * @param {string} verb Clave de VERBS.
+         * @param {object} [details] { object, result, extensions, parent, grouping }
+         * @returns {object} La sentencia.
+         */
+        function emit(verb, details = {}) {
+            const contextExtensions = { [EXTENSIONS.sessionId]: sessionId, ...details.extensions };
+            const duration = getDuration();
+            if (duration) contextExtensions[EXTENSIONS.length] = roundTime(duration);
+
+            const statement = {
+                id: createUuid(),
+                actor,
+                verb: VERBS[verb],
+                object: details.object || videoActivity,
+                timestamp: new Date().toISOString(),
+                context: {
+                    contextActivities: {
+                        category: [{ id: VIDEO_PROFILE, definition: { type: 'http://adlnet.gov/expapi/activities/profile' } }],
+                        ...(details.parent ? { parent: [{ id: videoActivity.id, objectType: 'Activity' }] } : {}),
+                        ...(details.grouping ? { grouping: [{ id: details.grouping, objectType: 'Activity' }] } : {})
+                    },
+                    extensions: contextExtensions
+                }
+            };
+            if (options.registration) statement.context.registration = options.registration;
+            if (details.result) statement.result = details.result;
+
+            queue.push(statement);
+            flush();
+            return statement;
+        }
+
+        /**
+         * Envía las sentencias pendientes en lotes. Las que fallan por la red o por un
+         * error pasajero del LRS quedan en la cola; las rechazadas se descartan.
+         * @returns {Promise<number>} Cuántas sentencias ha aceptado el LRS.
+         */
+        function flush() {
+            if (flushing) return flushing;
+            flushing = (async () => {
+                let sent = 0;
+                while (queue.items.length > 0 && isOnline()) {
+                    const batch = queue.items.slice(0, MAX_BATCH);
+                    let response;
+                    try {
+                        response = await doFetch(`${endpoint}statements`, {
+                            method: 'POST',
+                            headers: {
+                                'Content-Type': 'application/json',
+                                'X-Experience-API-Version': XAPI_VERSION,
+                                ...(options.auth ? { Authorization: options.auth } : {})
+                            },
+                            body: JSON.stringify(batch)
+                        });
+                    } catch (error) {
+                        console.warn('LRS no disponible. Las sentencias xAPI se enviarán más tarde.', error);
+                        break;
+                    }
+                    // 409: el LRS ya tenía esas sentencias (reintento tras un fallo de red)
+                    if (!response.ok && response.status !== 409) {
+                        if (isRetryableStatus(response.status)) {
+                            console.warn(`El LRS no pudo recibir ${batch.length} sentencias (HTTP ${response.status}). Se reintentará más tarde.`);
+                            break;
+                        }
+                        console.error(`El LRS rechazó ${batch.length} sentencias (HTTP ${response.status}). Se descartan.`, batch);
+                        queue.remove(batch.length);
+                        continue;
+                    }
+                    queue.remove(batch.length);
+                    sent += batch.length;
+                }
+                return sent;
+            })().finally(() => {
+                flushing = null;
+            });
+            return flushing;
+        }
+
+        if (global.addEventListener) {
+            global.addEventListener('online', () => flush());
+        }
+
+        return {
+            sessionId,
+            actor,
+            /** Sentencias pendientes de enviar. */
+            get pending() {
+                return queue.items.length;
+            },
+            flush,
+
+            /** El alumno ha abierto el vídeo. */
+            launched() {
+                return emit('launched');
+            },
+            /** @param {number} time Segundo en el que empieza la reproducción. */
+            played(time) {
+                segmentStart = time;
+                return emit('played', { result: { extensions: { [EXTENSIONS.time]: roundTime(time) } } });
+            },
+            /** @param {number} time Segundo en el que se pausa. */
+            paused(time) {
+                closeSegment(time);
+                return emit('paused', {
+                    result: {
+                        extensions: {
+                            [EXTENSIONS.time]: roundTime(time),
+                            [EXTENSIONS.progress]: computeProgress(),
+                            [EXTENSIONS.playedSegments]: formatSegments()
+                        }
+                    }
+                });
+            },
+            /**
+             * @param {number} timeFrom Segundo antes del salto.
+             * @param {number} timeTo Segundo después del salto.
+             */
+            seeked(timeFrom, timeTo) {
+                const playing = segmentStart !== null;
+                closeSegment(timeFrom);
+                if (playing) segmentStart = timeTo;
+                return emit('seeked', {
+                    result: {
+                        extensions: {
+                            [EXTENSIONS.timeFrom]: roundTime(timeFrom),
+                            [EXTENSIONS.timeTo]: roundTime(timeTo)
+                        }
+                    }
+                });
+            },
+            /**
+             * @param {object} question La pregunta.
+             * @param {string} questionId Id estable de la pregunta.
+             * @param {object} entry Su entrada en userAnswers (response, isCorrect, score, attempts).
+             */
+            answered(question, questionId, entry) {
+                return emit('answered', {
+                    parent: true,
+                    grouping: question.poolId !== undefined
+                        ? `${options.activityId}/questions/${encodeURIComponent(question.poolId)}` : undefined,
+                    object: {
+                        objectType: 'Activity',
+                        id: `${options.activityId}/questions/${encodeURIComponent(questionId)}`,
+                        definition: buildInteractionDefinition(question)
+                    },
+                    result: {
+                        response: formatInteractionResponse(question, entry.response),
+                        success: Boolean(entry.isCorrect),
+                        score: { scaled: Math.round((entry.score || 0) * 100) / 100 },
+                        extensions: { [EXTENSIONS.time]: roundTime(question.time) }
+                    },
+                    extensions: { 'https://w3id.org/xapi/cmi5/context/extensions/attempt': entry.attempts }
+                });
+            },
+            /** @param {number} time Segundo en el que termina el vídeo. */
+            completed(time) {
+                closeSegment(time);
+                return emit('completed', {
+                    result: {
+                        completion: true,
+                        duration: `PT${roundTime(time)}S`,
+                        extensions: {
+                            [EXTENSIONS.time]: roundTime(time),
+                            [EXTENSIONS.progress]: computeProgress(),
+                            [EXTENSIONS.playedSegments]: formatSegments()
+                        }
+                    }
+                });
+            },
+            /**
+             * Resultado final de las preguntas: passed o failed.
+             * @param {{earned: number, total: number, percentage: number, passed: boolean}} result
+             *   Resultado de Scoring.computeFinalResult.
+             */
+            scored(result) {
+                return emit(result.passed ? 'passed' : 'failed', {
+                    result: {
+                        success: result.passed,
+                        completion: true,
+                        score: {
+                            scaled: Math.round(result.percentage * 10) / 1000,
+                            raw: result.earned,
+                            min: 0,
+                            max: result.total
+                        }
+                    }
+                });
+            }
+        };
+    }
+
+    /**
+     * Agente anónimo (cuenta con un id aleatorio que se conserva entre sesiones).
+     * @param {object|null} storage
+     * @returns {object}
+     */
+    function getAnonymousActor(storage) {
+        let id = null;
+        try {
+            id = storage && storage.getItem(ANONYMOUS_ID_KEY);
+            if (!id) {
+                id = createUuid();
+                if (storage) storage.setItem(ANONYMOUS_ID_KEY, id);
+            }
+        } catch (e) {
+            id = id || createUuid();
+        }
+        const homePage = global.location ? global.location.origin : 'urn:video-interactivo';
+        return { objectType: 'Agent', account: { homePage, name: id } };
+    }
+
+    const api = {
+        XAPI_VERSION,
+        DEFAULT_XAPI,
+        VERBS,
+        ACTIVITY_TYPES,
+        EXTENSIONS,
+        resolveLaunchParams,
+        buildInteractionDefinition,
+        formatInteractionResponse,
+        createXapiEmitter
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.XapiEmitter = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
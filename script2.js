@@ -1,33 +1,106 @@
 // --- Elementos del DOM ---
-const videoWrapper = document.getElementById('youtube-player');
 const questionOverlay = document.getElementById('question-overlay');
 const questionText = document.getElementById('question-text');
 const answersContainer = document.getElementById('answers-container');
 const feedback = document.getElementById('feedback'); // El párrafo de feedback bajo las respuestas
 const submitButton = document.getElementById('submit-answer');
 const resetButton = document.getElementById('reset-progress'); // Botón de reiniciar en el overlay
+const rewatchButton = document.getElementById('rewatch-segment'); // Volver a ver el tramo tras un fallo
+const explanationPanel = document.getElementById('explanation'); // Comentarios y explicación tras responder
+const continueButton = document.getElementById('continue-button'); // Continuar tras leer la explicación
 const progressBar = document.getElementById('progress-bar');
 const progressTextSrOnly = document.getElementById('progress-text'); // Para lectores de pantalla
 const reviewSection = document.getElementById('review-section');
 const reviewContent = document.getElementById('review-content'); // Contenedor para items de revisión
+const reviewSummary = document.getElementById('review-summary'); // Puntuación y nota final
+const reviewExport = document.getElementById('review-export'); // Descargas e impresión de los resultados
+const learnerNameInput = document.getElementById('learner-name');
+const printReport = document.getElementById('print-report'); // Informe que se imprime desde la revisión
 const restartVideoButton = document.getElementById('restart-video'); // Botón de reiniciar en la sección de revisión
+const errorPanel = document.getElementById('error-panel'); // Panel de errores al cargar las preguntas
+const errorList = document.getElementById('error-list');
+const chapterMenu = document.getElementById('chapter-menu'); // Menú de capítulos del curso
+const videoTitle = document.getElementById('video-title');
+const courseSummary = document.getElementById('course-summary'); // Resultados de todo el curso
+const languageSelect = document.getElementById('language-select'); // Selector de idioma
+const videoWrapper = document.getElementById('video-wrapper'); // Recibe el foco al cerrar una pregunta
+const questionCard = questionOverlay.querySelector('.question-card');
+const questionCounter = document.getElementById('question-counter'); // "Pregunta 2 de 11"
+const reviewHeading = document.getElementById('review-heading');
+const announcer = document.getElementById('announcer'); // Región aria-live para lectores de pantalla
+const playerContainer = document.getElementById('player-container'); // Vídeo + barra de controles (pantalla completa)
+const controlBarElement = document.getElementById('control-bar');
+const questionTimeline = document.getElementById('question-timeline'); // Marcas de las preguntas sobre la barra de progreso
+const timelineEntry = document.getElementById('timeline-entry'); // Revisión de la marca pulsada
+const authoringPanel = document.getElementById('authoring-panel'); // Editor de preguntas (?edit=1)
+const transcriptPanelElement = document.getElementById('transcript-panel'); // Transcripción con buscador
 
 // --- Variables Globales ---
-let player; // Instancia del reproductor de YouTube
-let questions = []; // Almacena las preguntas cargadas
+let player; // Adaptador del reproductor activo (ver js/player-adapters.js)
+let controlBar = null; // Barra de controles bajo el vídeo (ver js/control-bar.js)
+let transcriptPanel = null; // Transcripción sincronizada con el vídeo (ver js/transcript-panel.js)
+let appConfig = {}; // Configuración cargada desde config.json
+let navigationPolicy = NavigationPolicy.createNavigationPolicy(); // Qué hacer al saltar o retroceder
+
+// Planificador de checkpoints: un único temporizador hasta la siguiente pregunta y
+// la máquina de estados idle / playing / question / review (ver js/cue-scheduler.js)
+const cueScheduler = CueScheduler.createCueScheduler({
+    getCurrentTime: () => (player ? player.getCurrentTime() : 0),
+    getPlaybackRate: () => (player ? player.getPlaybackRate() : 1),
+    // En el modo de autoría no se plantean preguntas: sin checkpoint, el planificador solo comprueba los saltos
+    getNextCueTime: () => (!authoring && currentQuestionIndex < questions.length ? questions[currentQuestionIndex].time : null),
+    onTick: onSchedulerTick,
+    onStateChange: (state, previousState) => console.log(`Planificador: ${previousState} -> ${state}`)
+});
+let questionFile = []; // Entradas del archivo de preguntas, con los grupos de variantes sin sortear
+let sourceQuestions = []; // Preguntas que se plantean, con los textos por idioma (ver drawQuestions)
+let questions = []; // Preguntas cargadas, con los textos en el idioma actual
 let currentQuestionIndex = 0; // Índice de la pregunta actual (checkpoint actual)
 let userAnswers = []; // Almacena las respuestas del usuario para revisión
 let currentQuestionData = null; // Almacena la pregunta actualmente mostrada
-let isQuestionActive = false; // Bandera para saber si una pregunta está siendo mostrada
-
-// Claves para localStorage
+let explanationState = null; // { response, completed } de la explicación en pantalla (para traducirla)
+let course = null; // Manifiesto del curso (course.json), si existe
+let currentVideo = null; // Vídeo actual: { id, title, player, questions }
+let progressStore = null; // Almacén del progreso del vídeo actual (ver js/progress-store.js)
+let xapi = null; // Emisor de sentencias xAPI (null si no hay LRS configurado)
+let scorm = null; // Puente con la API SCORM del LMS (null fuera de un LMS, ver js/scorm.js)
+let lmsStorage = null; // Almacén en suspend_data que sustituye a localStorage dentro de un LMS
+let xapiResultReported = false; // Si ya se envió passed/failed en esta sesión
+let authoring = null; // Editor del modo de autoría (?edit=1, ver js/authoring.js); null para el alumno
+let questionSeed = null; // Semilla del sorteo de variantes (ver js/question-pools.js)
+let transcriptCues = []; // Subtítulos de la transcripción del vídeo actual (ver js/captions.js)
+let transcriptSource = null; // Archivo del que se cargaron
+const TRANSCRIPT_EXCERPT_LENGTH = 400; // Caracteres de la transcripción por pregunta en la revisión
+
+// Claves de localStorage de versiones anteriores; ProgressStore las migra al cargar
 const LOCAL_STORAGE_KEY_PROGRESS = 'videoInteractiveProgress';
 const LOCAL_STORAGE_KEY_ANSWERS = 'videoInteractiveAnswers';
 
+// Archivos de datos
+const QUESTIONS_PATH = 'questions.json'; // Preguntas si no hay course.json
+const COURSE_PATH = 'course.json';
+
+// Configuración por defecto (se combina con config.json)
+const CONFIG_PATH = 'config.json';
+const DEFAULT_CONFIG = {
+    player: {
+        provider: 'youtube', // 'youtube' | 'html5' | cualquier proveedor registrado
+        elementId: 'video-player'
+    },
+    scoring: {}, // Ver js/scoring.js (maxAttempts, attemptPenalty, passThreshold, gradeScale)
+    navigation: {}, // Ver js/navigation-policy.js (policy, retriggerAnswered)
+    remediation: {}, // Ver js/remediation.js (rewatch, forceRewatchAfter)
+    xapi: {}, // Ver js/xapi.js (enabled, endpoint, auth, actor, activityId)
+    results: {}, // Ver js/results-export.js (signingKey)
+    transcript: null // Subtítulos WebVTT/SRT para los fragmentos de la transcripción (ver js/captions.js)
+};
+
 // Internacionalización (locale)
 let currentLocale = {};
 const DEFAULT_LANG = 'es';
+const AVAILABLE_LANGS = ['es', 'en']; // Un archivo locales/<idioma>.json por cada uno
 const LOCALES_PATH = './locales/';
+const localeManager = LocaleManager.createLocaleManager({ path: LOCALES_PATH, defaultLanguage: DEFAULT_LANG });
 
 // --- Funciones de Utilidad ---
 
@@ -45,92 +118,478 @@ function shuffleArray(array) {
     return shuffledArray;
 }
 
+/**
+ * Formatea un tiempo en segundos como m:ss (o h:mm:ss).
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+/**
+ * Anuncia un mensaje a los lectores de pantalla.
+ * @param {string} message
+ */
+function announce(message) {
+    // Vaciar primero para que un mensaje repetido se vuelva a anunciar
+    announcer.textContent = '';
+    setTimeout(() => {
+        announcer.textContent = message;
+    }, 50);
+}
+
 /**
  * Carga las cadenas de texto para internacionalización.
+ * Las claves que falten en el idioma se toman de DEFAULT_LANG (ver js/locale-manager.js);
+ * si no se puede cargar ninguno, se muestran las claves.
  * @param {string} lang El código del idioma (ej. 'es').
  */
 async function loadLocale(lang = DEFAULT_LANG) {
-    try {
-        const response = await fetch(`${LOCALES_PATH}${lang}.json`);
-        if (!response.ok) {
-             throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        currentLocale = await response.json();
-        console.log(`Locale '${lang}' loaded successfully.`);
-        applyLocalization();
-    } catch (error) {
-        console.error(`Error al cargar el archivo de idioma '${lang}.json':`, error);
-        // Fallback: usar claves como texto si la carga falla
-        currentLocale = {}; // Clear potentially partial loaded data
-        applyLocalization(); // Attempt to apply with empty locale (will show keys)
-    }
+    currentLocale = await localeManager.load(lang);
+    document.documentElement.lang = lang;
+    applyLocalization();
 }
 
 /**
- * Aplica las cadenas de texto del idioma actual a los elementos del DOM.
+ * Aplica las cadenas de texto del idioma actual a los elementos del DOM:
+ * el contenido de los elementos con data-i18n="clave" y los atributos indicados en
+ * data-i18n-attr="aria-label:clave; title:otra_clave".
+ * Si falta una clave se conserva el texto de index.html.
  */
 function applyLocalization() {
     document.querySelectorAll('[data-i18n]').forEach(element => {
         const key = element.dataset.i18n;
-        if (currentLocale[key]) {
-            element.textContent = currentLocale[key];
-        } else {
-             // Optional: Show key if translation is missing
-             // element.textContent = `[${key}]`;
+        if (key in currentLocale) {
+            element.textContent = getLocalizedText(key);
+        }
+    });
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+        element.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attribute, key] = pair.split(':').map(part => part.trim());
+            if (attribute && key in currentLocale) {
+                element.setAttribute(attribute, getLocalizedText(key));
+            }
+        });
+    });
+    // El texto de la barra de progreso para lectores de pantalla se actualiza en updateProgressBar
+}
+
+/**
+ * Rellena el selector de idioma con los idiomas disponibles, cada uno en su propio idioma.
+ */
+function renderLanguageSelect() {
+    languageSelect.innerHTML = '';
+    AVAILABLE_LANGS.forEach(lang => {
+        const option = document.createElement('option');
+        option.value = lang;
+        option.lang = lang;
+        let name = lang;
+        try {
+            name = new Intl.DisplayNames([lang], { type: 'language' }).of(lang) || lang;
+        } catch (e) {
+            // Navegador sin Intl.DisplayNames: se muestra el código
         }
+        option.textContent = name.charAt(0).toLocaleUpperCase(lang) + name.slice(1);
+        languageSelect.appendChild(option);
+    });
+    languageSelect.value = localeManager.language;
+}
+
+/**
+ * Cambia el idioma sin recargar la página ni perder el progreso: textos de la
+ * interfaz, pregunta abierta, barra de progreso y revisión.
+ * @param {string} lang El código del idioma (uno de AVAILABLE_LANGS).
+ */
+async function setLanguage(lang) {
+    if (!AVAILABLE_LANGS.includes(lang) || lang === localeManager.language) return;
+    await loadLocale(lang);
+    LocaleManager.rememberLanguage(lang);
+    // Conservar el idioma en la URL para que los enlaces del menú de capítulos lo mantengan
+    const params = new URLSearchParams(window.location.search);
+    params.set(LocaleManager.LANGUAGE_URL_PARAM, lang);
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}${window.location.hash}`);
+    languageSelect.value = lang;
+
+    questions = localizeQuestions(sourceQuestions, lang);
+    userAnswers.forEach(hydrateAnswer);
+    await loadTranscript();
+    if (questionOverlay.style.display !== 'none' && currentQuestionData) {
+        refreshOpenQuestion();
+    }
+    updateProgressBar(currentQuestionIndex);
+    renderChapterMenu();
+    if (!timelineEntry.hidden) {
+        renderTimelineEntry(Number(timelineEntry.dataset.questionIndex));
+    }
+    if (controlBar) {
+        controlBar.refreshLabels();
+        controlBar.setCheckpoints(getCheckpointMarkers());
+    }
+    if (transcriptPanel) transcriptPanel.setCues(transcriptCues);
+    if (reviewSection.style.display !== 'none') {
+        showReviewSection();
+    }
+    if (authoring) authoring.refresh();
+}
+
+/**
+ * Copia de las preguntas con sus textos en un idioma.
+ * @param {Array} list Preguntas tal como están en el archivo.
+ * @param {string} lang El código del idioma.
+ * @returns {Array}
+ */
+function localizeQuestions(list, lang) {
+    return list.map(question => LocaleManager.localizeQuestion(question, lang, DEFAULT_LANG));
+}
+
+/**
+ * Preguntas en el idioma por defecto. El progreso guardado y xAPI identifican las
+ * preguntas por su id o su texto, que no deben cambiar con el idioma elegido.
+ * @returns {Array}
+ */
+function getStoredQuestions() {
+    return localizeQuestions(sourceQuestions, DEFAULT_LANG);
+}
+
+/**
+ * Sustituye los grupos de preguntas por las variantes que le tocan al alumno. La
+ * semilla se guarda con su progreso, así que al recargar salen las mismas.
+ * @param {Array} list Entradas del archivo, ordenadas por tiempo.
+ * @returns {Array} Las preguntas que se plantean.
+ */
+function drawQuestions(list) {
+    if (!list.some(QuestionPools.isPool)) return list;
+    if (!questionSeed) {
+        // En el modo de edición no se guarda nada: cada carga sortea de nuevo
+        questionSeed = Authoring.isEditMode(window.location.search)
+            ? QuestionPools.createSeed()
+            : progressStore.resolveSeed(QuestionPools.createSeed);
+    }
+    return QuestionPools.expandPools(list, questionSeed);
+}
+
+/**
+ * Vuelve a dibujar la pregunta abierta en el idioma actual, con el mismo orden de
+ * opciones y la respuesta que el usuario tenga marcada o escrita.
+ */
+function refreshOpenQuestion() {
+    const question = questions[currentQuestionIndex];
+    currentQuestionData = question;
+    questionText.textContent = question.question;
+    if (explanationState) {
+        renderExplanation(question, explanationState.response, explanationState.completed);
+    }
+    // Mientras se muestra el resultado de una respuesta solo se traduce el enunciado
+    if (submitButton.disabled) return;
+
+    const order = Array.from(answersContainer.querySelectorAll('.btn-answer')).map(button => Number(button.dataset.originalIndex));
+    const selected = Array.from(answersContainer.querySelectorAll('.btn-answer.selected')).map(button => button.dataset.originalIndex);
+    const values = Array.from(answersContainer.querySelectorAll('.answer-input')).map(input => input.value);
+    answersContainer.innerHTML = '';
+    QuestionTypes.getQuestionType(question).render(question, answersContainer, {
+        t: getLocalizedText,
+        shuffle: options => [...options].sort((a, b) => order.indexOf(a.index) - order.indexOf(b.index)),
+        onChange: clearFeedback,
+        onSubmit: submitFromKeyboard
+    });
+    answersContainer.querySelectorAll('.btn-answer').forEach(button => {
+        if (selected.includes(button.dataset.originalIndex)) button.click();
+    });
+    answersContainer.querySelectorAll('.answer-input').forEach((input, index) => {
+        if (values[index] !== undefined) input.value = values[index];
     });
-     // Update ARIA label for progress bar separately if needed
-     // Example: progressTextSrOnly's textContent is updated in updateProgressBar
+    clearFeedback();
 }
 
 /**
  * Obtiene una cadena de texto localizada.
+ * Los textos usan la sintaxis de js/message-format.js: {nombre}, plurales
+ * ({count, plural, one {...} other {...}}) y números según el idioma.
  * @param {string} key La clave de la cadena.
- * @param {object} [replacements] Objeto con reemplazos para el texto.
+ * @param {object} [replacements] Valores de los argumentos del texto.
  * @returns {string} La cadena de texto localizada o la clave si no se encuentra.
  */
 function getLocalizedText(key, replacements = {}) {
-    let text = currentLocale[key] || key; // Fallback a la clave si no se encuentra la traducción
-    for (const placeholder in replacements) {
-        const regex = new RegExp(`\\{${placeholder}\\}`, 'g'); // Usar regex global para todos los reemplazos
-        text = text.replace(regex, replacements[placeholder]);
+    const text = currentLocale[key] || key; // Fallback a la clave si no se encuentra la traducción
+    try {
+        return MessageFormat.formatMessage(text, replacements, localeManager.language);
+    } catch (error) {
+        // Texto mal escrito en el archivo de idioma: mostrarlo sin formato (ver tools/check-locales.js)
+        console.warn(`Texto '${key}' no válido:`, error.message);
+        return text;
+    }
+}
+
+
+/**
+ * Carga la configuración desde config.json y la combina con DEFAULT_CONFIG.
+ * Si el archivo no existe o es inválido se usan los valores por defecto.
+ */
+async function loadConfig() {
+    let loadedConfig = {};
+    try {
+        const response = await fetch(CONFIG_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        loadedConfig = await response.json();
+    } catch (error) {
+        console.warn(`No se pudo cargar '${CONFIG_PATH}', usando configuración por defecto:`, error);
+    }
+    appConfig = {
+        ...DEFAULT_CONFIG,
+        ...loadedConfig,
+        player: { ...DEFAULT_CONFIG.player, ...(loadedConfig.player || {}) },
+        scoring: Scoring.resolveOptions(loadedConfig.scoring),
+        navigation: { ...DEFAULT_CONFIG.navigation, ...(loadedConfig.navigation || {}) },
+        remediation: Remediation.resolveOptions(loadedConfig.remediation),
+        xapi: { ...XapiEmitter.DEFAULT_XAPI, ...(loadedConfig.xapi || {}) }
+    };
+    navigationPolicy = NavigationPolicy.createNavigationPolicy(appConfig.navigation);
+}
+
+
+/**
+ * Carga el manifiesto del curso (course.json) y elige el vídeo según la URL.
+ * Sin manifiesto se usa un único vídeo con config.json y questions.json.
+ */
+async function loadCourse() {
+    try {
+        const response = await fetch(COURSE_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const manifest = await response.json();
+        const errors = Course.validateManifest(manifest);
+        if (errors.length > 0) {
+            throw new Error(`${COURSE_PATH} no es válido: ${errors.join(' ')}`);
+        }
+        course = manifest;
+        currentVideo = Course.resolveCurrentVideo(course, window.location.search);
+        // El reproductor de cada vídeo sobrescribe al de config.json
+        appConfig.player = { ...appConfig.player, ...currentVideo.player };
+        console.log(`Curso '${course.title || ''}': vídeo '${currentVideo.id}'.`);
+    } catch (error) {
+        console.warn(`No se usará un curso (${COURSE_PATH}):`, error.message);
+        course = null;
+        currentVideo = {
+            id: appConfig.player.videoId || 'default',
+            title: '',
+            player: appConfig.player,
+            questions: QUESTIONS_PATH
+        };
     }
-    return text;
+    progressStore = createVideoProgressStore(currentVideo);
+}
+
+/**
+ * Carga la transcripción del vídeo en el idioma actual: `transcript` del vídeo en
+ * course.json o de config.json, o la pista de subtítulos del reproductor. Sin ella no
+ * se muestran fragmentos de la transcripción.
+ */
+async function loadTranscript() {
+    const source = Captions.resolveTranscriptSource(
+        currentVideo.transcript || appConfig.transcript,
+        appConfig.player.tracks,
+        localeManager.language,
+        DEFAULT_LANG
+    );
+    if (source === transcriptSource) return;
+    transcriptSource = source;
+    transcriptCues = [];
+    if (!source) return;
+    try {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const cues = Captions.parseCaptions(await response.text());
+        if (cues.length === 0) {
+            console.warn(`'${source}' no contiene subtítulos WebVTT ni SRT.`);
+        }
+        // Si el idioma cambió mientras se cargaba, ya se está cargando otro archivo
+        if (source === transcriptSource) transcriptCues = cues;
+    } catch (error) {
+        console.warn(`No se pudo cargar la transcripción '${source}':`, error.message);
+    }
+}
+
+/**
+ * Crea el almacén de progreso de un vídeo del curso.
+ * Incluye las claves de versiones anteriores: por vídeo y, para el primer vídeo,
+ * las de cuando solo había uno.
+ * @param {object} video El vídeo ({ id, ... }).
+ * @returns {object} El almacén (ver ProgressStore.createProgressStore).
+ */
+function createVideoProgressStore(video) {
+    const legacyKeys = [{
+        progress: `${LOCAL_STORAGE_KEY_PROGRESS}:${video.id}`,
+        answers: `${LOCAL_STORAGE_KEY_ANSWERS}:${video.id}`
+    }];
+    if (!course || course.videos[0].id === video.id) {
+        legacyKeys.push({ progress: LOCAL_STORAGE_KEY_PROGRESS, answers: LOCAL_STORAGE_KEY_ANSWERS });
+    }
+    return ProgressStore.createProgressStore({
+        namespace: video.id,
+        legacyKeys,
+        scoring: appConfig.scoring,
+        storage: lmsStorage || undefined // Dentro de un LMS el progreso se reanuda desde suspend_data
+    });
+}
+
+/**
+ * Si la página se ejecuta dentro de un LMS (paquete SCORM), abre la sesión y
+ * guarda el progreso en el LMS en vez de en localStorage.
+ */
+function initScorm() {
+    scorm = ScormBridge.createScormBridge({ win: window });
+    if (!scorm) return;
+    if (!scorm.initialize()) {
+        console.warn('No se pudo iniciar la sesión SCORM. Se usará localStorage.');
+        scorm = null;
+        return;
+    }
+    lmsStorage = scorm.createStorage();
+    // El umbral de aprobado del LMS tiene prioridad sobre config.json
+    const masteryScore = scorm.getMasteryScore();
+    if (masteryScore !== null) {
+        appConfig.scoring.passThreshold = masteryScore;
+    }
+    // Cerrar la sesión al salir; terminate() solo actúa la primera vez
+    window.addEventListener('pagehide', () => scorm.terminate());
+    window.addEventListener('beforeunload', () => scorm.terminate());
+}
+
+/**
+ * Informa al LMS de la puntuación y del estado (incompleto, aprobado o suspenso).
+ */
+function reportScormProgress() {
+    if (!scorm) return;
+    const finished = currentQuestionIndex >= questions.length;
+    scorm.reportResult(Scoring.computeFinalResult(questions, userAnswers, appConfig.scoring), finished);
+}
+
+/**
+ * Crea el emisor xAPI del vídeo actual si hay un LRS configurado en config.json
+ * o en los parámetros de lanzamiento de la URL (ver js/xapi.js).
+ */
+function initXapi() {
+    const launch = XapiEmitter.resolveLaunchParams(window.location.search);
+    const options = { ...appConfig.xapi, ...launch };
+    // Un LMS que lanza la página con `endpoint` activa el envío aunque config.json no lo haga
+    if (!(options.enabled || launch.endpoint) || !options.endpoint) return;
+
+    const activityBase = options.activityId || `${window.location.origin}${window.location.pathname}`;
+    xapi = XapiEmitter.createXapiEmitter({
+        ...options,
+        activityId: `${activityBase.replace(/\/$/, '')}/videos/${encodeURIComponent(currentVideo.id)}`,
+        activityName: currentVideo.title || currentVideo.id,
+        getDuration: () => (player ? player.getDuration() : 0)
+    });
+    console.log(`xAPI: enviando sentencias a ${options.endpoint}`);
 }
 
+/**
+ * Envía una sentencia xAPI si el emisor está activo. Un fallo del emisor no debe
+ * interrumpir el vídeo.
+ * @param {string} verb Método del emisor ('played', 'answered', ...).
+ * @param {...*} args Sus argumentos.
+ */
+function trackXapi(verb, ...args) {
+    if (!xapi) return;
+    try {
+        xapi[verb](...args);
+    } catch (e) {
+        console.error(`Error al generar la sentencia xAPI '${verb}':`, e);
+    }
+}
 
-// --- Funciones de la API de YouTube ---
+/**
+ * Muestra el título del vídeo y el menú de capítulos (solo si el curso tiene varios vídeos).
+ */
+function renderChapterMenu() {
+    videoTitle.textContent = currentVideo.title || '';
+    videoTitle.style.display = currentVideo.title ? 'block' : 'none';
 
-// Esta función es llamada por la API de YouTube Player después de cargar.
-// DEBE tener este nombre.
-function onYouTubeIframeAPIReady() {
-    console.log('API de YouTube IFrame lista. Creando reproductor.');
-    player = new YT.Player('youtube-player', {
-        events: {
-            'onReady': onPlayerReady,
-            'onStateChange': onPlayerStateChange
+    chapterMenu.innerHTML = '';
+    if (!course || course.videos.length < 2) {
+        chapterMenu.style.display = 'none';
+        return;
+    }
+    const list = document.createElement('ol');
+    course.videos.forEach(video => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = Course.buildVideoUrl(video.id, window.location.search);
+        link.textContent = video.title || video.id;
+        if (video.id === currentVideo.id) {
+            link.setAttribute('aria-current', 'page');
         }
+        item.appendChild(link);
+        list.appendChild(item);
     });
+    chapterMenu.appendChild(list);
+    chapterMenu.style.display = 'block';
+}
+
+
+// --- Funciones del Reproductor ---
+
+/**
+ * Crea el adaptador de reproductor indicado en la configuración.
+ * Debe llamarse DESPUÉS de cargar las preguntas, ya que onPlayerReady carga el progreso.
+ */
+function initPlayer() {
+    try {
+        player = PlayerAdapters.createPlayerAdapter(appConfig.player, {
+            onReady: onPlayerReady,
+            onStateChange: onPlayerStateChange,
+            // Un salto o un cambio de velocidad invalida el temporizador calculado
+            onSeek: () => {
+                cueScheduler.reschedule();
+                controlBar.update();
+                transcriptPanel.update();
+            },
+            onRateChange: () => {
+                cueScheduler.reschedule();
+                controlBar.update();
+            }
+        });
+    } catch (error) {
+        console.error('Error al crear el reproductor:', error);
+    }
 }
 
 /**
- * Se ejecuta cuando el reproductor de YouTube está listo.
+ * Se ejecuta cuando el reproductor está listo.
+ * @param {object} adapter El adaptador del reproductor.
  */
-function onPlayerReady(event) {
-    console.log('Reproductor de YouTube listo. ID:', event.target.getVideoData().video_id);
+function onPlayerReady(adapter) {
+    console.log(`Reproductor listo (${adapter.provider}). ID:`, adapter.getVideoId());
+    // La duración solo se conoce ahora: avisar de preguntas programadas después del final
+    QuestionValidator.checkSchedule(questions, adapter.getDuration())
+        .forEach(warning => console.warn(QuestionValidator.formatMessage(warning, currentVideo.questions)));
     // Ahora que el reproductor está listo, cargamos el progreso y empezamos la lógica.
-    loadProgress();
+    // En el modo de autoría no hay progreso: solo se dibujan las marcas del editor
+    if (!authoring) loadProgress();
+    trackXapi('launched');
+    controlBar.attach(adapter);
+    controlBar.setCheckpoints(getCheckpointMarkers());
+    transcriptPanel.attach(adapter);
     // Forzar una pausa inicial para que el usuario inicie la reproducción manualmente
     // o esperar a que el script lo controle si hay progreso guardado.
-    player.pauseVideo();
-
-    // Después de cargar el progreso, iniciamos la verificación de tiempos
-    checkQuestionTiming();
+    player.pause();
+    // El planificador empieza a comprobar tiempos cuando el vídeo pase a PLAYING.
 }
 
 /**
- * Se ejecuta cuando el estado del reproductor de YouTube cambia.
- * @param {object} event El evento de cambio de estado. data es el código de estado.
+ * Se ejecuta cuando el estado del reproductor cambia.
+ * @param {number} state El nuevo estado (valor de PlayerAdapters.PlayerState).
  *   -1: Unstarted
  *    0: Ended
  *    1: Playing
@@ -138,83 +597,249 @@ function onPlayerReady(event) {
  *    3: Buffering
  *    5: Cued
  */
-function onPlayerStateChange(event) {
-    console.log('Estado del reproductor:', event.data);
-    // Si el video está reproduciéndose, asegurar que la verificación de tiempos está activa.
-    if (event.data === YT.PlayerState.PLAYING) {
-        // Reiniciar el intervalo de verificación solo si no hay una pregunta activa
-        if (!isQuestionActive) {
-             checkQuestionTiming();
-        }
+function onPlayerStateChange(state) {
+    const PlayerState = PlayerAdapters.PlayerState;
+    console.log('Estado del reproductor:', state);
+    controlBar.update();
+    transcriptPanel.update();
+    // YouTube puede no conocer la duración hasta que empieza el vídeo: dibujar entonces las marcas
+    if (!questionTimeline.hasChildNodes()) renderTimeline();
+    if (state === PlayerState.PLAYING) {
+        trackXapi('played', player.getCurrentTime());
+        // Programar el temporizador hasta el siguiente checkpoint
+        // (no hace nada si hay una pregunta o la revisión en pantalla)
+        cueScheduler.start();
+    } else if (state === PlayerState.BUFFERING) {
+        // Mientras carga, el tiempo no avanza: se suspende el temporizador
+        cueScheduler.setBuffering(true);
     } else {
-        // Si el video no está reproduciéndose (pausado, cued, ended, etc.),
-        // detener el intervalo de verificación para no consumir recursos innecesariamente.
-        // EXCEPTO si la pausa es porque se mostró una pregunta (isQuestionActive es true).
-        if (!isQuestionActive) {
-             clearInterval(questionCheckInterval);
-             questionCheckInterval = null; // Resetear la variable
-        }
+        // Pausado, cued, ended... (si la pausa la causa una pregunta, el estado ya es 'question')
+        cueScheduler.stop();
+        if (state === PlayerState.PAUSED) trackXapi('paused', player.getCurrentTime());
     }
 
     // Si el video ha terminado completamente, mostrar la sección de revisión
-    if (event.data === YT.PlayerState.ENDED) {
-        console.log('Video terminado. Mostrando revisión.');
-        showReviewSection();
-         clearInterval(questionCheckInterval); // Asegurar que no haya intervalo activo
-         questionCheckInterval = null;
+    if (state === PlayerState.ENDED && !authoring) {
+        trackXapi('completed', player.getDuration());
+        // Llegar al final con preguntas pendientes (p. ej. saltando hasta el final) se trata
+        // como un salto: la política de navegación decide si se muestran o se omiten.
+        if (currentQuestionIndex < questions.length) {
+            handleTimeUpdate(cueScheduler.lastTime, Infinity, true);
+        }
+        if (cueScheduler.state !== CueScheduler.STATES.QUESTION) {
+            console.log('Video terminado. Mostrando revisión.');
+            showReviewSection();
+        }
     }
 }
 
 /**
- * Comprueba si es el momento de la siguiente pregunta y la muestra.
- * Se llama periódicamente mientras el video se reproduce.
+ * Salta a un instante del vídeo desde el propio script. Actualiza la referencia de
+ * tiempo para que la política de navegación no lo confunda con un salto del usuario.
+ * @param {number} time Segundo al que saltar.
  */
-let questionCheckInterval = null; // Variable para almacenar el ID del intervalo
-function checkQuestionTiming() {
-     // No iniciar un nuevo intervalo si ya hay uno activo y no estamos en una pregunta
-     if (questionCheckInterval !== null && !isQuestionActive) {
-         return;
-     }
-     // Si hay una pregunta activa, no iniciar el intervalo
-     if (isQuestionActive) {
-         if (questionCheckInterval) clearInterval(questionCheckInterval);
-         questionCheckInterval = null;
-         return; // No verificar tiempo mientras se responde
-     }
-
-
-    // Limpiar cualquier intervalo anterior antes de iniciar uno nuevo
-    if (questionCheckInterval) {
-        clearInterval(questionCheckInterval);
-    }
-
-    questionCheckInterval = setInterval(() => {
-        // Solo verificar si el reproductor existe, la API está lista y hay preguntas pendientes
-        if (player && player.getCurrentTime && currentQuestionIndex < questions.length) {
-            const currentTime = player.getCurrentTime();
-            const nextQuestion = questions[currentQuestionIndex];
-
-            // Verificar si el tiempo actual alcanza o supera el tiempo de la siguiente pregunta
-            // y si no hay ya una pregunta activa.
-            if (currentTime >= nextQuestion.time && !isQuestionActive) {
-                console.log(`Tiempo alcanzado: ${currentTime}s. Mostrando pregunta ${currentQuestionIndex + 1}.`);
-                player.pauseVideo(); // Pausar el video
-                isQuestionActive = true; // Establecer la bandera
-                displayQuestion(nextQuestion); // Mostrar la pregunta
-                clearInterval(questionCheckInterval); // Detener el intervalo hasta que la pregunta sea respondida
-                questionCheckInterval = null; // Resetear la variable del intervalo
-            }
-        } else if (currentQuestionIndex >= questions.length) {
-             // Si ya no hay más preguntas, detener la verificación
-             console.log('Todas las preguntas respondidas o cargadas.');
-             clearInterval(questionCheckInterval);
-             questionCheckInterval = null;
-        }
-         // Note: If player.getCurrentTime is not available yet, this interval will keep running
-         // until it is, or onPlayerStateChange stops it if the video pauses for other reasons.
+function seekVideo(time) {
+    player.seekTo(time);
+    cueScheduler.sync(time);
+}
+
+/**
+ * Crea la barra de controles bajo el vídeo. Los saltos que pide el usuario pasan
+ * por player.seekTo (no por seekVideo), así que se les aplica la política de navegación.
+ */
+function initControlBar() {
+    controlBar = ControlBar.createControlBar(controlBarElement, {
+        fullscreenTarget: playerContainer,
+        t: getLocalizedText,
+        formatTime,
+        onTogglePlayback: togglePlayback,
+        onSeek: time => player.seekTo(time),
+        getLanguage: () => localeManager.language
+    });
+}
+
+/**
+ * Crea el panel de transcripción bajo el vídeo (oculto si el vídeo no tiene). Como en
+ * la barra de controles, los saltos pasan por player.seekTo y se les aplica la
+ * política de navegación.
+ */
+function initTranscriptPanel() {
+    transcriptPanel = TranscriptPanel.createTranscriptPanel(transcriptPanelElement, {
+        t: getLocalizedText,
+        formatTime,
+        onSeek: time => player.seekTo(time)
+    });
+    transcriptPanel.setCues(transcriptCues);
+}
+
+/**
+ * Marcas de la barra de controles: una por pregunta, en su instante.
+ * @returns {Array<{time: number, label: string}>}
+ */
+function getCheckpointMarkers() {
+    return questions.map((question, index) => ({
+        time: question.time,
+        label: getLocalizedText('timeline_marker', {number: index + 1, time: formatTime(question.time)})
+    }));
+}
+
+// --- Atajos de teclado ---
+// Además de con la barra de controles, el vídeo se controla con el teclado cuando
+// el foco no está en un campo ni en una pregunta:
+//   K o Espacio  reproducir / pausar
+//   R            repetir el tramo desde el checkpoint anterior
+
+/**
+ * Reproduce o pausa el vídeo.
+ */
+function togglePlayback() {
+    if (player.getState() === PlayerAdapters.PlayerState.PLAYING) {
+        player.pause();
+        announce(getLocalizedText('playback_paused'));
+    } else {
+        player.play();
+        announce(getLocalizedText('playback_playing'));
+    }
+}
+
+/**
+ * Vuelve al checkpoint anterior al instante actual (o al inicio) y reproduce.
+ */
+function replaySegment() {
+    const currentTime = player.getCurrentTime();
+    // Margen de un segundo: justo después de un checkpoint se repite el tramo anterior
+    const previous = questions.filter(question => question.time < currentTime - 1).pop();
+    const start = previous ? previous.time : 0;
+    seekVideo(start);
+    player.play();
+    announce(getLocalizedText('segment_replay', {time: formatTime(start)}));
+}
+
+/**
+ * Atiende los atajos de teclado del vídeo.
+ * @param {KeyboardEvent} event
+ */
+function handleShortcut(event) {
+    if (!player || event.ctrlKey || event.metaKey || event.altKey) return;
+    // Con una pregunta o la revisión en pantalla el vídeo no se controla desde el teclado
+    if (questionOverlay.style.display !== 'none' || reviewSection.style.display !== 'none') return;
+    const target = event.target;
+    if (target.closest && target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'k' || (key === ' ' && !(target.closest && target.closest('button, a')))) {
+        togglePlayback();
+    } else if (key === 'r') {
+        replaySegment();
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+/**
+ * Se ejecuta cuando vence el temporizador del planificador: en el checkpoint
+ * previsto o, si no hay ninguno cerca, periódicamente para detectar saltos.
+ * @param {object} tick { previousTime, currentTime, elapsedSeconds, playbackRate }
+ */
+function onSchedulerTick(tick) {
+    // En el modo de autoría el vídeo se reproduce sin plantear las preguntas
+    if (questions.length === 0 || authoring) return;
+    const seeked = NavigationPolicy.detectSeek(tick.previousTime, tick.currentTime,
+        tick.elapsedSeconds, tick.playbackRate);
+    if (seeked) trackXapi('seeked', tick.previousTime, tick.currentTime);
+    handleTimeUpdate(tick.previousTime, tick.currentTime, seeked);
+}
+
+/**
+ * Aplica la política de navegación a un cambio de tiempo del vídeo.
+ * @param {number} previousTime Tiempo en la comprobación anterior.
+ * @param {number} currentTime Tiempo actual (Infinity si el vídeo ha terminado).
+ * @param {boolean} seeked Si el cambio se debe a un salto del usuario.
+ */
+function handleTimeUpdate(previousTime, currentTime, seeked) {
+    const action = navigationPolicy.evaluate({
+        questions,
+        nextIndex: currentQuestionIndex,
+        previousTime,
+        currentTime,
+        seeked
+    });
 
-    }, 500); // Verificar cada 500ms (0.5 segundos)
-    console.log('Iniciado intervalo de verificación de tiempos.');
+    switch (action.type) {
+        case 'present':
+            console.log(`Tiempo alcanzado: ${currentTime}s. Mostrando pregunta ${action.index + 1}.`);
+            presentQuestion(action.index);
+            break;
+        case 'snap':
+            // Política 'strict': volver al checkpoint pendiente
+            console.log(`Salto más allá de la pregunta ${action.index + 1}. Volviendo a ${action.time}s.`);
+            seekVideo(action.time);
+            presentQuestion(action.index);
+            break;
+        case 'skip':
+            // Política 'free': las preguntas saltadas quedan como omitidas
+            action.indices.forEach(index => recordSkippedQuestion(index));
+            currentQuestionIndex = Branching.findNextIndex(questions, userAnswers, action.indices[action.indices.length - 1],
+                navigationPolicy.options);
+            console.log(`Preguntas omitidas: ${action.indices.map(index => index + 1).join(', ')}.`);
+            updateProgressBar(currentQuestionIndex);
+            saveProgress();
+            break;
+        case 'reopen':
+            // retriggerAnswered: al retroceder se vuelven a plantear las preguntas posteriores
+            console.log(`Retroceso a ${currentTime}s. Se volverán a plantear desde la pregunta ${action.index + 1}.`);
+            currentQuestionIndex = action.index;
+            // Las ramas se vuelven a decidir: las preguntas que quedaron fuera vuelven a estar pendientes
+            userAnswers = userAnswers.filter(entry => !(entry.bypassed && entry.questionIndex >= action.index));
+            updateProgressBar(currentQuestionIndex);
+            saveProgress();
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Pausa el vídeo y muestra la pregunta indicada.
+ * @param {number} index Índice de la pregunta en `questions`.
+ */
+function presentQuestion(index) {
+    currentQuestionIndex = index;
+    cueScheduler.enterQuestion(); // Sin temporizador hasta que se responda
+    player.pause(); // Pausar el video
+    displayQuestion(questions[index]); // Mostrar la pregunta
+}
+
+/**
+ * Registra una pregunta como omitida (política 'free') o, con `bypassed`, como fuera
+ * del recorrido del alumno tras un salto (ver js/branching.js).
+ * @param {number} index Índice de la pregunta en `questions`.
+ * @param {boolean} [bypassed=false]
+ */
+function recordSkippedQuestion(index, bypassed = false) {
+    const question = questions[index];
+    const existingEntry = userAnswers.find(entry => entry.questionIndex === index);
+    // Si ya se había respondido antes (retriggerAnswered), se conserva esa respuesta
+    if (existingEntry && existingEntry.completed) return;
+
+    const entry = existingEntry || { questionIndex: index };
+    Object.assign(entry, {
+        question: question.question,
+        type: question.type || QuestionTypes.DEFAULT_TYPE,
+        correctAnswer: getCorrectAnswerText(question, true),
+        userAnswer: '',
+        points: Scoring.getQuestionPoints(question),
+        attempts: entry.attempts || 0,
+        isCorrect: false,
+        score: 0,
+        earned: 0,
+        skipped: !bypassed,
+        completed: true,
+        answeredAt: new Date().toISOString()
+    });
+    if (bypassed) entry.bypassed = true;
+    if (!existingEntry) userAnswers.push(entry);
 }
 
 // --- Funciones de Preguntas y Respuestas ---
@@ -225,107 +850,222 @@ function checkQuestionTiming() {
  */
 function displayQuestion(question) {
     currentQuestionData = question; // Guardar la pregunta actual
+    // Con saltos (goTo) se cuenta sobre el recorrido del alumno, no sobre todas las preguntas
+    const path = Branching.getPathProgress(questions, userAnswers, currentQuestionIndex);
+    const counterText = getLocalizedText('question_counter', {number: path.done + 1, total: path.total});
+    questionCounter.textContent = counterText;
+    announce(counterText);
     questionText.textContent = question.question;
     answersContainer.innerHTML = ''; // Limpiar respuestas anteriores
     feedback.textContent = ''; // Limpiar feedback anterior
     feedback.className = ''; // Limpiar clases de color del feedback
     submitButton.style.display = 'block'; // Mostrar el botón de enviar
     resetButton.style.display = 'none'; // Ocultar botón de reiniciar progreso en este momento
-
-    let answers = [...question.answers]; // Crear una copia para no modificar el original en 'questions'
-
-    if (question.randomize) {
-        answers = shuffleArray(answers);
-    }
-
-    answers.forEach((answer, index) => {
-        const button = document.createElement('button');
-        button.textContent = answer.text;
-        // Guardamos el índice ORIGINAL de la respuesta en los datos del botón
-        // Esto es importante para poder verificar si la respuesta seleccionada es correcta
-        // comparando con los datos originales en questions[currentQuestionIndex].answers
-        button.dataset.originalIndex = question.answers.findIndex(a => a.text === answer.text && a.correct === answer.correct);
-
-        button.classList.add('btn'); // Añadir clase base de botón
-        button.classList.add('btn-answer'); // Clase específica para botones de respuesta
-        button.setAttribute('role', 'radio');
-        button.setAttribute('aria-checked', 'false');
-        button.setAttribute('tabindex', '0'); // Hacer botones enfocables
-        button.addEventListener('click', selectAnswer);
-        answersContainer.appendChild(button);
+    rewatchButton.style.display = 'none'; // Solo tras una respuesta incorrecta
+    continueButton.style.display = 'none';
+    hideExplanation();
+
+    // Cada tipo de pregunta (ver js/question-types.js) dibuja sus propios controles
+    QuestionTypes.getQuestionType(question).render(question, answersContainer, {
+        t: getLocalizedText,
+        shuffle: shuffleArray,
+        onChange: clearFeedback,
+        onSubmit: submitFromKeyboard
     });
 
+    hideTimelineEntry();
     questionOverlay.style.display = 'flex'; // Mostrar el overlay
+    controlBar.setDisabled(true); // No se puede reproducir ni saltar hasta responder
+    transcriptPanel.setDisabled(true);
     // Opcional: Asegurar que el foco esté en el overlay o la primera respuesta
-    setTimeout(() => {
-         // Intentar enfocar el primer botón de respuesta para accesibilidad
-         const firstAnswerButton = answersContainer.querySelector('button');
-         if(firstAnswerButton) {
-             firstAnswerButton.focus();
-         } else {
-             // Si no hay respuestas (raro, pero posible), enfocar el título de la pregunta o el overlay
-             questionOverlay.focus(); // Make overlay focusable in CSS with tabindex="-1"
-         }
-    }, 50); // Pequeño delay para asegurar que los elementos estén visibles
+    setTimeout(focusAnswerControl, 50); // Pequeño delay para asegurar que los elementos estén visibles
 }
 
 /**
- * Maneja la selección de una respuesta.
- * @param {Event} event El evento de clic.
+ * Enfoca el control de respuesta tabulable (la opción marcada o la primera, o el
+ * campo de texto) o, si no hay ninguno, la tarjeta de la pregunta.
  */
-function selectAnswer(event) {
-    const selectedButton = event.target.closest('button'); // Usa closest para asegurar que sea el botón incluso si se hace clic en el icono/span
-    if (!selectedButton) return;
+function focusAnswerControl() {
+    const control = answersContainer.querySelector('.btn-answer[tabindex="0"]:not([disabled]), input:not([disabled])');
+    if (control) {
+        control.focus();
+    } else {
+        questionCard.focus(); // tabindex="-1" en index.html
+    }
+}
 
-    // Quitar la clase 'selected' de todos los botones de respuesta y resetear aria-checked
-    answersContainer.querySelectorAll('.btn-answer').forEach(btn => {
-        btn.classList.remove('selected');
-        btn.setAttribute('aria-checked', 'false');
-        // Limpiar estilos de feedback si se reintenta
-        btn.classList.remove('correct', 'incorrect');
-    });
+/**
+ * Envía la respuesta con Enter desde una opción o un campo de texto.
+ * No hace nada mientras se muestra el resultado del intento anterior.
+ */
+function submitFromKeyboard() {
+    if (!submitButton.disabled) checkAnswer();
+}
 
-    // Añadir la clase 'selected' al botón actual y establecer aria-checked
-    selectedButton.classList.add('selected');
-    selectedButton.setAttribute('aria-checked', 'true');
+/**
+ * Oculta la pregunta y devuelve el foco al vídeo si estaba dentro de la pregunta,
+ * para que los atajos de teclado sigan funcionando.
+ */
+function hideQuestionOverlay() {
+    const hadFocus = questionOverlay.contains(document.activeElement) || document.activeElement === document.body;
+    questionOverlay.style.display = 'none';
+    controlBar.setDisabled(false);
+    transcriptPanel.setDisabled(false);
+    if (hadFocus) videoWrapper.focus();
+}
+
+/**
+ * Mantiene el foco dentro de la pregunta mientras está abierta (Tab y Mayús+Tab
+ * recorren sus controles en bucle).
+ * @param {KeyboardEvent} event
+ */
+function trapFocus(event) {
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(questionCard.querySelectorAll('button, input, select, textarea, [tabindex="0"]'))
+        .filter(element => !element.disabled && element.tabIndex >= 0 && element.style.display !== 'none');
+    event.preventDefault();
+    if (focusable.length === 0) {
+        questionCard.focus();
+        return;
+    }
+    const index = focusable.indexOf(document.activeElement);
+    const next = event.shiftKey
+        ? (index <= 0 ? focusable.length - 1 : index - 1)
+        : (index === -1 || index === focusable.length - 1 ? 0 : index + 1);
+    focusable[next].focus();
+}
+
+/**
+ * Limpia el feedback cuando el usuario cambia su respuesta.
+ */
+function clearFeedback() {
     feedback.textContent = ''; // Limpiar feedback anterior al seleccionar nueva respuesta
     feedback.className = ''; // Limpiar clases de color del feedback
+    hideExplanation();
+}
+
+/**
+ * HTML de los comentarios (`answers[].feedback`) de las opciones marcadas y, si se
+ * pide, de la explicación de la pregunta. El contenido de questions.json pasa
+ * siempre por RichText, que escapa el texto.
+ * @param {object} question La pregunta (en el idioma actual).
+ * @param {*} response La respuesta del usuario (undefined si se omitió).
+ * @param {boolean} includeExplanation Si se añade `explanation`.
+ * @returns {string} '' si no hay nada que mostrar.
+ */
+function getExplanationHtml(question, response, includeExplanation) {
+    const parts = QuestionTypes.getAnswerFeedback(question, response)
+        .map(text => `<div class="answer-feedback">${RichText.renderMarkdown(text)}</div>`);
+    if (includeExplanation && question.explanation) {
+        parts.push(`<div class="explanation-text"><p class="explanation-heading">${RichText.escapeHtml(getLocalizedText('explanation_heading'))}</p>` +
+            `${RichText.renderMarkdown(question.explanation)}</div>`);
+    }
+    return parts.join('');
+}
+
+/**
+ * Muestra bajo el resultado los comentarios de las opciones marcadas y, cuando la
+ * pregunta está resuelta, su explicación (antes desvelaría la respuesta).
+ * @param {object} question La pregunta (en el idioma actual).
+ * @param {*} response La respuesta del usuario.
+ * @param {boolean} completed Si la pregunta ya está resuelta.
+ * @returns {boolean} Si hay algo que mostrar.
+ */
+function renderExplanation(question, response, completed) {
+    const html = getExplanationHtml(question, response, completed);
+    explanationState = html ? { response, completed } : null;
+    explanationPanel.innerHTML = html;
+    explanationPanel.hidden = html === '';
+    return html !== '';
+}
+
+/**
+ * Oculta los comentarios y la explicación.
+ */
+function hideExplanation() {
+    explanationState = null;
+    explanationPanel.innerHTML = '';
+    explanationPanel.hidden = true;
+}
+
+/**
+ * Cierra la pregunta resuelta cuando el alumno termina de leer la explicación.
+ */
+function continueAfterExplanation() {
+    continueButton.style.display = 'none';
+    if (authoring) {
+        hideExplanation();
+        hideQuestionOverlay();
+        return;
+    }
+    advanceToNextQuestion(QuestionTypes.getQuestionType(currentQuestionData));
 }
 
 /**
  * Verifica la respuesta seleccionada por el usuario.
  */
 function checkAnswer() {
-    const selectedButton = answersContainer.querySelector('.btn-answer.selected');
+    const questionType = QuestionTypes.getQuestionType(currentQuestionData);
+    const response = questionType.getResponse(answersContainer);
 
-    if (!selectedButton) {
-        feedback.textContent = getLocalizedText('select_answer_prompt');
+    if (response === null) {
+        const isChoice = answersContainer.querySelector('.btn-answer') !== null;
+        feedback.textContent = getLocalizedText(isChoice ? 'select_answer_prompt' : 'enter_answer_prompt');
         // --- CORRECCIÓN: Usar clases CSS para el color ---
         feedback.className = 'incorrect'; // Añadir clase 'incorrect' para el color rojo (definida en CSS)
         // feedback.style.color = 'red'; // Alternativa simple sin clase
         return;
     }
+    if (authoring) {
+        showPreviewResult(questionType, response);
+        return;
+    }
 
-    // Usamos el índice original guardado en el dataset para verificar con los datos originales
-    const originalIndex = parseInt(selectedButton.dataset.originalIndex);
-    const isCorrect = currentQuestionData.answers[originalIndex].correct;
+    const result = AnswerHash.gradeResponse(currentQuestionData, response);
+    const isCorrect = result.isCorrect;
 
-    // Desactivar botones después de seleccionar una respuesta
-    answersContainer.querySelectorAll('.btn-answer').forEach(btn => {
-        btn.removeEventListener('click', selectAnswer);
-        btn.disabled = true; // Deshabilitar botones
-    });
+    // Desactivar los controles de respuesta mientras se muestra el resultado
+    questionType.setDisabled(answersContainer, true);
     submitButton.disabled = true; // Deshabilitar botón de enviar
-
-
-    // Guardar la respuesta del usuario para el modo revisión
-    userAnswers.push({
-        question: currentQuestionData.question,
-        userAnswer: selectedButton.textContent, // El texto mostrado en el botón
-        correctAnswer: currentQuestionData.answers.find(a => a.correct).text, // Buscar la respuesta correcta original
-        isCorrect: isCorrect
-    });
+    rewatchButton.style.display = 'none'; // Se vuelve a ofrecer si la respuesta es incorrecta
+    // Un control deshabilitado pierde el foco: mantenerlo dentro de la pregunta
+    questionCard.focus();
+
+    // Una sola entrada por pregunta: los reintentos actualizan la misma entrada
+    let answerEntry = userAnswers.find(entry => entry.questionIndex === currentQuestionIndex);
+    if (!answerEntry) {
+        answerEntry = {
+            questionIndex: currentQuestionIndex,
+            question: currentQuestionData.question,
+            type: currentQuestionData.type || QuestionTypes.DEFAULT_TYPE,
+            points: Scoring.getQuestionPoints(currentQuestionData),
+            attempts: 0
+        };
+        userAnswers.push(answerEntry);
+    }
+    if (answerEntry.completed) {
+        // Pregunta que se vuelve a plantear (retriggerAnswered): empieza de cero
+        answerEntry.attempts = 0;
+        answerEntry.completed = false;
+        answerEntry.skipped = false;
+        delete answerEntry.bypassed;
+    }
+    answerEntry.attempts++;
+    answerEntry.response = response; // Respuesta en bruto (índices, booleano, texto o número)
+    answerEntry.answeredAt = new Date().toISOString(); // Último intento (para los informes exportados)
+    answerEntry.userAnswer = questionType.formatResponse(currentQuestionData, response, getLocalizedText);
+    answerEntry.isCorrect = isCorrect;
+    answerEntry.score = result.score; // Entre 0 y 1 (crédito parcial en selección múltiple)
+    answerEntry.earned = Scoring.scoreAttempt(currentQuestionData, result.score, answerEntry.attempts, appConfig.scoring);
+    questionType.markResult(answersContainer, result); // Resaltar la respuesta según el resultado
+
+    const attemptsLeft = Scoring.hasAttemptsLeft(currentQuestionData, answerEntry.attempts, appConfig.scoring);
+    answerEntry.completed = isCorrect || !attemptsLeft;
+    answerEntry.correctAnswer = getCorrectAnswerText(currentQuestionData, answerEntry.completed);
+    // Con una explicación que leer no se avanza solo: el alumno pulsa "Continuar"
+    const hasExplanation = renderExplanation(currentQuestionData, response, answerEntry.completed);
     saveProgress(); // Guardar el progreso y las respuestas
+    trackXapi('answered', sourceQuestions[currentQuestionIndex], ProgressStore.getQuestionIds(getStoredQuestions())[currentQuestionIndex], answerEntry);
 
     if (isCorrect) {
         feedback.textContent = getLocalizedText('correct_feedback');
@@ -333,56 +1073,171 @@ function checkAnswer() {
         feedback.className = 'correct'; // Añadir clase 'correct' para el color verde
         // feedback.style.color = 'green'; // Alternativa simple sin clase
 
-        selectedButton.classList.add('correct'); // Resaltar la respuesta correcta seleccionada
         submitButton.style.display = 'none'; // Ocultar botón de enviar
         resetButton.style.display = 'none'; // Asegurar que el botón de reiniciar está oculto
 
         console.log('Respuesta Correcta.');
 
         // Avanzar a la siguiente pregunta después de un breve delay
-        setTimeout(() => {
-            questionOverlay.style.display = 'none'; // Ocultar overlay
-            isQuestionActive = false; // Resetear la bandera de pregunta activa
-
-            currentQuestionIndex++; // Mover al siguiente checkpoint
-            updateProgressBar(currentQuestionIndex); // Actualizar barra de progreso
-            saveProgress(); // Guardar el nuevo índice de progreso
-
-            // Si aún hay preguntas, reanudar el video y la verificación de tiempos
-            if (currentQuestionIndex < questions.length) {
-                 player.playVideo(); // Reanudar el video
-                 checkQuestionTiming(); // Reanudar la verificación de tiempos
-            } else {
-                // Si no hay más preguntas, mostrar la sección de revisión
-                console.log('Todas las preguntas completadas.');
-                showReviewSection();
-            }
+        if (hasExplanation) {
+            showContinueButton();
+        } else {
+            setTimeout(() => advanceToNextQuestion(questionType), 1500); // 1.5 segundos de feedback antes de continuar
+        }
+    } else if (!attemptsLeft) {
+        // Sin intentos restantes: se registra como incorrecta y se continúa
+        feedback.textContent = getLocalizedText('no_attempts_left_feedback', {answer: answerEntry.correctAnswer});
+        feedback.className = 'incorrect';
+        submitButton.style.display = 'none';
 
-            // Re-habilitar botones y botón de enviar para la próxima pregunta (aunque estén ocultos)
-             answersContainer.querySelectorAll('.btn-answer').forEach(btn => {
-                 btn.disabled = false;
-             });
-             submitButton.disabled = false;
+        console.log('Respuesta Incorrecta. Sin intentos restantes.');
 
-        }, 1500); // 1.5 segundos de feedback antes de continuar
+        if (hasExplanation) {
+            showContinueButton();
+        } else {
+            setTimeout(() => advanceToNextQuestion(questionType), 3000); // Más tiempo para leer la respuesta correcta
+        }
+    } else if (Remediation.shouldForceRewatch(answerEntry.attempts, appConfig.remediation)) {
+        // Demasiados fallos: volver a ver el tramo antes de reintentar
+        feedback.textContent = getLocalizedText('rewatch_forced');
+        feedback.className = 'incorrect';
+        console.log('Respuesta Incorrecta. Se vuelve a ver el tramo.');
+        setTimeout(startRewatch, 2500);
     } else {
-        feedback.textContent = getLocalizedText('incorrect_feedback');
+        const maxAttempts = Scoring.getMaxAttempts(currentQuestionData, appConfig.scoring);
+        feedback.textContent = maxAttempts === Infinity
+            ? getLocalizedText('incorrect_feedback')
+            : `${getLocalizedText('incorrect_feedback')} ${getLocalizedText('attempts_left', {count: maxAttempts - answerEntry.attempts})}`;
          // --- CORRECCIÓN: Usar clases CSS para el color ---
         feedback.className = 'incorrect'; // Añadir clase 'incorrect' para el color rojo
         // feedback.style.color = 'red'; // Alternativa simple sin clase
 
-        selectedButton.classList.add('incorrect'); // Resaltar la respuesta incorrecta seleccionada
-
         // Opcional: Permitir al usuario reintentar después de un delay (quitar incorrect/selected classes)
         // Por ahora, la respuesta incorrecta se queda resaltada hasta que seleccionen otra o acierten.
         console.log('Respuesta Incorrecta. Intentar de nuevo.');
          submitButton.disabled = false; // Re-habilitar el botón de enviar para que intenten de nuevo
-         answersContainer.querySelectorAll('.btn-answer').forEach(btn => {
-            btn.disabled = false; // Re-habilitar botones de respuesta
-            // NO quitar selected/incorrect aquí si quieres que el usuario vea su último intento incorrecto
-            // hasta que seleccione otra respuesta.
-        });
+         // NO quitar selected/incorrect aquí si quieres que el usuario vea su último intento incorrecto
+         // hasta que seleccione otra respuesta.
+         questionType.setDisabled(answersContainer, false); // Re-habilitar controles de respuesta
+         if (Remediation.isRewatchEnabled(currentQuestionData, appConfig.remediation)) {
+             rewatchButton.style.display = 'inline-block';
+         }
+         focusAnswerControl();
+    }
+}
+
+/**
+ * Vista previa del modo de autoría: corrige la respuesta sin registrarla ni avanzar.
+ * Se puede cambiar la respuesta y volver a enviarla; "Continuar" cierra la pregunta.
+ * @param {object} questionType Tipo de la pregunta (ver js/question-types.js).
+ * @param {*} response La respuesta.
+ */
+function showPreviewResult(questionType, response) {
+    const result = AnswerHash.gradeResponse(currentQuestionData, response);
+    questionType.markResult(answersContainer, result);
+    feedback.textContent = getLocalizedText(result.isCorrect ? 'correct_feedback' : 'incorrect_feedback');
+    feedback.className = result.isCorrect ? 'correct' : 'incorrect';
+    renderExplanation(currentQuestionData, response, true);
+    showContinueButton();
+}
+
+/**
+ * Muestra el botón "Continuar" y le pasa el foco.
+ */
+function showContinueButton() {
+    continueButton.style.display = 'inline-block';
+    continueButton.focus();
+}
+
+/**
+ * Oculta la pregunta actual, vuelve al inicio de su tramo (ver js/remediation.js) y
+ * reproduce. La pregunta se vuelve a plantear al llegar otra vez a su tiempo, con
+ * los intentos que ya llevaba.
+ */
+function startRewatch() {
+    // La pregunta pudo cerrarse mientras se mostraba el aviso (p. ej. al reiniciar el progreso)
+    if (questionOverlay.style.display === 'none') return;
+    const question = questions[currentQuestionIndex];
+    const start = Remediation.getRewatchStart(questions, currentQuestionIndex);
+    console.log(`Volviendo a ver el tramo ${start}s - ${question.time}s.`);
+    hideQuestionOverlay();
+    cueScheduler.leaveQuestion();
+    // Los controles quedan listos para cuando se vuelva a plantear la pregunta
+    QuestionTypes.getQuestionType(question).setDisabled(answersContainer, false);
+    submitButton.disabled = false;
+    seekVideo(start);
+    player.play();
+    announce(getLocalizedText('rewatch_started', {start: formatTime(start), time: formatTime(question.time)}));
+}
+
+/**
+ * Destino del salto (`answers[].goTo`) de la respuesta dada a la pregunta actual.
+ * @returns {object|null} Ver Branching.resolveTarget; null si se sigue en orden.
+ */
+function getBranchTarget() {
+    const entry = userAnswers.find(answer => answer.questionIndex === currentQuestionIndex);
+    const goTo = entry ? QuestionTypes.getAnswerGoTo(questions[currentQuestionIndex], entry.response) : undefined;
+    if (goTo === undefined) return null;
+    const target = Branching.resolveTarget(questions, goTo);
+    if (!target) console.warn(`Destino desconocido en goTo: '${goTo}'. Se sigue en orden.`);
+    return target;
+}
+
+/**
+ * Salta al destino de una respuesta. Las preguntas pendientes que quedan atrás salen
+ * del recorrido y las que estaban fuera desde el destino vuelven a estar pendientes.
+ * @param {object} target Destino (ver Branching.resolveTarget).
+ */
+function followBranch(target) {
+    const plan = Branching.planJump(questions, userAnswers, currentQuestionIndex, target, navigationPolicy.options);
+    userAnswers = userAnswers.filter(entry => !plan.restore.includes(entry.questionIndex));
+    plan.bypass.forEach(index => recordSkippedQuestion(index, true));
+    console.log(`Salto a ${target.time}s. Siguiente pregunta: ${plan.nextIndex < questions.length ? plan.nextIndex + 1 : 'ninguna'}.`);
+    currentQuestionIndex = plan.nextIndex;
+    seekVideo(target.time);
+    announce(getLocalizedText('branch_jump', {time: formatTime(target.time)}));
+}
+
+/**
+ * Cierra la pregunta actual y continúa con el vídeo (en orden o saltando al destino
+ * de la respuesta) o muestra la revisión.
+ * @param {object} questionType El tipo de la pregunta que se cierra.
+ */
+function advanceToNextQuestion(questionType) {
+    hideQuestionOverlay();
+    cueScheduler.leaveQuestion(); // Volverá a 'playing' cuando el vídeo se reanude
+
+    const branch = getBranchTarget();
+    if (branch) {
+        followBranch(branch);
+    } else {
+        // Mover al siguiente checkpoint (las ya resueltas tras un salto atrás no se repiten)
+        currentQuestionIndex = Branching.findNextIndex(questions, userAnswers, currentQuestionIndex, navigationPolicy.options);
+    }
+    updateProgressBar(currentQuestionIndex); // Actualizar barra de progreso
+    saveProgress(); // Guardar el nuevo índice de progreso
+
+    // Si aún hay preguntas, reanudar el video y la verificación de tiempos
+    if (currentQuestionIndex < questions.length) {
+        const currentTime = player.getCurrentTime();
+        if (questions[currentQuestionIndex].time <= currentTime) {
+            // Pregunta pendiente de un salto (política 'catch-up'): mostrarla sin reanudar
+            presentQuestion(currentQuestionIndex);
+        } else {
+            player.play(); // Reanudar el video (el planificador se reactiva en PLAYING)
+        }
+    } else if (branch) {
+        // El salto lleva a un tramo sin más preguntas: la revisión se muestra al terminar el vídeo
+        player.play();
+    } else {
+        // Si no hay más preguntas, mostrar la sección de revisión
+        console.log('Todas las preguntas completadas.');
+        showReviewSection();
     }
+
+    // Re-habilitar controles y botón de enviar para la próxima pregunta (aunque estén ocultos)
+     questionType.setDisabled(answersContainer, false);
+     submitButton.disabled = false;
 }
 
 // --- Funciones de Progreso y Persistencia (localStorage) ---
@@ -397,35 +1252,156 @@ function updateProgressBar(completedQuestionsCount) {
         progressTextSrOnly.textContent = getLocalizedText('progress_text_sr_only', {progress: 0});
         return;
     }
-    const progress = (completedQuestionsCount / questions.length) * 100;
-    progressBar.style.width = `${progress}%`;
+    // Las preguntas que quedaron fuera del recorrido (goTo) no cuentan
+    const path = Branching.getPathProgress(questions, userAnswers, completedQuestionsCount);
+    const progress = path.total > 0 ? (path.done / path.total) * 100 : 100;
+    // Con la duración del vídeo, la barra llega hasta el instante de la última pregunta
+    // resuelta, para que coincida con las marcas de la línea de tiempo
+    const duration = player ? player.getDuration() : 0;
+    if (duration && completedQuestionsCount < questions.length) {
+        const reached = completedQuestionsCount > 0 ? questions[completedQuestionsCount - 1].time : 0;
+        progressBar.style.width = `${Math.min(reached / duration, 1) * 100}%`;
+    } else {
+        progressBar.style.width = `${progress}%`;
+    }
     // Actualizar texto para lectores de pantalla y título de aria-label si aplica
     progressTextSrOnly.textContent = getLocalizedText('progress_text_sr_only', {progress: Math.round(progress)});
     // Opcional: Update aria-valuenow on progressbar element if needed
     // progressBar.setAttribute('aria-valuenow', Math.round(progress));
+    renderTimeline();
+}
+
+/**
+ * Estado de una pregunta según su respuesta: 'pending', 'correct', 'incorrect',
+ * 'skipped' o 'bypassed' (fuera del recorrido del alumno).
+ * @param {object|undefined} entry Su entrada en userAnswers.
+ * @returns {string}
+ */
+function getAnswerState(entry) {
+    if (!entry || !entry.completed) return 'pending';
+    if (entry.bypassed) return 'bypassed';
+    if (entry.skipped) return 'skipped';
+    return entry.isCorrect ? 'correct' : 'incorrect';
 }
 
 /**
- * Guarda el progreso actual (índice de pregunta) y las respuestas del usuario en localStorage.
+ * Dibuja sobre la barra de progreso una marca por pregunta en su instante del vídeo,
+ * con el color de su estado. Las marcas de las preguntas resueltas muestran el
+ * enunciado y, al pulsarlas, llevan a ese momento y muestran su revisión.
+ * Hasta que el reproductor conoce la duración no hay marcas.
+ */
+function renderTimeline() {
+    if (authoring) {
+        // Marcas arrastrables del editor
+        authoring.renderMarkers();
+        return;
+    }
+    questionTimeline.innerHTML = '';
+    const duration = player ? player.getDuration() : 0;
+    if (!duration) return;
+    questions.forEach((question, index) => {
+        if (question.time > duration) return;
+        const entry = userAnswers.find(answer => answer.questionIndex === index);
+        const state = getAnswerState(entry);
+        const marker = document.createElement('button');
+        marker.type = 'button';
+        marker.className = `timeline-marker timeline-marker--${state}`;
+        marker.style.left = `${(question.time / duration) * 100}%`;
+        marker.dataset.questionIndex = index;
+        const label = getLocalizedText('timeline_marker', {number: index + 1, time: formatTime(question.time)});
+        if (state === 'pending' || state === 'bypassed') {
+            // El enunciado no se muestra antes de llegar a la pregunta (ni si no está en el recorrido)
+            marker.setAttribute('aria-disabled', 'true');
+            marker.title = state === 'bypassed' ? getLocalizedText('timeline_marker_bypassed', {label}) : label;
+        } else {
+            const result = getLocalizedText(`review_result_${state}`);
+            marker.title = getLocalizedText('timeline_marker_answered', {label, question: question.question, result});
+            marker.addEventListener('click', () => showTimelineEntry(index));
+        }
+        marker.setAttribute('aria-label', marker.title);
+        questionTimeline.appendChild(marker);
+    });
+}
+
+/**
+ * Lleva el vídeo al instante de una pregunta resuelta y muestra su revisión: en la
+ * sección de revisión si está abierta o, si no, bajo la barra de progreso.
+ * No hace nada mientras hay una pregunta en pantalla.
+ * @param {number} index Índice de la pregunta en `questions`.
+ */
+function showTimelineEntry(index) {
+    if (questionOverlay.style.display !== 'none') return;
+    const entry = userAnswers.find(answer => answer.questionIndex === index);
+    if (['pending', 'bypassed'].includes(getAnswerState(entry))) return;
+
+    seekVideo(questions[index].time);
+    controlBar.update();
+    if (reviewSection.style.display !== 'none') {
+        const reviewItem = document.getElementById(`review-item-${index}`);
+        if (reviewItem) {
+            reviewContent.querySelectorAll('.review-item.highlighted').forEach(item => item.classList.remove('highlighted'));
+            reviewItem.classList.add('highlighted');
+            reviewItem.scrollIntoView({block: 'nearest'});
+            reviewItem.focus();
+        }
+        return;
+    }
+    renderTimelineEntry(index);
+    timelineEntry.querySelector('.review-item').focus();
+}
+
+/**
+ * Dibuja bajo la barra de progreso la revisión de una pregunta.
+ * @param {number} index Índice de la pregunta en `questions`.
+ */
+function renderTimelineEntry(index) {
+    const entry = userAnswers.find(answer => answer.questionIndex === index);
+    timelineEntry.innerHTML = '';
+    timelineEntry.dataset.questionIndex = index;
+    timelineEntry.appendChild(createReviewItem(entry, index));
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'btn btn-secondary timeline-entry-close';
+    closeButton.textContent = getLocalizedText('timeline_entry_close');
+    closeButton.addEventListener('click', hideTimelineEntry);
+    timelineEntry.appendChild(closeButton);
+    timelineEntry.hidden = false;
+}
+
+/**
+ * Cierra la revisión abierta desde la línea de tiempo.
+ */
+function hideTimelineEntry() {
+    if (timelineEntry.hidden) return;
+    const hadFocus = timelineEntry.contains(document.activeElement) || document.activeElement === document.body;
+    timelineEntry.hidden = true;
+    timelineEntry.innerHTML = '';
+    if (hadFocus) videoWrapper.focus();
+}
+
+/**
+ * Guarda las respuestas del usuario (asociadas al id de cada pregunta).
+ * El índice de la pregunta actual se deduce de ellas al cargar.
  */
 function saveProgress() {
     try {
         // Solo guardar si hay preguntas cargadas, para evitar guardar 0/vacío por error inicial
         if (questions.length > 0) {
-             localStorage.setItem(LOCAL_STORAGE_KEY_PROGRESS, currentQuestionIndex.toString());
-             localStorage.setItem(LOCAL_STORAGE_KEY_ANSWERS, JSON.stringify(userAnswers));
+             progressStore.save(getStoredQuestions(), userAnswers);
+             reportScormProgress();
              console.log('Progreso y respuestas guardados.');
         }
     } catch (e) {
-        console.error('Error al guardar en localStorage:', e);
+        console.error('Error al guardar el progreso:', e);
         // Notificar al usuario si el guardado local falla
         // alert('No se pudo guardar el progreso localmente.');
     }
 }
 
 /**
- * Carga el progreso (índice de pregunta) y las respuestas del usuario desde localStorage.
+ * Carga las respuestas guardadas y calcula la siguiente pregunta pendiente.
  * Debe llamarse DESPUÉS de que las preguntas estén cargadas.
+ * Las respuestas de preguntas eliminadas o modificadas se descartan (ver js/progress-store.js).
  */
 function loadProgress() {
     try {
@@ -435,63 +1411,85 @@ function loadProgress() {
             return;
         }
 
-        const savedIndex = localStorage.getItem(LOCAL_STORAGE_KEY_PROGRESS);
-        const savedAnswers = localStorage.getItem(LOCAL_STORAGE_KEY_ANSWERS);
-
-        if (savedIndex !== null && !isNaN(parseInt(savedIndex, 10))) {
-            const parsedIndex = parseInt(savedIndex, 10);
-             // Asegurar que el índice cargado es válido (no mayor que el número total de preguntas)
-             currentQuestionIndex = Math.min(parsedIndex, questions.length);
-
-            updateProgressBar(currentQuestionIndex);
-            console.log(`Progreso cargado: ${currentQuestionIndex} preguntas completadas.`);
-        } else {
+        const saved = progressStore.load(getStoredQuestions());
+        userAnswers = saved.answers.map(hydrateAnswer);
+        currentQuestionIndex = saved.nextIndex;
+        updateProgressBar(currentQuestionIndex);
+        if (saved.status === 'empty' || saved.status === 'invalid') {
              console.log('No se encontró progreso guardado.');
-             currentQuestionIndex = 0; // Iniciar desde el principio si no hay guardado o es inválido
-             updateProgressBar(0);
-        }
-
-        if (savedAnswers) {
-            try {
-                userAnswers = JSON.parse(savedAnswers);
-                console.log('Respuestas cargadas:', userAnswers);
-            } catch (e) {
-                console.error('Error parsing saved answers from localStorage:', e);
-                userAnswers = []; // Resetear si los datos de respuestas están corruptos
-            }
         } else {
-             userAnswers = []; // Iniciar vacío si no hay respuestas guardadas
+            console.log(`Progreso cargado (${saved.status}): ${currentQuestionIndex} preguntas completadas.`, userAnswers);
         }
 
         // Si ya ha completado todas las preguntas según el progreso cargado, mostrar revisión
         if (currentQuestionIndex >= questions.length && questions.length > 0) {
             console.log('Progreso indica que todas las preguntas están completadas. Mostrando revisión.');
+            xapiResultReported = true; // El resultado ya se envió en la sesión en que se completó
             showReviewSection();
             // Opcional: Mover el video al final o dejarlo como está
-            if (player && player.getDuration) {
-                 player.seekTo(player.getDuration(), true);
+            if (player) {
+                 seekVideo(player.getDuration());
             }
-        } else if (currentQuestionIndex > 0 && player && player.seekTo) {
+        } else if (currentQuestionIndex > 0 && player) {
             // Si hay progreso (más de 0 preguntas completadas), intentar buscar el tiempo
             // de la última pregunta respondida para reanudar cerca de allí.
             // Esto es un poco más complejo, idealmente reanudarías en el tiempo de la PREGUNTA actual.
             // Vamos a reanudar en el tiempo de la pregunta actual (questions[currentQuestionIndex].time)
             const resumeTime = questions[currentQuestionIndex]?.time || 0; // Si el índice es questions.length, time sería undefined, usamos 0
             console.log(`Reanudando video en tiempo de la próxima pregunta: ${resumeTime}s`);
-            player.seekTo(resumeTime, true);
+            seekVideo(resumeTime);
         }
-        // No llamar a playVideo() aquí; onPlayerReady o la interacción del usuario lo harán.
-        // checkQuestionTiming() se llama en onPlayerReady.
+        // No llamar a play() aquí; la interacción del usuario lo hará.
+        // El planificador empieza a comprobar tiempos cuando el vídeo pase a PLAYING.
 
 
     } catch (e) {
-        console.error('Error general al cargar el progreso desde localStorage:', e);
-        // Si hay un error general al cargar (ej. localStorage no disponible), resetear
-        console.warn('No se pudo cargar el progreso desde localStorage. Iniciando desde cero.');
-        resetProgress(false); // Resetear sin preguntar
+        // El almacén ya descarta los datos ilegibles y usa memoria si no hay localStorage,
+        // así que aquí solo se empieza desde cero sin borrar nada
+        console.error('Error general al cargar el progreso:', e);
+        currentQuestionIndex = 0;
+        userAnswers = [];
+        updateProgressBar(0);
     }
 }
 
+/**
+ * Completa una respuesta cargada con los datos que se deducen de su pregunta (texto,
+ * tipo, respuesta correcta...). El progreso guardado en un LMS solo conserva lo
+ * esencial por el límite de suspend_data.
+ * @param {object} entry La respuesta cargada (con `questionIndex` y `response`).
+ * @returns {object} La misma entrada, completada.
+ */
+function hydrateAnswer(entry) {
+    const question = questions[entry.questionIndex];
+    const questionType = QuestionTypes.getQuestionType(question);
+    entry.question = question.question;
+    entry.type = question.type || QuestionTypes.DEFAULT_TYPE;
+    entry.correctAnswer = getCorrectAnswerText(question, entry.completed === true);
+    entry.points = Scoring.getQuestionPoints(question);
+    if (entry.response !== undefined && entry.response !== null) {
+        entry.userAnswer = questionType.formatResponse(question, entry.response, getLocalizedText);
+    } else if (entry.userAnswer === undefined) {
+        entry.userAnswer = '';
+    }
+    return entry;
+}
+
+/**
+ * Texto de la respuesta correcta de una pregunta. Si sus respuestas están cifradas
+ * (ver js/answer-hash.js), solo se descifra cuando el alumno ya la ha resuelto.
+ * @param {object} question La pregunta.
+ * @param {boolean} resolved Si la pregunta está resuelta (acertada, sin intentos u omitida).
+ * @returns {string} '' si aún no se puede mostrar.
+ */
+function getCorrectAnswerText(question, resolved) {
+    if (AnswerHash.isHashed(question)) {
+        if (!resolved) return '';
+        question = AnswerHash.revealQuestion(question);
+    }
+    return QuestionTypes.getQuestionType(question).formatCorrectAnswer(question, getLocalizedText);
+}
+
 /**
  * Reinicia todo el progreso y las respuestas del usuario.
  * @param {boolean} askConfirmation Si se debe pedir confirmación al usuario.
@@ -503,29 +1501,33 @@ function resetProgress(askConfirmation = true) {
         }
     }
 
-    localStorage.removeItem(LOCAL_STORAGE_KEY_PROGRESS);
-    localStorage.removeItem(LOCAL_STORAGE_KEY_ANSWERS);
+    try {
+        progressStore.clear();
+    } catch (e) {
+        console.error('Error al borrar el progreso guardado:', e);
+    }
 
     currentQuestionIndex = 0;
     userAnswers = [];
+    xapiResultReported = false;
     updateProgressBar(0);
 
     // Reiniciar el estado de la UI
-    questionOverlay.style.display = 'none';
+    hideQuestionOverlay();
+    hideTimelineEntry();
     reviewSection.style.display = 'none';
     feedback.textContent = '';
     feedback.className = '';
-    isQuestionActive = false;
+    cueScheduler.reset();
     submitButton.style.display = 'block';
     resetButton.style.display = 'none'; // Ocultar este botón si no está en revisión
 
     // Reiniciar el video
-    if (player && player.seekTo) {
-        player.seekTo(0, true); // Ir al inicio del video
-        player.playVideo(); // Empezar a reproducir
-        checkQuestionTiming(); // Reanudar la verificación de tiempos
+    if (player) {
+        seekVideo(0); // Ir al inicio del video
+        player.play(); // Empezar a reproducir (el planificador se reactiva en PLAYING)
     } else {
-         // Si el player no está listo, la verificación se iniciará en onPlayerReady
+         // Si el player no está listo, la verificación empezará al reproducir
          console.warn("Player no está listo para reiniciar el video.");
     }
 
@@ -539,14 +1541,27 @@ function resetProgress(askConfirmation = true) {
  * Muestra la sección de revisión con las respuestas del usuario.
  */
 function showReviewSection() {
-    questionOverlay.style.display = 'none'; // Asegurarse de que el overlay de preguntas esté oculto
+    hideQuestionOverlay(); // Asegurarse de que el overlay de preguntas esté oculto
+    hideTimelineEntry(); // Las respuestas se revisan ahora en la propia sección
     reviewSection.style.display = 'block';
-    if (player && player.pauseVideo) {
-        player.pauseVideo(); // Asegurarse de que el video esté pausado
+    // Llevar el foco a la revisión, salvo que el usuario esté en otro control (ej. el selector de idioma)
+    if (document.activeElement === videoWrapper || document.activeElement === document.body) {
+        reviewHeading.focus();
+    }
+    cueScheduler.enterReview();
+    if (player) {
+        player.pause(); // Asegurarse de que el video esté pausado
     }
 
 
     reviewContent.innerHTML = ''; // Limpiar contenido anterior
+    reviewSummary.innerHTML = '';
+    // Los resultados del curso se muestran aunque este vídeo no tenga respuestas
+    renderCourseSummary().catch(error => {
+        console.error('No se pudo mostrar el resumen del curso:', error);
+        courseSummary.innerHTML = '';
+        courseSummary.style.display = 'none';
+    });
 
     if (userAnswers.length === 0) {
         // Si el usuario llegó al final sin responder preguntas (raro), mostrar mensaje.
@@ -556,33 +1571,30 @@ function showReviewSection() {
             : getLocalizedText('no_questions_loaded');
 
         reviewContent.innerHTML = `<p>${message}</p>`;
+        reviewExport.style.display = 'none'; // Nada que entregar
         // Mostrar botón de reiniciar si no hay respuestas
          resetButton.style.display = 'block';
          return;
     }
+    if (!learnerNameInput.value) learnerNameInput.value = getLearnerName();
+    reviewExport.style.display = 'flex';
+
+    const finalResult = Scoring.computeFinalResult(questions, userAnswers, appConfig.scoring);
+    renderReviewSummary(finalResult);
+    // passed/failed solo una vez, al resolver todas las preguntas
+    if (currentQuestionIndex >= questions.length && !xapiResultReported) {
+        xapiResultReported = true;
+        trackXapi('scored', finalResult);
+    }
 
     // --- CORRECCIÓN: Asegurar que la clase incorrect se añade al contenedor del item ---
     // Los estilos CSS usarán .review-item.correct .feedback-text o .review-item.incorrect .feedback-text
-    userAnswers.forEach((item, index) => {
-        const reviewItem = document.createElement('div');
-        reviewItem.classList.add('review-item');
-
-        // Añadir la clase 'correct' o 'incorrect' al contenedor principal del item de revisión
-        if (item.isCorrect) {
-            reviewItem.classList.add('correct');
-        } else {
-            reviewItem.classList.add('incorrect');
-        }
-
-        // --- CORRECCIÓN: NO usar style="color: var(...)" en la plantilla literal ---
-        // El color del feedbackText se maneja por las clases CSS en .review-item.correct/incorrect
-        reviewItem.innerHTML = `
-            <p class="question-text"><strong>${getLocalizedText('question_number', {number: index + 1})}:</strong> ${item.question}</p>
-            <p class="user-answer"><strong>${getLocalizedText('review_your_answer')}:</strong> ${item.userAnswer}</p>
-            <p class="correct-answer"><strong>${getLocalizedText('review_correct_answer')}:</strong> ${item.correctAnswer}</p>
-            <p class="feedback-text">${item.isCorrect ? getLocalizedText('review_result_correct') : getLocalizedText('review_result_incorrect')}</p>
-        `;
-        reviewContent.appendChild(reviewItem);
+    // Ordenar por checkpoint: las omitidas o replanteadas pueden haberse guardado fuera de orden
+    // Las preguntas que quedaron fuera del recorrido (goTo) no se revisan
+    const sortedAnswers = userAnswers.filter(entry => !entry.bypassed)
+        .sort((a, b) => (a.questionIndex || 0) - (b.questionIndex || 0));
+    sortedAnswers.forEach((item, index) => {
+        reviewContent.appendChild(createReviewItem(item, index));
     });
 
     // Mostrar botón de reiniciar progreso
@@ -591,29 +1603,450 @@ function showReviewSection() {
      restartVideoButton.style.display = 'block'; // Asegúrate de que este botón tiene display: block en CSS si lo ocultas por defecto.
 }
 
+/**
+ * Crea el elemento de revisión de una respuesta (también lo usa la línea de tiempo).
+ * @param {object} item Entrada de userAnswers.
+ * @param {number} index Posición de respaldo si la entrada no tiene questionIndex.
+ * @returns {HTMLElement}
+ */
+function createReviewItem(item, index) {
+    const reviewItem = document.createElement('div');
+    reviewItem.classList.add('review-item', `review-item--${item.type || QuestionTypes.DEFAULT_TYPE}`);
+    reviewItem.tabIndex = -1; // Recibe el foco al pulsar su marca en la línea de tiempo
+    if (item.questionIndex !== undefined) reviewItem.id = `review-item-${item.questionIndex}`;
+    const questionNumber = item.questionIndex !== undefined ? item.questionIndex + 1 : index + 1;
+
+    // Añadir la clase 'correct', 'incorrect' o 'skipped' al contenedor principal del item de revisión
+    if (item.skipped) {
+        reviewItem.classList.add('skipped');
+    } else if (item.isCorrect) {
+        reviewItem.classList.add('correct');
+    } else {
+        reviewItem.classList.add('incorrect');
+    }
+    let resultText = item.isCorrect ? getLocalizedText('review_result_correct') : getLocalizedText('review_result_incorrect');
+    if (item.skipped) resultText = getLocalizedText('review_result_skipped');
+
+    // --- CORRECCIÓN: NO usar style="color: var(...)" en la plantilla literal ---
+    // El color del feedbackText se maneja por las clases CSS en .review-item.correct/incorrect
+    // Los textos vienen de questions.json y de lo que escribe el alumno: siempre escapados
+    const escape = RichText.escapeHtml;
+    // Respuestas cifradas: la correcta no se conoce hasta resolver la pregunta
+    const correctAnswer = item.correctAnswer === '' ? getLocalizedText('review_correct_answer_hidden') : item.correctAnswer;
+    const question = questions[item.questionIndex];
+    reviewItem.innerHTML = `
+        <p class="question-text"><strong>${escape(getLocalizedText('question_number', {number: questionNumber}))}:</strong> ${escape(item.question)}</p>
+        <p class="user-answer"><strong>${escape(getLocalizedText('review_your_answer'))}:</strong> ${escape(item.userAnswer)}</p>
+        <p class="correct-answer"><strong>${escape(getLocalizedText('review_correct_answer'))}:</strong> ${escape(correctAnswer)}</p>
+        <p class="feedback-text">${escape(resultText)}</p>
+    `;
+    // Variante que le tocó al alumno, si la pregunta sale de un grupo
+    if (question && question.poolId !== undefined) {
+        const variantNote = document.createElement('p');
+        variantNote.className = 'review-variant';
+        variantNote.textContent = getLocalizedText('review_variant', {variant: question.id, pool: question.poolId});
+        reviewItem.querySelector('.question-text').after(variantNote);
+    }
+    // Selección múltiple con crédito parcial: mostrar la fracción obtenida
+    if (!item.isCorrect && item.score > 0) {
+        const partial = document.createElement('p');
+        partial.className = 'partial-credit';
+        partial.textContent = getLocalizedText('review_partial_credit', {percent: Math.round(item.score * 100)});
+        reviewItem.appendChild(partial);
+    }
+    // Intentos usados y puntos obtenidos (las respuestas guardadas antes de la puntuación no los tienen)
+    if (item.attempts) {
+        const scoreLine = document.createElement('p');
+        scoreLine.className = 'attempts-score';
+        scoreLine.textContent = getLocalizedText('review_attempts_points', {
+            attempts: item.attempts,
+            earned: item.earned,
+            points: item.points
+        });
+        reviewItem.appendChild(scoreLine);
+    }
+    // Adónde llevó la respuesta, si saltó a otro punto del vídeo
+    const goTo = question && !item.skipped ? QuestionTypes.getAnswerGoTo(question, item.response) : undefined;
+    const target = goTo !== undefined ? Branching.resolveTarget(questions, goTo) : null;
+    if (target) {
+        const branchNote = document.createElement('p');
+        branchNote.className = 'branch-note';
+        branchNote.textContent = target.isQuestion
+            ? getLocalizedText('review_branch_question', {number: target.index + 1})
+            : getLocalizedText('review_branch_time', {time: formatTime(target.time)});
+        reviewItem.appendChild(branchNote);
+    }
+    // Comentarios de la respuesta marcada y explicación de la pregunta
+    const explanationHtml = question ? getExplanationHtml(question, item.skipped ? undefined : item.response, true) : '';
+    if (explanationHtml) {
+        const explanation = document.createElement('div');
+        explanation.className = 'review-explanation';
+        explanation.innerHTML = explanationHtml;
+        reviewItem.appendChild(explanation);
+    }
+    // Lo que se dice en el vídeo desde la pregunta anterior (si hay transcripción)
+    const excerpt = question ? getTranscriptExcerpt(item.questionIndex) : null;
+    if (excerpt) {
+        const transcript = document.createElement('figure');
+        transcript.className = 'review-transcript';
+        const caption = document.createElement('figcaption');
+        caption.textContent = getLocalizedText('review_transcript', {from: formatTime(excerpt.from), to: formatTime(excerpt.to)});
+        const quote = document.createElement('blockquote');
+        quote.textContent = excerpt.text;
+        transcript.append(caption, quote);
+        reviewItem.appendChild(transcript);
+    }
+    return reviewItem;
+}
+
+/**
+ * Fragmento de la transcripción entre la pregunta anterior y una pregunta.
+ * @param {number} index Índice de la pregunta en `questions`.
+ * @returns {{from: number, to: number, text: string}|null} null si no hay transcripción.
+ */
+function getTranscriptExcerpt(index) {
+    const question = questions[index];
+    if (!question || transcriptCues.length === 0) return null;
+    const from = index > 0 ? questions[index - 1].time : 0;
+    const text = Captions.getExcerpt(transcriptCues, from, question.time, TRANSCRIPT_EXCERPT_LENGTH);
+    return text ? { from, to: question.time, text } : null;
+}
+
+/**
+ * Muestra la puntuación total, la nota y si se ha aprobado.
+ * @param {object} result Resultado de Scoring.computeFinalResult.
+ */
+function renderReviewSummary(result) {
+    reviewSummary.className = `review-summary ${result.passed ? 'passed' : 'failed'}`;
+    reviewSummary.innerHTML = `
+        <p class="summary-score"><strong>${getLocalizedText('review_score')}:</strong> ${getLocalizedText('review_score_value', result)}</p>
+        <p class="summary-grade"><strong>${getLocalizedText('review_grade')}:</strong> ${getLocalizedText('review_grade_value', result)}</p>
+        <p class="summary-result">${getLocalizedText(result.passed ? 'review_passed' : 'review_failed')}</p>
+    `;
+    // Con saltos (goTo) no todas las preguntas forman parte del recorrido
+    const bypassedCount = userAnswers.filter(entry => entry.bypassed).length;
+    if (bypassedCount > 0) {
+        const pathNote = document.createElement('p');
+        pathNote.className = 'summary-path';
+        pathNote.textContent = getLocalizedText('review_bypassed_count', {count: bypassedCount});
+        reviewSummary.appendChild(pathNote);
+    }
+}
+
+/**
+ * Muestra los resultados acumulados de todos los vídeos del curso.
+ * Lee las respuestas guardadas de cada vídeo y sus archivos de preguntas.
+ */
+async function renderCourseSummary() {
+    courseSummary.innerHTML = '';
+    if (!course || course.videos.length < 2) {
+        courseSummary.style.display = 'none';
+        return;
+    }
+
+    const entries = await Promise.all(course.videos.map(async video => {
+        // El vídeo actual ya está en memoria; el resto se lee de su archivo y de localStorage
+        if (video.id === currentVideo.id) {
+            return { video, questions, answers: userAnswers };
+        }
+        let videoQuestions = [];
+        const store = createVideoProgressStore(video);
+        try {
+            const response = await fetch(video.questions);
+            // Las variantes que le tocaron al alumno; si aún no tiene semilla, no hay respuestas
+            if (response.ok) {
+                videoQuestions = QuestionPools.expandPools((await response.json()).sort((a, b) => a.time - b.time),
+                    store.resolveSeed() || '');
+            }
+        } catch (error) {
+            console.warn(`No se pudieron cargar las preguntas de '${video.id}':`, error);
+        }
+        const { answers } = store.load(localizeQuestions(videoQuestions, DEFAULT_LANG));
+        return { video, questions: videoQuestions, answers };
+    }));
+
+    const results = Course.aggregateCourseResults(entries, appConfig.scoring);
+    const heading = document.createElement('h3');
+    heading.textContent = getLocalizedText('course_summary_heading');
+    courseSummary.appendChild(heading);
+
+    const list = document.createElement('ul');
+    results.videos.forEach(video => {
+        const item = document.createElement('li');
+        item.className = video.completed ? 'completed' : (video.started ? 'in-progress' : 'not-started');
+        const status = video.started
+            ? getLocalizedText('review_score_value', video)
+            : getLocalizedText('course_video_not_started');
+        item.textContent = `${video.title}: ${status}`;
+        list.appendChild(item);
+    });
+    courseSummary.appendChild(list);
+
+    const total = document.createElement('p');
+    total.className = `course-total ${results.course.passed ? 'passed' : 'failed'}`;
+    total.textContent = `${getLocalizedText('course_total')}: ${getLocalizedText('review_score_value', results.course)} · ` +
+        `${getLocalizedText('review_grade')}: ${getLocalizedText('review_grade_value', results.course)} · ` +
+        getLocalizedText(results.course.passed ? 'review_passed' : 'review_failed');
+    courseSummary.appendChild(total);
+    courseSummary.style.display = 'block';
+}
+
+// --- Exportación de resultados ---
+// Desde la revisión, los resultados se descargan en JSON o CSV o se imprimen (o se
+// guardan como PDF) para entregarlos (ver js/results-export.js).
+
+/**
+ * Nombre del alumno que da el LMS (SCORM) o el lanzamiento xAPI; '' si no se conoce.
+ * @returns {string}
+ */
+function getLearnerName() {
+    const scormName = scorm ? scorm.getLearnerName() : '';
+    if (scormName) return scormName;
+    const actor = XapiEmitter.resolveLaunchParams(window.location.search).actor || (appConfig.xapi || {}).actor;
+    return actor && actor.name ? actor.name : '';
+}
+
+/**
+ * Informe de resultados del vídeo actual, firmado si config.json tiene `results.signingKey`.
+ * @returns {object} Ver ResultsExport.buildReport.
+ */
+function buildResultsReport() {
+    const report = ResultsExport.buildReport({
+        video: { id: currentVideo.id, title: currentVideo.title },
+        questions,
+        questionIds: ProgressStore.getQuestionIds(getStoredQuestions()),
+        answers: userAnswers,
+        result: Scoring.computeFinalResult(questions, userAnswers, appConfig.scoring),
+        learnerName: learnerNameInput.value
+    });
+    const signingKey = (appConfig.results || {}).signingKey;
+    return signingKey ? ResultsExport.signReport(report, signingKey) : report;
+}
+
+/**
+ * Descarga un archivo generado en el navegador.
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type Tipo MIME.
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Descarga los resultados.
+ * @param {string} format 'json' o 'csv'.
+ */
+function exportResults(format) {
+    const report = buildResultsReport();
+    if (format === 'csv') {
+        downloadFile(ResultsExport.getFileName(report, 'csv'), ResultsExport.toCsv(report), 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(ResultsExport.getFileName(report, 'json'), ResultsExport.toJson(report), 'application/json');
+    }
+}
+
+/**
+ * Dibuja el informe para imprimir: alumno, vídeo, fecha, puntuación y una fila por pregunta.
+ * @param {object} report Ver ResultsExport.buildReport.
+ */
+function renderPrintReport(report) {
+    printReport.innerHTML = '';
+    const heading = document.createElement('h1');
+    heading.textContent = getLocalizedText('print_title');
+    printReport.appendChild(heading);
+
+    const addDetail = (label, value, className) => {
+        const line = document.createElement('p');
+        if (className) line.className = className;
+        const strong = document.createElement('strong');
+        strong.textContent = `${label}: `;
+        line.append(strong, value);
+        printReport.appendChild(line);
+    };
+    // Sin nombre se deja una línea para escribirlo a mano
+    addDetail(getLocalizedText('print_learner'), report.learner.name, report.learner.name ? '' : 'print-blank');
+    addDetail(getLocalizedText('print_video'), report.video.title);
+    addDetail(getLocalizedText('print_date'), new Intl.DateTimeFormat(localeManager.language,
+        { dateStyle: 'long', timeStyle: 'short' }).format(new Date(report.generatedAt)));
+    addDetail(getLocalizedText('review_score'), getLocalizedText('review_score_value', report.result));
+    addDetail(getLocalizedText('review_grade'), `${getLocalizedText('review_grade_value', report.result)} · ` +
+        getLocalizedText(report.result.passed ? 'review_passed' : 'review_failed'));
+
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    [
+        getLocalizedText('print_column_number'),
+        getLocalizedText('print_column_question'),
+        getLocalizedText('review_your_answer'),
+        getLocalizedText('review_correct_answer'),
+        getLocalizedText('print_column_result'),
+        getLocalizedText('print_column_attempts'),
+        getLocalizedText('print_column_points')
+    ].forEach(text => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.textContent = text;
+        headerRow.appendChild(cell);
+    });
+    const body = table.createTBody();
+    report.answers.forEach(answer => {
+        const row = body.insertRow();
+        row.className = `print-row--${answer.result}`;
+        [
+            answer.number,
+            answer.variant ? `${answer.question} (${getLocalizedText('review_variant', answer)})` : answer.question,
+            answer.userAnswer,
+            answer.correctAnswer,
+            getLocalizedText(`review_result_${answer.result}`),
+            answer.attempts,
+            getLocalizedText('print_points_value', {earned: answer.earned, points: answer.points})
+        ].forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+    printReport.appendChild(table);
+}
+
+/**
+ * Abre el diálogo de impresión con el informe de resultados (desde él se puede
+ * guardar como PDF). Mientras se imprime, solo se ve el informe.
+ */
+function printResults() {
+    renderPrintReport(buildResultsReport());
+    document.body.classList.add('printing-report');
+    window.print();
+}
+
+// --- Modo de autoría ---
+// Con ?edit=1 la página es un editor de questions.json (ver js/authoring.js): el
+// vídeo se reproduce sin plantear las preguntas, no se guarda progreso ni se envían
+// sentencias xAPI, y las preguntas se prueban con "Vista previa".
+
+/**
+ * Crea el editor con las preguntas cargadas.
+ */
+function initAuthoring() {
+    authoring = Authoring.createAuthoringPanel(authoringPanel, {
+        timeline: questionTimeline,
+        t: getLocalizedText,
+        formatTime,
+        getPlayer: () => player || null,
+        getCaptions: () => transcriptCues,
+        getLanguage: () => localeManager.language,
+        defaultLanguage: DEFAULT_LANG,
+        onChange: onAuthoringChange,
+        onPreview: previewQuestion,
+        onSeek: time => {
+            if (!player) return;
+            seekVideo(time);
+            controlBar.update();
+        },
+        download: (fileName, content) => downloadFile(fileName, content, 'application/json')
+    });
+    document.body.classList.add('authoring');
+    submitButton.disabled = false; // Se desactiva si el archivo no se pudo cargar; la vista previa lo necesita
+    authoring.setQuestions(questionFile);
+    // Avisar antes de cerrar la página con cambios sin descargar
+    window.addEventListener('beforeunload', event => {
+        if (!authoring.isDirty()) return;
+        event.preventDefault();
+        event.returnValue = '';
+    });
+}
+
+/**
+ * Las preguntas del editor han cambiado: se usan como las del vídeo.
+ * @param {Array} list Entradas ordenadas por tiempo, con los textos por idioma.
+ */
+function onAuthoringChange(list) {
+    questionFile = list;
+    sourceQuestions = drawQuestions(questionFile);
+    questions = localizeQuestions(sourceQuestions, localeManager.language);
+    if (controlBar) controlBar.setCheckpoints(getCheckpointMarkers());
+}
+
+/**
+ * Plantea una pregunta del editor tal como la verá el alumno. De un grupo se plantea
+ * la primera variante sorteada.
+ * @param {object} question La pregunta o el grupo, con los textos por idioma.
+ */
+function previewQuestion(question) {
+    if (!player) return;
+    player.pause();
+    currentQuestionIndex = QuestionPools.isPool(question)
+        ? sourceQuestions.findIndex(item => item.poolId === question.id)
+        : sourceQuestions.indexOf(question);
+    displayQuestion(LocaleManager.localizeQuestion(sourceQuestions[currentQuestionIndex], localeManager.language, DEFAULT_LANG));
+}
+
+// --- Panel de Errores ---
+
+/**
+ * Muestra el panel de errores con una lista de mensajes legibles.
+ * @param {string[]} messages Los mensajes a mostrar.
+ */
+function showErrorPanel(messages) {
+    errorList.innerHTML = '';
+    messages.forEach(message => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        errorList.appendChild(item);
+    });
+    errorPanel.style.display = 'block';
+}
+
 // --- Inicialización ---
 
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('DOM completamente cargado.');
 
-    // Cargar el idioma primero
-    await loadLocale();
-     // Si quieres permitir cambiar el idioma, necesitarías botones o un selector
-     // y llamar loadLocale(nuevoIdioma) y luego loadQuestions() y resetProgress() quizás.
+    // Cargar la configuración y el idioma primero
+    await loadConfig();
+    await loadLocale(LocaleManager.resolveInitialLanguage({
+        available: AVAILABLE_LANGS,
+        defaultLanguage: DEFAULT_LANG,
+        search: window.location.search,
+        preferred: navigator.languages || [navigator.language]
+    }));
+    renderLanguageSelect();
+    // Dentro de un LMS, el progreso se guarda en él: iniciar antes de crear el almacén
+    initScorm();
+    // Elegir el vídeo del curso antes de cargar sus preguntas
+    await loadCourse();
+    renderChapterMenu();
+    const editMode = Authoring.isEditMode(window.location.search);
+    if (!editMode) initXapi(); // Las pruebas del editor no son intentos del alumno
 
     // Cargar preguntas desde el archivo JSON
     try {
-        const response = await fetch('questions.json');
+        const response = await fetch(currentVideo.questions);
          if (!response.ok) {
              throw new Error(`HTTP error! status: ${response.status}`);
          }
-        const data = await response.json();
+        // Validar antes de usar: un archivo mal formado fallaría más tarde dentro de checkAnswer
+        const validation = QuestionValidator.validateQuestionsText(await response.text());
+        validation.warnings.forEach(warning => console.warn(QuestionValidator.formatMessage(warning, currentVideo.questions)));
+        if (!validation.valid) {
+            const error = new Error(`${currentVideo.questions} contiene ${validation.errors.length} errores.`);
+            error.validationErrors = validation.errors;
+            throw error;
+        }
         // Ordenar las preguntas por tiempo para asegurar el orden correcto
-        questions = data.sort((a, b) => a.time - b.time);
+        questionFile = validation.data.sort((a, b) => a.time - b.time);
+        sourceQuestions = drawQuestions(questionFile);
+        questions = localizeQuestions(sourceQuestions, localeManager.language);
         console.log('Preguntas cargadas y ordenadas:', questions);
 
         // Ahora que las preguntas están cargadas, cargar el progreso
-        // loadProgress() se llama dentro de onPlayerReady, que espera la API de YouTube.
+        // loadProgress() se llama dentro de onPlayerReady, que espera al reproductor.
         // Pero necesitamos actualizar la barra de progreso inicial aquí si no hay progreso cargado.
         if (questions.length > 0) {
              updateProgressBar(currentQuestionIndex); // Muestra 0% o progreso cargado si loadProgress ya corrió (no debería)
@@ -622,58 +2055,55 @@ document.addEventListener('DOMContentLoaded', async function() {
 
     } catch (error) {
         console.error('Error al cargar las preguntas:', error);
-        alert(getLocalizedText('error_loading_questions')); // Usar texto localizado si es posible, sino el key
         // Si las preguntas no cargan, deshabilitar funcionalidad principal
-        if (player && player.pauseVideo) player.pauseVideo();
+        questionFile = [];
+        sourceQuestions = [];
+        questions = [];
         submitButton.disabled = true;
         resetButton.disabled = true;
         restartVideoButton.disabled = true;
-         // Opcional: Mostrar un mensaje en la interfaz
-         document.querySelector('.container').innerHTML += `<p style="color:red; text-align:center;">${getLocalizedText('error_loading_questions')}</p>`;
-
+        // Mostrar el detalle en la interfaz (errores de validación o de red)
+        const messages = error.validationErrors
+            ? error.validationErrors.map(entry => QuestionValidator.formatMessage(entry, currentVideo.questions))
+            : [error.message];
+        showErrorPanel(messages);
     }
 
-    // NOTA: onYouTubeIframeAPIReady es una función global que la API de YouTube llama.
-    // NO debe estar dentro de DOMContentLoaded ni ser una función local.
-    // El script de la API de YouTube (<script src="https://www.youtube.com/iframe_api"></script>)
-    // en el HTML se encarga de cargar la API y luego buscar y llamar a window.onYouTubeIframeAPIReady.
+    await loadTranscript();
+    // Un archivo que no se pudo cargar se empieza de cero en el editor
+    if (editMode) initAuthoring();
+
+    // Crear el reproductor una vez cargadas las preguntas, para que onPlayerReady
+    // pueda restaurar el progreso. El proveedor se elige en config.json (player.provider).
+    initControlBar();
+    initTranscriptPanel();
+    initPlayer();
 
 
     // --- Asignar Eventos ---
     submitButton.addEventListener('click', checkAnswer);
+    rewatchButton.addEventListener('click', startRewatch);
+    continueButton.addEventListener('click', continueAfterExplanation);
     resetButton.addEventListener('click', () => resetProgress(true)); // Pedir confirmación al reiniciar desde overlay
     restartVideoButton.addEventListener('click', () => resetProgress(true)); // Pedir confirmación al reiniciar desde revisión
+    document.getElementById('export-json').addEventListener('click', () => exportResults('json'));
+    document.getElementById('export-csv').addEventListener('click', () => exportResults('csv'));
+    document.getElementById('print-results').addEventListener('click', printResults);
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-report'));
+    languageSelect.addEventListener('change', () => setLanguage(languageSelect.value));
+    questionOverlay.addEventListener('keydown', trapFocus);
+    document.addEventListener('keydown', handleShortcut);
 });
 
-// --- Analítica Ligera (Ejemplo - Necesita tu propia implementación) ---
-// Si vas a añadir analítica, asegúrate de que los scripts correspondientes
-// estén en tu index.html y que llamas a las funciones de tracking (ej. trackEvent)
-// en los puntos relevantes del script (respuesta correcta, incorrecta, inicio, fin, etc.).
-// ¡Recuerda la privacidad y el consentimiento del usuario si es necesario!
-
-/*
-// Ejemplo de tracking en checkAnswer (después de determinar si es correcta/incorrecta)
-function trackAnswer(questionId, isCorrect, userAnswer, correctAnswer) {
-     // Implementa tu lógica de tracking aquí (Google Analytics, Fathom, etc.)
-     console.log(`Tracking Answer: Q=${questionId}, Correct=${isCorrect}, User=${userAnswer}, Expected=${correctAnswer}`);
-     // Ejemplo GA (Universal Analytics)
-     // if (typeof gtag !== 'undefined') {
-     //     gtag('event', 'video_question_answer', {
-     //         'event_category': 'Video Interaction',
-     //         'event_label': `Question ${currentQuestionIndex + 1}: ${currentQuestionData.question}`,
-     //         'value': isCorrect ? 1 : 0 // 1 for correct, 0 for incorrect
-     //     });
-     // }
-     // Ejemplo Fathom
-     // if (typeof fathom !== 'undefined' && isCorrect) {
-     //     // Disparar un objetivo de Fathom si la respuesta es correcta
-     //     fathom.trackGoal('CODIGO_OBJETIVO_RESPUESTA_CORRECTA', 0);
-     // }
-}
-// Llamar a trackAnswer dentro de checkAnswer después de push a userAnswers:
-// trackAnswer(currentQuestionIndex + 1, isCorrect, selectedButton.textContent, currentQuestionData.answers.find(a => a.correct).text);
-*/
-
-// --- NOTA FINAL SOBRE SCORM/LTI ---
-// Reiterar que esta funcionalidad NO es factible con una página estática en GitHub Pages.
-// Requiere un servidor backend y/o empaquetado específico.
\ No newline at end of file
+// --- Analítica ---
+// Las sentencias xAPI (launched, played, paused, seeked, answered, completed,
+// passed/failed) se envían con trackXapi al LRS configurado en config.json.
+// Para otras herramientas (Google Analytics, Fathom...), llamar a su API en esos
+// mismos puntos. ¡Recuerda la privacidad y el consentimiento del usuario si es necesario!
+
+// --- SCORM / LTI ---
+// SCORM: `node tools/build-scorm.js` empaqueta la página con su imsmanifest.xml para
+// subirla a un LMS (Moodle, Canvas...). Dentro del LMS, js/scorm.js envía la puntuación
+// y el estado y guarda el progreso en suspend_data (initScorm, reportScormProgress).
+// LTI sigue sin ser factible con una página estática: requiere un servidor que
+// gestione la autenticación con el LMS.
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Pruebas de la suma de resultados del curso (js/course.js).
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Course = require('../js/course.js');
+
+/**
+ * Preguntas con los puntos indicados.
+ * @param {number[]} points
+ * @returns {Array}
+ */
+function makeQuestions(points) {
+    return points.map((value, index) => ({ id: `p${index + 1}`, time: (index + 1) * 10, question: `P${index + 1}`, points: value }));
+}
+
+/**
+ * Respuestas acertadas a todas las preguntas, salvo las que quedan fuera del recorrido.
+ * @param {Array} questions
+ * @param {number[]} [bypassed] Posiciones fuera del recorrido.
+ * @returns {Array}
+ */
+function makeAnswers(questions, bypassed = []) {
+    return questions.map((question, index) => (bypassed.includes(index)
+        ? { questionIndex: index, bypassed: true, completed: false, earned: 0 }
+        : { questionIndex: index, completed: true, isCorrect: true, earned: question.points }));
+}
+
+test('una pregunta fuera del recorrido de un vídeo no descuenta la de otro con la misma posición', () => {
+    const a = makeQuestions([1, 4, 1]);
+    const b = makeQuestions([1, 1, 1]);
+    const { course } = Course.aggregateCourseResults([
+        { video: { id: 'a' }, questions: a, answers: makeAnswers(a) },
+        { video: { id: 'b' }, questions: b, answers: makeAnswers(b, [1]) }
+    ], {});
+
+    assert.strictEqual(course.earned, 8);
+    assert.strictEqual(course.total, 8);
+});
+
+test('suma los puntos de todos los vídeos, respondidos o no', () => {
+    const a = makeQuestions([2, 2]);
+    const b = makeQuestions([1]);
+    const { course } = Course.aggregateCourseResults([
+        { video: { id: 'a' }, questions: a, answers: makeAnswers(a).slice(0, 1) },
+        { video: { id: 'b' }, questions: b, answers: [] }
+    ], {});
+
+    assert.strictEqual(course.earned, 2);
+    assert.strictEqual(course.total, 5);
+});
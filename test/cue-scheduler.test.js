@@ -0,0 +1,85 @@
+// Pruebas del planificador de checkpoints (js/cue-scheduler.js) con un reloj y un
+// vídeo simulados.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CueScheduler = require('../js/cue-scheduler.js');
+
+/**
+ * Reloj simulado: guarda los temporizadores y avanza a mano. El vídeo avanza con él.
+ * @returns {object}
+ */
+function createClock() {
+    const clock = {
+        time: 0,
+        timers: [],
+        delays: [],
+        now: () => clock.time,
+        setTimeout(callback, delay) {
+            clock.delays.push(delay);
+            clock.timers.push({ callback, at: clock.time + delay });
+            return clock.timers.length;
+        },
+        clearTimeout(id) {
+            clock.timers[id - 1] = null;
+        },
+        /**
+         * Ejecuta los temporizadores que vencen en los próximos `ms` milisegundos (como
+         * mucho 1000, para que un bucle de temporizadores a 0 ms falle en vez de colgarse).
+         */
+        advance(ms) {
+            const end = clock.time + ms;
+            for (let count = 0; count < 1000; count++) {
+                const next = clock.timers.filter(Boolean).sort((a, b) => a.at - b.at)[0];
+                if (!next || next.at > end) break;
+                clock.timers[clock.timers.indexOf(next)] = null;
+                clock.time = next.at;
+                next.callback();
+            }
+            clock.time = end;
+        }
+    };
+    return clock;
+}
+
+test('programa un único temporizador hasta el siguiente checkpoint', () => {
+    const clock = createClock();
+    const ticks = [];
+    const scheduler = CueScheduler.createCueScheduler({
+        clock,
+        getCurrentTime: () => clock.time / 1000,
+        getNextCueTime: () => 0.5,
+        onTick: tick => {
+            ticks.push(tick.currentTime);
+            scheduler.enterQuestion();
+        }
+    });
+
+    scheduler.start();
+    assert.deepStrictEqual(clock.delays, [520]);
+    clock.advance(1000);
+    assert.deepStrictEqual(ticks, [0.52]);
+    assert.strictEqual(scheduler.state, 'question');
+});
+
+test('un checkpoint pasado que onTick no atiende no se comprueba en bucle', () => {
+    const clock = createClock();
+    let ticks = 0;
+    const scheduler = CueScheduler.createCueScheduler({
+        clock,
+        getCurrentTime: () => 5 + clock.time / 1000,
+        getNextCueTime: () => 2,
+        onTick: () => {
+            ticks++;
+        }
+    });
+
+    scheduler.start();
+    assert.strictEqual(clock.delays[0], 0); // La primera comprobación es inmediata
+    clock.advance(3000);
+    assert.ok(ticks <= 4, `${ticks} comprobaciones en 3 s`);
+    assert.ok(clock.delays.slice(1).every(delay => delay === 1000));
+    scheduler.stop();
+});
@@ -0,0 +1,59 @@
+// Pruebas del puente SCORM (js/scorm.js) con una API de LMS simulada.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ScormBridge = require('../js/scorm.js');
+
+/**
+ * API SCORM 2004 simulada que guarda los valores en memoria.
+ * @param {object} [values] Valores iniciales del modelo de datos.
+ * @returns {object}
+ */
+function createApi(values = {}) {
+    return {
+        values,
+        Initialize: () => 'true',
+        Terminate: () => 'true',
+        Commit: () => 'true',
+        GetValue: element => values[element] || '',
+        SetValue: (element, value) => {
+            values[element] = value;
+            return 'true';
+        },
+        GetLastError: () => '0',
+        GetErrorString: () => ''
+    };
+}
+
+test('suspend_data conserva las respuestas booleanas y la hora de cada respuesta', () => {
+    const api = createApi();
+    const record = {
+        version: 2,
+        contentHash: 'abc',
+        savedAt: '2024-05-01T10:00:00.000Z',
+        answers: {
+            vf: { response: false, attempts: 1, isCorrect: true, score: 1, earned: 1, completed: true,
+                contentHash: 'h1', answeredAt: '2024-05-01T09:58:00.000Z' },
+            opcion: { response: 2, attempts: 2, isCorrect: false, score: 0, earned: 0, completed: true,
+                skipped: false, contentHash: 'h2', answeredAt: '2024-05-01T09:59:00.000Z' }
+        }
+    };
+
+    const bridge = ScormBridge.createScormBridge({ found: { api, version: '2004' } });
+    bridge.initialize();
+    bridge.createStorage().setItem('videoInteractive:v1', JSON.stringify(record));
+
+    // Una sesión nueva lee lo que quedó en el LMS
+    const resumed = ScormBridge.createScormBridge({ found: { api: createApi(api.values), version: '2004' } });
+    resumed.initialize();
+    const saved = JSON.parse(resumed.createStorage().getItem('videoInteractive:v1'));
+
+    assert.strictEqual(saved.answers.vf.response, false);
+    assert.strictEqual(saved.answers.vf.isCorrect, true);
+    assert.strictEqual(saved.answers.vf.answeredAt, '2024-05-01T09:58:00.000Z');
+    assert.strictEqual(saved.answers.opcion.response, 2);
+    assert.strictEqual(saved.answers.opcion.skipped, false);
+    assert.strictEqual(saved.answers.opcion.answeredAt, '2024-05-01T09:59:00.000Z');
+});
@@ -0,0 +1,99 @@
+// Pruebas de la cola de sentencias de js/xapi.js: qué lotes se reintentan y cuáles
+// se descartan según la respuesta del LRS.
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const XapiEmitter = require('../js/xapi.js');
+
+const QUEUE_KEY = 'videoInteractive:xapiQueue';
+
+/**
+ * Almacén en memoria con la interfaz de localStorage.
+ * @returns {object}
+ */
+function createStorage() {
+    const data = new Map();
+    return {
+        getItem: key => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value))
+    };
+}
+
+/**
+ * Emisor cuyo fetch responde con los códigos indicados, uno por petición.
+ * @param {number[]} statuses
+ * @returns {{emitter: object, storage: object, requests: Array}}
+ */
+function createEmitter(statuses) {
+    const storage = createStorage();
+    const requests = [];
+    const emitter = XapiEmitter.createXapiEmitter({
+        endpoint: 'https://lrs.ejemplo.edu/xapi',
+        actor: { name: 'Ana', mbox: 'mailto:ana@ejemplo.edu' },
+        activityId: 'https://ejemplo.edu/video',
+        storage,
+        isOnline: () => true,
+        fetch: async (url, init) => {
+            requests.push(JSON.parse(init.body));
+            const status = statuses[requests.length - 1] || 200;
+            return { ok: status >= 200 && status < 300, status };
+        }
+    });
+    return { emitter, storage, requests };
+}
+
+const storedQueue = storage => JSON.parse(storage.getItem(QUEUE_KEY));
+
+test('un lote rechazado con 400 se descarta y no bloquea los siguientes', async t => {
+    t.mock.method(console, 'error', () => {});
+    const { emitter, storage, requests } = createEmitter([400, 200]);
+
+    emitter.launched();
+    assert.strictEqual(await emitter.flush(), 0);
+    assert.strictEqual(emitter.pending, 0);
+    assert.deepStrictEqual(storedQueue(storage), []);
+
+    emitter.played(0);
+    assert.strictEqual(await emitter.flush(), 1);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[1].length, 1);
+    assert.strictEqual(emitter.pending, 0);
+});
+
+for (const status of [503, 429]) {
+    test(`un lote con HTTP ${status} queda en la cola y se reintenta`, async t => {
+        t.mock.method(console, 'warn', () => {});
+        const { emitter, storage, requests } = createEmitter([status, 200]);
+
+        emitter.launched();
+        assert.strictEqual(await emitter.flush(), 0);
+        assert.strictEqual(emitter.pending, 1);
+        assert.strictEqual(storedQueue(storage).length, 1);
+
+        assert.strictEqual(await emitter.flush(), 1);
+        assert.strictEqual(requests.length, 2);
+        assert.deepStrictEqual(requests[1], requests[0]);
+        assert.strictEqual(emitter.pending, 0);
+    });
+}
+
+test('sin red, las sentencias quedan en la cola', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = createStorage();
+    const emitter = XapiEmitter.createXapiEmitter({
+        endpoint: 'https://lrs.ejemplo.edu/xapi/',
+        activityId: 'https://ejemplo.edu/video',
+        storage,
+        isOnline: () => true,
+        fetch: async () => {
+            throw new TypeError('Failed to fetch');
+        }
+    });
+
+    emitter.launched();
+    assert.strictEqual(await emitter.flush(), 0);
+    assert.strictEqual(emitter.pending, 1);
+    assert.strictEqual(storedQueue(storage).length, 1);
+});
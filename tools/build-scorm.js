@@ -0,0 +1,397 @@
+#!/usr/bin/env node
+// Empaqueta la página como paquete SCORM (.zip con imsmanifest.xml) para subirla a
+// un LMS como Moodle. Incluye index.html con sus scripts y estilos, js/, locales/,
+// config.json, las preguntas (questions.json o las de cada vídeo de course.json) y los
+// subtítulos de la transcripción (`transcript` y `player.tracks` de config.json y de
+// cada vídeo, en todos sus idiomas).
+//
+// Uso:
+//   node tools/build-scorm.js [--version 1.2|2004] [--video <id>] [--title <título>] [--out <archivo.zip>]
+//
+// --version  Versión de SCORM (por defecto 1.2, la mejor soportada por Moodle).
+// --video    Abre directamente ese vídeo de course.json. Se recomienda un paquete por
+//            vídeo: cambiar de vídeo recarga la página y algunos LMS no admiten una
+//            segunda sesión en el mismo intento.
+// --title    Título del paquete (por defecto el de course.json).
+// --out      Archivo de salida (por defecto dist/<título>-scorm<versión>.zip).
+//
+// Termina con código 1 si falta algún archivo o las preguntas no son válidas.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const QuestionValidator = require('../js/question-validator.js');
+const Course = require('../js/course.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// index.html enlaza los nombres publicados; en el repositorio los archivos se llaman así
+const FILE_ALIASES = {
+    'script.js': 'script2.js',
+    'styles.css': 'style2.css'
+};
+
+const DIRECTORIES = ['js', 'locales'];
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{version: string, video: string|null, title: string|null, out: string|null}}
+ */
+function parseArgs(args) {
+    const options = { version: '1.2', video: null, title: null, out: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--version') {
+            options.version = args[++i];
+        } else if (arg === '--video') {
+            options.video = args[++i];
+        } else if (arg === '--title') {
+            options.title = args[++i];
+        } else if (arg === '--out') {
+            options.out = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    }
+    if (!['1.2', '2004'].includes(options.version)) {
+        throw new Error("--version debe ser '1.2' o '2004'.");
+    }
+    return options;
+}
+
+// --- Archivos del paquete ---
+
+/**
+ * Lee un JSON del repositorio si existe.
+ * @param {string} relativePath
+ * @returns {*} El contenido, o null si el archivo no existe.
+ */
+function readJsonIfExists(relativePath) {
+    const fullPath = path.join(ROOT, relativePath);
+    if (!fs.existsSync(fullPath)) return null;
+    return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+}
+
+/**
+ * Archivos locales enlazados desde index.html (<script src> y <link href>).
+ * @param {string} html
+ * @returns {string[]}
+ */
+function findLinkedFiles(html) {
+    const references = [...html.matchAll(/<(?:script|link)\b[^>]*?\s(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+    return references.filter(reference => !/^(?:[a-z]+:)?\/\//i.test(reference) && !reference.startsWith('#'));
+}
+
+/**
+ * Archivos locales de subtítulos de una configuración: `transcript` (una ruta o una
+ * por idioma) y las pistas de `player.tracks`.
+ * @param {object} source config.json o un vídeo de course.json.
+ * @returns {string[]}
+ */
+function findTranscriptFiles(source) {
+    const transcript = source.transcript;
+    const paths = typeof transcript === 'string' ? [transcript]
+        : (transcript && typeof transcript === 'object' ? Object.values(transcript) : []);
+    const tracks = source.player && Array.isArray(source.player.tracks) ? source.player.tracks : [];
+    tracks.forEach(track => {
+        if (track && track.src) paths.push(track.src);
+    });
+    return paths.filter(reference => typeof reference === 'string' && !/^(?:[a-z]+:)?\/\//i.test(reference));
+}
+
+/**
+ * Lista los archivos a empaquetar: ruta dentro del paquete -> ruta en el repositorio.
+ * @param {object|null} course El manifiesto del curso.
+ * @param {object} config config.json.
+ * @returns {Map<string, string>}
+ */
+function collectFiles(course, config) {
+    const files = new Map();
+    const add = (packagePath, sourcePath = packagePath) => {
+        files.set(packagePath.replace(/^\.\//, ''), sourcePath.replace(/^\.\//, ''));
+    };
+
+    add('index.html');
+    findLinkedFiles(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')).forEach(reference => {
+        const exists = fs.existsSync(path.join(ROOT, reference));
+        add(reference, !exists && FILE_ALIASES[reference] ? FILE_ALIASES[reference] : reference);
+    });
+    DIRECTORIES.forEach(directory => {
+        fs.readdirSync(path.join(ROOT, directory)).sort().forEach(name => {
+            add(`${directory}/${name}`);
+        });
+    });
+    add('config.json');
+    findTranscriptFiles(config).forEach(reference => add(reference));
+    if (course) {
+        add('course.json');
+        course.videos.forEach(video => {
+            add(video.questions);
+            findTranscriptFiles(video).forEach(reference => add(reference));
+        });
+    } else {
+        add('questions.json');
+    }
+    return files;
+}
+
+/**
+ * Comprueba que los archivos de preguntas son válidos antes de empaquetarlos.
+ * @param {object|null} course El manifiesto del curso.
+ * @returns {string[]} Mensajes de error.
+ */
+function validateQuestionFiles(course) {
+    const questionFiles = course ? course.videos.map(video => video.questions) : ['questions.json'];
+    const messages = [];
+    questionFiles.forEach(file => {
+        const result = QuestionValidator.validateQuestionsText(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+        result.errors.forEach(entry => messages.push(QuestionValidator.formatMessage(entry, file)));
+    });
+    return messages;
+}
+
+// --- imsmanifest.xml ---
+
+const escapeXml = text => String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Genera el imsmanifest.xml.
+ * @param {object} options
+ * @param {string} options.version '1.2' o '2004'.
+ * @param {string} options.identifier Identificador del paquete.
+ * @param {string} options.title Título.
+ * @param {string} options.parameters Query string de lanzamiento (ej. "?video=intro").
+ * @param {number} options.passThreshold Porcentaje para aprobar.
+ * @param {string[]} options.files Archivos del paquete.
+ * @returns {string}
+ */
+function buildManifest({ version, identifier, title, parameters, passThreshold, files }) {
+    const fileList = files.map(file => `      <file href="${escapeXml(file)}"/>`).join('\n');
+    const parametersAttribute = parameters ? ` parameters="${escapeXml(parameters)}"` : '';
+
+    if (version === '1.2') {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${escapeXml(identifier)}" version="1.0"
+  xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>1.2</schemaversion>
+  </metadata>
+  <organizations default="ORG-1">
+    <organization identifier="ORG-1">
+      <title>${escapeXml(title)}</title>
+      <item identifier="ITEM-1" identifierref="RES-1" isvisible="true"${parametersAttribute}>
+        <title>${escapeXml(title)}</title>
+        <adlcp:masteryscore>${passThreshold}</adlcp:masteryscore>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-1" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${escapeXml(identifier)}" version="1"
+  xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>2004 4th Edition</schemaversion>
+  </metadata>
+  <organizations default="ORG-1">
+    <organization identifier="ORG-1">
+      <title>${escapeXml(title)}</title>
+      <item identifier="ITEM-1" identifierref="RES-1" isvisible="true"${parametersAttribute}>
+        <title>${escapeXml(title)}</title>
+        <imsss:sequencing>
+          <imsss:objectives>
+            <imsss:primaryObjective objectiveID="PRIMARYOBJ" satisfiedByMeasure="true">
+              <imsss:minNormalizedMeasure>${passThreshold / 100}</imsss:minNormalizedMeasure>
+            </imsss:primaryObjective>
+          </imsss:objectives>
+        </imsss:sequencing>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="RES-1" type="webcontent" adlcp:scormType="sco" href="index.html">
+${fileList}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+// --- Zip ---
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Crea un archivo zip (deflate) con las entradas indicadas.
+ * @param {Array<{name: string, data: Buffer}>} entries
+ * @returns {Buffer}
+ */
+function createZip(entries) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    // Fecha fija (1/1/2000): el mismo contenido genera siempre el mismo zip
+    const dosTime = 0;
+    const dosDate = ((2000 - 1980) << 9) | (1 << 5) | 1;
+
+    entries.forEach(({ name, data }) => {
+        const fileName = Buffer.from(name, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Versión necesaria para extraer
+        local.writeUInt16LE(0x0800, 6); // Nombres en UTF-8
+        local.writeUInt16LE(8, 8); // Deflate
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, fileName, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, fileName);
+
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+const slugify = text => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'video-interactivo';
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/build-scorm.js [--version 1.2|2004] [--video <id>] [--title <título>] [--out <archivo.zip>]');
+        return 0;
+    }
+
+    const course = readJsonIfExists('course.json');
+    if (course) {
+        const errors = Course.validateManifest(course);
+        if (errors.length > 0) {
+            errors.forEach(message => console.error(`course.json: ${message}`));
+            return 1;
+        }
+    }
+    let video = null;
+    if (options.video) {
+        video = course && course.videos.find(item => item.id === options.video);
+        if (!video) {
+            console.error(`El vídeo '${options.video}' no existe en course.json.`);
+            return 1;
+        }
+    }
+
+    const questionErrors = validateQuestionFiles(course);
+    if (questionErrors.length > 0) {
+        questionErrors.forEach(message => console.error(message));
+        return 1;
+    }
+
+    const config = readJsonIfExists('config.json') || {};
+    const files = collectFiles(course, config);
+    const missing = [...files.values()].filter(source => !fs.existsSync(path.join(ROOT, source)));
+    if (missing.length > 0) {
+        missing.forEach(source => console.error(`No se encuentra el archivo '${source}'.`));
+        return 1;
+    }
+
+    const passThreshold = (config.scoring && config.scoring.passThreshold) || 50;
+    const title = options.title || (video && video.title) || (course && course.title) || 'Vídeo interactivo';
+    const identifier = `video-interactivo-${slugify(title)}`;
+    const versionLabel = options.version.replace('.', '');
+
+    const entries = [...files.entries()].map(([name, source]) => ({
+        name,
+        data: fs.readFileSync(path.join(ROOT, source))
+    }));
+    entries.unshift({
+        name: 'imsmanifest.xml',
+        data: Buffer.from(buildManifest({
+            version: options.version,
+            identifier,
+            title,
+            parameters: video ? Course.buildVideoUrl(video.id, '') : '',
+            passThreshold,
+            files: [...files.keys()]
+        }), 'utf8')
+    });
+
+    const out = options.out || path.join(ROOT, 'dist', `${slugify(title)}-scorm${versionLabel}.zip`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, createZip(entries));
+    console.log(`Paquete SCORM ${options.version} creado: ${path.relative(process.cwd(), out)} (${entries.length} archivos).`);
+    return 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Relaciona las preguntas con los subtítulos del vídeo (WebVTT o SRT, ver js/captions.js).
+//
+// Uso:
+//   node tools/caption-checkpoints.js <subtítulos.vtt|srt> [questions.json] [--snap] [--out <archivo>]
+//   node tools/caption-checkpoints.js <subtítulos.vtt|srt> --every <segundos> [--out <archivo>]
+//
+// Sin opciones, muestra cada pregunta con el fragmento de la transcripción que la
+// precede y avisa de las que aparecen a mitad de una frase.
+// --snap   Mueve esas preguntas al final de su frase y guarda el archivo (el mismo, o
+//          --out). Solo cambian los valores de `time`: el resto del archivo se conserva.
+// --every  Crea una pregunta de plantilla al final de la primera frase tras cada
+//          intervalo, para completarlas en el modo de edición (?edit=1). Se guardan en
+//          --out (por defecto <subtítulos>.questions.json).
+//
+// Termina con código 1 si el archivo de preguntas no es válido o, sin --snap, si alguna
+// pregunta aparece a mitad de una frase.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const QuestionValidator = require('../js/question-validator.js');
+const Captions = require('../js/captions.js');
+const Authoring = require('../js/authoring.js');
+
+// Longitud del fragmento que se muestra por pregunta
+const EXCERPT_LENGTH = 100;
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{captions: string|null, questions: string, snap: boolean, every: number|null, out: string|null}}
+ */
+function parseArgs(args) {
+    const options = { captions: null, questions: null, snap: false, every: null, out: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--snap') {
+            options.snap = true;
+        } else if (arg === '--every') {
+            options.every = Number(args[++i]);
+            if (!(options.every > 0)) {
+                throw new Error('--every necesita un número de segundos.');
+            }
+        } else if (arg === '--out') {
+            options.out = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!arg.startsWith('--') && !options.captions) {
+            options.captions = arg;
+        } else if (!arg.startsWith('--') && !options.questions) {
+            options.questions = arg;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    }
+    if (options.help) return options;
+    if (!options.captions) {
+        throw new Error('Indica el archivo de subtítulos (.vtt o .srt).');
+    }
+    if (options.every !== null && (options.snap || options.questions)) {
+        throw new Error('--every crea un archivo nuevo: no se combina con --snap ni con un archivo de preguntas.');
+    }
+    options.questions = options.questions || path.join(__dirname, '..', 'questions.json');
+    return options;
+}
+
+/**
+ * Cambia los valores de `time` en el texto del archivo sin tocar su formato.
+ * @param {string} text Contenido de questions.json.
+ * @param {Object<string, {line: number, column: number}>} locations Ver QuestionValidator.parseJsonWithLocations.
+ * @param {Map<number, number>} times Índice de la pregunta -> tiempo nuevo.
+ * @returns {string}
+ */
+function replaceTimes(text, locations, times) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const edits = [...times].map(([index, time]) => {
+        const location = locations[`[${index}].time`];
+        const offset = lineStarts[location.line - 1] + location.column - 1;
+        const literal = text.slice(offset).match(/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/)[0];
+        return { offset, length: literal.length, value: String(time) };
+    });
+    return edits.sort((a, b) => b.offset - a.offset)
+        .reduce((result, edit) => result.slice(0, edit.offset) + edit.value + result.slice(edit.offset + edit.length), text);
+}
+
+/**
+ * Preguntas de plantilla al final de la primera frase tras cada intervalo.
+ * @param {Array} cues Subtítulos.
+ * @param {number} every Segundos entre preguntas.
+ * @returns {Array}
+ */
+function generateCheckpoints(cues, every) {
+    const questions = [];
+    let previous = 0;
+    cues.filter(cue => Captions.isSentenceEnd(cue.text)).forEach(cue => {
+        if (cue.end < previous + every) return;
+        const excerpt = Captions.getExcerpt(cues, previous, cue.end, 80);
+        questions.push({
+            ...Authoring.createQuestion(questions, cue.end),
+            question: `(Pregunta sobre: «${excerpt}»)`,
+            answers: [{ text: 'Respuesta correcta', correct: true }, { text: 'Respuesta incorrecta', correct: false }]
+        });
+        previous = cue.end;
+    });
+    return questions;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/caption-checkpoints.js <subtítulos.vtt|srt> [questions.json] [--snap] [--out <archivo>]\n' +
+            '     node tools/caption-checkpoints.js <subtítulos.vtt|srt> --every <segundos> [--out <archivo>]');
+        return 0;
+    }
+
+    const captionsName = path.relative(process.cwd(), options.captions) || options.captions;
+    let cues;
+    try {
+        cues = Captions.parseCaptions(fs.readFileSync(options.captions, 'utf8'));
+    } catch (error) {
+        console.error(`${captionsName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+        return 1;
+    }
+    if (cues.length === 0) {
+        console.error(`${captionsName}: error: no contiene subtítulos WebVTT ni SRT.`);
+        return 1;
+    }
+
+    if (options.every !== null) {
+        const questions = generateCheckpoints(cues, options.every);
+        const out = options.out || options.captions.replace(/(\.[^./\\]*)?$/, '.questions.json');
+        if (questions.length === 0) {
+            console.error(`${captionsName}: error: ninguna frase termina después de ${options.every} s; no se escribe ${out}.`);
+            return 1;
+        }
+        fs.writeFileSync(out, Authoring.toJson(questions));
+        console.log(`${path.relative(process.cwd(), out) || out}: ${questions.length} preguntas de plantilla. ` +
+            'Complétalas en el modo de edición (?edit=1).');
+        return 0;
+    }
+
+    const displayName = path.relative(process.cwd(), options.questions) || options.questions;
+    let text;
+    try {
+        text = fs.readFileSync(options.questions, 'utf8');
+    } catch (error) {
+        console.error(`${displayName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+        return 1;
+    }
+    const result = QuestionValidator.validateQuestionsText(text);
+    result.errors.forEach(entry => console.error(QuestionValidator.formatMessage(entry, displayName)));
+    if (!result.valid) return 1;
+    const { locations } = QuestionValidator.parseJsonWithLocations(text);
+
+    // Cada pregunta con lo que se dice desde la anterior
+    const order = result.data.map((question, index) => index).sort((a, b) => result.data[a].time - result.data[b].time);
+    order.forEach((index, position) => {
+        const question = result.data[index];
+        const from = position > 0 ? result.data[order[position - 1]].time : 0;
+        const excerpt = Captions.getExcerpt(cues, from, question.time, EXCERPT_LENGTH);
+        console.log(`${Captions.formatCueTime(question.time).padStart(7)}  ${question.id || `#${index + 1}`}  ${excerpt ? `«${excerpt}»` : '(sin transcripción)'}`);
+    });
+
+    const warnings = Captions.checkQuestionTimes(result.data, cues);
+    warnings.forEach(entry => {
+        const location = locations[entry.path];
+        console.warn(QuestionValidator.formatMessage({ ...entry, line: location ? location.line : null }, displayName));
+    });
+    if (!options.snap) {
+        console.log(`${displayName}: ${result.data.length} preguntas, ${warnings.length} a mitad de una frase.`);
+        return warnings.length > 0 ? 1 : 0;
+    }
+
+    const times = new Map(warnings.map(entry => [Number(entry.path.match(/\d+/)[0]), entry.snapTo]));
+    const out = options.out || options.questions;
+    fs.writeFileSync(out, replaceTimes(text, locations, times));
+    console.log(`${path.relative(process.cwd(), out) || out}: ${times.size} preguntas movidas al final de su frase.`);
+    return 0;
+}
+
+process.exitCode = main();
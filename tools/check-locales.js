@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Comprueba los archivos de idioma (locales/*.json) frente a las claves que usan
+// index.html (data-i18n, data-i18n-attr) y los scripts que carga (getLocalizedText
+// y el helper t de los tipos de pregunta).
+//
+// Uso:
+//   node tools/check-locales.js [--strict]
+//
+// Informa por cada idioma de:
+//   - claves usadas que no están definidas (en el idioma por defecto es un error; en
+//     los demás, un aviso, porque se muestra el texto del idioma por defecto),
+//   - claves definidas que no se usan,
+//   - mensajes con errores de sintaxis (ver js/message-format.js) o con argumentos
+//     distintos de los del idioma por defecto.
+//
+// --strict  Trata también como errores las claves sin traducir de los demás idiomas.
+//
+// Termina con código 1 si hay errores.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const MessageFormat = require('../js/message-format.js');
+
+const ROOT = path.join(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const DEFAULT_LANG = 'es';
+
+// index.html enlaza los nombres publicados; en el repositorio los archivos se llaman así
+const FILE_ALIASES = {
+    'script.js': 'script2.js'
+};
+
+// Funciones que reciben una clave como primer argumento
+const TRANSLATE_CALL = /\b(?:getLocalizedText|t)\(/g;
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{strict: boolean}}
+ */
+function parseArgs(args) {
+    const options = { strict: false };
+    args.forEach(arg => {
+        if (arg === '--strict') {
+            options.strict = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    });
+    return options;
+}
+
+// --- Claves usadas ---
+
+/**
+ * Claves usadas en el HTML: data-i18n="clave" y data-i18n-attr="atributo:clave; ...".
+ * @param {string} html
+ * @returns {string[]}
+ */
+function findHtmlKeys(html) {
+    const keys = [...html.matchAll(/\bdata-i18n="([^"]+)"/g)].map(match => match[1]);
+    [...html.matchAll(/\bdata-i18n-attr="([^"]+)"/g)].forEach(match => {
+        match[1].split(';').forEach(pair => {
+            const key = pair.split(':')[1];
+            if (key && key.trim()) keys.push(key.trim());
+        });
+    });
+    return keys;
+}
+
+/**
+ * Scripts locales que carga index.html.
+ * @param {string} html
+ * @returns {string[]} Rutas relativas a la raíz del repositorio.
+ */
+function findScripts(html) {
+    return [...html.matchAll(/<script\b[^>]*?\ssrc="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !/^(?:[a-z]+:)?\/\//i.test(src))
+        .map(src => (!fs.existsSync(path.join(ROOT, src)) && FILE_ALIASES[src] ? FILE_ALIASES[src] : src));
+}
+
+/**
+ * Claves usadas en un script: los textos literales del primer argumento de
+ * getLocalizedText(...) y t(...), incluidos los de un operador ternario
+ * (ej. getLocalizedText(passed ? 'review_passed' : 'review_failed')).
+ * @param {string} source
+ * @returns {string[]}
+ */
+function findScriptKeys(source) {
+    const keys = [];
+    for (const match of source.matchAll(TRANSLATE_CALL)) {
+        let pos = match.index + match[0].length;
+        let depth = 0;
+        let quote = null;
+        const start = pos;
+        for (; pos < source.length; pos++) {
+            const char = source[pos];
+            if (quote) {
+                if (char === '\\') pos++;
+                else if (char === quote) quote = null;
+            } else if (char === "'" || char === '"' || char === '`') {
+                quote = char;
+            } else if (char === '(' || char === '{' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === '}' || char === ']') {
+                if (depth === 0) break;
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                break;
+            }
+        }
+        const argument = source.slice(start, pos);
+        [...argument.matchAll(/'([a-z0-9_]+)'|"([a-z0-9_]+)"/g)].forEach(literal => keys.push(literal[1] || literal[2]));
+    }
+    return keys;
+}
+
+/**
+ * Todas las claves usadas y dónde.
+ * @returns {Map<string, Set<string>>} Clave -> archivos que la usan.
+ */
+function collectUsedKeys() {
+    const used = new Map();
+    const add = (keys, file) => keys.forEach(key => {
+        if (!used.has(key)) used.set(key, new Set());
+        used.get(key).add(file);
+    });
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    add(findHtmlKeys(html), 'index.html');
+    findScripts(html).forEach(script => {
+        add(findScriptKeys(fs.readFileSync(path.join(ROOT, script), 'utf8')), script);
+    });
+    return used;
+}
+
+// --- Comprobación de cada idioma ---
+
+/**
+ * Comprueba un archivo de idioma.
+ * @param {string} lang Código del idioma.
+ * @param {object} messages Sus textos.
+ * @param {object|null} defaults Textos del idioma por defecto (null si es él).
+ * @param {Map<string, Set<string>>} used Claves usadas.
+ * @param {boolean} strict
+ * @returns {{errors: string[], warnings: string[], missing: number, unused: number}}
+ */
+function checkLocale(lang, messages, defaults, used, strict) {
+    const errors = [];
+    const warnings = [];
+    const missing = [...used.keys()].filter(key => !(key in messages)).sort();
+    missing.forEach(key => {
+        const where = [...used.get(key)].join(', ');
+        if (!defaults || strict) {
+            errors.push(`Falta la clave '${key}' (usada en ${where}).`);
+        } else {
+            warnings.push(`Sin traducir: '${key}' (se muestra en '${DEFAULT_LANG}').`);
+        }
+    });
+    const unused = Object.keys(messages).filter(key => !used.has(key)).sort();
+    unused.forEach(key => warnings.push(`Clave sin usar: '${key}'.`));
+
+    Object.keys(messages).forEach(key => {
+        let names;
+        try {
+            names = MessageFormat.getArgumentNames(String(messages[key]));
+        } catch (error) {
+            errors.push(`'${key}': ${error.message}.`);
+            return;
+        }
+        if (!defaults || !(key in defaults)) return;
+        let expected;
+        try {
+            expected = MessageFormat.getArgumentNames(String(defaults[key]));
+        } catch (error) {
+            return; // Ya se informa al comprobar el idioma por defecto
+        }
+        const unknown = names.filter(name => !expected.includes(name));
+        if (unknown.length > 0) {
+            errors.push(`'${key}': argumentos que no existen en '${DEFAULT_LANG}': ${unknown.map(name => `{${name}}`).join(', ')}.`);
+        }
+    });
+    return { errors, warnings, missing: missing.length, unused: unused.length };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/check-locales.js [--strict]');
+        return 0;
+    }
+
+    const used = collectUsedKeys();
+    const files = fs.readdirSync(LOCALES_DIR).filter(name => name.endsWith('.json')).sort();
+    const locales = {};
+    let hasErrors = false;
+    files.forEach(name => {
+        const displayName = path.relative(process.cwd(), path.join(LOCALES_DIR, name));
+        try {
+            locales[path.basename(name, '.json')] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, name), 'utf8'));
+        } catch (error) {
+            console.error(`${displayName}: error: ${error.message}`);
+            hasErrors = true;
+        }
+    });
+    if (!locales[DEFAULT_LANG]) {
+        console.error(`No se encontró el idioma por defecto (locales/${DEFAULT_LANG}.json).`);
+        return 1;
+    }
+
+    // El idioma por defecto primero: los demás se comparan con él
+    const languages = [DEFAULT_LANG, ...Object.keys(locales).filter(lang => lang !== DEFAULT_LANG)];
+    languages.forEach(lang => {
+        const displayName = path.relative(process.cwd(), path.join(LOCALES_DIR, `${lang}.json`));
+        const defaults = lang === DEFAULT_LANG ? null : locales[DEFAULT_LANG];
+        const result = checkLocale(lang, locales[lang], defaults, used, options.strict);
+        result.errors.forEach(message => console.error(`${displayName}: error: ${message}`));
+        result.warnings.forEach(message => console.warn(`${displayName}: aviso: ${message}`));
+        console.log(`${displayName}: ${Object.keys(locales[lang]).length} claves, ${result.missing} sin definir, ` +
+            `${result.unused} sin usar, ${result.errors.length} errores.`);
+        if (result.errors.length > 0) hasErrors = true;
+    });
+    console.log(`${used.size} claves usadas en index.html y sus scripts.`);
+
+    return hasErrors ? 1 : 0;
+}
+
+process.exitCode = main();
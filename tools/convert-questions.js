@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// Convierte preguntas entre questions.json y los formatos de Moodle (GIFT y Moodle XML)
+// o una hoja de cálculo (CSV). Ver js/question-formats.js para los detalles de cada
+// formato.
+//
+// Uso:
+//   node tools/convert-questions.js <entrada> [--from gift|moodle|csv|json] [--to json|gift|moodle]
+//                                   [--out <salida>] [--lang <idioma>] [--spacing <segundos>]
+//
+// --from     Formato de la entrada (por defecto, según la extensión: .gift o .txt,
+//            .xml, .csv o .json).
+// --to       Formato de la salida (por defecto, según la extensión de --out; si no,
+//            json al importar).
+// --out      Archivo de salida (por defecto, la entrada con la extensión del formato).
+// --lang     Idioma de los textos: el que se exporta a GIFT y Moodle XML, y el de las
+//            columnas sin sufijo de idioma del CSV (por defecto es).
+// --spacing  Segundos entre las preguntas importadas sin tiempo (por defecto 30).
+//
+// Muestra lo que no se pudo convertir y, al importar, los errores y avisos del
+// validador sobre el resultado. Termina con código 1 si se omitió alguna pregunta o el
+// questions.json generado no es válido.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const QuestionValidator = require('../js/question-validator.js');
+const QuestionPools = require('../js/question-pools.js');
+const QuestionFormats = require('../js/question-formats.js');
+
+// Extensión de cada formato y formatos que se deducen de cada extensión
+const FORMAT_EXTENSIONS = { json: '.json', gift: '.gift', moodle: '.xml', csv: '.csv' };
+const EXTENSION_FORMATS = { '.json': 'json', '.gift': 'gift', '.txt': 'gift', '.xml': 'moodle', '.csv': 'csv' };
+
+const IMPORTERS = {
+    gift: QuestionFormats.parseGift,
+    moodle: QuestionFormats.parseMoodleXml,
+    csv: QuestionFormats.parseCsv
+};
+
+const EXPORTERS = {
+    gift: QuestionFormats.toGift,
+    moodle: QuestionFormats.toMoodleXml
+};
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{file: string|null, from: string|null, to: string|null, out: string|null, lang: string|undefined, spacing: number|undefined}}
+ */
+function parseArgs(args) {
+    const options = { file: null, from: null, to: null, out: null, lang: undefined, spacing: undefined };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--from') {
+            options.from = args[++i];
+        } else if (arg === '--to') {
+            options.to = args[++i];
+        } else if (arg === '--out') {
+            options.out = args[++i];
+        } else if (arg === '--lang') {
+            options.lang = args[++i];
+        } else if (arg === '--spacing') {
+            options.spacing = Number(args[++i]);
+            if (!(options.spacing > 0)) {
+                throw new Error('--spacing necesita un número de segundos.');
+            }
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.file && !arg.startsWith('--')) {
+            options.file = arg;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    }
+    if (options.help) return options;
+    if (!options.file) {
+        throw new Error('Indica el archivo a convertir.');
+    }
+
+    options.from = options.from || EXTENSION_FORMATS[path.extname(options.file).toLowerCase()];
+    if (!options.from || !FORMAT_EXTENSIONS[options.from]) {
+        throw new Error('No se reconoce el formato de la entrada: usa --from gift, moodle, csv o json.');
+    }
+    options.to = options.to || (options.out ? EXTENSION_FORMATS[path.extname(options.out).toLowerCase()] : null) ||
+        (options.from !== 'json' ? 'json' : null);
+    if (options.from === 'json' ? !EXPORTERS[options.to] : options.to !== 'json') {
+        throw new Error(options.from === 'json'
+            ? 'Indica el formato de salida: --to gift o --to moodle.'
+            : 'Los archivos GIFT, Moodle XML y CSV se convierten a questions.json (--to json).');
+    }
+    options.out = options.out || options.file.replace(/(\.[^./\\]*)?$/, FORMAT_EXTENSIONS[options.to]);
+    if (path.resolve(options.out) === path.resolve(options.file)) {
+        throw new Error('El archivo de salida no puede ser el de entrada: usa --out.');
+    }
+    return options;
+}
+
+/**
+ * Muestra los mensajes de una conversión o de la validación.
+ * @param {Array} entries Mensajes { level, path, line, message }.
+ * @param {string} displayName Archivo al que se refieren.
+ */
+function printMessages(entries, displayName) {
+    entries.slice().sort((a, b) => (a.line || 0) - (b.line || 0)).forEach(entry => {
+        const message = QuestionValidator.formatMessage(entry, displayName);
+        if (entry.level === 'error') {
+            console.error(message);
+        } else {
+            console.warn(message);
+        }
+    });
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/convert-questions.js <entrada> [--from gift|moodle|csv|json] [--to json|gift|moodle] ' +
+            '[--out <salida>] [--lang <idioma>] [--spacing <segundos>]');
+        return 0;
+    }
+
+    const inputName = path.relative(process.cwd(), options.file) || options.file;
+    const outputName = path.relative(process.cwd(), options.out) || options.out;
+    let text;
+    try {
+        text = fs.readFileSync(options.file, 'utf8');
+    } catch (error) {
+        console.error(`${inputName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+        return 1;
+    }
+    const formatOptions = { language: options.lang, spacing: options.spacing };
+
+    let output;
+    let issues;
+    let validation = { valid: true, errors: [], warnings: [] };
+    let count;
+    if (options.from === 'json') {
+        const source = QuestionValidator.validateQuestionsText(text);
+        printMessages(source.errors, inputName);
+        if (!source.valid) return 1;
+        ({ text: output, issues } = EXPORTERS[options.to](source.data, formatOptions));
+        printMessages(issues, inputName);
+        // Cada grupo de variantes se exporta como una pregunta por variante
+        const total = source.data.reduce((sum, question) => sum + (QuestionPools.isPool(question) ? question.pool.length : 1), 0);
+        count = total - issues.filter(issue => issue.level === 'error').length;
+    } else {
+        let questions;
+        ({ questions, issues } = IMPORTERS[options.from](text, formatOptions));
+        printMessages(issues, inputName);
+        if (questions.length > 0) {
+            validation = QuestionValidator.validateQuestions(questions);
+            printMessages(validation.errors.concat(validation.warnings), outputName);
+        }
+        output = `${JSON.stringify(questions, null, 2)}\n`;
+        count = questions.length;
+    }
+
+    const skipped = issues.filter(issue => issue.level === 'error').length;
+    if (count === 0 && skipped > 0) {
+        console.error(`${inputName}: error: no se ha podido convertir ninguna pregunta; no se escribe ${outputName}.`);
+        return 1;
+    }
+    fs.writeFileSync(options.out, output);
+    const warnings = issues.length - skipped + validation.warnings.length;
+    console.log(`${outputName}: ${count} preguntas convertidas, ${skipped} omitidas, ${validation.errors.length} errores, ${warnings} avisos.`);
+    return skipped > 0 || !validation.valid ? 1 : 0;
+}
+
+process.exitCode = main();
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Convierte un archivo de preguntas de autoría (con las respuestas en claro) en el
+// archivo que se publica, con las respuestas correctas cifradas (ver js/answer-hash.js).
+// Cada ejecución genera sales nuevas, así que el resultado cambia aunque las
+// preguntas no cambien. En los grupos de preguntas (ver js/question-pools.js) se
+// cifra cada variante.
+//
+// Uso:
+//   node tools/hash-answers.js <autoría.json> [--out <publicación.json>]
+//
+// --out  Archivo de salida (por defecto <autoría>.hashed.json junto al original).
+//        Para publicarlo, apunta a él `questions` en course.json o renómbralo a
+//        questions.json; conserva el de autoría para seguir editando.
+//
+// Termina con código 1 si el archivo de autoría no es válido.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const QuestionValidator = require('../js/question-validator.js');
+const AnswerHash = require('../js/answer-hash.js');
+const QuestionPools = require('../js/question-pools.js');
+
+const SALT_BYTES = 16;
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{file: string|null, out: string|null}}
+ */
+function parseArgs(args) {
+    const options = { file: null, out: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--out') {
+            options.out = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.file && !arg.startsWith('--')) {
+            options.file = arg;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    }
+    if (!options.help && !options.file) {
+        throw new Error('Indica el archivo de preguntas de autoría.');
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/hash-answers.js <autoría.json> [--out <publicación.json>]');
+        return 0;
+    }
+
+    const displayName = path.relative(process.cwd(), options.file) || options.file;
+    let text;
+    try {
+        text = fs.readFileSync(options.file, 'utf8');
+    } catch (error) {
+        console.error(`${displayName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+        return 1;
+    }
+
+    const result = QuestionValidator.validateQuestionsText(text);
+    result.errors.forEach(entry => console.error(QuestionValidator.formatMessage(entry, displayName)));
+    if (!result.valid) return 1;
+    const entries = result.data.flatMap(question => (QuestionPools.isPool(question) ? question.pool : [question]));
+    if (entries.some(AnswerHash.isHashed)) {
+        console.error(`${displayName}: error: el archivo ya tiene respuestas cifradas; usa el archivo de autoría.`);
+        return 1;
+    }
+
+    let hashedCount = 0;
+    const publish = (question, label) => {
+        if (!AnswerHash.canHash(question)) {
+            console.warn(`${displayName}: aviso: ${label} es numérica con 'tolerance' y se publica sin cifrar.`);
+            return question;
+        }
+        hashedCount++;
+        return AnswerHash.hashQuestion(question, crypto.randomBytes(SALT_BYTES).toString('hex'));
+    };
+    const published = result.data.map((question, index) => {
+        if (!QuestionPools.isPool(question)) return publish(question, `la pregunta ${index + 1}`);
+        return {
+            ...question,
+            pool: question.pool.map((variant, variantIndex) =>
+                publish(variant, `la variante ${variantIndex + 1} de la pregunta ${index + 1}`))
+        };
+    });
+
+    const out = options.out || options.file.replace(/(\.json)?$/i, '.hashed.json');
+    fs.writeFileSync(out, `${JSON.stringify(published, null, 2)}\n`);
+    console.log(`${path.relative(process.cwd(), out) || out}: ${hashedCount} de ${entries.length} preguntas cifradas.`);
+    return 0;
+}
+
+process.exitCode = main();
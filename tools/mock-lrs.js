@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+// LRS (Learning Record Store) de pruebas: recibe sentencias xAPI y las muestra en
+// la consola. Sirve para probar js/xapi.js sin un LRS real.
+//
+// Uso:
+//   node tools/mock-lrs.js [--port <puerto>] [--out <archivo.json>] [--fail <código HTTP>]
+//
+// --port  Puerto (por defecto 8090). El endpoint es http://localhost:<puerto>/xapi/
+// --out   Guarda todas las sentencias recibidas en ese archivo al terminar (Ctrl+C).
+// --fail  Responde siempre con ese código de error, para probar la cola sin conexión.
+//
+// Para usarlo, abre la página con el endpoint como parámetro de lanzamiento (no hace
+// falta tocar config.json):
+//   index.html?endpoint=http://localhost:8090/xapi/
+//
+// Las sentencias se pueden consultar con GET http://localhost:8090/xapi/statements
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+
+const XAPI_PATH = '/xapi/statements';
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{port: number, out: string|null, fail: number|null}}
+ */
+function parseArgs(args) {
+    const options = { port: 8090, out: null, fail: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--port') {
+            options.port = Number(args[++i]);
+        } else if (arg === '--out') {
+            options.out = args[++i];
+        } else if (arg === '--fail') {
+            options.fail = Number(args[++i]);
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Argumento desconocido: ${arg}`);
+        }
+    }
+    if (!Number.isInteger(options.port)) throw new Error('--port necesita un número.');
+    return options;
+}
+
+/**
+ * Crea el servidor del LRS de pruebas.
+ * @param {object} options { fail }
+ * @returns {{server: http.Server, statements: Array}}
+ */
+function createMockLrs(options = {}) {
+    const statements = [];
+    const server = http.createServer((request, response) => {
+        // La página se sirve desde otro origen: permitir CORS
+        response.setHeader('Access-Control-Allow-Origin', request.headers.origin || '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Experience-API-Version');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+        response.setHeader('X-Experience-API-Version', '1.0.3');
+
+        const send = (status, body) => {
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(body === undefined ? '' : JSON.stringify(body));
+        };
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') return send(204);
+        if (url.pathname.replace(/\/$/, '') !== XAPI_PATH) return send(404, { error: 'Ruta desconocida' });
+        if (request.method === 'GET') return send(200, { statements, more: '' });
+        if (request.method !== 'POST' && request.method !== 'PUT') return send(405, { error: 'Método no admitido' });
+        if (options.fail) return send(options.fail, { error: 'Fallo simulado (--fail)' });
+        if (!request.headers['x-experience-api-version']) {
+            return send(400, { error: 'Falta la cabecera X-Experience-API-Version' });
+        }
+
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            let received;
+            try {
+                received = [].concat(JSON.parse(body));
+            } catch (error) {
+                return send(400, { error: `JSON no válido: ${error.message}` });
+            }
+            if (request.method === 'PUT' && url.searchParams.get('statementId')) {
+                received[0].id = url.searchParams.get('statementId');
+            }
+            const known = new Set(statements.map(statement => statement.id));
+            if (received.some(statement => known.has(statement.id))) {
+                return send(409, { error: 'Sentencia repetida' });
+            }
+            received.forEach(statement => {
+                statement.stored = new Date().toISOString();
+                statements.push(statement);
+                console.log(describeStatement(statement));
+            });
+            if (request.method === 'PUT') return send(204);
+            return send(200, received.map(statement => statement.id));
+        });
+    });
+    return { server, statements };
+}
+
+/**
+ * Resumen legible de una sentencia (ej. "answered https://.../questions/intro → success=true").
+ * @param {object} statement
+ * @returns {string}
+ */
+function describeStatement(statement) {
+    const verb = statement.verb && statement.verb.id ? statement.verb.id.split('/').pop() : '?';
+    const object = statement.object && statement.object.id;
+    const result = statement.result || {};
+    const details = [];
+    if (result.success !== undefined) details.push(`success=${result.success}`);
+    if (result.response !== undefined) details.push(`response=${JSON.stringify(result.response)}`);
+    if (result.score && result.score.scaled !== undefined) details.push(`score=${result.score.scaled}`);
+    Object.keys(result.extensions || {}).forEach(key => {
+        details.push(`${key.split('/').pop()}=${JSON.stringify(result.extensions[key])}`);
+    });
+    return `${statement.timestamp} ${verb} ${object}${details.length ? ` → ${details.join(' ')}` : ''}`;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/mock-lrs.js [--port <puerto>] [--out <archivo.json>] [--fail <código HTTP>]');
+        return 0;
+    }
+
+    const { server, statements } = createMockLrs(options);
+    server.listen(options.port, () => {
+        console.log(`LRS de pruebas en http://localhost:${options.port}/xapi/`);
+    });
+    process.on('SIGINT', () => {
+        if (options.out) {
+            fs.writeFileSync(options.out, JSON.stringify(statements, null, 2));
+            console.log(`${statements.length} sentencias guardadas en ${options.out}.`);
+        }
+        server.close();
+        process.exit(0);
+    });
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { createMockLrs, describeStatement };
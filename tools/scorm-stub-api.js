@@ -0,0 +1,154 @@
+// --- API SCORM simulada (para pruebas) ---
+// Implementa en memoria la API de tiempo de ejecución de SCORM 1.2 (`API`) y de
+// SCORM 2004 (`API_1484_11`) para probar js/scorm.js sin un LMS. La usa
+// tools/scorm-stub-lms.html, que carga la página en un iframe:
+//
+//   python3 -m http.server 8000
+//   http://localhost:8000/tools/scorm-stub-lms.html?version=1.2
+//
+// Los datos se conservan en localStorage (clave `scormStub:<versión>`), de modo que al
+// recargar se simula que el alumno retoma el intento (`entry` = 'resume').
+
+(function (global) {
+    'use strict';
+
+    const ERRORS = {
+        0: 'No error',
+        101: 'General exception',
+        301: 'Not initialized',
+        401: 'Not implemented error',
+        403: 'Element is read only'
+    };
+
+    const ELEMENT_NAMES = {
+        '1.2': { entry: 'cmi.core.entry', exit: 'cmi.core.exit', learnerName: 'cmi.core.student_name' },
+        '2004': { entry: 'cmi.entry', exit: 'cmi.exit', learnerName: 'cmi.learner_name' }
+    };
+
+    /**
+     * Crea una API SCORM simulada.
+     * @param {string} version '1.2' o '2004'.
+     * @param {object} [options]
+     * @param {object} [options.data] Valores iniciales del modelo de datos (cmi.*).
+     * @param {function(string, Array, *)} [options.onCall] Se llama tras cada método con
+     *   (nombre, argumentos, resultado).
+     * @param {function(object)} [options.onCommit] Se llama al confirmar con los datos.
+     * @returns {object} La API, con la propiedad `data` para inspeccionar los valores.
+     */
+    function createStubApi(version, options = {}) {
+        const names = ELEMENT_NAMES[version];
+        const data = { ...options.data };
+        const onCall = options.onCall || function () {};
+        const onCommit = options.onCommit || function () {};
+        let initialized = false;
+        let lastError = 0;
+
+        if (!(names.entry in data)) data[names.entry] = data['cmi.suspend_data'] ? 'resume' : 'ab-initio';
+        if (!(names.learnerName in data)) data[names.learnerName] = 'Alumno de prueba';
+
+        const wrap = (name, fn) => (...args) => {
+            const result = fn(...args);
+            onCall(name, args, result);
+            return result;
+        };
+        const fail = code => {
+            lastError = code;
+            return 'false';
+        };
+
+        const initialize = () => {
+            initialized = true;
+            lastError = 0;
+            return 'true';
+        };
+        const finish = () => {
+            if (!initialized) return fail(301);
+            onCommit(data);
+            initialized = false;
+            return 'true';
+        };
+        const getValue = element => {
+            if (!initialized) {
+                lastError = 301;
+                return '';
+            }
+            lastError = 0;
+            return element in data ? String(data[element]) : '';
+        };
+        const setValue = (element, value) => {
+            if (!initialized) return fail(301);
+            if (element === names.entry || element === names.learnerName) return fail(403);
+            data[element] = String(value);
+            lastError = 0;
+            return 'true';
+        };
+        const commit = () => {
+            if (!initialized) return fail(301);
+            onCommit(data);
+            return 'true';
+        };
+        const getLastError = () => String(lastError);
+        const getErrorString = code => ERRORS[code] || ERRORS[101];
+
+        const api = version === '2004'
+            ? {
+                Initialize: wrap('Initialize', initialize),
+                Terminate: wrap('Terminate', finish),
+                GetValue: wrap('GetValue', getValue),
+                SetValue: wrap('SetValue', setValue),
+                Commit: wrap('Commit', commit),
+                GetLastError: getLastError,
+                GetErrorString: getErrorString,
+                GetDiagnostic: getErrorString
+            }
+            : {
+                LMSInitialize: wrap('LMSInitialize', initialize),
+                LMSFinish: wrap('LMSFinish', finish),
+                LMSGetValue: wrap('LMSGetValue', getValue),
+                LMSSetValue: wrap('LMSSetValue', setValue),
+                LMSCommit: wrap('LMSCommit', commit),
+                LMSGetLastError: getLastError,
+                LMSGetErrorString: getErrorString,
+                LMSGetDiagnostic: getErrorString
+            };
+        api.data = data;
+        return api;
+    }
+
+    /**
+     * Instala la API simulada en la ventana, conservando los datos en localStorage.
+     * @param {Window} win
+     * @param {string} version '1.2' o '2004'.
+     * @param {function(string, Array, *)} [onCall]
+     * @returns {object} La API instalada.
+     */
+    function installStubApi(win, version, onCall) {
+        const storageKey = `scormStub:${version}`;
+        let saved = {};
+        try {
+            saved = JSON.parse(win.localStorage.getItem(storageKey)) || {};
+        } catch (e) {
+            saved = {};
+        }
+        // Al volver a entrar, el LMS indica que se retoma el intento
+        delete saved[ELEMENT_NAMES[version].entry];
+        const api = createStubApi(version, {
+            data: saved,
+            onCall,
+            onCommit: data => win.localStorage.setItem(storageKey, JSON.stringify(data))
+        });
+        win[version === '2004' ? 'API_1484_11' : 'API'] = api;
+        return api;
+    }
+
+    const api = {
+        createStubApi,
+        installStubApi
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    } else {
+        global.ScormStubApi = api;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
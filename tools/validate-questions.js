@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Valida un archivo de preguntas (questions.json por defecto) y muestra los
+// errores y avisos con su línea.
+//
+// Uso:
+//   node tools/validate-questions.js [archivo.json ...] [--duration <segundos>]
+//
+// --duration  Duración del vídeo; avisa de las preguntas programadas después del final.
+//
+// Termina con código 1 si algún archivo tiene errores.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const QuestionValidator = require('../js/question-validator.js');
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{files: string[], duration: number|undefined}}
+ */
+function parseArgs(args) {
+    const options = { files: [], duration: undefined };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--duration') {
+            options.duration = Number(args[++i]);
+            if (!isFinite(options.duration)) {
+                throw new Error('--duration necesita un número de segundos.');
+            }
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (options.files.length === 0) {
+        options.files.push(path.join(__dirname, '..', 'questions.json'));
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/validate-questions.js [archivo.json ...] [--duration <segundos>]');
+        return 0;
+    }
+
+    let hasErrors = false;
+    options.files.forEach(file => {
+        const displayName = path.relative(process.cwd(), file) || file;
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            console.error(`${displayName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+            hasErrors = true;
+            return;
+        }
+
+        const result = QuestionValidator.validateQuestionsText(text, { duration: options.duration });
+        result.errors.concat(result.warnings)
+            .sort((a, b) => (a.line || 0) - (b.line || 0))
+            .forEach(entry => {
+                const message = QuestionValidator.formatMessage(entry, displayName);
+                if (entry.level === 'error') {
+                    console.error(message);
+                } else {
+                    console.warn(message);
+                }
+            });
+
+        const questionCount = Array.isArray(result.data) ? result.data.length : 0;
+        console.log(`${displayName}: ${questionCount} preguntas, ${result.errors.length} errores, ${result.warnings.length} avisos.`);
+        if (!result.valid) hasErrors = true;
+    });
+
+    return hasErrors ? 1 : 0;
+}
+
+process.exitCode = main();
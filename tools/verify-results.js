@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Comprueba la firma de los resultados exportados en JSON (ver js/results-export.js)
+// para detectar los que se han editado después de descargarlos.
+//
+// Uso:
+//   node tools/verify-results.js <resultados.json ...> [--key <clave>]
+//
+// --key  Clave de firma (por defecto, `results.signingKey` de config.json).
+//
+// Termina con código 1 si algún archivo no tiene firma o no es válida.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ResultsExport = require('../js/results-export.js');
+
+/**
+ * Interpreta los argumentos de la línea de comandos.
+ * @param {string[]} args Argumentos (sin node ni el script).
+ * @returns {{files: string[], key: string|null}}
+ */
+function parseArgs(args) {
+    const options = { files: [], key: null };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--key') {
+            options.key = args[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    if (!options.help && options.files.length === 0) {
+        throw new Error('Indica al menos un archivo de resultados.');
+    }
+    return options;
+}
+
+/**
+ * Clave de firma de config.json.
+ * @returns {string|null}
+ */
+function readConfigKey() {
+    try {
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+        return (config.results || {}).signingKey || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+    if (options.help) {
+        console.log('Uso: node tools/verify-results.js <resultados.json ...> [--key <clave>]');
+        return 0;
+    }
+    const key = options.key || readConfigKey();
+    if (!key) {
+        console.error('No hay clave de firma: usa --key o define results.signingKey en config.json.');
+        return 2;
+    }
+
+    let allValid = true;
+    options.files.forEach(file => {
+        const displayName = path.relative(process.cwd(), file) || file;
+        let report;
+        try {
+            report = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`${displayName}: error: no se pudo leer el archivo (${error.code || error.message}).`);
+            allValid = false;
+            return;
+        }
+        const status = ResultsExport.verifyReport(report, key);
+        if (status === 'valid') {
+            const learner = report.learner && report.learner.name ? ` (${report.learner.name})` : '';
+            console.log(`${displayName}: firma válida${learner}.`);
+        } else {
+            console.error(`${displayName}: ${status === 'unsigned' ? 'sin firma' : 'firma no válida: el archivo se ha modificado o se firmó con otra clave'}.`);
+            allValid = false;
+        }
+    });
+
+    return allValid ? 0 : 1;
+}
+
+process.exitCode = main();